@@ -1,7 +1,6 @@
 /**
  * ColumnSettingsPanel.jsx
  * - Lock column removed
- * - Time type removed
  * - No icons/emojis
  * - No JSX fragments
  *
@@ -9,29 +8,78 @@
  * use LOCAL state and only call onUpdate on onBlur.
  * Previously every keystroke called onUpdate → setSheetData → full re-render
  * → textarea/input lost focus after every character typed.
+ *
+ * DROPDOWN OPTIONS: a dropdown column takes its options from a typed list,
+ * a cell range, a column of any sheet (sheets) or the Mendix list
+ * (mendixLists — the list names of the Dropdown Options datasource).
+ * A dependent dropdown instead names a parent column and maps each parent
+ * value to its own options (OptionMapEditor). See utils/dropdownOptions.
+ * A multi-select column takes its options the same way.
+ *
+ * TYPE SETTINGS: time and date & time columns have a display format,
+ * percentage and currency columns their decimals, currency its symbol and
+ * rating the number of stars. See utils/columnTypes.
  */
 
 import { createElement, useState, useCallback, useEffect } from "react";
-import { COLUMN_TYPE_META } from "../utils/constants";
+import {
+    COLUMN_TYPE_META,
+    DROPDOWN_SOURCE_TYPE,
+    DROPDOWN_SOURCE_TYPE_META,
+    PARENT_CHANGE_ACTION,
+    DEFAULT_NUMERIC_FORMAT,
+    DEFAULT_DATE_FORMAT,
+    DEFAULT_TIME_FORMAT,
+    DEFAULT_DATETIME_FORMAT,
+    DEFAULT_CURRENCY_SYMBOL,
+} from "../utils/constants";
+import { sourceColumnChoices } from "../utils/dropdownOptions";
+import { ratingMax } from "../utils/columnTypes";
 
 const TYPE_COLORS = {
-    text:     { bg: "#eff6ff", color: "#2563eb", border: "#bfdbfe" },
-    numeric:  { bg: "#f0fdf4", color: "#16a34a", border: "#bbf7d0" },
-    date:     { bg: "#fff7ed", color: "#ea580c", border: "#fed7aa" },
-    checkbox: { bg: "#f0fdfa", color: "#0d9488", border: "#99f6e4" },
-    dropdown: { bg: "#fefce8", color: "#ca8a04", border: "#fde68a" },
+    text:         { bg: "#eff6ff", color: "#2563eb", border: "#bfdbfe" },
+    numeric:      { bg: "#f0fdf4", color: "#16a34a", border: "#bbf7d0" },
+    percentage:   { bg: "#ecfdf5", color: "#059669", border: "#a7f3d0" },
+    currency:     { bg: "#f7fee7", color: "#65a30d", border: "#d9f99d" },
+    date:         { bg: "#fff7ed", color: "#ea580c", border: "#fed7aa" },
+    time:         { bg: "#fef2f2", color: "#dc2626", border: "#fecaca" },
+    datetime:     { bg: "#fdf4ff", color: "#c026d3", border: "#f5d0fe" },
+    checkbox:     { bg: "#f0fdfa", color: "#0d9488", border: "#99f6e4" },
+    dropdown:     { bg: "#fefce8", color: "#ca8a04", border: "#fde68a" },
+    multiselect:  { bg: "#fffbeb", color: "#d97706", border: "#fde68a" },
+    autocomplete: { bg: "#eef2ff", color: "#4f46e5", border: "#c7d2fe" },
+    hyperlink:    { bg: "#f0f9ff", color: "#0284c7", border: "#bae6fd" },
+    rating:       { bg: "#faf5ff", color: "#9333ea", border: "#e9d5ff" },
 };
 
 const TYPE_SHORT = {
-    text:     "Txt",
-    numeric:  "Num",
-    date:     "Dte",
-    checkbox: "Chk",
-    dropdown: "Drp",
+    text:         "Txt",
+    numeric:      "Num",
+    percentage:   "Pct",
+    currency:     "Cur",
+    date:         "Dte",
+    time:         "Tme",
+    datetime:     "D&T",
+    checkbox:     "Chk",
+    dropdown:     "Drp",
+    multiselect:  "Mul",
+    autocomplete: "Aut",
+    hyperlink:    "Url",
+    rating:       "Rtg",
 };
 
+// Label, example and placeholder of the format field per type
+const FORMAT_FIELD = {
+    numeric:  { label: "Number format",      example: " e.g. 0,0.00",              placeholder: DEFAULT_NUMERIC_FORMAT },
+    date:     { label: "Date format",        example: " e.g. DD/MM/YYYY",          placeholder: DEFAULT_DATE_FORMAT },
+    time:     { label: "Time format",        example: " e.g. HH:mm or h:mm A",     placeholder: DEFAULT_TIME_FORMAT },
+    datetime: { label: "Date & time format", example: " e.g. DD/MM/YYYY HH:mm",    placeholder: DEFAULT_DATETIME_FORMAT },
+};
+
+const RATING_CHOICES = [3, 4, 5, 6, 7, 8, 9, 10];
+
 export function ColumnSettingsPanel({
-    sheet, isAdmin,
+    sheet, isAdmin, sheets = [], hasMendixOptions = false, mendixLists = [],
     onAddColumn, onUpdateColumn, onDeleteColumn, onReorderColumn, onClose,
 }) {
     if (!isAdmin || !sheet) return null;
@@ -103,6 +151,10 @@ export function ColumnSettingsPanel({
                             total={columns.length}
                             isExpanded={expandedKey === col.key}
                             onToggleExpand={() => toggleExpand(col.key)}
+                            columns={columns}
+                            sheets={sheets}
+                            hasMendixOptions={hasMendixOptions}
+                            mendixLists={mendixLists}
                             onUpdate={(changes) => onUpdateColumn(sheet.sheetId, col.key, changes)}
                             onDelete={() => onDeleteColumn(sheet.sheetId, col.key)}
                             onMoveUp={() => index > 0 && onReorderColumn(sheet.sheetId, index, index - 1)}
@@ -133,7 +185,10 @@ export function ColumnSettingsPanel({
 // type select is the only field that still calls onUpdate immediately
 // because changing type resets source/format anyway.
 
-function ColumnRow({ col, index, total, isExpanded, onToggleExpand, onUpdate, onDelete, onMoveUp, onMoveDown }) {
+function ColumnRow({
+    col, index, total, isExpanded, onToggleExpand, onUpdate, onDelete, onMoveUp, onMoveDown,
+    columns, sheets, hasMendixOptions, mendixLists,
+}) {
     const typeMeta   = COLUMN_TYPE_META.find(t => t.value === col.type) || COLUMN_TYPE_META[0];
     const typeColors = TYPE_COLORS[col.type] || TYPE_COLORS.text;
     const typeShort  = TYPE_SHORT[col.type]  || "Txt";
@@ -144,12 +199,25 @@ function ColumnRow({ col, index, total, isExpanded, onToggleExpand, onUpdate, on
     const [localSource, setLocalSource] = useState(
         Array.isArray(col.source) ? col.source.join("\n") : ""
     );
+    const [localRange, setLocalRange] = useState(col.sourceRange || "");
+    const [localSymbol, setLocalSymbol]     = useState(col.currencySymbol || "");
+    const [localDecimals, setLocalDecimals] = useState(col.decimals ?? "");
+
+    const parent      = typeMeta.hasParent && col.parentColumn ? columns.find(c => c.key === col.parentColumn && c !== col) : null;
+    const sourceType  = col.sourceType || DROPDOWN_SOURCE_TYPE.LIST;
+    const hasSource   = typeMeta.hasSource && !parent;
+    const sourceSheet = sheets.find(s => String(s.sheetName).toLowerCase() === String(col.sourceSheet || "").toLowerCase());
+    const formatField = FORMAT_FIELD[col.type] || FORMAT_FIELD.numeric;
+    const hasSettings = typeMeta.hasSource || typeMeta.hasFormat || typeMeta.hasDecimals || typeMeta.hasSymbol || typeMeta.hasMax;
 
     // Sync local state if the col prop changes from outside
     // (e.g. type change resets format/source)
     useEffect(() => { setLocalHeader(col.header); },                         [col.header]);
     useEffect(() => { setLocalFormat(col.format || ""); },                   [col.format]);
     useEffect(() => { setLocalSource(Array.isArray(col.source) ? col.source.join("\n") : ""); }, [col.source]);
+    useEffect(() => { setLocalRange(col.sourceRange || ""); },               [col.sourceRange]);
+    useEffect(() => { setLocalSymbol(col.currencySymbol || ""); },           [col.currencySymbol]);
+    useEffect(() => { setLocalDecimals(col.decimals ?? ""); },               [col.decimals]);
 
     return (
         <div style={R.wrapper}>
@@ -190,7 +258,7 @@ function ColumnRow({ col, index, total, isExpanded, onToggleExpand, onUpdate, on
                 </select>
 
                 {/* Expand toggle */}
-                {(typeMeta.hasSource || typeMeta.hasFormat) && (
+                {hasSettings && (
                     <button onClick={onToggleExpand} style={R.expandBtn} title="More settings">
                         <svg width="10" height="10" viewBox="0 0 10 10" fill="none"
                             style={{ transform: isExpanded ? "rotate(180deg)" : "none", transition: "transform 0.2s" }}>
@@ -211,13 +279,70 @@ function ColumnRow({ col, index, total, isExpanded, onToggleExpand, onUpdate, on
             {isExpanded && (
                 <div style={R.expanded}>
 
-                    {/* Dropdown source — local state, commit on blur */}
-                    {typeMeta.hasSource && (
+                    {/* Dependent dropdown — immediate update */}
+                    {typeMeta.hasParent && (
+                        <div style={R.field}>
+                            <label style={R.label}>Depends on</label>
+                            <select
+                                value={parent?.key ?? ""}
+                                onChange={e => onUpdate({ parentColumn: e.target.value })}
+                                style={R.sourceSelect}
+                            >
+                                <option value="">No other column</option>
+                                {columns.filter(c => c !== col).map(c => (
+                                    <option key={c.key} value={c.key}>{c.header}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    {parent && (
                         <div style={R.field}>
                             <label style={R.label}>
-                                Dropdown options
-                                <span style={R.labelHint}> (one per line)</span>
+                                Options for each {parent.header}
+                                <span style={R.labelHint}> (separated by commas)</span>
                             </label>
+                            <OptionMapEditor
+                                optionMap={col.optionMap}
+                                parent={parent}
+                                onCommit={optionMap => onUpdate({ optionMap })}
+                            />
+                        </div>
+                    )}
+
+                    {parent && (
+                        <div style={R.field}>
+                            <label style={R.label}>When {parent.header} changes</label>
+                            <select
+                                value={col.onParentChange || PARENT_CHANGE_ACTION.CLEAR}
+                                onChange={e => onUpdate({ onParentChange: e.target.value })}
+                                style={R.sourceSelect}
+                            >
+                                <option value={PARENT_CHANGE_ACTION.CLEAR}>Clear values that no longer fit</option>
+                                <option value={PARENT_CHANGE_ACTION.FLAG}>Keep them and flag the cell</option>
+                            </select>
+                        </div>
+                    )}
+
+                    {/* Dropdown options — where they come from */}
+                    {hasSource && (
+                        <div style={R.field}>
+                            <label style={R.label}>{col.type === "multiselect" ? "Options" : "Dropdown options"}</label>
+                            <select
+                                value={sourceType}
+                                onChange={e => onUpdate({ sourceType: e.target.value })}
+                                style={R.sourceSelect}
+                            >
+                                {DROPDOWN_SOURCE_TYPE_META.map(t => (
+                                    <option key={t.value} value={t.value}>{t.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    {/* Typed list — local state, commit on blur */}
+                    {hasSource && sourceType === DROPDOWN_SOURCE_TYPE.LIST && (
+                        <div style={R.field}>
                             <textarea
                                 value={localSource}
                                 onChange={e => setLocalSource(e.target.value)}
@@ -232,7 +357,78 @@ function ColumnRow({ col, index, total, isExpanded, onToggleExpand, onUpdate, on
                                 rows={4}
                             />
                             <div style={R.fieldHint}>
-                                Users can only select values from this list.
+                                One per line. Users can only {col.type === "multiselect" ? "tick" : "select"} values from this list.
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Cell range — local state, commit on blur */}
+                    {hasSource && sourceType === DROPDOWN_SOURCE_TYPE.RANGE && (
+                        <div style={R.field}>
+                            <input
+                                value={localRange}
+                                onChange={e => setLocalRange(e.target.value)}
+                                onBlur={() => onUpdate({ sourceRange: localRange.trim().replace(/^=/, "") })}
+                                style={R.formatInput}
+                                placeholder="H2:H50, Lists!A1:A20 or a named range"
+                            />
+                            <div style={R.fieldHint}>
+                                Options follow the cells — edit the range and the dropdown updates.
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Column of a sheet — immediate update */}
+                    {hasSource && sourceType === DROPDOWN_SOURCE_TYPE.SHEET && (
+                        <div style={R.field}>
+                            <div style={R.fieldRow}>
+                                <select
+                                    value={sourceSheet?.sheetName ?? ""}
+                                    onChange={e => onUpdate({ sourceSheet: e.target.value, sourceColumn: "" })}
+                                    style={R.sourceSelect}
+                                >
+                                    <option value="">Sheet…</option>
+                                    {sheets.map(s => (
+                                        <option key={s.sheetName} value={s.sheetName}>{s.sheetName}</option>
+                                    ))}
+                                </select>
+                                <select
+                                    value={col.sourceColumn || ""}
+                                    onChange={e => onUpdate({ sourceColumn: e.target.value })}
+                                    style={R.sourceSelect}
+                                    disabled={!sourceSheet}
+                                >
+                                    <option value="">Column…</option>
+                                    {sourceColumnChoices(sourceSheet).map(choice => (
+                                        <option key={choice.value} value={choice.value}>{choice.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div style={R.fieldHint}>
+                                Every value in the column is offered once; blank cells are skipped.
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Mendix list — immediate update */}
+                    {hasSource && sourceType === DROPDOWN_SOURCE_TYPE.MENDIX && (
+                        <div style={R.field}>
+                            {mendixLists.length > 0 && (
+                                <select
+                                    value={col.sourceList || ""}
+                                    onChange={e => onUpdate({ sourceList: e.target.value })}
+                                    style={R.sourceSelect}
+                                >
+                                    <option value="">All items</option>
+                                    {mendixLists.map(list => (
+                                        <option key={list} value={list}>{list}</option>
+                                    ))}
+                                </select>
+                            )}
+                            <div style={R.fieldHint}>
+                                {hasMendixOptions
+                                    ? "Options come from the widget's Dropdown Options datasource."
+                                    : "Set Dropdown Options on the widget in Studio Pro to use a Mendix list."}
                             </div>
                         </div>
                     )}
@@ -241,27 +437,164 @@ function ColumnRow({ col, index, total, isExpanded, onToggleExpand, onUpdate, on
                     {typeMeta.hasFormat && (
                         <div style={R.field}>
                             <label style={R.label}>
-                                {col.type === "date" ? "Date format" : "Number format"}
-                                <span style={R.labelHint}>
-                                    {col.type === "date" ? " e.g. DD/MM/YYYY" : " e.g. 0,0.00"}
-                                </span>
+                                {formatField.label}
+                                <span style={R.labelHint}>{formatField.example}</span>
                             </label>
                             <input
                                 value={localFormat}
                                 onChange={e => setLocalFormat(e.target.value)}
                                 onBlur={() => onUpdate({ format: localFormat })}
                                 style={R.formatInput}
-                                placeholder={col.type === "date" ? "DD/MM/YYYY" : "0,0.00"}
+                                placeholder={formatField.placeholder}
                             />
                         </div>
                     )}
 
+                    {/* Currency symbol / decimals — local state, commit on blur */}
+                    {(typeMeta.hasSymbol || typeMeta.hasDecimals) && (
+                        <div style={R.field}>
+                            <div style={R.fieldRow}>
+                                {typeMeta.hasSymbol && (
+                                    <div style={R.fieldCell}>
+                                        <label style={R.label}>Currency symbol</label>
+                                        <input
+                                            value={localSymbol}
+                                            onChange={e => setLocalSymbol(e.target.value)}
+                                            onBlur={() => onUpdate({ currencySymbol: localSymbol.replace(/"/g, "").trim() })}
+                                            style={R.formatInput}
+                                            placeholder={DEFAULT_CURRENCY_SYMBOL}
+                                            maxLength={5}
+                                        />
+                                    </div>
+                                )}
+                                {typeMeta.hasDecimals && (
+                                    <div style={R.fieldCell}>
+                                        <label style={R.label}>Decimals</label>
+                                        <input
+                                            type="number"
+                                            min={0}
+                                            max={10}
+                                            value={localDecimals}
+                                            onChange={e => setLocalDecimals(e.target.value)}
+                                            onBlur={() => onUpdate({ decimals: toDecimals(localDecimals) })}
+                                            style={R.formatInput}
+                                            placeholder={col.type === "percentage" ? "0" : "2"}
+                                        />
+                                    </div>
+                                )}
+                            </div>
+                            <div style={R.fieldHint}>
+                                Only the display changes — cells keep the full number.
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Stars — immediate update */}
+                    {typeMeta.hasMax && (
+                        <div style={R.field}>
+                            <label style={R.label}>Stars</label>
+                            <select
+                                value={ratingMax(col)}
+                                onChange={e => onUpdate({ max: Number(e.target.value) })}
+                                style={R.sourceSelect}
+                            >
+                                {RATING_CHOICES.map(n => (
+                                    <option key={n} value={n}>{n}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
                 </div>
             )}
         </div>
     );
 }
 
+// Decimals input → column.decimals; blank keeps the type's default
+function toDecimals(text) {
+    const n = parseInt(text, 10);
+    return Number.isNaN(n) ? null : Math.min(Math.max(n, 0), 10);
+}
+
+// ─── OptionMapEditor ──────────────────────────────────────────────────────────
+// Parent value → options rows of a dependent dropdown. Rows are local state
+// and committed on blur; rows without a parent value are dropped. A typed-
+// list parent can fill in a row for each of its options.
+
+function OptionMapEditor({ optionMap, parent, onCommit }) {
+    const toRows = (map) => (Array.isArray(map) ? map : []).map(entry => ({
+        parent:  String(entry.parent ?? ""),
+        options: (entry.options || []).join(", "),
+    }));
+
+    const [rows, setRows] = useState(() => toRows(optionMap));
+    useEffect(() => { setRows(toRows(optionMap)); }, [optionMap]);
+
+    const commit = (next = rows) => onCommit(next
+        .filter(row => row.parent.trim())
+        .map(row => ({
+            parent:  row.parent.trim(),
+            options: row.options.split(",").map(option => option.trim()).filter(Boolean),
+        })));
+
+    const setRow = (index, changes) => setRows(prev => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+
+    const removeRow = (index) => {
+        const next = rows.filter((_, i) => i !== index);
+        setRows(next);
+        commit(next);
+    };
+
+    const parentValues = parent.type === "dropdown" && (parent.sourceType || DROPDOWN_SOURCE_TYPE.LIST) === DROPDOWN_SOURCE_TYPE.LIST
+        ? (parent.source || []).filter(value => !rows.some(row => row.parent.trim().toLowerCase() === String(value).toLowerCase()))
+        : [];
+
+    const addParentValues = () => {
+        const next = [...rows, ...parentValues.map(value => ({ parent: String(value), options: "" }))];
+        setRows(next);
+        commit(next);
+    };
+
+    return (
+        <div>
+            {rows.map((row, index) => (
+                <div key={index} style={R.mapRow}>
+                    <input
+                        value={row.parent}
+                        onChange={e => setRow(index, { parent: e.target.value })}
+                        onBlur={() => commit()}
+                        style={{ ...R.formatInput, ...R.mapParent }}
+                        placeholder={parent.header}
+                    />
+                    <input
+                        value={row.options}
+                        onChange={e => setRow(index, { options: e.target.value })}
+                        onBlur={() => commit()}
+                        style={R.formatInput}
+                        placeholder="Option A, Option B"
+                    />
+                    <button onClick={() => removeRow(index)} style={R.mapRemoveBtn} title="Remove">
+                        <svg width="10" height="10" viewBox="0 0 12 12" fill="none">
+                            <path d="M1 1l10 10M11 1L1 11" stroke="currentColor" strokeWidth="1.6" strokeLinecap="round"/>
+                        </svg>
+                    </button>
+                </div>
+            ))}
+            <div style={R.fieldRow}>
+                <button onClick={() => setRows(prev => [...prev, { parent: "", options: "" }])} style={R.mapAddBtn}>
+                    + Add {parent.header} value
+                </button>
+                {parentValues.length > 0 && (
+                    <button onClick={addParentValues} style={R.mapAddBtn}>
+                        + Add its {parentValues.length} list {parentValues.length === 1 ? "value" : "values"}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
+
 // ─── Styles ───────────────────────────────────────────────────────────────────
 
 const S = {
@@ -382,9 +715,29 @@ const R = {
         padding: "7px 10px", fontSize: 12, fontFamily: "inherit",
         resize: "vertical", boxSizing: "border-box", outline: "none", background: "#fff",
     },
+    fieldRow:  { display: "flex", gap: 8 },
+    fieldCell: { flex: 1, minWidth: 0 },
+    sourceSelect: {
+        flex: 1, height: 30, padding: "0 8px", border: "1px solid #e2e8f0",
+        borderRadius: 6, fontSize: 12, background: "#fff",
+        cursor: "pointer", outline: "none", minWidth: 0,
+    },
     formatInput: {
         width: "100%", border: "1px solid #e2e8f0", borderRadius: 6,
         padding: "7px 10px", fontSize: 12, outline: "none",
         boxSizing: "border-box", background: "#fff",
     },
+    mapRow:    { display: "flex", alignItems: "center", gap: 6, marginBottom: 6 },
+    mapParent: { width: 120, flexShrink: 0 },
+    mapRemoveBtn: {
+        width: 24, height: 24, flexShrink: 0,
+        background: "#fff5f5", border: "1px solid #fecaca",
+        borderRadius: 6, cursor: "pointer",
+        display: "flex", alignItems: "center", justifyContent: "center", color: "#ef4444",
+    },
+    mapAddBtn: {
+        padding: "5px 10px", background: "#fff", color: "#2563eb",
+        border: "1px dashed #bfdbfe", borderRadius: 6, cursor: "pointer",
+        fontSize: 11, fontWeight: 600,
+    },
 };
\ No newline at end of file
@@ -0,0 +1,329 @@
+/**
+ * CommentsPanel.jsx
+ *
+ * Every comment thread on the active sheet (utils/cellComments):
+ *
+ *   B4  Revenue · Q1                                   Resolve
+ *       jdoe · 19 Oct 2026, 14:05
+ *       Where does this number come from?
+ *       amy · 19 Oct 2026, 14:20
+ *       The Q1 report, tab 3.
+ *
+ * The panel follows the grid's selection: a selected cell without a thread
+ * gets a "Comment on B4" box at the top, a selected cell with one shows that
+ * thread with a reply box. Clicking a thread selects its cell. Resolved
+ * threads are hidden until "Show resolved" is ticked.
+ *
+ * Like FormulaErrorsPanel there is no backdrop, so the grid stays usable.
+ * canComment is false when the widget has no current user to sign comments
+ * with; the threads are still listed.
+ *
+ * No JSX fragments — Mendix compatibility.
+ */
+
+import { createElement, useState } from "react";
+import { colIndexToLetter } from "../utils/helpers";
+import { findCommentThread } from "../utils/cellComments";
+
+export function CommentsPanel({
+    sheetName, comments = [], columns = [], rowLabels = [], selection = null, canComment,
+    onAddComment, onSetResolved, onSelectCell, onClose,
+}) {
+    const [showResolved, setShowResolved] = useState(false);
+
+    const selected = selection ? findCommentThread(comments, selection.row, selection.col) : null;
+    const sorted   = [...comments].sort((a, b) => a.row - b.row || a.col - b.col);
+    const open     = sorted.filter(thread => !thread.resolved).length;
+    const resolved = sorted.length - open;
+    const shown    = sorted.filter(thread => showResolved || !thread.resolved || thread === selected);
+
+    return (
+        <div style={S.panel}>
+
+            {/* Header */}
+            <div style={S.header}>
+                <div style={S.headerLeft}>
+                    <div style={S.headerIcon}>
+                        <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                            <path d="M2 3.5A1.5 1.5 0 013.5 2h9A1.5 1.5 0 0114 3.5v6a1.5 1.5 0 01-1.5 1.5H7l-3 3v-3h-.5A1.5 1.5 0 012 9.5v-6z" fill="#7c3aed" opacity="0.25"/>
+                            <path d="M5 5.5h6M5 8h4" stroke="#7c3aed" strokeWidth="1.4" strokeLinecap="round"/>
+                        </svg>
+                    </div>
+                    <div>
+                        <div style={S.headerTitle}>Comments</div>
+                        <div style={S.headerSub}>{sheetName} · select a cell to comment on it</div>
+                    </div>
+                </div>
+                <button onClick={onClose} style={S.closeBtn} title="Close">
+                    <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+                        <path d="M1 1l12 12M13 1L1 13" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round"/>
+                    </svg>
+                </button>
+            </div>
+
+            {/* Count bar */}
+            <div style={S.countBar}>
+                <span style={S.countPill}>{open} open</span>
+                {resolved > 0 && (
+                    <label style={S.toggle}>
+                        <input type="checkbox" checked={showResolved} onChange={e => setShowResolved(e.target.checked)} />
+                        Show resolved ({resolved})
+                    </label>
+                )}
+            </div>
+
+            {/* New thread on the selected cell */}
+            {selection && !selected && canComment && (
+                <div style={S.composer}>
+                    <div style={S.composerLabel}>
+                        Comment on <strong>{cellLabel(selection, columns, rowLabels)}</strong>
+                    </div>
+                    <MessageBox
+                        key={`${selection.row}_${selection.col}`}
+                        placeholder="Ask a question or leave a note…"
+                        submitLabel="Comment"
+                        onSubmit={text => onAddComment(selection.row, selection.col, text)}
+                    />
+                </div>
+            )}
+
+            {!canComment && (
+                <div style={S.notice}>Comments are read-only — no current user is set for this widget.</div>
+            )}
+
+            {/* Threads */}
+            <div style={S.list}>
+                {shown.length === 0 && (
+                    <div style={S.empty}>
+                        <div style={S.emptyIcon}>💬</div>
+                        <div style={S.emptyTitle}>{sorted.length === 0 ? "No comments yet" : "No open comments"}</div>
+                        <div style={S.emptyDesc}>
+                            {sorted.length === 0
+                                ? "Select a cell and ask where its number comes from — the thread stays with the cell."
+                                : "Every thread on this sheet is resolved."}
+                        </div>
+                    </div>
+                )}
+
+                {shown.map(thread => (
+                    <CommentThread
+                        key={thread.id}
+                        thread={thread}
+                        label={cellLabel(thread, columns, rowLabels)}
+                        isActive={thread === selected}
+                        canComment={canComment}
+                        onSelect={() => onSelectCell(thread)}
+                        onReply={text => onAddComment(thread.row, thread.col, text)}
+                        onSetResolved={isResolved => onSetResolved(thread.id, isResolved)}
+                    />
+                ))}
+            </div>
+
+        </div>
+    );
+}
+
+// ── One thread ────────────────────────────────────────────────────────────────
+
+function CommentThread({ thread, label, isActive, canComment, onSelect, onReply, onSetResolved }) {
+    return (
+        <div style={{ ...R.thread, ...(isActive ? R.threadActive : {}), ...(thread.resolved ? R.threadResolved : {}) }}>
+            <div style={R.threadHead}>
+                <button style={R.cellBtn} onClick={onSelect} title="Select this cell">{label}</button>
+                {thread.resolved && (
+                    <span style={R.resolvedPill} title={thread.resolvedBy ? `Resolved by ${thread.resolvedBy} · ${formatWhen(thread.resolvedAt)}` : undefined}>
+                        Resolved
+                    </span>
+                )}
+                {canComment && (
+                    <button style={R.secondaryBtn} onClick={() => onSetResolved(!thread.resolved)}>
+                        {thread.resolved ? "Reopen" : "Resolve"}
+                    </button>
+                )}
+            </div>
+
+            {thread.messages.map((message, index) => (
+                <div key={message.id} style={index === 0 ? R.message : R.reply}>
+                    <div style={R.meta}>
+                        <span style={R.author}>{message.author || "Unknown user"}</span>
+                        <span style={R.when}>{formatWhen(message.createdAt)}</span>
+                    </div>
+                    <div style={R.text}>{message.text}</div>
+                </div>
+            ))}
+
+            {isActive && canComment && (
+                <div style={R.replyBox}>
+                    <MessageBox key={thread.id} placeholder="Reply…" submitLabel="Reply" onSubmit={onReply} />
+                </div>
+            )}
+        </div>
+    );
+}
+
+// ── Text box for a comment or reply ──────────────────────────────────────────
+// Ctrl+Enter (⌘+Enter) sends, like the button
+
+function MessageBox({ placeholder, submitLabel, onSubmit }) {
+    const [text, setText] = useState("");
+    const isEmpty = text.trim() === "";
+
+    const submit = () => {
+        if (isEmpty) return;
+        onSubmit(text.trim());
+        setText("");
+    };
+
+    return (
+        <div style={R.box}>
+            <textarea
+                style={R.textarea}
+                rows={2}
+                value={text}
+                placeholder={placeholder}
+                onChange={e => setText(e.target.value)}
+                onKeyDown={e => {
+                    if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) { e.preventDefault(); submit(); }
+                }}
+            />
+            <div style={R.actions}>
+                <button style={{ ...R.saveBtn, opacity: isEmpty ? 0.5 : 1 }} disabled={isEmpty} onClick={submit}>
+                    {submitLabel}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+// "B4 · Revenue · Q1" — the address, then the header and row label when set
+function cellLabel({ row, col }, columns, rowLabels) {
+    return [
+        `${colIndexToLetter(col)}${row + 1}`,
+        columns[col]?.header || "",
+        rowLabels[row] || "",
+    ].filter(Boolean).join(" · ");
+}
+
+function formatWhen(iso) {
+    const date = new Date(iso);
+    if (!iso || Number.isNaN(date.getTime())) return "";
+    return date.toLocaleString(undefined, {
+        day: "numeric", month: "short", year: "numeric", hour: "2-digit", minute: "2-digit",
+    });
+}
+
+// ─── Styles ───────────────────────────────────────────────────────────────────
+
+const S = {
+    panel: {
+        position: "fixed",
+        top: 56, right: 16,
+        width: 400,
+        maxHeight: "calc(100vh - 80px)",
+        background: "#ffffff",
+        borderRadius: 12,
+        boxShadow: "0 20px 60px rgba(15,23,42,0.18), 0 4px 16px rgba(15,23,42,0.08)",
+        border: "1px solid rgba(226,232,240,0.8)",
+        display: "flex", flexDirection: "column",
+        overflow: "hidden",
+        zIndex: 9999,
+        animation: "eww-slideIn 0.2s cubic-bezier(0.16,1,0.3,1)",
+    },
+    header: {
+        display: "flex", alignItems: "center", justifyContent: "space-between",
+        padding: "16px 18px", borderBottom: "1px solid #f1f5f9",
+        background: "linear-gradient(135deg, #f5f3ff 0%, #faf5ff 100%)",
+        flexShrink: 0,
+    },
+    headerLeft:  { display: "flex", alignItems: "center", gap: 12 },
+    headerIcon:  {
+        width: 36, height: 36, background: "#ede9fe",
+        borderRadius: 8, border: "1px solid #ddd6fe",
+        display: "flex", alignItems: "center", justifyContent: "center", flexShrink: 0,
+    },
+    headerTitle: { fontSize: 14, fontWeight: 700, color: "#0f172a", letterSpacing: "-0.01em" },
+    headerSub:   { fontSize: 11, color: "#94a3b8", marginTop: 1 },
+    closeBtn: {
+        width: 28, height: 28, background: "#f1f5f9",
+        border: "1px solid #e2e8f0", borderRadius: 6, cursor: "pointer",
+        display: "flex", alignItems: "center", justifyContent: "center",
+        color: "#64748b", flexShrink: 0,
+    },
+    countBar: {
+        display: "flex", alignItems: "center", justifyContent: "space-between", gap: 10,
+        padding: "10px 18px", borderBottom: "1px solid #f1f5f9",
+        background: "#fafbfc", flexShrink: 0,
+    },
+    countPill: {
+        display: "inline-flex", alignItems: "center",
+        padding: "3px 10px", background: "#ede9fe",
+        color: "#6d28d9", border: "1px solid #ddd6fe",
+        borderRadius: 20, fontSize: 11, fontWeight: 700,
+    },
+    toggle: { display: "flex", alignItems: "center", gap: 6, fontSize: 11, color: "#64748b", cursor: "pointer" },
+    composer: {
+        padding: "12px 18px", borderBottom: "1px solid #f1f5f9", flexShrink: 0,
+    },
+    composerLabel: { fontSize: 12, color: "#475569", marginBottom: 6 },
+    notice: {
+        margin: "10px 18px 0", fontSize: 11, color: "#b45309", background: "#fffbeb",
+        border: "1px solid #fde68a", borderRadius: 6, padding: "8px 10px", lineHeight: 1.5,
+    },
+    list: { overflowY: "auto", flex: 1 },
+    empty: {
+        display: "flex", flexDirection: "column",
+        alignItems: "center", justifyContent: "center",
+        padding: "36px 24px", textAlign: "center", gap: 8,
+    },
+    emptyIcon:  { fontSize: 28, marginBottom: 4 },
+    emptyTitle: { fontSize: 14, fontWeight: 600, color: "#334155" },
+    emptyDesc:  { fontSize: 12, color: "#94a3b8", lineHeight: 1.6, maxWidth: 280 },
+};
+
+const R = {
+    thread: {
+        padding: "10px 14px", borderBottom: "1px solid #f1f5f9",
+        borderLeft: "3px solid transparent",
+    },
+    threadActive:   { borderLeftColor: "#7c3aed", background: "#faf8ff" },
+    threadResolved: { opacity: 0.75 },
+    threadHead: { display: "flex", alignItems: "center", gap: 8, marginBottom: 4 },
+    cellBtn: {
+        flex: 1, minWidth: 0, textAlign: "left",
+        overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap",
+        padding: 0, background: "none", border: "none", cursor: "pointer",
+        fontSize: 12, fontWeight: 700, color: "#0f172a", fontFamily: "inherit",
+    },
+    resolvedPill: {
+        fontSize: 10, fontWeight: 700, padding: "2px 8px",
+        background: "#f0fdf4", color: "#15803d",
+        border: "1px solid #bbf7d0", borderRadius: 10, flexShrink: 0,
+    },
+    message: { padding: "4px 0" },
+    reply:   { padding: "4px 0 4px 12px", marginLeft: 2, borderLeft: "2px solid #e2e8f0" },
+    meta:    { display: "flex", alignItems: "baseline", gap: 8 },
+    author:  { fontSize: 12, fontWeight: 600, color: "#334155" },
+    when:    { fontSize: 10, color: "#94a3b8" },
+    text:    { fontSize: 12, color: "#475569", lineHeight: 1.5, whiteSpace: "pre-wrap", wordBreak: "break-word" },
+    replyBox: { marginTop: 6 },
+    box:      { display: "flex", flexDirection: "column", gap: 6 },
+    textarea: {
+        width: "100%", boxSizing: "border-box", resize: "vertical",
+        border: "1px solid #e2e8f0", borderRadius: 6,
+        padding: "6px 10px", fontSize: 12, color: "#334155",
+        outline: "none", background: "#fff", fontFamily: "inherit",
+    },
+    actions: { display: "flex", justifyContent: "flex-end", gap: 6 },
+    secondaryBtn: {
+        padding: "4px 10px", background: "#fff", color: "#475569",
+        border: "1px solid #e2e8f0", borderRadius: 6, cursor: "pointer",
+        fontSize: 11, fontWeight: 600, flexShrink: 0,
+    },
+    saveBtn: {
+        padding: "5px 12px", background: "#7c3aed", color: "#fff",
+        border: "none", borderRadius: 6, cursor: "pointer",
+        fontSize: 11, fontWeight: 600,
+    },
+};
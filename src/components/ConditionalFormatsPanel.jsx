@@ -0,0 +1,517 @@
+/**
+ * ConditionalFormatsPanel.jsx
+ *
+ * Admin panel for the sheet's conditional formatting rules
+ * (sheetJson.conditionalFormats, applied by SheetGrid's renderer — see
+ * utils/conditionalFormatting.js).
+ *
+ * Rules are listed in priority order: ▲ / ▼ move a rule, and a matching rule
+ * with "Stop if true" keeps the rules below it from styling the cell. A rule
+ * is edited in a draft and only saved when it is valid.
+ *
+ * No JSX fragments — Mendix compatibility.
+ */
+
+import { createElement, useMemo, useState } from "react";
+import { CF_RULE_TYPE, CF_RULE_TYPE_META, DEFAULT_CONDITIONAL_FORMAT } from "../utils/constants";
+import { createHeaderResolver, maybeTranslate } from "../utils/formulaTranslator";
+import { describeConditionalFormat, validateConditionalFormat } from "../utils/conditionalFormatting";
+
+const VALUE_TYPES = new Set([CF_RULE_TYPE.GREATER_THAN, CF_RULE_TYPE.LESS_THAN, CF_RULE_TYPE.BETWEEN, CF_RULE_TYPE.EQUAL]);
+const STYLE_TYPES = new Set(Object.values(CF_RULE_TYPE).filter(type => type !== CF_RULE_TYPE.COLOR_SCALE && type !== CF_RULE_TYPE.DATA_BAR));
+
+export function ConditionalFormatsPanel({
+    sheet, isAdmin,
+    onSaveRule, onDeleteRule, onReorderRule, onClose,
+}) {
+    const [editing, setEditing] = useState(null);   // index, "new" or null
+
+    // Rule ranges and formulas may use this sheet's header names
+    const resolver  = useMemo(() => createHeaderResolver(sheet?.columns, sheet?.rowLabels), [sheet?.columns, sheet?.rowLabels]);
+    const translate = useMemo(() => (formula) => maybeTranslate(formula, resolver), [resolver]);
+
+    if (!isAdmin || !sheet) return null;
+
+    const rules = sheet.conditionalFormats || [];
+
+    const save = (index, rule) => {
+        onSaveRule(index, rule);
+        setEditing(null);
+    };
+
+    return (
+        <div style={{ display: "contents" }}>
+
+            {/* Backdrop */}
+            <div style={S.backdrop} onClick={onClose} />
+
+            {/* Panel */}
+            <div style={S.panel}>
+
+                {/* Header */}
+                <div style={S.header}>
+                    <div style={S.headerLeft}>
+                        <div style={S.headerIcon}>
+                            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                                <rect x="2" y="2" width="12" height="3" rx="1" fill="#ea580c" opacity="0.9"/>
+                                <rect x="2" y="6.5" width="8" height="3" rx="1" fill="#ea580c" opacity="0.6"/>
+                                <rect x="2" y="11" width="5" height="3" rx="1" fill="#ea580c" opacity="0.35"/>
+                            </svg>
+                        </div>
+                        <div>
+                            <div style={S.headerTitle}>Conditional Formatting</div>
+                            <div style={S.headerSub}>{sheet.sheetName} · Admin only</div>
+                        </div>
+                    </div>
+                    <button onClick={onClose} style={S.closeBtn} title="Close">
+                        <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+                            <path d="M1 1l12 12M13 1L1 13" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round"/>
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Info bar */}
+                <div style={S.infoBar}>
+                    <svg width="14" height="14" viewBox="0 0 14 14" fill="none" style={{ flexShrink: 0, marginTop: 1 }}>
+                        <circle cx="7" cy="7" r="6" stroke="#ea580c" strokeWidth="1.5"/>
+                        <path d="M7 6v4M7 4.5v.5" stroke="#ea580c" strokeWidth="1.5" strokeLinecap="round"/>
+                    </svg>
+                    <span>
+                        Rules are checked from the top. Ranges take B2:B20, B:B or header names like
+                        Revenue_Q1:Revenue_Q4; a formula rule is written for the first cell of its range.
+                    </span>
+                </div>
+
+                {/* Count bar */}
+                <div style={S.countBar}>
+                    <span style={S.countPill}>
+                        {rules.length} {rules.length === 1 ? "rule" : "rules"}
+                    </span>
+                    <span style={S.countHint}>Shown on top of cell formatting</span>
+                </div>
+
+                {/* List */}
+                <div style={S.list}>
+                    {rules.length === 0 && editing !== "new" && (
+                        <div style={S.empty}>
+                            <div style={S.emptyIcon}>🎨</div>
+                            <div style={S.emptyTitle}>No rules yet</div>
+                            <div style={S.emptyDesc}>
+                                Highlight values above a target, flag duplicates, or shade a column
+                                with a colour scale or data bars.
+                            </div>
+                        </div>
+                    )}
+
+                    {rules.map((rule, index) => (
+                        editing === index
+                            ? (
+                                <RuleEditor
+                                    key={index}
+                                    rule={rule}
+                                    translate={translate}
+                                    onSave={(updated) => save(index, updated)}
+                                    onCancel={() => setEditing(null)}
+                                />
+                            )
+                            : (
+                                <RuleItem
+                                    key={index}
+                                    rule={rule}
+                                    index={index}
+                                    total={rules.length}
+                                    onEdit={() => setEditing(index)}
+                                    onDelete={() => { onDeleteRule(index); setEditing(null); }}
+                                    onToggleStop={() => onSaveRule(index, { ...rule, stopIfTrue: !rule.stopIfTrue })}
+                                    onMoveUp={() => index > 0 && onReorderRule(index, index - 1)}
+                                    onMoveDown={() => index < rules.length - 1 && onReorderRule(index, index + 1)}
+                                />
+                            )
+                    ))}
+
+                    {editing === "new" && (
+                        <RuleEditor
+                            isNew
+                            rule={DEFAULT_CONDITIONAL_FORMAT}
+                            translate={translate}
+                            onSave={(created) => save(null, created)}
+                            onCancel={() => setEditing(null)}
+                        />
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div style={S.footer}>
+                    <button
+                        style={{ ...S.addBtn, opacity: editing === "new" ? 0.6 : 1 }}
+                        onClick={() => setEditing("new")}
+                        disabled={editing === "new"}
+                    >
+                        <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+                            <path d="M7 1v12M1 7h12" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                        </svg>
+                        Add Rule
+                    </button>
+                </div>
+
+            </div>
+        </div>
+    );
+}
+
+function RuleItem({ rule, index, total, onEdit, onDelete, onToggleStop, onMoveUp, onMoveDown }) {
+    return (
+        <div style={R.wrapper}>
+            <div style={R.row}>
+
+                <div style={R.orderCol}>
+                    <button onClick={onMoveUp}   disabled={index === 0}         style={R.arrow} title="Higher priority">▲</button>
+                    <span style={R.indexNum}>{index + 1}</span>
+                    <button onClick={onMoveDown} disabled={index === total - 1} style={R.arrow} title="Lower priority">▼</button>
+                </div>
+
+                <RulePreview rule={rule} />
+
+                <button onClick={onEdit} style={R.summary} title="Edit rule">
+                    <span style={R.summaryText}>{describeConditionalFormat(rule)}</span>
+                    <span style={R.summaryRange}>{rule.range}</span>
+                </button>
+
+                <label style={R.stopToggle} title="Skip the rules below when this one matches">
+                    <input type="checkbox" checked={!!rule.stopIfTrue} onChange={onToggleStop} />
+                    Stop
+                </label>
+
+                <button onClick={onDelete} style={R.deleteBtn} title={`Delete rule ${index + 1}`}>
+                    <svg width="12" height="12" viewBox="0 0 12 12" fill="none">
+                        <path d="M1 1l10 10M11 1L1 11" stroke="currentColor" strokeWidth="1.6" strokeLinecap="round"/>
+                    </svg>
+                </button>
+
+            </div>
+        </div>
+    );
+}
+
+// Small swatch showing what a matching cell looks like
+function RulePreview({ rule }) {
+    if (rule.type === CF_RULE_TYPE.COLOR_SCALE) {
+        return <span style={{ ...R.preview, background: `linear-gradient(90deg, ${(rule.colors || []).join(", ")})` }} />;
+    }
+    if (rule.type === CF_RULE_TYPE.DATA_BAR) {
+        return <span style={{ ...R.preview, background: `linear-gradient(90deg, ${rule.barColor} 65%, #fff 65%)` }} />;
+    }
+    const style = rule.style || {};
+    return (
+        <span style={{
+            ...R.preview,
+            background: style.bgColor || "#fff",
+            color:      style.fontColor || "#0f172a",
+            fontWeight: style.bold ? 700 : 400,
+            fontStyle:  style.italic ? "italic" : "normal",
+        }}>Aa</span>
+    );
+}
+
+function RuleEditor({ isNew, rule, translate, onSave, onCancel }) {
+    const [draft, setDraft] = useState(() => ({ ...rule, style: { ...rule.style }, colors: [...rule.colors] }));
+
+    const set      = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+    const setStyle = (changes) => setDraft(prev => ({ ...prev, style: { ...prev.style, ...changes } }));
+    const setColor = (i, color) => setDraft(prev => ({ ...prev, colors: prev.colors.map((c, j) => (j === i ? color : c)) }));
+
+    const error     = validateConditionalFormat(draft, translate);
+    const hasMiddle = draft.colors.length >= 3;
+
+    return (
+        <div style={{ ...R.wrapper, ...R.editor }}>
+
+            <div style={R.field}>
+                <label style={R.label}>Applies to</label>
+                <input
+                    value={draft.range}
+                    onChange={e => set({ range: e.target.value })}
+                    placeholder="B2:B20"
+                    style={R.input}
+                    autoFocus={isNew}
+                />
+            </div>
+
+            <div style={R.field}>
+                <label style={R.label}>Format cells when</label>
+                <select value={draft.type} onChange={e => set({ type: e.target.value })} style={R.select}>
+                    {CF_RULE_TYPE_META.map(t => (
+                        <option key={t.value} value={t.value}>{t.label}</option>
+                    ))}
+                </select>
+            </div>
+
+            {VALUE_TYPES.has(draft.type) && (
+                <div style={R.fieldRow}>
+                    <input value={draft.value} onChange={e => set({ value: e.target.value })} placeholder="Value" style={R.input} />
+                    {draft.type === CF_RULE_TYPE.BETWEEN && <span style={R.and}>and</span>}
+                    {draft.type === CF_RULE_TYPE.BETWEEN && (
+                        <input value={draft.value2} onChange={e => set({ value2: e.target.value })} placeholder="Value" style={R.input} />
+                    )}
+                </div>
+            )}
+
+            {draft.type === CF_RULE_TYPE.TEXT_CONTAINS && (
+                <div style={R.field}>
+                    <input value={draft.text} onChange={e => set({ text: e.target.value })} placeholder="Text" style={R.input} />
+                </div>
+            )}
+
+            {draft.type === CF_RULE_TYPE.TOP_N && (
+                <div style={R.fieldRow}>
+                    <select value={draft.bottom ? "bottom" : "top"} onChange={e => set({ bottom: e.target.value === "bottom" })} style={R.select}>
+                        <option value="top">Top</option>
+                        <option value="bottom">Bottom</option>
+                    </select>
+                    <input
+                        value={draft.rank}
+                        onChange={e => set({ rank: e.target.value === "" ? "" : Number(e.target.value) })}
+                        type="number" min={1} style={{ ...R.input, width: 80, flex: "none" }}
+                    />
+                    <label style={R.check}>
+                        <input type="checkbox" checked={!!draft.percent} onChange={e => set({ percent: e.target.checked })} />
+                        %
+                    </label>
+                </div>
+            )}
+
+            {draft.type === CF_RULE_TYPE.FORMULA && (
+                <div style={R.field}>
+                    <input
+                        value={draft.formula}
+                        onChange={e => set({ formula: e.target.value })}
+                        placeholder="=Revenue_Q1 > Cost_Q1"
+                        style={{ ...R.input, fontFamily: MONO }}
+                    />
+                    <div style={R.fieldHint}>True or a non-zero number formats the cell.</div>
+                </div>
+            )}
+
+            {STYLE_TYPES.has(draft.type) && (
+                <div style={R.fieldRow}>
+                    <ColorField clearable label="Fill" value={draft.style.bgColor} onChange={bgColor => setStyle({ bgColor })} />
+                    <ColorField clearable label="Text" value={draft.style.fontColor} onChange={fontColor => setStyle({ fontColor })} />
+                    <label style={R.check}>
+                        <input type="checkbox" checked={!!draft.style.bold} onChange={e => setStyle({ bold: e.target.checked })} />
+                        <b>B</b>
+                    </label>
+                    <label style={R.check}>
+                        <input type="checkbox" checked={!!draft.style.italic} onChange={e => setStyle({ italic: e.target.checked })} />
+                        <i>I</i>
+                    </label>
+                </div>
+            )}
+
+            {draft.type === CF_RULE_TYPE.COLOR_SCALE && (
+                <div style={R.fieldRow}>
+                    <ColorField label="Lowest" value={draft.colors[0]} onChange={color => setColor(0, color)} />
+                    {hasMiddle && <ColorField label="Median" value={draft.colors[1]} onChange={color => setColor(1, color)} />}
+                    <ColorField
+                        label="Highest"
+                        value={draft.colors[draft.colors.length - 1]}
+                        onChange={color => setColor(draft.colors.length - 1, color)}
+                    />
+                    <label style={R.check}>
+                        <input
+                            type="checkbox"
+                            checked={hasMiddle}
+                            onChange={e => set({
+                                colors: e.target.checked
+                                    ? [draft.colors[0], "#fde047", draft.colors[draft.colors.length - 1]]
+                                    : [draft.colors[0], draft.colors[draft.colors.length - 1]],
+                            })}
+                        />
+                        3 colours
+                    </label>
+                </div>
+            )}
+
+            {draft.type === CF_RULE_TYPE.DATA_BAR && (
+                <div style={R.fieldRow}>
+                    <ColorField label="Bar" value={draft.barColor} onChange={barColor => set({ barColor })} />
+                </div>
+            )}
+
+            <label style={{ ...R.check, marginTop: 4 }}>
+                <input type="checkbox" checked={!!draft.stopIfTrue} onChange={e => set({ stopIfTrue: e.target.checked })} />
+                Stop if true — skip the rules below when this one matches
+            </label>
+
+            {error && <div style={R.error}>{error}</div>}
+
+            <div style={R.actions}>
+                <button style={R.secondaryBtn} onClick={onCancel}>Cancel</button>
+                <button
+                    style={{ ...R.saveBtn, opacity: error ? 0.5 : 1 }}
+                    disabled={!!error}
+                    onClick={() => onSave({ ...draft, range: draft.range.trim(), formula: draft.formula.trim() })}
+                >
+                    {isNew ? "Add" : "Save"}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+// clearable — an empty value means "no colour", and × goes back to it
+function ColorField({ label, value, onChange, clearable = false }) {
+    return (
+        <label style={R.colorField}>
+            <span style={R.colorLabel}>{label}</span>
+            <input type="color" value={value || "#ffffff"} onChange={e => onChange(e.target.value)} style={R.colorInput} />
+            {clearable && value && (
+                <button type="button" onClick={() => onChange("")} style={R.clearColor} title={`No ${label.toLowerCase()} colour`}>×</button>
+            )}
+        </label>
+    );
+}
+
+// ─── Styles ───────────────────────────────────────────────────────────────────
+
+const MONO = "ui-monospace, SFMono-Regular, Menlo, monospace";
+
+const S = {
+    backdrop: {
+        position: "fixed", inset: 0,
+        background: "rgba(15,23,42,0.3)",
+        backdropFilter: "blur(2px)",
+        zIndex: 9998,
+    },
+    panel: {
+        position: "fixed",
+        top: 56, right: 16,
+        width: 480,
+        maxHeight: "calc(100vh - 80px)",
+        background: "#ffffff",
+        borderRadius: 12,
+        boxShadow: "0 20px 60px rgba(15,23,42,0.18), 0 4px 16px rgba(15,23,42,0.08)",
+        border: "1px solid rgba(226,232,240,0.8)",
+        display: "flex", flexDirection: "column",
+        overflow: "hidden",
+        zIndex: 9999,
+        animation: "eww-slideIn 0.2s cubic-bezier(0.16,1,0.3,1)",
+    },
+    header: {
+        display: "flex", alignItems: "center", justifyContent: "space-between",
+        padding: "16px 18px", borderBottom: "1px solid #f1f5f9",
+        background: "linear-gradient(135deg, #fff7ed 0%, #ffedd5 100%)",
+        flexShrink: 0,
+    },
+    headerLeft:  { display: "flex", alignItems: "center", gap: 12 },
+    headerIcon:  {
+        width: 36, height: 36, background: "#ffedd5",
+        borderRadius: 8, border: "1px solid #fed7aa",
+        display: "flex", alignItems: "center", justifyContent: "center", flexShrink: 0,
+    },
+    headerTitle: { fontSize: 14, fontWeight: 700, color: "#0f172a", letterSpacing: "-0.01em" },
+    headerSub:   { fontSize: 11, color: "#94a3b8", marginTop: 1 },
+    closeBtn: {
+        width: 28, height: 28, background: "#f1f5f9",
+        border: "1px solid #e2e8f0", borderRadius: 6, cursor: "pointer",
+        display: "flex", alignItems: "center", justifyContent: "center",
+        color: "#64748b", flexShrink: 0,
+    },
+    infoBar: {
+        display: "flex", alignItems: "flex-start", gap: 8,
+        padding: "10px 18px", background: "#fff7ed",
+        borderBottom: "1px solid #ffedd5",
+        fontSize: 11, color: "#9a3412", lineHeight: 1.6, flexShrink: 0,
+    },
+    countBar: {
+        display: "flex", alignItems: "center", gap: 10,
+        padding: "10px 18px", borderBottom: "1px solid #f1f5f9",
+        background: "#fafbfc", flexShrink: 0,
+    },
+    countPill: {
+        display: "inline-flex", alignItems: "center",
+        padding: "3px 10px", background: "#ffedd5",
+        color: "#ea580c", border: "1px solid #fed7aa",
+        borderRadius: 20, fontSize: 11, fontWeight: 700,
+    },
+    countHint: { fontSize: 11, color: "#94a3b8" },
+    list:      { overflowY: "auto", flex: 1 },
+    empty: {
+        display: "flex", flexDirection: "column",
+        alignItems: "center", justifyContent: "center",
+        padding: "36px 24px", textAlign: "center", gap: 8,
+    },
+    emptyIcon:  { fontSize: 32, marginBottom: 4 },
+    emptyTitle: { fontSize: 14, fontWeight: 600, color: "#334155" },
+    emptyDesc:  { fontSize: 12, color: "#94a3b8", lineHeight: 1.6, maxWidth: 300 },
+    footer: {
+        padding: "14px 18px", borderTop: "1px solid #f1f5f9",
+        background: "#fafbfc", flexShrink: 0,
+    },
+    addBtn: {
+        display: "flex", alignItems: "center", justifyContent: "center", gap: 8,
+        width: "100%", padding: "10px 0",
+        background: "linear-gradient(135deg, #ea580c 0%, #c2410c 100%)",
+        color: "#fff", border: "none", borderRadius: 8, cursor: "pointer",
+        fontSize: 13, fontWeight: 600, letterSpacing: "0.01em",
+        boxShadow: "0 2px 8px rgba(234,88,12,0.3)",
+    },
+};
+
+const R = {
+    wrapper:  { borderBottom: "1px solid #f8fafc" },
+    row:      { display: "flex", alignItems: "center", gap: 8, padding: "10px 14px" },
+    orderCol: { display: "flex", flexDirection: "column", alignItems: "center", gap: 1, flexShrink: 0 },
+    arrow:    { background: "none", border: "none", cursor: "pointer", fontSize: 7, padding: "2px 3px", color: "#cbd5e1", lineHeight: 1 },
+    indexNum: { fontSize: 9, fontWeight: 700, color: "#cbd5e1", lineHeight: 1 },
+    preview: {
+        width: 32, height: 24, flexShrink: 0, borderRadius: 5,
+        border: "1px solid #e2e8f0", boxSizing: "border-box",
+        display: "flex", alignItems: "center", justifyContent: "center", fontSize: 11,
+    },
+    summary: {
+        flex: 1, minWidth: 0, display: "flex", flexDirection: "column", alignItems: "flex-start", gap: 1,
+        background: "none", border: "none", padding: 0, cursor: "pointer", textAlign: "left",
+    },
+    summaryText:  { fontSize: 12, fontWeight: 600, color: "#0f172a", maxWidth: "100%", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" },
+    summaryRange: { fontSize: 11, color: "#94a3b8", fontFamily: MONO },
+    stopToggle: { display: "flex", alignItems: "center", gap: 3, fontSize: 11, color: "#64748b", cursor: "pointer", flexShrink: 0 },
+    deleteBtn: {
+        width: 28, height: 28, flexShrink: 0,
+        background: "#fff5f5", border: "1px solid #fecaca",
+        borderRadius: 6, cursor: "pointer",
+        display: "flex", alignItems: "center", justifyContent: "center", color: "#ef4444",
+    },
+    editor:   { padding: "12px 14px 14px", background: "#f8fafc", borderTop: "1px solid #f1f5f9" },
+    field:    { marginBottom: 10 },
+    fieldRow: { display: "flex", alignItems: "center", gap: 8, marginBottom: 10, flexWrap: "wrap" },
+    label:    { display: "block", fontSize: 11, fontWeight: 600, color: "#475569", marginBottom: 5 },
+    fieldHint: { fontSize: 11, color: "#94a3b8", marginTop: 4 },
+    input: {
+        flex: 1, width: "100%", border: "1px solid #e2e8f0", borderRadius: 6,
+        padding: "7px 10px", fontSize: 12, outline: "none",
+        boxSizing: "border-box", background: "#fff", minWidth: 0,
+    },
+    select: {
+        height: 32, padding: "0 8px", border: "1px solid #e2e8f0",
+        borderRadius: 6, fontSize: 12, background: "#fff",
+        cursor: "pointer", outline: "none",
+    },
+    and:   { fontSize: 11, color: "#94a3b8" },
+    check: { display: "flex", alignItems: "center", gap: 4, fontSize: 11, color: "#475569", cursor: "pointer" },
+    colorField: { display: "flex", alignItems: "center", gap: 4 },
+    colorLabel: { fontSize: 11, color: "#475569" },
+    colorInput: { width: 28, height: 24, padding: 0, border: "1px solid #e2e8f0", borderRadius: 4, cursor: "pointer", background: "#fff" },
+    clearColor: { background: "none", border: "none", cursor: "pointer", color: "#94a3b8", fontSize: 13, padding: 0, lineHeight: 1 },
+    error:   { fontSize: 11, color: "#dc2626", marginTop: 6 },
+    actions: { display: "flex", justifyContent: "flex-end", gap: 6, marginTop: 10 },
+    secondaryBtn: {
+        padding: "5px 10px", background: "#fff", color: "#475569",
+        border: "1px solid #e2e8f0", borderRadius: 6, cursor: "pointer",
+        fontSize: 11, fontWeight: 600,
+    },
+    saveBtn: {
+        padding: "5px 12px", background: "#ea580c", color: "#fff",
+        border: "none", borderRadius: 6, cursor: "pointer",
+        fontSize: 11, fontWeight: 600,
+    },
+};
@@ -0,0 +1,270 @@
+/**
+ * CsvImportDialog.jsx
+ *
+ * Preview dialog for CSV / TSV / semicolon-delimited imports.
+ * Shown by Toolbar after the user picks a text file.
+ *
+ * Shows what csvService detected — encoding, delimiter, first row as
+ * headers — and a preview of the first rows. Everything can be overridden
+ * and the preview re-parses immediately.
+ *
+ * HEADERS (admin only):
+ *   When "first row as headers" is on, each column gets a type select
+ *   pre-filled by inferColumnTypes. On import those become columns[]
+ *   entries (DEFAULT_COLUMN shape) and values are converted to the type,
+ *   replacing the sheet's column configuration. Non-admins can only import
+ *   plain data, because columns are admin-owned.
+ *
+ * No JSX fragments — Mendix compatibility.
+ */
+
+import { createElement, useState, useMemo } from "react";
+import { COLUMN_TYPE_META } from "../utils/constants";
+import {
+    CSV_DELIMITERS,
+    CSV_ENCODINGS,
+    detectEncoding,
+    decodeCsvBytes,
+    detectDelimiter,
+    parseCsv,
+    inferColumnTypes,
+    buildCsvImport,
+} from "../services/csvService";
+
+const PREVIEW_ROWS = 8;
+
+export function CsvImportDialog({ fileName, bytes, isAdmin, hasSelection, onConfirm, onCancel }) {
+    const [encoding, setEncoding] = useState(() => detectEncoding(bytes));
+    const [delimiter, setDelimiter] = useState(() => detectDelimiter(decodeCsvBytes(bytes, detectEncoding(bytes))));
+    const [useHeaders, setUseHeaders] = useState(() => isAdmin && looksLikeHeaderRow(bytes));
+    const [typeOverrides, setTypeOverrides] = useState({});
+    const [mode, setMode] = useState("replace");
+
+    const rows = useMemo(
+        () => parseCsv(decodeCsvBytes(bytes, encoding), delimiter),
+        [bytes, encoding, delimiter]
+    );
+
+    const bodyRows = useMemo(() => (useHeaders ? rows.slice(1) : rows), [rows, useHeaders]);
+
+    const inferredTypes = useMemo(() => inferColumnTypes(bodyRows), [bodyRows]);
+
+    const types = inferredTypes.map((inferred, c) => {
+        const override = typeOverrides[c];
+        if (!override || override === inferred.type) return inferred;
+        return {
+            type:   override,
+            source: override === "dropdown" ? distinctValues(bodyRows, c) : [],
+        };
+    });
+
+    const colCount   = types.length;
+    const headerRow  = useHeaders ? rows[0] || [] : [];
+    const effectMode = useHeaders ? "replace" : mode;
+
+    const handleConfirm = () => {
+        onConfirm(buildCsvImport(rows, { useHeaders, types }), effectMode);
+    };
+
+    return (
+        <div style={{ display: "contents" }}>
+
+            <div style={S.backdrop} onClick={onCancel} />
+
+            <div style={S.dialog} role="dialog" aria-label="Import delimited text file">
+
+                <div style={S.header}>
+                    <div style={S.headerTitle}>Import CSV / TSV</div>
+                    <div style={S.headerSub}>
+                        {fileName} · {bodyRows.length} {bodyRows.length === 1 ? "row" : "rows"} · {colCount} {colCount === 1 ? "column" : "columns"}
+                    </div>
+                </div>
+
+                <div style={S.options}>
+                    <label style={S.option}>
+                        <span style={S.label}>Delimiter</span>
+                        <select value={delimiter} onChange={e => { setDelimiter(e.target.value); setTypeOverrides({}); }} style={S.select}>
+                            {CSV_DELIMITERS.map(d => <option key={d.label} value={d.value}>{d.label}</option>)}
+                        </select>
+                    </label>
+
+                    <label style={S.option}>
+                        <span style={S.label}>Encoding</span>
+                        <select value={encoding} onChange={e => setEncoding(e.target.value)} style={S.select}>
+                            {CSV_ENCODINGS.map(enc => <option key={enc.value} value={enc.value}>{enc.label}</option>)}
+                        </select>
+                    </label>
+
+                    <label style={{ ...S.checkboxRow, opacity: isAdmin ? 1 : 0.5 }}
+                        title={isAdmin ? "" : "Only admins can create columns"}>
+                        <input
+                            type="checkbox"
+                            checked={useHeaders}
+                            disabled={!isAdmin}
+                            onChange={e => { setUseHeaders(e.target.checked); setTypeOverrides({}); }}
+                        />
+                        <span>First row as column headers</span>
+                    </label>
+                </div>
+
+                <div style={S.previewWrap}>
+                    <table style={S.table}>
+                        {useHeaders && (
+                            <thead>
+                                <tr>
+                                    {types.map((t, c) => (
+                                        <th key={c} style={S.th}>
+                                            <div style={S.thName}>{(headerRow[c] ?? "").trim() || `Column ${c + 1}`}</div>
+                                            <select
+                                                value={t.type}
+                                                onChange={e => setTypeOverrides(prev => ({ ...prev, [c]: e.target.value }))}
+                                                style={S.typeSelect}
+                                            >
+                                                {COLUMN_TYPE_META.map(meta => (
+                                                    <option key={meta.value} value={meta.value}>{meta.label}</option>
+                                                ))}
+                                            </select>
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                        )}
+                        <tbody>
+                            {bodyRows.slice(0, PREVIEW_ROWS).map((row, r) => (
+                                <tr key={r}>
+                                    {Array.from({ length: colCount }, (_, c) => (
+                                        <td key={c} style={S.td}>{row[c] ?? ""}</td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {bodyRows.length > PREVIEW_ROWS && (
+                        <div style={S.more}>… {bodyRows.length - PREVIEW_ROWS} more rows</div>
+                    )}
+                </div>
+
+                {!useHeaders && (
+                    <div style={S.options}>
+                        <label style={S.checkboxRow}>
+                            <input type="radio" name="eww-csv-mode" checked={mode === "replace"} onChange={() => setMode("replace")} />
+                            <span>Replace current sheet</span>
+                        </label>
+                        <label style={{ ...S.checkboxRow, opacity: hasSelection ? 1 : 0.5 }}>
+                            <input type="radio" name="eww-csv-mode" checked={mode === "range"} disabled={!hasSelection} onChange={() => setMode("range")} />
+                            <span>Into selected range</span>
+                        </label>
+                    </div>
+                )}
+
+                {useHeaders && (
+                    <div style={S.warning}>
+                        Replaces the sheet data and its column configuration with {colCount} typed columns.
+                    </div>
+                )}
+
+                <div style={S.footer}>
+                    <button type="button" style={S.cancelBtn} onClick={onCancel}>Cancel</button>
+                    <button type="button" style={S.primaryBtn} onClick={handleConfirm} disabled={rows.length === 0}>
+                        Import
+                    </button>
+                </div>
+
+            </div>
+        </div>
+    );
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+// A first row of all-text, all-filled, all-distinct cells is almost always a header
+function looksLikeHeaderRow(bytes) {
+    const text  = decodeCsvBytes(bytes, detectEncoding(bytes));
+    const first = parseCsv(text, detectDelimiter(text))[0] || [];
+    const cells = first.map(v => v.trim());
+    return cells.length > 0
+        && cells.every(v => v !== "" && Number.isNaN(Number(v)))
+        && new Set(cells).size === cells.length;
+}
+
+function distinctValues(rows, col) {
+    const values = rows.map(r => (r[col] ?? "").trim()).filter(Boolean);
+    return Array.from(new Set(values)).sort((a, b) => a.localeCompare(b));
+}
+
+// ─── Styles ───────────────────────────────────────────────────────────────────
+
+const S = {
+    backdrop: {
+        position: "fixed", inset: 0,
+        background: "rgba(15,23,42,0.3)",
+        backdropFilter: "blur(2px)",
+        zIndex: 9998,
+    },
+    dialog: {
+        position: "fixed", top: "50%", left: "50%",
+        transform: "translate(-50%, -50%)",
+        width: 680, maxWidth: "calc(100vw - 32px)", maxHeight: "calc(100vh - 64px)",
+        background: "#ffffff", borderRadius: 12,
+        boxShadow: "0 20px 60px rgba(15,23,42,0.18), 0 4px 16px rgba(15,23,42,0.08)",
+        border: "1px solid rgba(226,232,240,0.8)",
+        display: "flex", flexDirection: "column",
+        overflow: "hidden", zIndex: 9999,
+    },
+    header: {
+        padding: "16px 18px", borderBottom: "1px solid #f1f5f9",
+        background: "linear-gradient(135deg, #f8faff 0%, #f0f4ff 100%)",
+        flexShrink: 0,
+    },
+    headerTitle: { fontSize: 14, fontWeight: 700, color: "#0f172a", letterSpacing: "-0.01em" },
+    headerSub:   { fontSize: 11, color: "#94a3b8", marginTop: 1, wordBreak: "break-all" },
+    options: {
+        display: "flex", alignItems: "center", flexWrap: "wrap", gap: 16,
+        padding: "12px 18px", borderBottom: "1px solid #f1f5f9", flexShrink: 0,
+    },
+    option:      { display: "flex", alignItems: "center", gap: 6 },
+    label:       { fontSize: 11, fontWeight: 600, color: "#475569" },
+    select: {
+        height: 28, padding: "0 6px",
+        border: "1px solid #e2e8f0", borderRadius: 6,
+        fontSize: 12, outline: "none", background: "#fff",
+    },
+    checkboxRow: { display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: "#0f172a", cursor: "pointer" },
+    previewWrap: { overflow: "auto", flex: 1, minHeight: 120, padding: "0 18px" },
+    table:       { borderCollapse: "collapse", fontSize: 12, margin: "12px 0", minWidth: "100%" },
+    th: {
+        padding: "6px 8px", background: "#f8fafc", border: "1px solid #e2e8f0",
+        textAlign: "left", verticalAlign: "top", whiteSpace: "nowrap",
+    },
+    thName:      { fontWeight: 700, color: "#0f172a", marginBottom: 4 },
+    typeSelect: {
+        height: 24, padding: "0 4px", border: "1px solid #cbd5e1",
+        borderRadius: 5, fontSize: 11, fontWeight: 600, background: "#fff",
+    },
+    td: {
+        padding: "5px 8px", border: "1px solid #f1f5f9", color: "#334155",
+        maxWidth: 180, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap",
+    },
+    more: { fontSize: 11, color: "#94a3b8", marginBottom: 12 },
+    warning: {
+        margin: "10px 18px", fontSize: 11, color: "#b45309", background: "#fffbeb",
+        border: "1px solid #fde68a", borderRadius: 6, padding: "8px 10px", flexShrink: 0,
+    },
+    footer: {
+        display: "flex", justifyContent: "flex-end", gap: 8,
+        padding: "12px 18px", borderTop: "1px solid #f1f5f9", background: "#fafbfc",
+        flexShrink: 0,
+    },
+    cancelBtn: {
+        padding: "7px 14px", background: "#fff", color: "#475569",
+        border: "1px solid #e2e8f0", borderRadius: 6, cursor: "pointer",
+        fontSize: 12, fontWeight: 600,
+    },
+    primaryBtn: {
+        padding: "7px 16px",
+        background: "linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%)",
+        color: "#fff", border: "none", borderRadius: 6, cursor: "pointer",
+        fontSize: 12, fontWeight: 600,
+        boxShadow: "0 2px 8px rgba(37,99,235,0.3)",
+    },
+};
@@ -0,0 +1,431 @@
+/**
+ * CustomFunctionsPanel.jsx
+ *
+ * Admin panel for workbook functions:
+ *
+ *   COMMISSION(amount, rate)
+ *   = IF(amount>10000, amount*rate*1.2, amount*rate)
+ *
+ * Functions are stored on the sheet that defines them
+ * (sheetJson.customFunctions), usable from every sheet and registered in
+ * HyperFormula by useHyperformula — see utils/customFunctions.js.
+ *
+ * Functions defined on other sheets are listed read-only; they are edited
+ * from the sheet that owns them.
+ *
+ * Renaming a function, changing its number of parameters or deleting it
+ * while formulas still call it asks for confirmation and lists those cells.
+ *
+ * No JSX fragments — Mendix compatibility.
+ */
+
+import { createElement, useState } from "react";
+import { DEFAULT_CUSTOM_FUNCTION } from "../utils/constants";
+import { formatFunctionSignature, parseFunctionSignature, validateCustomFunction } from "../utils/customFunctions";
+
+const MAX_LISTED_USAGES = 5;
+
+export function CustomFunctionsPanel({
+    sheet, isAdmin, externalFunctions = [],
+    findUsages, onSaveFunction, onDeleteFunction, onClose,
+}) {
+    const [isAdding, setIsAdding] = useState(false);
+
+    if (!isAdmin || !sheet) return null;
+
+    const customFunctions = sheet.customFunctions || [];
+    const total           = customFunctions.length + externalFunctions.length;
+
+    // Names a draft may not reuse — function names are workbook-wide
+    const takenNames = (skipIndex) => [
+        ...customFunctions.filter((_, i) => i !== skipIndex).map(fn => fn.name),
+        ...externalFunctions.map(fn => fn.name),
+    ];
+
+    return (
+        <div style={{ display: "contents" }}>
+
+            {/* Backdrop */}
+            <div style={S.backdrop} onClick={onClose} />
+
+            {/* Panel */}
+            <div style={S.panel}>
+
+                {/* Header */}
+                <div style={S.header}>
+                    <div style={S.headerLeft}>
+                        <div style={S.headerIcon}>
+                            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                                <path d="M10.5 2.5c-1.8 0-2.4 1-2.8 3L6.5 11c-.4 1.9-1 2.5-2.5 2.5" stroke="#0d9488" strokeWidth="1.6" strokeLinecap="round"/>
+                                <path d="M5 6.5h6" stroke="#0d9488" strokeWidth="1.6" strokeLinecap="round"/>
+                            </svg>
+                        </div>
+                        <div>
+                            <div style={S.headerTitle}>Workbook Functions</div>
+                            <div style={S.headerSub}>{sheet.sheetName} · Admin only</div>
+                        </div>
+                    </div>
+                    <button onClick={onClose} style={S.closeBtn} title="Close">
+                        <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+                            <path d="M1 1l12 12M13 1L1 13" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round"/>
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Info bar */}
+                <div style={S.infoBar}>
+                    <svg width="14" height="14" viewBox="0 0 14 14" fill="none" style={{ flexShrink: 0, marginTop: 1 }}>
+                        <circle cx="7" cy="7" r="6" stroke="#0d9488" strokeWidth="1.5"/>
+                        <path d="M7 6v4M7 4.5v.5" stroke="#0d9488" strokeWidth="1.5" strokeLinecap="round"/>
+                    </svg>
+                    <span>
+                        Write an expression once — COMMISSION(amount, rate) = IF(amount&gt;10000, amount*rate*1.2, amount*rate) —
+                        then call it from any sheet: =COMMISSION(Revenue_Q1, 0.05). The formula can only use its parameters.
+                    </span>
+                </div>
+
+                {/* Count bar */}
+                <div style={S.countBar}>
+                    <span style={S.countPill}>
+                        {total} {total === 1 ? "function" : "functions"}
+                    </span>
+                    <span style={S.countHint}>
+                        {customFunctions.length} defined on this sheet
+                    </span>
+                </div>
+
+                {/* List */}
+                <div style={S.list}>
+                    {total === 0 && !isAdding && (
+                        <div style={S.empty}>
+                            <div style={S.emptyIcon}>ƒ</div>
+                            <div style={S.emptyTitle}>No functions yet</div>
+                            <div style={S.emptyDesc}>
+                                Turn a long expression you repeat across sheets, like a fiscal
+                                quarter or a tiered commission, into a function of its own.
+                            </div>
+                        </div>
+                    )}
+
+                    {customFunctions.map((fn, index) => (
+                        <CustomFunctionItem
+                            key={`${index}-${fn.name}`}
+                            fn={fn}
+                            index={index}
+                            takenNames={takenNames}
+                            findUsages={findUsages}
+                            onSave={(updated) => onSaveFunction(index, updated)}
+                            onDelete={() => onDeleteFunction(index)}
+                        />
+                    ))}
+
+                    {isAdding && (
+                        <CustomFunctionItem
+                            isNew
+                            fn={DEFAULT_CUSTOM_FUNCTION}
+                            index={-1}
+                            takenNames={takenNames}
+                            findUsages={findUsages}
+                            onSave={(created) => { onSaveFunction(null, created); setIsAdding(false); }}
+                            onDelete={() => setIsAdding(false)}
+                        />
+                    )}
+
+                    {externalFunctions.length > 0 && (
+                        <div style={S.sectionLabel}>Functions from other sheets</div>
+                    )}
+                    {externalFunctions.map(fn => (
+                        <div key={`${fn.sheetName}-${fn.name}`} style={R.readOnlyRow} title={`Edit on sheet "${fn.sheetName}"`}>
+                            <span style={R.readOnlyName}>{formatFunctionSignature(fn)}</span>
+                            <span style={R.readOnlyBody}>={fn.body}</span>
+                            <span style={R.readOnlySheet}>{fn.sheetName}</span>
+                        </div>
+                    ))}
+                </div>
+
+                {/* Footer */}
+                <div style={S.footer}>
+                    <button style={{ ...S.addBtn, opacity: isAdding ? 0.6 : 1 }} onClick={() => setIsAdding(true)} disabled={isAdding}>
+                        <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+                            <path d="M7 1v12M1 7h12" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                        </svg>
+                        Add Function
+                    </button>
+                </div>
+
+            </div>
+        </div>
+    );
+}
+
+function CustomFunctionItem({ isNew, fn, index, takenNames, findUsages, onSave, onDelete }) {
+    const savedSignature = isNew ? "" : formatFunctionSignature(fn);
+
+    const [signature, setSignature]     = useState(savedSignature);
+    const [body, setBody]               = useState(fn.body);
+    const [description, setDescription] = useState(fn.description || "");
+    const [confirm, setConfirm]         = useState(null);   // { action: "save" | "delete", usages }
+
+    const edit = (setter) => (e) => { setConfirm(null); setter(e.target.value); };
+
+    const parsed  = parseFunctionSignature(signature);
+    const draft   = {
+        name:        parsed?.name ?? "",
+        params:      parsed?.params ?? [],
+        body:        body.trim().replace(/^=\s*/, ""),
+        description: description.trim(),
+    };
+    const isDirty = isNew || signature !== savedSignature || body !== fn.body || description !== (fn.description || "");
+    const error   = !isDirty ? null
+        : parsed === null && signature.trim() ? "Write the signature as NAME(parameter1, parameter2)."
+        : validateCustomFunction(draft, takenNames(index));
+
+    // Formulas that stop working if this save / delete goes ahead
+    const brokenUsages = (action) => {
+        if (isNew) return [];
+        if (action === "delete" || draft.name !== fn.name || draft.params.length !== fn.params.length) {
+            return findUsages(fn.name);
+        }
+        return [];
+    };
+
+    const run = (action) => {
+        if (action === "save") onSave(draft);
+        else onDelete();
+        setConfirm(null);
+    };
+
+    const request = (action) => {
+        const usages = brokenUsages(action);
+        if (usages.length > 0) setConfirm({ action, usages });
+        else run(action);
+    };
+
+    const reset = () => {
+        setSignature(savedSignature);
+        setBody(fn.body);
+        setDescription(fn.description || "");
+    };
+
+    return (
+        <div style={R.wrapper}>
+            <div style={R.row}>
+                <input
+                    value={signature}
+                    onChange={edit(setSignature)}
+                    placeholder="COMMISSION(amount, rate)"
+                    style={{ ...R.signatureInput, borderColor: error ? "#fca5a5" : "#e2e8f0" }}
+                    maxLength={200}
+                    type="text"
+                    autoFocus={isNew}
+                />
+                <button onClick={() => (isNew ? onDelete() : request("delete"))} style={R.deleteBtn} title={isNew ? "Discard" : `Delete ${fn.name}`}>
+                    <svg width="12" height="12" viewBox="0 0 12 12" fill="none">
+                        <path d="M1 1l10 10M11 1L1 11" stroke="currentColor" strokeWidth="1.6" strokeLinecap="round"/>
+                    </svg>
+                </button>
+            </div>
+
+            <div style={R.row}>
+                <span style={R.equals}>=</span>
+                <input
+                    value={body}
+                    onChange={edit(setBody)}
+                    placeholder="IF(amount>10000, amount*rate*1.2, amount*rate)"
+                    style={R.bodyInput}
+                    type="text"
+                />
+            </div>
+
+            <div style={R.row}>
+                <span style={R.equals} />
+                <input
+                    value={description}
+                    onChange={edit(setDescription)}
+                    placeholder="Description shown in formula suggestions (optional)"
+                    style={R.descriptionInput}
+                    maxLength={200}
+                    type="text"
+                />
+            </div>
+
+            {error && <div style={R.error}>{error}</div>}
+
+            {confirm && (
+                <div style={R.warning}>
+                    <div>
+                        {confirm.action === "delete" ? "Deleting" : "Changing"} {fn.name} breaks{" "}
+                        {confirm.usages.length} {confirm.usages.length === 1 ? "formula" : "formulas"}:{" "}
+                        {confirm.usages.slice(0, MAX_LISTED_USAGES).map(u => `${u.sheetName}!${u.address}`).join(", ")}
+                        {confirm.usages.length > MAX_LISTED_USAGES ? ", …" : ""}.
+                        They will show an error until updated.
+                    </div>
+                    <div style={R.actions}>
+                        <button style={R.secondaryBtn} onClick={() => setConfirm(null)}>Cancel</button>
+                        <button style={R.dangerBtn} onClick={() => run(confirm.action)}>
+                            {confirm.action === "delete" ? "Delete anyway" : "Save anyway"}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {isDirty && !confirm && (
+                <div style={R.actions}>
+                    {!isNew && <button style={R.secondaryBtn} onClick={reset}>Reset</button>}
+                    <button
+                        style={{ ...R.saveBtn, opacity: error ? 0.5 : 1 }}
+                        disabled={!!error}
+                        onClick={() => request("save")}
+                    >
+                        {isNew ? "Add" : "Save"}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// ─── Styles ───────────────────────────────────────────────────────────────────
+
+const MONO = "ui-monospace, SFMono-Regular, Menlo, monospace";
+
+const S = {
+    backdrop: {
+        position: "fixed", inset: 0,
+        background: "rgba(15,23,42,0.3)",
+        backdropFilter: "blur(2px)",
+        zIndex: 9998,
+    },
+    panel: {
+        position: "fixed",
+        top: 56, right: 16,
+        width: 460,
+        maxHeight: "calc(100vh - 80px)",
+        background: "#ffffff",
+        borderRadius: 12,
+        boxShadow: "0 20px 60px rgba(15,23,42,0.18), 0 4px 16px rgba(15,23,42,0.08)",
+        border: "1px solid rgba(226,232,240,0.8)",
+        display: "flex", flexDirection: "column",
+        overflow: "hidden",
+        zIndex: 9999,
+        animation: "eww-slideIn 0.2s cubic-bezier(0.16,1,0.3,1)",
+    },
+    header: {
+        display: "flex", alignItems: "center", justifyContent: "space-between",
+        padding: "16px 18px", borderBottom: "1px solid #f1f5f9",
+        background: "linear-gradient(135deg, #f0fdfa 0%, #ecfdf5 100%)",
+        flexShrink: 0,
+    },
+    headerLeft:  { display: "flex", alignItems: "center", gap: 12 },
+    headerIcon:  {
+        width: 36, height: 36, background: "#ccfbf1",
+        borderRadius: 8, border: "1px solid #99f6e4",
+        display: "flex", alignItems: "center", justifyContent: "center", flexShrink: 0,
+    },
+    headerTitle: { fontSize: 14, fontWeight: 700, color: "#0f172a", letterSpacing: "-0.01em" },
+    headerSub:   { fontSize: 11, color: "#94a3b8", marginTop: 1 },
+    closeBtn: {
+        width: 28, height: 28, background: "#f1f5f9",
+        border: "1px solid #e2e8f0", borderRadius: 6, cursor: "pointer",
+        display: "flex", alignItems: "center", justifyContent: "center",
+        color: "#64748b", flexShrink: 0,
+    },
+    infoBar: {
+        display: "flex", alignItems: "flex-start", gap: 8,
+        padding: "10px 18px", background: "#f0fdfa",
+        borderBottom: "1px solid #ccfbf1",
+        fontSize: 11, color: "#0f766e", lineHeight: 1.6, flexShrink: 0,
+    },
+    countBar: {
+        display: "flex", alignItems: "center", gap: 10,
+        padding: "10px 18px", borderBottom: "1px solid #f1f5f9",
+        background: "#fafbfc", flexShrink: 0,
+    },
+    countPill: {
+        display: "inline-flex", alignItems: "center",
+        padding: "3px 10px", background: "#ccfbf1",
+        color: "#0d9488", border: "1px solid #99f6e4",
+        borderRadius: 20, fontSize: 11, fontWeight: 700,
+    },
+    countHint: { fontSize: 11, color: "#94a3b8" },
+    list:      { overflowY: "auto", flex: 1 },
+    sectionLabel: {
+        padding: "10px 14px 4px", fontSize: 10, fontWeight: 700,
+        color: "#94a3b8", textTransform: "uppercase", letterSpacing: "0.05em",
+    },
+    empty: {
+        display: "flex", flexDirection: "column",
+        alignItems: "center", justifyContent: "center",
+        padding: "36px 24px", textAlign: "center", gap: 8,
+    },
+    emptyIcon:  { fontSize: 32, marginBottom: 4, fontStyle: "italic", color: "#0d9488" },
+    emptyTitle: { fontSize: 14, fontWeight: 600, color: "#334155" },
+    emptyDesc:  { fontSize: 12, color: "#94a3b8", lineHeight: 1.6, maxWidth: 300 },
+    footer: {
+        padding: "14px 18px", borderTop: "1px solid #f1f5f9",
+        background: "#fafbfc", flexShrink: 0,
+    },
+    addBtn: {
+        display: "flex", alignItems: "center", justifyContent: "center", gap: 8,
+        width: "100%", padding: "10px 0",
+        background: "linear-gradient(135deg, #0d9488 0%, #0f766e 100%)",
+        color: "#fff", border: "none", borderRadius: 8, cursor: "pointer",
+        fontSize: 13, fontWeight: 600, letterSpacing: "0.01em",
+        boxShadow: "0 2px 8px rgba(13,148,136,0.3)",
+    },
+};
+
+const R = {
+    wrapper: { borderBottom: "1px solid #f8fafc", padding: "8px 14px" },
+    row:     { display: "flex", alignItems: "center", gap: 8, padding: "2px 0" },
+    signatureInput: {
+        flex: 1, border: "1px solid #e2e8f0", borderRadius: 6,
+        padding: "6px 10px", fontSize: 13, fontWeight: 600, color: "#0f172a",
+        outline: "none", minWidth: 0, background: "#fff", fontFamily: MONO,
+    },
+    equals: { width: 14, textAlign: "center", fontSize: 13, fontWeight: 700, color: "#2dd4bf", flexShrink: 0 },
+    bodyInput: {
+        flex: 1, border: "1px solid #e2e8f0", borderRadius: 6,
+        padding: "6px 10px", fontSize: 12, color: "#334155",
+        outline: "none", minWidth: 0, background: "#fff", fontFamily: MONO,
+    },
+    descriptionInput: {
+        flex: 1, border: "1px solid #e2e8f0", borderRadius: 6,
+        padding: "5px 10px", fontSize: 12, color: "#475569",
+        outline: "none", minWidth: 0, background: "#fff", fontFamily: "inherit",
+    },
+    deleteBtn: {
+        width: 28, height: 28, flexShrink: 0,
+        background: "#fff5f5", border: "1px solid #fecaca",
+        borderRadius: 6, cursor: "pointer",
+        display: "flex", alignItems: "center", justifyContent: "center", color: "#ef4444",
+    },
+    error:   { fontSize: 11, color: "#dc2626", padding: "4px 0 0 22px" },
+    warning: {
+        marginTop: 6, fontSize: 11, color: "#b45309", background: "#fffbeb",
+        border: "1px solid #fde68a", borderRadius: 6, padding: "8px 10px", lineHeight: 1.5,
+    },
+    actions: { display: "flex", justifyContent: "flex-end", gap: 6, marginTop: 6 },
+    secondaryBtn: {
+        padding: "5px 10px", background: "#fff", color: "#475569",
+        border: "1px solid #e2e8f0", borderRadius: 6, cursor: "pointer",
+        fontSize: 11, fontWeight: 600,
+    },
+    saveBtn: {
+        padding: "5px 12px", background: "#0d9488", color: "#fff",
+        border: "none", borderRadius: 6, cursor: "pointer",
+        fontSize: 11, fontWeight: 600,
+    },
+    dangerBtn: {
+        padding: "5px 12px", background: "#dc2626", color: "#fff",
+        border: "none", borderRadius: 6, cursor: "pointer",
+        fontSize: 11, fontWeight: 600,
+    },
+    readOnlyRow: {
+        display: "flex", alignItems: "center", gap: 8,
+        padding: "6px 14px", fontSize: 12, color: "#64748b",
+    },
+    readOnlyName:  { fontWeight: 600, color: "#334155", fontFamily: MONO, flexShrink: 0 },
+    readOnlyBody:  { flex: 1, minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap", fontFamily: MONO },
+    readOnlySheet: { fontSize: 10, padding: "2px 6px", background: "#f1f5f9", borderRadius: 10, flexShrink: 0 },
+};
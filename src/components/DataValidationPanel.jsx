@@ -0,0 +1,480 @@
+/**
+ * DataValidationPanel.jsx
+ *
+ * Admin panel for the sheet's data validation rules
+ * (sheetJson.validationRules, enforced by SheetGrid's beforeChange — see
+ * utils/dataValidation.js).
+ *
+ * A cell follows the first rule whose range covers it, so ▲ / ▼ decide which
+ * rule wins where ranges overlap. A rule is edited in a draft and only saved
+ * when it is valid.
+ *
+ * No JSX fragments — Mendix compatibility.
+ */
+
+import { createElement, useMemo, useState } from "react";
+import {
+    VALIDATION_RULE_TYPE,
+    VALIDATION_RULE_TYPE_META,
+    VALIDATION_ERROR_STYLE,
+    DEFAULT_VALIDATION_RULE,
+} from "../utils/constants";
+import { createHeaderResolver, maybeTranslate } from "../utils/formulaTranslator";
+import { describeValidationRule, checkValidationRule } from "../utils/dataValidation";
+
+const RANGE_TYPES = new Set([
+    VALIDATION_RULE_TYPE.NUMBER,
+    VALIDATION_RULE_TYPE.WHOLE_NUMBER,
+    VALIDATION_RULE_TYPE.TEXT_LENGTH,
+    VALIDATION_RULE_TYPE.DATE,
+]);
+
+export function DataValidationPanel({
+    sheet, isAdmin,
+    onSaveRule, onDeleteRule, onReorderRule, onClose,
+}) {
+    const [editing, setEditing] = useState(null);   // index, "new" or null
+
+    // Rule ranges and formulas may use this sheet's header names
+    const resolver  = useMemo(() => createHeaderResolver(sheet?.columns, sheet?.rowLabels), [sheet?.columns, sheet?.rowLabels]);
+    const translate = useMemo(() => (formula) => maybeTranslate(formula, resolver), [resolver]);
+
+    if (!isAdmin || !sheet) return null;
+
+    const rules = sheet.validationRules || [];
+
+    const save = (index, rule) => {
+        onSaveRule(index, rule);
+        setEditing(null);
+    };
+
+    return (
+        <div style={{ display: "contents" }}>
+
+            {/* Backdrop */}
+            <div style={S.backdrop} onClick={onClose} />
+
+            {/* Panel */}
+            <div style={S.panel}>
+
+                {/* Header */}
+                <div style={S.header}>
+                    <div style={S.headerLeft}>
+                        <div style={S.headerIcon}>
+                            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                                <path d="M8 1.5l5.5 2v4c0 3.3-2.3 5.9-5.5 7-3.2-1.1-5.5-3.7-5.5-7v-4l5.5-2z" stroke="#db2777" strokeWidth="1.4" strokeLinejoin="round"/>
+                                <path d="M5.5 8l1.8 1.8L10.8 6" stroke="#db2777" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
+                            </svg>
+                        </div>
+                        <div>
+                            <div style={S.headerTitle}>Data Validation</div>
+                            <div style={S.headerSub}>{sheet.sheetName} · Admin only</div>
+                        </div>
+                    </div>
+                    <button onClick={onClose} style={S.closeBtn} title="Close">
+                        <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+                            <path d="M1 1l12 12M13 1L1 13" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round"/>
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Info bar */}
+                <div style={S.infoBar}>
+                    <svg width="14" height="14" viewBox="0 0 14 14" fill="none" style={{ flexShrink: 0, marginTop: 1 }}>
+                        <circle cx="7" cy="7" r="6" stroke="#db2777" strokeWidth="1.5"/>
+                        <path d="M7 6v4M7 4.5v.5" stroke="#db2777" strokeWidth="1.5" strokeLinecap="round"/>
+                    </svg>
+                    <span>
+                        Checked when values are typed, pasted or filled. Ranges take C2:C50, C:C or header
+                        names like Score_1:Score_50; where ranges overlap, the higher rule applies.
+                    </span>
+                </div>
+
+                {/* Count bar */}
+                <div style={S.countBar}>
+                    <span style={S.countPill}>
+                        {rules.length} {rules.length === 1 ? "rule" : "rules"}
+                    </span>
+                    <span style={S.countHint}>Existing values are not re-checked</span>
+                </div>
+
+                {/* List */}
+                <div style={S.list}>
+                    {rules.length === 0 && editing !== "new" && (
+                        <div style={S.empty}>
+                            <div style={S.emptyIcon}>🛡️</div>
+                            <div style={S.emptyTitle}>No rules yet</div>
+                            <div style={S.emptyDesc}>
+                                Limit a column to numbers in a range, dates in a window, values from
+                                a list, or anything a formula can check.
+                            </div>
+                        </div>
+                    )}
+
+                    {rules.map((rule, index) => (
+                        editing === index
+                            ? (
+                                <RuleEditor
+                                    key={index}
+                                    rule={rule}
+                                    translate={translate}
+                                    onSave={(updated) => save(index, updated)}
+                                    onCancel={() => setEditing(null)}
+                                />
+                            )
+                            : (
+                                <RuleItem
+                                    key={index}
+                                    rule={rule}
+                                    index={index}
+                                    total={rules.length}
+                                    onEdit={() => setEditing(index)}
+                                    onDelete={() => { onDeleteRule(index); setEditing(null); }}
+                                    onMoveUp={() => index > 0 && onReorderRule(index, index - 1)}
+                                    onMoveDown={() => index < rules.length - 1 && onReorderRule(index, index + 1)}
+                                />
+                            )
+                    ))}
+
+                    {editing === "new" && (
+                        <RuleEditor
+                            isNew
+                            rule={DEFAULT_VALIDATION_RULE}
+                            translate={translate}
+                            onSave={(created) => save(null, created)}
+                            onCancel={() => setEditing(null)}
+                        />
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div style={S.footer}>
+                    <button
+                        style={{ ...S.addBtn, opacity: editing === "new" ? 0.6 : 1 }}
+                        onClick={() => setEditing("new")}
+                        disabled={editing === "new"}
+                    >
+                        <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+                            <path d="M7 1v12M1 7h12" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                        </svg>
+                        Add Rule
+                    </button>
+                </div>
+
+            </div>
+        </div>
+    );
+}
+
+function RuleItem({ rule, index, total, onEdit, onDelete, onMoveUp, onMoveDown }) {
+    const rejects = rule.errorStyle !== VALIDATION_ERROR_STYLE.WARN;
+    return (
+        <div style={R.wrapper}>
+            <div style={R.row}>
+
+                <div style={R.orderCol}>
+                    <button onClick={onMoveUp}   disabled={index === 0}         style={R.arrow} title="Higher priority">▲</button>
+                    <span style={R.indexNum}>{index + 1}</span>
+                    <button onClick={onMoveDown} disabled={index === total - 1} style={R.arrow} title="Lower priority">▼</button>
+                </div>
+
+                <button onClick={onEdit} style={R.summary} title="Edit rule">
+                    <span style={R.summaryText}>{describeValidationRule(rule)}</span>
+                    <span style={R.summaryRange}>{rule.range}</span>
+                </button>
+
+                <span
+                    style={{ ...R.badge, ...(rejects ? R.badgeReject : R.badgeWarn) }}
+                    title={rejects ? "Invalid values are not accepted" : "Invalid values are accepted with a warning"}
+                >
+                    {rejects ? "Reject" : "Warn"}
+                </span>
+
+                <button onClick={onDelete} style={R.deleteBtn} title={`Delete rule ${index + 1}`}>
+                    <svg width="12" height="12" viewBox="0 0 12 12" fill="none">
+                        <path d="M1 1l10 10M11 1L1 11" stroke="currentColor" strokeWidth="1.6" strokeLinecap="round"/>
+                    </svg>
+                </button>
+
+            </div>
+        </div>
+    );
+}
+
+function RuleEditor({ isNew, rule, translate, onSave, onCancel }) {
+    const [draft, setDraft] = useState(() => ({ ...rule }));
+
+    const set    = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+    const error  = checkValidationRule(draft, translate);
+    const isDate = draft.type === VALIDATION_RULE_TYPE.DATE;
+
+    return (
+        <div style={{ ...R.wrapper, ...R.editor }}>
+
+            <div style={R.field}>
+                <label style={R.label}>Applies to</label>
+                <input
+                    value={draft.range}
+                    onChange={e => set({ range: e.target.value })}
+                    placeholder="C2:C50"
+                    style={R.input}
+                    autoFocus={isNew}
+                />
+            </div>
+
+            <div style={R.field}>
+                <label style={R.label}>Allow</label>
+                <select value={draft.type} onChange={e => set({ type: e.target.value, min: "", max: "" })} style={R.select}>
+                    {VALIDATION_RULE_TYPE_META.map(t => (
+                        <option key={t.value} value={t.value}>{t.label}</option>
+                    ))}
+                </select>
+            </div>
+
+            {RANGE_TYPES.has(draft.type) && (
+                <div style={R.fieldRow}>
+                    <input
+                        type={isDate ? "date" : "number"}
+                        value={draft.min}
+                        onChange={e => set({ min: e.target.value })}
+                        placeholder={draft.type === VALIDATION_RULE_TYPE.TEXT_LENGTH ? "Min length" : "Minimum"}
+                        style={R.input}
+                    />
+                    <span style={R.and}>to</span>
+                    <input
+                        type={isDate ? "date" : "number"}
+                        value={draft.max}
+                        onChange={e => set({ max: e.target.value })}
+                        placeholder={draft.type === VALIDATION_RULE_TYPE.TEXT_LENGTH ? "Max length" : "Maximum"}
+                        style={R.input}
+                    />
+                </div>
+            )}
+
+            {draft.type === VALIDATION_RULE_TYPE.PATTERN && (
+                <div style={R.field}>
+                    <input
+                        value={draft.pattern}
+                        onChange={e => set({ pattern: e.target.value })}
+                        placeholder="^[A-Z]{3}-\d{4}$"
+                        style={{ ...R.input, fontFamily: MONO }}
+                    />
+                    <div style={R.fieldHint}>A JavaScript regular expression — add ^ and $ to match the whole value.</div>
+                </div>
+            )}
+
+            {draft.type === VALIDATION_RULE_TYPE.LIST && (
+                <div style={R.field}>
+                    <input
+                        value={draft.source}
+                        onChange={e => set({ source: e.target.value })}
+                        placeholder="=Lists!A1:A10  or  North, South, East"
+                        style={{ ...R.input, fontFamily: MONO }}
+                    />
+                    <div style={R.fieldHint}>A range or named range starting with =, or items separated by commas.</div>
+                </div>
+            )}
+
+            {draft.type === VALIDATION_RULE_TYPE.FORMULA && (
+                <div style={R.field}>
+                    <input
+                        value={draft.formula}
+                        onChange={e => set({ formula: e.target.value })}
+                        placeholder="=C2 <= Budget_Total"
+                        style={{ ...R.input, fontFamily: MONO }}
+                    />
+                    <div style={R.fieldHint}>Written for the first cell of the range; true or a non-zero number accepts the value.</div>
+                </div>
+            )}
+
+            <label style={{ ...R.check, marginBottom: 10 }}>
+                <input type="checkbox" checked={!!draft.allowBlank} onChange={e => set({ allowBlank: e.target.checked })} />
+                Allow empty cells
+            </label>
+
+            <div style={R.field}>
+                <label style={R.label}>Input hint</label>
+                <input
+                    value={draft.hint}
+                    onChange={e => set({ hint: e.target.value })}
+                    placeholder="Shown when a cell in the range is selected"
+                    style={R.input}
+                />
+            </div>
+
+            <div style={R.fieldRow}>
+                <select value={draft.errorStyle} onChange={e => set({ errorStyle: e.target.value })} style={R.select}>
+                    <option value={VALIDATION_ERROR_STYLE.REJECT}>Reject invalid values</option>
+                    <option value={VALIDATION_ERROR_STYLE.WARN}>Warn, but keep them</option>
+                </select>
+                <input
+                    value={draft.errorMessage}
+                    onChange={e => set({ errorMessage: e.target.value })}
+                    placeholder="Error message (optional)"
+                    style={R.input}
+                />
+            </div>
+
+            {error && <div style={R.error}>{error}</div>}
+
+            <div style={R.actions}>
+                <button style={R.secondaryBtn} onClick={onCancel}>Cancel</button>
+                <button
+                    style={{ ...R.saveBtn, opacity: error ? 0.5 : 1 }}
+                    disabled={!!error}
+                    onClick={() => onSave({
+                        ...draft,
+                        range:        draft.range.trim(),
+                        source:       draft.source.trim(),
+                        formula:      draft.formula.trim(),
+                        hint:         draft.hint.trim(),
+                        errorMessage: draft.errorMessage.trim(),
+                    })}
+                >
+                    {isNew ? "Add" : "Save"}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+// ─── Styles ───────────────────────────────────────────────────────────────────
+
+const MONO = "ui-monospace, SFMono-Regular, Menlo, monospace";
+
+const S = {
+    backdrop: {
+        position: "fixed", inset: 0,
+        background: "rgba(15,23,42,0.3)",
+        backdropFilter: "blur(2px)",
+        zIndex: 9998,
+    },
+    panel: {
+        position: "fixed",
+        top: 56, right: 16,
+        width: 480,
+        maxHeight: "calc(100vh - 80px)",
+        background: "#ffffff",
+        borderRadius: 12,
+        boxShadow: "0 20px 60px rgba(15,23,42,0.18), 0 4px 16px rgba(15,23,42,0.08)",
+        border: "1px solid rgba(226,232,240,0.8)",
+        display: "flex", flexDirection: "column",
+        overflow: "hidden",
+        zIndex: 9999,
+        animation: "eww-slideIn 0.2s cubic-bezier(0.16,1,0.3,1)",
+    },
+    header: {
+        display: "flex", alignItems: "center", justifyContent: "space-between",
+        padding: "16px 18px", borderBottom: "1px solid #f1f5f9",
+        background: "linear-gradient(135deg, #fdf2f8 0%, #fce7f3 100%)",
+        flexShrink: 0,
+    },
+    headerLeft:  { display: "flex", alignItems: "center", gap: 12 },
+    headerIcon:  {
+        width: 36, height: 36, background: "#fce7f3",
+        borderRadius: 8, border: "1px solid #fbcfe8",
+        display: "flex", alignItems: "center", justifyContent: "center", flexShrink: 0,
+    },
+    headerTitle: { fontSize: 14, fontWeight: 700, color: "#0f172a", letterSpacing: "-0.01em" },
+    headerSub:   { fontSize: 11, color: "#94a3b8", marginTop: 1 },
+    closeBtn: {
+        width: 28, height: 28, background: "#f1f5f9",
+        border: "1px solid #e2e8f0", borderRadius: 6, cursor: "pointer",
+        display: "flex", alignItems: "center", justifyContent: "center",
+        color: "#64748b", flexShrink: 0,
+    },
+    infoBar: {
+        display: "flex", alignItems: "flex-start", gap: 8,
+        padding: "10px 18px", background: "#fdf2f8",
+        borderBottom: "1px solid #fce7f3",
+        fontSize: 11, color: "#9d174d", lineHeight: 1.6, flexShrink: 0,
+    },
+    countBar: {
+        display: "flex", alignItems: "center", gap: 10,
+        padding: "10px 18px", borderBottom: "1px solid #f1f5f9",
+        background: "#fafbfc", flexShrink: 0,
+    },
+    countPill: {
+        display: "inline-flex", alignItems: "center",
+        padding: "3px 10px", background: "#fce7f3",
+        color: "#db2777", border: "1px solid #fbcfe8",
+        borderRadius: 20, fontSize: 11, fontWeight: 700,
+    },
+    countHint: { fontSize: 11, color: "#94a3b8" },
+    list:      { overflowY: "auto", flex: 1 },
+    empty: {
+        display: "flex", flexDirection: "column",
+        alignItems: "center", justifyContent: "center",
+        padding: "36px 24px", textAlign: "center", gap: 8,
+    },
+    emptyIcon:  { fontSize: 32, marginBottom: 4 },
+    emptyTitle: { fontSize: 14, fontWeight: 600, color: "#334155" },
+    emptyDesc:  { fontSize: 12, color: "#94a3b8", lineHeight: 1.6, maxWidth: 300 },
+    footer: {
+        padding: "14px 18px", borderTop: "1px solid #f1f5f9",
+        background: "#fafbfc", flexShrink: 0,
+    },
+    addBtn: {
+        display: "flex", alignItems: "center", justifyContent: "center", gap: 8,
+        width: "100%", padding: "10px 0",
+        background: "linear-gradient(135deg, #db2777 0%, #be185d 100%)",
+        color: "#fff", border: "none", borderRadius: 8, cursor: "pointer",
+        fontSize: 13, fontWeight: 600, letterSpacing: "0.01em",
+        boxShadow: "0 2px 8px rgba(219,39,119,0.3)",
+    },
+};
+
+const R = {
+    wrapper:  { borderBottom: "1px solid #f8fafc" },
+    row:      { display: "flex", alignItems: "center", gap: 8, padding: "10px 14px" },
+    orderCol: { display: "flex", flexDirection: "column", alignItems: "center", gap: 1, flexShrink: 0 },
+    arrow:    { background: "none", border: "none", cursor: "pointer", fontSize: 7, padding: "2px 3px", color: "#cbd5e1", lineHeight: 1 },
+    indexNum: { fontSize: 9, fontWeight: 700, color: "#cbd5e1", lineHeight: 1 },
+    summary: {
+        flex: 1, minWidth: 0, display: "flex", flexDirection: "column", alignItems: "flex-start", gap: 1,
+        background: "none", border: "none", padding: 0, cursor: "pointer", textAlign: "left",
+    },
+    summaryText:  { fontSize: 12, fontWeight: 600, color: "#0f172a", maxWidth: "100%", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" },
+    summaryRange: { fontSize: 11, color: "#94a3b8", fontFamily: MONO },
+    badge: {
+        flexShrink: 0, padding: "2px 8px", borderRadius: 10,
+        fontSize: 10, fontWeight: 700, border: "1px solid",
+    },
+    badgeReject: { background: "#fef2f2", color: "#dc2626", borderColor: "#fecaca" },
+    badgeWarn:   { background: "#fffbeb", color: "#b45309", borderColor: "#fde68a" },
+    deleteBtn: {
+        width: 28, height: 28, flexShrink: 0,
+        background: "#fff5f5", border: "1px solid #fecaca",
+        borderRadius: 6, cursor: "pointer",
+        display: "flex", alignItems: "center", justifyContent: "center", color: "#ef4444",
+    },
+    editor:   { padding: "12px 14px 14px", background: "#f8fafc", borderTop: "1px solid #f1f5f9" },
+    field:    { marginBottom: 10 },
+    fieldRow: { display: "flex", alignItems: "center", gap: 8, marginBottom: 10, flexWrap: "wrap" },
+    label:    { display: "block", fontSize: 11, fontWeight: 600, color: "#475569", marginBottom: 5 },
+    fieldHint: { fontSize: 11, color: "#94a3b8", marginTop: 4 },
+    input: {
+        flex: 1, width: "100%", border: "1px solid #e2e8f0", borderRadius: 6,
+        padding: "7px 10px", fontSize: 12, outline: "none",
+        boxSizing: "border-box", background: "#fff", minWidth: 0,
+    },
+    select: {
+        height: 32, padding: "0 8px", border: "1px solid #e2e8f0",
+        borderRadius: 6, fontSize: 12, background: "#fff",
+        cursor: "pointer", outline: "none",
+    },
+    and:   { fontSize: 11, color: "#94a3b8" },
+    check: { display: "flex", alignItems: "center", gap: 4, fontSize: 11, color: "#475569", cursor: "pointer" },
+    error:   { fontSize: 11, color: "#dc2626", marginTop: 6 },
+    actions: { display: "flex", justifyContent: "flex-end", gap: 6, marginTop: 10 },
+    secondaryBtn: {
+        padding: "5px 10px", background: "#fff", color: "#475569",
+        border: "1px solid #e2e8f0", borderRadius: 6, cursor: "pointer",
+        fontSize: 11, fontWeight: 600,
+    },
+    saveBtn: {
+        padding: "5px 12px", background: "#db2777", color: "#fff",
+        border: "none", borderRadius: 6, cursor: "pointer",
+        fontSize: 11, fontWeight: 600,
+    },
+};
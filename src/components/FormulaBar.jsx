@@ -0,0 +1,248 @@
+/**
+ * FormulaBar.jsx
+ *
+ * Name box + formula input between the Toolbar and the grid.
+ *
+ *   [ B3  Revenue_Q3 ] fx [ =TaxRate * Revenue_Q1          ] = 2.1
+ *
+ * NAME BOX:
+ *   Shows the selected cell's A1 address and its header token
+ *   (Column_Row, Column_N or A_Row — whichever the sheet's headers allow).
+ *   Type an address (C7, B2:D4), a header token (Revenue_Q1,
+ *   Revenue_Q1:Revenue_Q4) or a named range of this sheet and press Enter
+ *   to jump there.
+ *
+ * FORMULA INPUT:
+ *   Shows the raw cell content — formulas in their header-name form, as
+ *   SheetGrid reports them from originalFormulasRef. Enter writes the text
+ *   back with setDataAtCell, so it goes through the grid's normal
+ *   beforeChange (translation) / afterChange (save + audit) path.
+ *   Escape restores the cell content and returns focus to the grid.
+ *   Cells of typed columns (utils/columnTypes) show the text their cell
+ *   editor would, so committing it unchanged keeps the value.
+ *   Typing a formula opens FormulaSuggestions — functions (workbook
+ *   functions included), header tokens and named ranges, filtered by the
+ *   token at the caret. The candidates are WorkbookContainer's, the same
+ *   ones the grid's cell editor uses.
+ *
+ * Like Toolbar, it commands the HotTable instance directly via hotRef.
+ * The selection itself comes from SheetGrid's onSelectionChange.
+ */
+
+import { createElement, useState, useEffect, useMemo, useRef } from "react";
+import { CSS } from "../utils/constants";
+import { colIndexToLetter, parseA1Range } from "../utils/helpers";
+import { isTypedColumn, editorText } from "../utils/columnTypes";
+import { createHeaderResolver, formatHeaderToken } from "../utils/formulaTranslator";
+import { CARET_KEYS } from "../utils/formulaSuggestions";
+import { useFormulaAutocomplete } from "../hooks/useFormulaAutocomplete";
+import { FormulaSuggestions } from "./FormulaSuggestions";
+
+export function FormulaBar({ hotRef, sheet, selection, isEditable, candidates = null }) {
+    const [draft, setDraft]         = useState("");
+    const [nameDraft, setNameDraft] = useState(null);   // null = name box not being edited
+    const [nameError, setNameError] = useState("");
+    // Enter / Escape blur the input themselves — that blur must not commit again
+    const skipBlurRef               = useRef(false);
+    const inputRef                  = useRef(null);
+    // Caret position to restore after a suggestion rewrote the draft
+    const pendingCaretRef           = useRef(null);
+
+    const headerResolver = useMemo(
+        () => createHeaderResolver(sheet.columns, sheet.rowLabels),
+        [sheet.columns, sheet.rowLabels]
+    );
+
+    const autocomplete = useFormulaAutocomplete(candidates, (text, caret) => {
+        pendingCaretRef.current = caret;
+        setDraft(text);
+    });
+
+    // Typed columns show the value as it is typed (25%, 9:30 PM)
+    const column   = selection ? sheet.columns?.[selection.col] : null;
+    const raw      = !selection ? "" : isTypedColumn(column) ? editorText(column, selection.raw) : toText(selection.raw);
+    const canEdit  = !!selection && isEditable && !selection.readOnly;
+    const isDirty  = !!selection && draft !== raw;
+
+    // New selection or the cell changed underneath → show the current content
+    useEffect(() => {
+        setDraft(raw);
+        autocomplete.close();
+    }, [raw, selection?.row, selection?.col]); // eslint-disable-line react-hooks/exhaustive-deps
+
+    // Suggestions for the token at the input's caret
+    const suggest = (input) => {
+        if (!canEdit) return;
+        autocomplete.update(input.value, input.selectionStart, input.getBoundingClientRect());
+    };
+
+    // After a suggestion was accepted: put the caret behind it and look again
+    // (accepting SUM( lists the header tokens for its first argument)
+    useEffect(() => {
+        const input = inputRef.current;
+        const caret = pendingCaretRef.current;
+        if (!input || caret === null) return;
+        pendingCaretRef.current = null;
+        input.setSelectionRange(caret, caret);
+        suggest(input);
+    }, [draft]); // eslint-disable-line react-hooks/exhaustive-deps
+
+    const address = selection ? `${colIndexToLetter(selection.col)}${selection.row + 1}` : "";
+    const token   = selection ? headerToken(sheet, headerResolver, selection.row, selection.col) : "";
+
+    const getHot = () => hotRef?.current?.hotInstance ?? null;
+
+    // ── Formula input ─────────────────────────────────────────────────────
+    const commit = () => {
+        const hot = getHot();
+        if (!hot || !canEdit || !isDirty) return;
+        const visualRow = hot.toVisualRow(selection.row);
+        hot.setDataAtCell(visualRow, selection.col, draft === "" ? null : draft, "edit");
+        hot.selectCell(visualRow, selection.col);
+    };
+
+    const handleFormulaKeyDown = (e) => {
+        if (autocomplete.handleKey(e.key)) { e.preventDefault(); return; }
+        if (e.key !== "Enter" && e.key !== "Escape") return;
+        e.preventDefault();
+        if (e.key === "Enter") commit();
+        else setDraft(raw);
+        skipBlurRef.current = true;
+        e.target.blur();
+        getHot()?.listen();
+    };
+
+    const handleFormulaBlur = () => {
+        autocomplete.close();
+        if (skipBlurRef.current) { skipBlurRef.current = false; return; }
+        commit();
+    };
+
+    // ── Name box ──────────────────────────────────────────────────────────
+    const jump = () => {
+        const hot    = getHot();
+        const target = resolveTarget(nameDraft, headerResolver, sheet.namedRanges);
+        if (!hot || !target) {
+            setNameError(`"${(nameDraft || "").trim()}" is not a cell, header reference or named range on this sheet`);
+            return false;
+        }
+        const lastRow = hot.countRows() - 1;
+        const lastCol = hot.countCols() - 1;
+        if (target.r1 > lastRow || target.c1 > lastCol) {
+            setNameError(`${(nameDraft || "").trim()} is outside the sheet`);
+            return false;
+        }
+        hot.selectCell(
+            hot.toVisualRow(target.r1), target.c1,
+            hot.toVisualRow(Math.min(target.r2, lastRow)), Math.min(target.c2, lastCol)
+        );
+        return true;
+    };
+
+    const handleNameKeyDown = (e) => {
+        if (e.key !== "Enter" && e.key !== "Escape") return;
+        e.preventDefault();
+        if (e.key === "Enter" && !jump()) return;   // keep the typed text and the error visible
+        e.target.blur();
+        getHot()?.listen();
+    };
+
+    return (
+        <div className={CSS.FORMULA_BAR}>
+
+            <div className={["eww-formula-bar__name", nameError ? "eww-formula-bar__name--error" : ""].filter(Boolean).join(" ")} title={nameError || "Type an address, header reference or name and press Enter"}>
+                <input
+                    className="eww-formula-bar__name-input"
+                    value={nameDraft ?? address}
+                    placeholder="A1"
+                    aria-label="Name box"
+                    onFocus={e => { getHot()?.unlisten(); setNameDraft(address); e.target.select(); }}
+                    onChange={e => { setNameDraft(e.target.value); setNameError(""); }}
+                    onBlur={() => { setNameDraft(null); setNameError(""); }}
+                    onKeyDown={handleNameKeyDown}
+                    spellCheck={false}
+                />
+                {token && nameDraft === null && (
+                    <span className="eww-formula-bar__token">{token}</span>
+                )}
+            </div>
+
+            <span className="eww-formula-bar__fx">fx</span>
+
+            <input
+                ref={inputRef}
+                className="eww-formula-bar__input"
+                value={draft}
+                readOnly={!canEdit}
+                placeholder={selection ? "" : "Select a cell"}
+                aria-label="Formula"
+                onFocus={() => getHot()?.unlisten()}
+                onChange={e => { setDraft(e.target.value); suggest(e.target); }}
+                onClick={e => suggest(e.target)}
+                onKeyUp={e => { if (CARET_KEYS.has(e.key)) suggest(e.target); }}
+                onBlur={handleFormulaBlur}
+                onKeyDown={handleFormulaKeyDown}
+                spellCheck={false}
+            />
+
+            <FormulaSuggestions
+                popup={autocomplete.popup}
+                onPick={autocomplete.pick}
+                onHighlight={autocomplete.highlight}
+            />
+
+            {selection && isFormula(raw) && (
+                <span className="eww-formula-bar__value" title="Calculated value">
+                    = {toText(selection.value)}
+                </span>
+            )}
+
+        </div>
+    );
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function toText(value) {
+    if (value === null || value === undefined) return "";
+    return String(value);
+}
+
+function isFormula(value) {
+    return typeof value === "string" && value.startsWith("=");
+}
+
+// Preferred header token for a cell, written as formulas accept it
+// ([Net Revenue]_[Q1 2025]). Only a token that leads back to this cell is
+// shown — a repeated header or label resolves to its first occurrence.
+function headerToken(sheet, headerResolver, row, col) {
+    const colHeader = String(sheet.columns?.[col]?.header ?? "").trim();
+    const rowLabel  = String(sheet.rowLabels?.[row] ?? "").trim();
+    const ref       = `${colIndexToLetter(col)}${row + 1}`;
+    const candidates = [
+        colHeader && rowLabel ? formatHeaderToken(colHeader, rowLabel) : "",
+        colHeader ? formatHeaderToken(colHeader, String(row + 1)) : "",
+        rowLabel ? formatHeaderToken(colIndexToLetter(col), rowLabel) : "",
+    ];
+    return candidates.find(token => token && headerResolver.get(token) === ref) || "";
+}
+
+// "C7", "B2:D4", "Revenue_Q1", "Revenue_Q1:Revenue_Q4" or a named range
+// → { r1, c1, r2, c2 } (data coordinates), or null
+function resolveTarget(text, headerResolver, namedRanges = []) {
+    const input = String(text ?? "").trim();
+    if (!input) return null;
+
+    const a1 = parseA1Range(input);
+    if (a1) return a1;
+
+    const parts = input.split(":").map(part => headerResolver.get(part.trim()));
+    if (parts.length <= 2 && parts.every(Boolean)) return parseA1Range(parts.join(":"));
+
+    const named = namedRanges.find(r => r.name.toLowerCase() === input.toLowerCase());
+    if (named && named.refersTo.trim().toLowerCase() !== input.toLowerCase()) {
+        return resolveTarget(named.refersTo.replace(/^=/, ""), headerResolver, []);
+    }
+
+    return null;
+}
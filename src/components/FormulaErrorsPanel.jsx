@@ -0,0 +1,166 @@
+/**
+ * FormulaErrorsPanel.jsx
+ *
+ * Lists every cell of the active sheet whose formula evaluates to an error,
+ * with the explanation from utils/formulaErrors:
+ *
+ *   B4   #NAME?   =SUM(Revnue_Q1, 5)
+ *        "Revnue_Q1" is not a known header; did you mean "Revenue_Q1"?
+ *
+ * Clicking an entry selects that cell in the grid. Unlike the settings
+ * panels there is no backdrop, so the grid stays visible and usable while
+ * working through the list. The list itself comes from SheetGrid
+ * (onFormulaErrorsChange) and updates after every recalculation.
+ *
+ * No JSX fragments — Mendix compatibility.
+ */
+
+import { createElement } from "react";
+
+export function FormulaErrorsPanel({ sheetName, errors = [], onSelectError, onClose }) {
+    const sorted = [...errors].sort((a, b) => a.row - b.row || a.col - b.col);
+
+    return (
+        <div style={S.panel}>
+
+            {/* Header */}
+            <div style={S.header}>
+                <div style={S.headerLeft}>
+                    <div style={S.headerIcon}>
+                        <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                            <path d="M8 1.5l6.5 12H1.5L8 1.5z" fill="#dc2626" opacity="0.25"/>
+                            <path d="M8 6v3.5M8 11.5v.5" stroke="#dc2626" strokeWidth="1.6" strokeLinecap="round"/>
+                        </svg>
+                    </div>
+                    <div>
+                        <div style={S.headerTitle}>Formula Errors</div>
+                        <div style={S.headerSub}>{sheetName} · click an entry to go to the cell</div>
+                    </div>
+                </div>
+                <button onClick={onClose} style={S.closeBtn} title="Close">
+                    <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+                        <path d="M1 1l12 12M13 1L1 13" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round"/>
+                    </svg>
+                </button>
+            </div>
+
+            {/* Count bar */}
+            <div style={S.countBar}>
+                <span style={S.countPill}>
+                    {sorted.length} {sorted.length === 1 ? "error" : "errors"}
+                </span>
+            </div>
+
+            {/* List */}
+            <div style={S.list}>
+                {sorted.length === 0 && (
+                    <div style={S.empty}>
+                        <div style={S.emptyIcon}>✓</div>
+                        <div style={S.emptyTitle}>No formula errors</div>
+                        <div style={S.emptyDesc}>Every formula on this sheet calculates.</div>
+                    </div>
+                )}
+
+                {sorted.map(error => (
+                    <button
+                        key={`${error.row}_${error.col}`}
+                        style={R.item}
+                        onClick={() => onSelectError(error)}
+                        title={error.description}
+                    >
+                        <div style={R.row}>
+                            <span style={R.address}>{error.address}</span>
+                            <span style={R.code}>{error.code}</span>
+                            <span style={R.formula}>{String(error.formula ?? "")}</span>
+                        </div>
+                        <div style={R.cause}>
+                            {error.causes.length > 0 ? error.causes.join(" ") : error.description}
+                        </div>
+                    </button>
+                ))}
+            </div>
+
+        </div>
+    );
+}
+
+// ─── Styles ───────────────────────────────────────────────────────────────────
+
+const S = {
+    panel: {
+        position: "fixed",
+        top: 56, right: 16,
+        width: 400,
+        maxHeight: "calc(100vh - 80px)",
+        background: "#ffffff",
+        borderRadius: 12,
+        boxShadow: "0 20px 60px rgba(15,23,42,0.18), 0 4px 16px rgba(15,23,42,0.08)",
+        border: "1px solid rgba(226,232,240,0.8)",
+        display: "flex", flexDirection: "column",
+        overflow: "hidden",
+        zIndex: 9999,
+        animation: "eww-slideIn 0.2s cubic-bezier(0.16,1,0.3,1)",
+    },
+    header: {
+        display: "flex", alignItems: "center", justifyContent: "space-between",
+        padding: "16px 18px", borderBottom: "1px solid #f1f5f9",
+        background: "linear-gradient(135deg, #fef2f2 0%, #fff5f5 100%)",
+        flexShrink: 0,
+    },
+    headerLeft:  { display: "flex", alignItems: "center", gap: 12 },
+    headerIcon:  {
+        width: 36, height: 36, background: "#fee2e2",
+        borderRadius: 8, border: "1px solid #fecaca",
+        display: "flex", alignItems: "center", justifyContent: "center", flexShrink: 0,
+    },
+    headerTitle: { fontSize: 14, fontWeight: 700, color: "#0f172a", letterSpacing: "-0.01em" },
+    headerSub:   { fontSize: 11, color: "#94a3b8", marginTop: 1 },
+    closeBtn: {
+        width: 28, height: 28, background: "#f1f5f9",
+        border: "1px solid #e2e8f0", borderRadius: 6, cursor: "pointer",
+        display: "flex", alignItems: "center", justifyContent: "center",
+        color: "#64748b", flexShrink: 0,
+    },
+    countBar: {
+        display: "flex", alignItems: "center", gap: 10,
+        padding: "10px 18px", borderBottom: "1px solid #f1f5f9",
+        background: "#fafbfc", flexShrink: 0,
+    },
+    countPill: {
+        display: "inline-flex", alignItems: "center",
+        padding: "3px 10px", background: "#fee2e2",
+        color: "#dc2626", border: "1px solid #fecaca",
+        borderRadius: 20, fontSize: 11, fontWeight: 700,
+    },
+    list: { overflowY: "auto", flex: 1 },
+    empty: {
+        display: "flex", flexDirection: "column",
+        alignItems: "center", justifyContent: "center",
+        padding: "36px 24px", textAlign: "center", gap: 8,
+    },
+    emptyIcon:  { fontSize: 28, color: "#16a34a", marginBottom: 4 },
+    emptyTitle: { fontSize: 14, fontWeight: 600, color: "#334155" },
+    emptyDesc:  { fontSize: 12, color: "#94a3b8", lineHeight: 1.6, maxWidth: 280 },
+};
+
+const R = {
+    item: {
+        display: "block", width: "100%", textAlign: "left",
+        padding: "8px 14px", background: "#fff",
+        border: "none", borderBottom: "1px solid #f8fafc",
+        cursor: "pointer", fontFamily: "inherit",
+    },
+    row:     { display: "flex", alignItems: "center", gap: 8 },
+    address: { fontSize: 12, fontWeight: 700, color: "#0f172a", minWidth: 36 },
+    code: {
+        fontSize: 10, fontWeight: 700, padding: "2px 6px",
+        background: "#fef2f2", color: "#b91c1c",
+        border: "1px solid #fecaca", borderRadius: 10, flexShrink: 0,
+    },
+    formula: {
+        flex: 1, minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap",
+        fontSize: 12, color: "#475569",
+        fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace",
+    },
+    cause: { fontSize: 11, color: "#64748b", lineHeight: 1.5, padding: "4px 0 0 44px" },
+};
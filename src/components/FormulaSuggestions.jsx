@@ -0,0 +1,82 @@
+/**
+ * FormulaSuggestions.jsx
+ *
+ * Autocomplete popup for formulas — rendered by FormulaBar (under the
+ * formula input) and SheetGrid (under the cell editor).
+ *
+ *   ┌───────────────────────────────────────────┐
+ *   │ H  Revenue_Q1                          A1 │
+ *   │ N  TaxRate                           0.21 │
+ *   │ ƒ  SUM(number1, [number2], …)             │
+ *   │    Adds all the numbers.                  │
+ *   └───────────────────────────────────────────┘
+ *
+ * Items are picked on mousedown (preventDefault) so the input or editor
+ * never loses focus. State comes from useFormulaAutocomplete.
+ */
+
+import { createElement, useEffect, useRef } from "react";
+import { SUGGESTION_KIND } from "../utils/formulaSuggestions";
+
+const KIND_BADGE = {
+    [SUGGESTION_KIND.FUNCTION]: "ƒ",
+    [SUGGESTION_KIND.HEADER]:   "H",
+    [SUGGESTION_KIND.NAME]:     "N",
+};
+
+const KIND_TITLE = {
+    [SUGGESTION_KIND.FUNCTION]: "Function",
+    [SUGGESTION_KIND.HEADER]:   "Header reference",
+    [SUGGESTION_KIND.NAME]:     "Named range",
+};
+
+export function FormulaSuggestions({ popup, onPick, onHighlight }) {
+    const listRef = useRef(null);
+
+    // Keep the highlighted item in view while arrowing through the list
+    useEffect(() => {
+        const item = listRef.current?.children?.[popup?.activeIndex ?? -1];
+        item?.scrollIntoView?.({ block: "nearest" });
+    }, [popup?.activeIndex]);
+
+    if (!popup || !popup.rect) return null;
+
+    // Open above the anchor when there is no room below
+    const below = window.innerHeight - popup.rect.bottom > 200 || popup.rect.top < 200;
+    const position = below
+        ? { top: popup.rect.bottom + 2, left: popup.rect.left }
+        : { bottom: window.innerHeight - popup.rect.top + 2, left: popup.rect.left };
+
+    return (
+        <div ref={listRef} className="eww-formula-suggest" style={position} role="listbox">
+            {popup.items.map((item, index) => (
+                <div
+                    key={`${item.kind}:${item.label}`}
+                    className={["eww-formula-suggest__item", index === popup.activeIndex ? "eww-formula-suggest__item--active" : ""].filter(Boolean).join(" ")}
+                    role="option"
+                    aria-selected={index === popup.activeIndex}
+                    onMouseDown={e => { e.preventDefault(); onPick(index); }}
+                    onMouseEnter={() => onHighlight(index)}
+                >
+                    <span
+                        className={`eww-formula-suggest__kind eww-formula-suggest__kind--${item.kind}`}
+                        title={KIND_TITLE[item.kind]}
+                    >
+                        {KIND_BADGE[item.kind]}
+                    </span>
+                    <div className="eww-formula-suggest__body">
+                        <span className="eww-formula-suggest__label">
+                            {item.kind === SUGGESTION_KIND.FUNCTION ? item.detail : item.label}
+                        </span>
+                        {item.kind !== SUGGESTION_KIND.FUNCTION && item.detail && (
+                            <span className="eww-formula-suggest__detail">{item.detail}</span>
+                        )}
+                        {item.description && (
+                            <div className="eww-formula-suggest__description">{item.description}</div>
+                        )}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
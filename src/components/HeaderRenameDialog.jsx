@@ -0,0 +1,130 @@
+/**
+ * HeaderRenameDialog.jsx
+ *
+ * Confirmation shown before a column header or row label rename that
+ * rewrites formulas (utils/headerRename). Lists the affected cells, named
+ * ranges and conditional formatting rules with their formula before and after:
+ *
+ *   Rename column "Revenue" to "Sales"?
+ *   B4   =SUM(Revenue_Q1:Revenue_Q4)  →  =SUM(Sales_Q1:Sales_Q4)
+ *   Summary!C2  =Budget!Revenue_Q1    →  =Budget!Sales_Q1
+ *
+ * Cancel keeps the old name and leaves every formula untouched.
+ *
+ * No JSX fragments — Mendix compatibility.
+ */
+
+import { createElement } from "react";
+import { RENAME_EDIT_KIND } from "../utils/headerRename";
+
+const MAX_LISTED_EDITS = 8;
+
+export function HeaderRenameDialog({ title, sheetName, edits = [], onConfirm, onCancel }) {
+    const cells  = edits.filter(edit => edit.kind === RENAME_EDIT_KIND.CELL).length;
+    const names  = edits.filter(edit => edit.kind === RENAME_EDIT_KIND.NAME).length;
+    const rules  = new Set(edits.filter(edit => edit.kind === RENAME_EDIT_KIND.RULE).map(edit => `${edit.sheetName}:${edit.index}`)).size;
+    const checks = new Set(edits.filter(edit => edit.kind === RENAME_EDIT_KIND.VALIDATION).map(edit => `${edit.sheetName}:${edit.index}`)).size;
+    const lists  = edits.filter(edit => edit.kind === RENAME_EDIT_KIND.DROPDOWN).length;
+    const listed = edits.slice(0, MAX_LISTED_EDITS);
+
+    const summary = [
+        cells > 0 ? `${cells} ${cells === 1 ? "formula" : "formulas"}` : "",
+        names > 0 ? `${names} named ${names === 1 ? "range" : "ranges"}` : "",
+        rules > 0 ? `${rules} formatting ${rules === 1 ? "rule" : "rules"}` : "",
+        checks > 0 ? `${checks} validation ${checks === 1 ? "rule" : "rules"}` : "",
+        lists > 0 ? `${lists} dropdown option ${lists === 1 ? "range" : "ranges"}` : "",
+    ].filter(Boolean).join(" and ");
+
+    const where = (edit) => {
+        const label = edit.kind === RENAME_EDIT_KIND.CELL ? edit.address : edit.name;
+        return edit.sheetName === sheetName ? label : `${edit.sheetName}!${label}`;
+    };
+
+    return (
+        <div style={{ display: "contents" }}>
+            <div style={S.backdrop} onClick={onCancel} />
+            <div style={S.dialog} role="alertdialog" aria-label={title}>
+                <div style={S.title}>{title}</div>
+                <div style={S.text}>
+                    {summary} {edits.length === 1 ? "uses" : "use"} the old name and will be updated:
+                </div>
+
+                <div style={S.list}>
+                    {listed.map(edit => (
+                        <div key={`${edit.sheetName}:${edit.kind}:${where(edit)}`} style={S.item}>
+                            <span style={S.where}>{where(edit)}</span>
+                            <div style={S.change}>
+                                <span style={S.before}>{edit.before}</span>
+                                <span style={S.arrow}>→</span>
+                                <span style={S.after}>{edit.after}</span>
+                            </div>
+                        </div>
+                    ))}
+                    {edits.length > listed.length && (
+                        <div style={S.more}>…and {edits.length - listed.length} more</div>
+                    )}
+                </div>
+
+                <div style={S.footer}>
+                    <button type="button" style={S.cancelBtn} onClick={onCancel}>Cancel</button>
+                    <button type="button" style={S.confirmBtn} onClick={onConfirm}>
+                        Rename and update {summary}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// ─── Styles ───────────────────────────────────────────────────────────────────
+
+const MONO = "ui-monospace, SFMono-Regular, Menlo, monospace";
+
+const S = {
+    backdrop: {
+        position: "fixed", inset: 0,
+        background: "rgba(15,23,42,0.3)",
+        backdropFilter: "blur(2px)",
+        zIndex: 10000,
+    },
+    dialog: {
+        position: "fixed", top: "50%", left: "50%",
+        transform: "translate(-50%, -50%)",
+        width: 480, maxHeight: "calc(100vh - 80px)",
+        display: "flex", flexDirection: "column",
+        background: "#ffffff", borderRadius: 12,
+        boxShadow: "0 20px 60px rgba(15,23,42,0.18), 0 4px 16px rgba(15,23,42,0.08)",
+        border: "1px solid rgba(226,232,240,0.8)",
+        padding: "18px 18px 14px", zIndex: 10001,
+    },
+    title:  { fontSize: 14, fontWeight: 700, color: "#0f172a", marginBottom: 8, wordBreak: "break-word" },
+    text:   { fontSize: 12, color: "#475569", lineHeight: 1.5, marginBottom: 10 },
+    list: {
+        overflowY: "auto", marginBottom: 16,
+        border: "1px solid #f1f5f9", borderRadius: 8, background: "#fafbfc",
+    },
+    item:   { padding: "6px 10px", borderBottom: "1px solid #f1f5f9" },
+    where:  { fontSize: 11, fontWeight: 700, color: "#334155" },
+    change: { display: "flex", alignItems: "center", gap: 6, marginTop: 2, minWidth: 0 },
+    before: {
+        flex: 1, minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap",
+        fontSize: 11, color: "#94a3b8", fontFamily: MONO, textDecoration: "line-through",
+    },
+    arrow:  { fontSize: 11, color: "#94a3b8", flexShrink: 0 },
+    after: {
+        flex: 1, minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap",
+        fontSize: 11, color: "#0f172a", fontFamily: MONO,
+    },
+    more:   { padding: "6px 10px", fontSize: 11, color: "#94a3b8" },
+    footer: { display: "flex", justifyContent: "flex-end", gap: 8 },
+    cancelBtn: {
+        padding: "7px 14px", background: "#fff", color: "#475569",
+        border: "1px solid #e2e8f0", borderRadius: 6, cursor: "pointer",
+        fontSize: 12, fontWeight: 600,
+    },
+    confirmBtn: {
+        padding: "7px 16px", background: "#2563eb", color: "#fff",
+        border: "none", borderRadius: 6, cursor: "pointer",
+        fontSize: 12, fontWeight: 600,
+    },
+};
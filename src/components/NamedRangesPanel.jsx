@@ -0,0 +1,402 @@
+/**
+ * NamedRangesPanel.jsx
+ *
+ * Admin panel for named ranges and named constants (=TaxRate * Revenue_Q1).
+ * Names are stored on the sheet (sheetJson.namedRanges) and registered in
+ * HyperFormula by useHyperformula — see utils/namedRanges.js.
+ *
+ * Workbook-scoped names defined on other sheets are listed read-only;
+ * they are edited from the sheet that owns them.
+ *
+ * Renaming, narrowing to sheet scope or deleting a name that formulas still
+ * use asks for confirmation and lists those cells first.
+ *
+ * No JSX fragments — Mendix compatibility.
+ */
+
+import { createElement, useState } from "react";
+import { DEFAULT_NAMED_RANGE, NAMED_RANGE_SCOPE } from "../utils/constants";
+import { validateRangeName } from "../utils/namedRanges";
+
+const MAX_LISTED_USAGES = 5;
+
+export function NamedRangesPanel({
+    sheet, isAdmin, externalNames = [],
+    findUsages, onSaveName, onDeleteName, onClose,
+}) {
+    const [isAdding, setIsAdding] = useState(false);
+
+    if (!isAdmin || !sheet) return null;
+
+    const namedRanges = sheet.namedRanges || [];
+    const total       = namedRanges.length + externalNames.length;
+
+    // Names a draft may not reuse, for the scope it is being saved in
+    const takenNames = (scope, skipIndex) => {
+        const own = namedRanges.filter((r, i) => i !== skipIndex && r.scope === scope).map(r => r.name);
+        return scope === NAMED_RANGE_SCOPE.WORKBOOK ? [...own, ...externalNames.map(r => r.name)] : own;
+    };
+
+    return (
+        <div style={{ display: "contents" }}>
+
+            {/* Backdrop */}
+            <div style={S.backdrop} onClick={onClose} />
+
+            {/* Panel */}
+            <div style={S.panel}>
+
+                {/* Header */}
+                <div style={S.header}>
+                    <div style={S.headerLeft}>
+                        <div style={S.headerIcon}>
+                            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                                <path d="M2 3h7l5 5-5 5H2V3z" fill="#7c3aed" opacity="0.35"/>
+                                <circle cx="5.5" cy="8" r="1.5" fill="#7c3aed"/>
+                            </svg>
+                        </div>
+                        <div>
+                            <div style={S.headerTitle}>Named Ranges</div>
+                            <div style={S.headerSub}>{sheet.sheetName} · Admin only</div>
+                        </div>
+                    </div>
+                    <button onClick={onClose} style={S.closeBtn} title="Close">
+                        <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+                            <path d="M1 1l12 12M13 1L1 13" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round"/>
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Info bar */}
+                <div style={S.infoBar}>
+                    <svg width="14" height="14" viewBox="0 0 14 14" fill="none" style={{ flexShrink: 0, marginTop: 1 }}>
+                        <circle cx="7" cy="7" r="6" stroke="#7c3aed" strokeWidth="1.5"/>
+                        <path d="M7 6v4M7 4.5v.5" stroke="#7c3aed" strokeWidth="1.5" strokeLinecap="round"/>
+                    </svg>
+                    <span>
+                        Name a cell (B2), a range (Revenue_Q1:Revenue_Q4) or a constant (0.21, ="EUR"),
+                        then use it in formulas: =TaxRate * Revenue_Q1, =SUM(Q1Sales).
+                    </span>
+                </div>
+
+                {/* Count bar */}
+                <div style={S.countBar}>
+                    <span style={S.countPill}>
+                        {total} {total === 1 ? "name" : "names"}
+                    </span>
+                    <span style={S.countHint}>
+                        {namedRanges.length} on this sheet
+                    </span>
+                </div>
+
+                {/* List */}
+                <div style={S.list}>
+                    {total === 0 && !isAdding && (
+                        <div style={S.empty}>
+                            <div style={S.emptyIcon}>🏷</div>
+                            <div style={S.emptyTitle}>No names yet</div>
+                            <div style={S.emptyDesc}>
+                                Give cells, ranges and constants a name so formulas read
+                                like =TaxRate * Revenue_Q1 instead of =$B$1 * A1.
+                            </div>
+                        </div>
+                    )}
+
+                    {namedRanges.map((range, index) => (
+                        <NamedRangeItem
+                            key={`${index}-${range.name}`}
+                            range={range}
+                            takenNames={takenNames}
+                            index={index}
+                            sheetName={sheet.sheetName}
+                            findUsages={findUsages}
+                            onSave={(updated) => onSaveName(index, updated)}
+                            onDelete={() => onDeleteName(index)}
+                        />
+                    ))}
+
+                    {isAdding && (
+                        <NamedRangeItem
+                            isNew
+                            range={DEFAULT_NAMED_RANGE}
+                            takenNames={takenNames}
+                            index={-1}
+                            sheetName={sheet.sheetName}
+                            findUsages={findUsages}
+                            onSave={(created) => { onSaveName(null, created); setIsAdding(false); }}
+                            onDelete={() => setIsAdding(false)}
+                        />
+                    )}
+
+                    {externalNames.length > 0 && (
+                        <div style={S.sectionLabel}>Workbook names from other sheets</div>
+                    )}
+                    {externalNames.map(range => (
+                        <div key={`${range.sheetName}-${range.name}`} style={R.readOnlyRow} title={`Edit on sheet "${range.sheetName}"`}>
+                            <span style={R.readOnlyName}>{range.name}</span>
+                            <span style={R.readOnlyRefers}>{range.refersTo}</span>
+                            <span style={R.readOnlySheet}>{range.sheetName}</span>
+                        </div>
+                    ))}
+                </div>
+
+                {/* Footer */}
+                <div style={S.footer}>
+                    <button style={{ ...S.addBtn, opacity: isAdding ? 0.6 : 1 }} onClick={() => setIsAdding(true)} disabled={isAdding}>
+                        <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+                            <path d="M7 1v12M1 7h12" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                        </svg>
+                        Add Name
+                    </button>
+                </div>
+
+            </div>
+        </div>
+    );
+}
+
+function NamedRangeItem({ isNew, range, index, takenNames, sheetName, findUsages, onSave, onDelete }) {
+    const [draft, setDraft]     = useState(range);
+    const [confirm, setConfirm] = useState(null);   // { action: "save" | "delete", usages }
+
+    const set     = (property, value) => { setConfirm(null); setDraft(prev => ({ ...prev, [property]: value })); };
+    const isDirty = isNew || draft.name !== range.name || draft.refersTo !== range.refersTo || draft.scope !== range.scope;
+    const error   = isDirty ? validateRangeName(draft.name, takenNames(draft.scope, index)) : null;
+    const refersToMissing = isDirty && !String(draft.refersTo || "").trim();
+
+    // Formulas that stop resolving if this save / delete goes ahead
+    const brokenUsages = (action) => {
+        if (isNew) return [];
+        if (action === "delete" || draft.name.trim().toLowerCase() !== range.name.toLowerCase()) {
+            return findUsages(range.name, range.scope);
+        }
+        if (range.scope === NAMED_RANGE_SCOPE.WORKBOOK && draft.scope === NAMED_RANGE_SCOPE.SHEET) {
+            return findUsages(range.name, range.scope).filter(u => u.sheetName !== sheetName);
+        }
+        return [];
+    };
+
+    const run = (action) => {
+        if (action === "save") onSave({ ...draft, name: draft.name.trim(), refersTo: draft.refersTo.trim() });
+        else onDelete();
+        setConfirm(null);
+    };
+
+    const request = (action) => {
+        const usages = brokenUsages(action);
+        if (usages.length > 0) setConfirm({ action, usages });
+        else run(action);
+    };
+
+    return (
+        <div style={R.wrapper}>
+            <div style={R.row}>
+                <input
+                    value={draft.name}
+                    onChange={e => set("name", e.target.value)}
+                    placeholder="Name, e.g. TaxRate"
+                    style={{ ...R.nameInput, borderColor: error ? "#fca5a5" : "#e2e8f0" }}
+                    maxLength={80}
+                    type="text"
+                    autoFocus={isNew}
+                />
+                <select value={draft.scope} onChange={e => set("scope", e.target.value)} style={R.scopeSelect} title="Where the name can be used">
+                    <option value={NAMED_RANGE_SCOPE.WORKBOOK}>Workbook</option>
+                    <option value={NAMED_RANGE_SCOPE.SHEET}>This sheet</option>
+                </select>
+                <button onClick={() => (isNew ? onDelete() : request("delete"))} style={R.deleteBtn} title={isNew ? "Discard" : `Delete "${range.name}"`}>
+                    <svg width="12" height="12" viewBox="0 0 12 12" fill="none">
+                        <path d="M1 1l10 10M11 1L1 11" stroke="currentColor" strokeWidth="1.6" strokeLinecap="round"/>
+                    </svg>
+                </button>
+            </div>
+
+            <div style={R.row}>
+                <span style={R.equals}>=</span>
+                <input
+                    value={draft.refersTo}
+                    onChange={e => set("refersTo", e.target.value)}
+                    placeholder="B2, Revenue_Q1:Revenue_Q4 or 0.21"
+                    style={R.refersInput}
+                    type="text"
+                />
+            </div>
+
+            {error && <div style={R.error}>{error}</div>}
+
+            {confirm && (
+                <div style={R.warning}>
+                    <div>
+                        {confirm.action === "delete" ? "Deleting" : "Changing"} "{range.name}" breaks{" "}
+                        {confirm.usages.length} {confirm.usages.length === 1 ? "formula" : "formulas"}:{" "}
+                        {confirm.usages.slice(0, MAX_LISTED_USAGES).map(u => `${u.sheetName}!${u.address}`).join(", ")}
+                        {confirm.usages.length > MAX_LISTED_USAGES ? ", …" : ""}.
+                        They will show #NAME? until updated.
+                    </div>
+                    <div style={R.actions}>
+                        <button style={R.secondaryBtn} onClick={() => setConfirm(null)}>Cancel</button>
+                        <button style={R.dangerBtn} onClick={() => run(confirm.action)}>
+                            {confirm.action === "delete" ? "Delete anyway" : "Save anyway"}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {isDirty && !confirm && (
+                <div style={R.actions}>
+                    {!isNew && <button style={R.secondaryBtn} onClick={() => setDraft(range)}>Reset</button>}
+                    <button
+                        style={{ ...R.saveBtn, opacity: error || refersToMissing ? 0.5 : 1 }}
+                        disabled={!!error || refersToMissing}
+                        onClick={() => request("save")}
+                    >
+                        {isNew ? "Add" : "Save"}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// ─── Styles ───────────────────────────────────────────────────────────────────
+
+const S = {
+    backdrop: {
+        position: "fixed", inset: 0,
+        background: "rgba(15,23,42,0.3)",
+        backdropFilter: "blur(2px)",
+        zIndex: 9998,
+    },
+    panel: {
+        position: "fixed",
+        top: 56, right: 16,
+        width: 420,
+        maxHeight: "calc(100vh - 80px)",
+        background: "#ffffff",
+        borderRadius: 12,
+        boxShadow: "0 20px 60px rgba(15,23,42,0.18), 0 4px 16px rgba(15,23,42,0.08)",
+        border: "1px solid rgba(226,232,240,0.8)",
+        display: "flex", flexDirection: "column",
+        overflow: "hidden",
+        zIndex: 9999,
+        animation: "eww-slideIn 0.2s cubic-bezier(0.16,1,0.3,1)",
+    },
+    header: {
+        display: "flex", alignItems: "center", justifyContent: "space-between",
+        padding: "16px 18px", borderBottom: "1px solid #f1f5f9",
+        background: "linear-gradient(135deg, #faf5ff 0%, #f5f3ff 100%)",
+        flexShrink: 0,
+    },
+    headerLeft:  { display: "flex", alignItems: "center", gap: 12 },
+    headerIcon:  {
+        width: 36, height: 36, background: "#ede9fe",
+        borderRadius: 8, border: "1px solid #ddd6fe",
+        display: "flex", alignItems: "center", justifyContent: "center", flexShrink: 0,
+    },
+    headerTitle: { fontSize: 14, fontWeight: 700, color: "#0f172a", letterSpacing: "-0.01em" },
+    headerSub:   { fontSize: 11, color: "#94a3b8", marginTop: 1 },
+    closeBtn: {
+        width: 28, height: 28, background: "#f1f5f9",
+        border: "1px solid #e2e8f0", borderRadius: 6, cursor: "pointer",
+        display: "flex", alignItems: "center", justifyContent: "center",
+        color: "#64748b", flexShrink: 0,
+    },
+    infoBar: {
+        display: "flex", alignItems: "flex-start", gap: 8,
+        padding: "10px 18px", background: "#faf5ff",
+        borderBottom: "1px solid #ede9fe",
+        fontSize: 11, color: "#6d28d9", lineHeight: 1.6, flexShrink: 0,
+    },
+    countBar: {
+        display: "flex", alignItems: "center", gap: 10,
+        padding: "10px 18px", borderBottom: "1px solid #f1f5f9",
+        background: "#fafbfc", flexShrink: 0,
+    },
+    countPill: {
+        display: "inline-flex", alignItems: "center",
+        padding: "3px 10px", background: "#ede9fe",
+        color: "#7c3aed", border: "1px solid #ddd6fe",
+        borderRadius: 20, fontSize: 11, fontWeight: 700,
+    },
+    countHint: { fontSize: 11, color: "#94a3b8" },
+    list:      { overflowY: "auto", flex: 1 },
+    sectionLabel: {
+        padding: "10px 14px 4px", fontSize: 10, fontWeight: 700,
+        color: "#94a3b8", textTransform: "uppercase", letterSpacing: "0.05em",
+    },
+    empty: {
+        display: "flex", flexDirection: "column",
+        alignItems: "center", justifyContent: "center",
+        padding: "36px 24px", textAlign: "center", gap: 8,
+    },
+    emptyIcon:  { fontSize: 32, marginBottom: 4 },
+    emptyTitle: { fontSize: 14, fontWeight: 600, color: "#334155" },
+    emptyDesc:  { fontSize: 12, color: "#94a3b8", lineHeight: 1.6, maxWidth: 280 },
+    footer: {
+        padding: "14px 18px", borderTop: "1px solid #f1f5f9",
+        background: "#fafbfc", flexShrink: 0,
+    },
+    addBtn: {
+        display: "flex", alignItems: "center", justifyContent: "center", gap: 8,
+        width: "100%", padding: "10px 0",
+        background: "linear-gradient(135deg, #7c3aed 0%, #6d28d9 100%)",
+        color: "#fff", border: "none", borderRadius: 8, cursor: "pointer",
+        fontSize: 13, fontWeight: 600, letterSpacing: "0.01em",
+        boxShadow: "0 2px 8px rgba(124,58,237,0.3)",
+    },
+};
+
+const R = {
+    wrapper: { borderBottom: "1px solid #f8fafc", padding: "8px 14px" },
+    row:     { display: "flex", alignItems: "center", gap: 8, padding: "2px 0" },
+    nameInput: {
+        flex: 1, border: "1px solid #e2e8f0", borderRadius: 6,
+        padding: "6px 10px", fontSize: 13, fontWeight: 600, color: "#0f172a",
+        outline: "none", minWidth: 0, background: "#fff", fontFamily: "inherit",
+    },
+    scopeSelect: {
+        height: 30, padding: "0 6px", border: "1px solid #e2e8f0", borderRadius: 6,
+        fontSize: 12, background: "#fff", color: "#475569", flexShrink: 0,
+    },
+    equals: { width: 14, textAlign: "center", fontSize: 13, fontWeight: 700, color: "#a78bfa", flexShrink: 0 },
+    refersInput: {
+        flex: 1, border: "1px solid #e2e8f0", borderRadius: 6,
+        padding: "6px 10px", fontSize: 12, color: "#334155",
+        outline: "none", minWidth: 0, background: "#fff",
+        fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace",
+    },
+    deleteBtn: {
+        width: 28, height: 28, flexShrink: 0,
+        background: "#fff5f5", border: "1px solid #fecaca",
+        borderRadius: 6, cursor: "pointer",
+        display: "flex", alignItems: "center", justifyContent: "center", color: "#ef4444",
+    },
+    error:   { fontSize: 11, color: "#dc2626", padding: "4px 0 0 22px" },
+    warning: {
+        marginTop: 6, fontSize: 11, color: "#b45309", background: "#fffbeb",
+        border: "1px solid #fde68a", borderRadius: 6, padding: "8px 10px", lineHeight: 1.5,
+    },
+    actions: { display: "flex", justifyContent: "flex-end", gap: 6, marginTop: 6 },
+    secondaryBtn: {
+        padding: "5px 10px", background: "#fff", color: "#475569",
+        border: "1px solid #e2e8f0", borderRadius: 6, cursor: "pointer",
+        fontSize: 11, fontWeight: 600,
+    },
+    saveBtn: {
+        padding: "5px 12px", background: "#7c3aed", color: "#fff",
+        border: "none", borderRadius: 6, cursor: "pointer",
+        fontSize: 11, fontWeight: 600,
+    },
+    dangerBtn: {
+        padding: "5px 12px", background: "#dc2626", color: "#fff",
+        border: "none", borderRadius: 6, cursor: "pointer",
+        fontSize: 11, fontWeight: 600,
+    },
+    readOnlyRow: {
+        display: "flex", alignItems: "center", gap: 8,
+        padding: "6px 14px", fontSize: 12, color: "#64748b",
+    },
+    readOnlyName:   { fontWeight: 600, color: "#334155" },
+    readOnlyRefers: { flex: 1, minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap", fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace" },
+    readOnlySheet:  { fontSize: 10, padding: "2px 6px", background: "#f1f5f9", borderRadius: 10, flexShrink: 0 },
+};
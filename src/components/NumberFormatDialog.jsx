@@ -0,0 +1,179 @@
+/**
+ * NumberFormatDialog.jsx
+ *
+ * Custom number format code for the selected cells, opened from the
+ * toolbar's number format menu. Shows a live preview against the selected
+ * cell's value and a few fixed samples; the code is checked with
+ * validateNumberFormat before it can be applied.
+ *
+ * No JSX fragments — Mendix compatibility.
+ */
+
+import { createElement, useState } from "react";
+import { NUMBER_FORMAT_PRESETS } from "../utils/constants";
+import { formatNumber, validateNumberFormat } from "../utils/numberFormat";
+
+const SAMPLE_VALUES = [1234.567, -1234.567, 0, 0.125, "Text"];
+
+export function NumberFormatDialog({ code, cellValue, onConfirm, onCancel }) {
+    const [draft, setDraft] = useState(code || "#,##0.00");
+
+    const error   = validateNumberFormat(draft);
+    const samples = cellValue === null || cellValue === undefined || cellValue === ""
+        ? SAMPLE_VALUES
+        : [cellValue, ...SAMPLE_VALUES];
+
+    const confirm = () => {
+        if (!error) onConfirm(draft.trim());
+    };
+
+    return (
+        <div style={{ display: "contents" }}>
+
+            <div style={S.backdrop} onClick={onCancel} />
+
+            <div style={S.dialog} role="dialog" aria-label="Custom number format">
+
+                <div style={S.header}>
+                    <div style={S.headerTitle}>Custom number format</div>
+                    <div style={S.headerSub}>Only the displayed text changes — formulas keep using the value</div>
+                </div>
+
+                <div style={S.body}>
+
+                    <div style={S.fieldBlock}>
+                        <label style={S.label}>Format code</label>
+                        <input
+                            type="text"
+                            value={draft}
+                            autoFocus
+                            spellCheck={false}
+                            onChange={e => setDraft(e.target.value)}
+                            onKeyDown={e => {
+                                if (e.key === "Enter")  confirm();
+                                if (e.key === "Escape") onCancel();
+                            }}
+                            style={{ ...S.input, ...S.mono, borderColor: error ? "#fca5a5" : "#e2e8f0" }}
+                        />
+                        {error && <div style={S.error}>{error}</div>}
+                    </div>
+
+                    <div style={S.fieldBlock}>
+                        <label style={S.label}>Start from</label>
+                        <div style={S.presets}>
+                            {NUMBER_FORMAT_PRESETS.map(preset => (
+                                <button
+                                    key={preset.label}
+                                    type="button"
+                                    title={preset.code}
+                                    style={{ ...S.presetBtn, ...(preset.code === draft ? S.presetBtnActive : {}) }}
+                                    onClick={() => setDraft(preset.code)}
+                                >
+                                    {preset.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div style={S.fieldBlock}>
+                        <label style={S.label}>Preview</label>
+                        <div style={S.preview}>
+                            {samples.map((value, i) => {
+                                const shown = error ? null : formatNumber(value, draft);
+                                return (
+                                    <div key={i} style={S.previewRow}>
+                                        <span style={S.previewValue}>{i === 0 && samples.length > SAMPLE_VALUES.length ? "Selected cell" : String(value)}</span>
+                                        <span style={{ ...S.previewText, color: shown?.color || "#0f172a" }}>{shown ? shown.text : "—"}</span>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </div>
+
+                    <div style={S.hint}>
+                        Sections: positive;negative;zero;text. Use 0 # ? for digits, "," for thousands,
+                        "%" for percent, E+00 for scientific, [Red] for a colour and "text" for literals.
+                    </div>
+                </div>
+
+                <div style={S.footer}>
+                    <button type="button" style={S.cancelBtn} onClick={onCancel}>Cancel</button>
+                    <button type="button" style={{ ...S.primaryBtn, opacity: error ? 0.5 : 1 }} disabled={!!error} onClick={confirm}>
+                        Apply
+                    </button>
+                </div>
+
+            </div>
+        </div>
+    );
+}
+
+// ─── Styles ───────────────────────────────────────────────────────────────────
+
+const S = {
+    backdrop: {
+        position: "fixed", inset: 0,
+        background: "rgba(15,23,42,0.3)",
+        backdropFilter: "blur(2px)",
+        zIndex: 9998,
+    },
+    dialog: {
+        position: "fixed", top: "50%", left: "50%",
+        transform: "translate(-50%, -50%)",
+        width: 460, background: "#ffffff", borderRadius: 12,
+        boxShadow: "0 20px 60px rgba(15,23,42,0.18), 0 4px 16px rgba(15,23,42,0.08)",
+        border: "1px solid rgba(226,232,240,0.8)",
+        display: "flex", flexDirection: "column",
+        overflow: "hidden", zIndex: 9999,
+    },
+    header: {
+        padding: "16px 18px", borderBottom: "1px solid #f1f5f9",
+        background: "linear-gradient(135deg, #f8faff 0%, #f0f4ff 100%)",
+    },
+    headerTitle: { fontSize: 14, fontWeight: 700, color: "#0f172a", letterSpacing: "-0.01em" },
+    headerSub:   { fontSize: 11, color: "#94a3b8", marginTop: 1 },
+    body:        { padding: "14px 18px" },
+    fieldBlock:  { marginBottom: 12 },
+    label:       { display: "block", fontSize: 11, fontWeight: 600, color: "#475569", marginBottom: 6 },
+    input: {
+        width: "100%", height: 30, padding: "0 8px",
+        border: "1px solid #e2e8f0", borderRadius: 6,
+        fontSize: 12, outline: "none", background: "#fff",
+    },
+    mono:  { fontFamily: "Consolas, 'Courier New', monospace" },
+    error: { fontSize: 11, color: "#dc2626", marginTop: 4 },
+    presets: { display: "flex", flexWrap: "wrap", gap: 6 },
+    presetBtn: {
+        padding: "4px 9px", background: "#f8fafc", color: "#334155",
+        border: "1px solid #e2e8f0", borderRadius: 12, cursor: "pointer",
+        fontSize: 11, fontWeight: 500,
+    },
+    presetBtnActive: { background: "#eff6ff", borderColor: "#93c5fd", color: "#1d4ed8" },
+    preview: {
+        border: "1px solid #f1f5f9", borderRadius: 6,
+        background: "#fafbfc", padding: "4px 10px",
+    },
+    previewRow: {
+        display: "flex", justifyContent: "space-between", gap: 12,
+        fontSize: 12, padding: "3px 0",
+    },
+    previewValue: { color: "#94a3b8" },
+    previewText:  { fontFamily: "Consolas, 'Courier New', monospace", whiteSpace: "pre" },
+    hint: { fontSize: 11, color: "#94a3b8", lineHeight: 1.5 },
+    footer: {
+        display: "flex", justifyContent: "flex-end", gap: 8,
+        padding: "12px 18px", borderTop: "1px solid #f1f5f9", background: "#fafbfc",
+    },
+    cancelBtn: {
+        padding: "7px 14px", background: "#fff", color: "#475569",
+        border: "1px solid #e2e8f0", borderRadius: 6, cursor: "pointer",
+        fontSize: 12, fontWeight: 600,
+    },
+    primaryBtn: {
+        padding: "7px 16px",
+        background: "linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%)",
+        color: "#fff", border: "none", borderRadius: 6, cursor: "pointer",
+        fontSize: 12, fontWeight: 600,
+        boxShadow: "0 2px 8px rgba(37,99,235,0.3)",
+    },
+};
@@ -0,0 +1,186 @@
+/**
+ * PrintDialog.jsx
+ *
+ * Page setup shown by Toolbar before printing a sheet.
+ * The chosen options are handed to printService.printSheet, which opens
+ * the browser print dialog ("Save as PDF" there gives a PDF).
+ *
+ * Header / footer text accepts {sheet}, {date}, {page} and {pages}.
+ *
+ * No JSX fragments — Mendix compatibility.
+ */
+
+import { createElement, useState } from "react";
+import { DEFAULT_PRINT_OPTIONS, PRINT_PAPER_SIZES } from "../utils/constants";
+import { parseA1Range } from "../utils/helpers";
+
+export function PrintDialog({ sheetName, hasSelection, onConfirm, onCancel }) {
+    const [options, setOptions] = useState(DEFAULT_PRINT_OPTIONS);
+
+    const set = (property, value) => setOptions(prev => ({ ...prev, [property]: value }));
+
+    const customInvalid = options.area === "custom" && !parseA1Range(options.customRange);
+
+    return (
+        <div style={{ display: "contents" }}>
+
+            <div style={S.backdrop} onClick={onCancel} />
+
+            <div style={S.dialog} role="dialog" aria-label="Print sheet">
+
+                <div style={S.header}>
+                    <div style={S.headerTitle}>Print</div>
+                    <div style={S.headerSub}>{sheetName}</div>
+                </div>
+
+                <div style={S.body}>
+
+                    <div style={S.row}>
+                        <div style={S.field}>
+                            <label style={S.label}>Paper</label>
+                            <select value={options.paperSize} onChange={e => set("paperSize", e.target.value)} style={S.select}>
+                                {Object.keys(PRINT_PAPER_SIZES).map(key => (
+                                    <option key={key} value={key}>{PRINT_PAPER_SIZES[key].label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div style={S.field}>
+                            <label style={S.label}>Orientation</label>
+                            <select value={options.orientation} onChange={e => set("orientation", e.target.value)} style={S.select}>
+                                <option value="portrait">Portrait</option>
+                                <option value="landscape">Landscape</option>
+                            </select>
+                        </div>
+                    </div>
+
+                    <div style={S.fieldBlock}>
+                        <label style={S.label}>Print area</label>
+                        <label style={S.optionRow}>
+                            <input type="radio" name="eww-print-area" checked={options.area === "sheet"} onChange={() => set("area", "sheet")} />
+                            <span>Whole sheet</span>
+                        </label>
+                        <label style={{ ...S.optionRow, opacity: hasSelection ? 1 : 0.5 }}>
+                            <input type="radio" name="eww-print-area" checked={options.area === "selection"} disabled={!hasSelection} onChange={() => set("area", "selection")} />
+                            <span>Selected cells</span>
+                        </label>
+                        <label style={S.optionRow}>
+                            <input type="radio" name="eww-print-area" checked={options.area === "custom"} onChange={() => set("area", "custom")} />
+                            <span>Range</span>
+                            <input
+                                type="text"
+                                value={options.customRange}
+                                placeholder="A1:F40"
+                                onFocus={() => set("area", "custom")}
+                                onChange={e => set("customRange", e.target.value)}
+                                style={{ ...S.input, width: 110, borderColor: customInvalid ? "#fca5a5" : "#e2e8f0" }}
+                            />
+                        </label>
+                    </div>
+
+                    <div style={S.fieldBlock}>
+                        <label style={S.optionRow}>
+                            <input type="checkbox" checked={options.fitToWidth} onChange={e => set("fitToWidth", e.target.checked)} />
+                            <span>Fit all columns on one page width</span>
+                        </label>
+                        <label style={S.optionRow}>
+                            <input type="checkbox" checked={options.showHeaders} onChange={e => set("showHeaders", e.target.checked)} />
+                            <span>Print column headers and row labels on every page</span>
+                        </label>
+                        <label style={S.optionRow}>
+                            <span>Repeat the first</span>
+                            <input
+                                type="number" min={0} max={20}
+                                value={options.repeatRows}
+                                onChange={e => set("repeatRows", Math.max(0, Number(e.target.value) || 0))}
+                                style={{ ...S.input, width: 56 }}
+                            />
+                            <span>rows on every page</span>
+                        </label>
+                    </div>
+
+                    <div style={S.row}>
+                        <div style={S.field}>
+                            <label style={S.label}>Header</label>
+                            <input type="text" value={options.headerText} onChange={e => set("headerText", e.target.value)} style={S.input} />
+                        </div>
+                        <div style={S.field}>
+                            <label style={S.label}>Footer</label>
+                            <input type="text" value={options.footerText} onChange={e => set("footerText", e.target.value)} style={S.input} />
+                        </div>
+                    </div>
+                    <div style={S.hint}>Use {"{sheet}"}, {"{date}"}, {"{page}"} and {"{pages}"} in the header and footer.</div>
+                </div>
+
+                <div style={S.footer}>
+                    <button type="button" style={S.cancelBtn} onClick={onCancel}>Cancel</button>
+                    <button type="button" style={S.primaryBtn} disabled={customInvalid} onClick={() => onConfirm(options)}>
+                        Print
+                    </button>
+                </div>
+
+            </div>
+        </div>
+    );
+}
+
+// ─── Styles ───────────────────────────────────────────────────────────────────
+
+const S = {
+    backdrop: {
+        position: "fixed", inset: 0,
+        background: "rgba(15,23,42,0.3)",
+        backdropFilter: "blur(2px)",
+        zIndex: 9998,
+    },
+    dialog: {
+        position: "fixed", top: "50%", left: "50%",
+        transform: "translate(-50%, -50%)",
+        width: 460, background: "#ffffff", borderRadius: 12,
+        boxShadow: "0 20px 60px rgba(15,23,42,0.18), 0 4px 16px rgba(15,23,42,0.08)",
+        border: "1px solid rgba(226,232,240,0.8)",
+        display: "flex", flexDirection: "column",
+        overflow: "hidden", zIndex: 9999,
+    },
+    header: {
+        padding: "16px 18px", borderBottom: "1px solid #f1f5f9",
+        background: "linear-gradient(135deg, #f8faff 0%, #f0f4ff 100%)",
+    },
+    headerTitle: { fontSize: 14, fontWeight: 700, color: "#0f172a", letterSpacing: "-0.01em" },
+    headerSub:   { fontSize: 11, color: "#94a3b8", marginTop: 1, wordBreak: "break-all" },
+    body:        { padding: "14px 18px" },
+    row:         { display: "flex", gap: 12 },
+    field:       { flex: 1, marginBottom: 12 },
+    fieldBlock:  { marginBottom: 12 },
+    label:       { display: "block", fontSize: 11, fontWeight: 600, color: "#475569", marginBottom: 6 },
+    select: {
+        width: "100%", height: 32, padding: "0 8px",
+        border: "1px solid #e2e8f0", borderRadius: 6,
+        fontSize: 12, outline: "none", background: "#fff",
+    },
+    input: {
+        width: "100%", height: 28, padding: "0 8px",
+        border: "1px solid #e2e8f0", borderRadius: 6,
+        fontSize: 12, outline: "none", background: "#fff",
+    },
+    optionRow: {
+        display: "flex", alignItems: "center", gap: 8,
+        fontSize: 12, color: "#0f172a", padding: "3px 0", cursor: "pointer",
+    },
+    hint: { fontSize: 11, color: "#94a3b8" },
+    footer: {
+        display: "flex", justifyContent: "flex-end", gap: 8,
+        padding: "12px 18px", borderTop: "1px solid #f1f5f9", background: "#fafbfc",
+    },
+    cancelBtn: {
+        padding: "7px 14px", background: "#fff", color: "#475569",
+        border: "1px solid #e2e8f0", borderRadius: 6, cursor: "pointer",
+        fontSize: 12, fontWeight: 600,
+    },
+    primaryBtn: {
+        padding: "7px 16px",
+        background: "linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%)",
+        color: "#fff", border: "none", borderRadius: 6, cursor: "pointer",
+        fontSize: 12, fontWeight: 600,
+        boxShadow: "0 2px 8px rgba(37,99,235,0.3)",
+    },
+};
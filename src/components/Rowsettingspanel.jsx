@@ -1,9 +1,13 @@
 /**
  * RowSettingsPanel.jsx — Redesigned UI
  * No JSX fragments — Mendix compatibility.
+ *
+ * Label inputs use LOCAL state and commit on blur / Enter (same as the
+ * header input in ColumnSettingsPanel), so a rename reaches onUpdateRow once
+ * and not once per keystroke — the container rewrites formulas on rename.
  */
 
-import { createElement, useCallback } from "react";
+import { createElement, useCallback, useEffect, useState } from "react";
 
 export function RowSettingsPanel({
     sheet, isAdmin,
@@ -109,6 +113,13 @@ export function RowSettingsPanel({
 }
 
 function RowLabelItem({ index, label, total, onUpdate, onDelete, onMoveUp, onMoveDown }) {
+    const [localLabel, setLocalLabel] = useState(label);
+
+    // Sync local state if the label changes from outside (reorder, delete)
+    useEffect(() => { setLocalLabel(label); }, [label]);
+
+    const commit = () => { if (localLabel !== label) onUpdate(localLabel); };
+
     return (
         <div style={R.wrapper}>
             <div style={R.row}>
@@ -126,8 +137,10 @@ function RowLabelItem({ index, label, total, onUpdate, onDelete, onMoveUp, onMov
                 </div>
 
                 <input
-                    value={label}
-                    onChange={e => onUpdate(e.target.value)}
+                    value={localLabel}
+                    onChange={e => setLocalLabel(e.target.value)}
+                    onBlur={commit}
+                    onKeyDown={e => { if (e.key === "Enter") e.currentTarget.blur(); }}
                     placeholder={`Row ${index + 1} label…`}
                     style={R.labelInput}
                     maxLength={80}
@@ -3,8 +3,10 @@
  * Typed columns + custom cell formatting + custom row labels.
  *
  * KEY FIX: Custom renderer is only applied to text/numeric/date columns.
- * Checkbox and dropdown use HotTable's native renderers — applying our
- * custom text renderer on top of them was overriding their UI entirely.
+ * Checkbox and dropdown columns get thin wrappers that call HotTable's
+ * native renderers first and then add the shared cell marks (comments,
+ * formula errors) — applying our custom text renderer on top of them was
+ * overriding their UI entirely.
  *
  * ROW HEADER WIDTH FIX:
  * When custom row labels are set, we measure the longest label with a
@@ -20,6 +22,8 @@
  * Passed to HotTable via the formulas prop. SheetGrid is only rendered after
  * hfReady=true (gated in WorkbookContainer) so HotTable always mounts with
  * a live HF engine — formulas activate correctly on first render.
+ * The grid registers under sheet.sheetName so cross-sheet references work
+ * in workbook mode, where the engine holds every tab.
  *
  * STRUCTURED REFERENCES:
  * Users can reference cells using custom column/row header names instead
@@ -33,6 +37,8 @@
  *   =Revenue_1 + Cost_2               works (row number fallback)
  *   =A_Q1 + B_Q2                      works (column letter + row header)
  *   =A1 + B2                          works (standard A1 always works)
+ *   =Expenses!Cost_Q3                 works (other sheet's headers, via allSheets)
+ *   ='Net Sales'!Total_Q4             works (quoted sheet name)
  *
  * EDIT MODE FIX:
  * originalFormulasRef stores the original formula with header names.
@@ -40,6 +46,79 @@
  * Also populated in beforeChange when user types new formulas.
  * afterBeginEditing restores original in editor on double click.
  * afterChange restores originals before saving to Mendix.
+ * onSelectionChange hands the selected cell's original formula to FormulaBar.
+ *
+ * FORMULA SUGGESTIONS:
+ * The cell editor's textarea gets input/click/keyup listeners (attached once
+ * per editor in afterBeginEditing) that feed useFormulaAutocomplete — the
+ * same popup the FormulaBar shows. While it is open, beforeKeyDown stops
+ * ArrowUp/ArrowDown/Enter/Escape before Handsontable acts on them, and the
+ * Tab navigation listener below lets Tab accept a suggestion.
+ *
+ * FORMULA ERRORS:
+ * scanFormulaErrors reads this sheet's values from HyperFormula after every
+ * recalculation (afterFormulasValuesUpdate) and explains each error against
+ * the original header-name formula (utils/formulaErrors). The renderer marks
+ * those cells and shows the explanation as a tooltip; the list goes to
+ * WorkbookContainer via onFormulaErrorsChange for the errors panel.
+ *
+ * CONDITIONAL FORMATTING:
+ * sheet.conditionalFormats (utils/conditionalFormatting) is applied by the
+ * renderer on top of cellMeta styling. The formatter reads values from
+ * HyperFormula and caches range statistics (duplicates, top N, scales), so
+ * formatterRef is dropped after every recalculation and when the rules
+ * change, and rebuilt by the next render.
+ *
+ * DATA VALIDATION:
+ * sheet.validationRules (utils/dataValidation) are checked in beforeChange,
+ * so typing, paste, fill handle and the formula bar all go through them. A
+ * rejected value is dropped from the change list; a warned one is written.
+ * Values the column itself can't hold — text in a numeric column, a value
+ * that isn't one of a dropdown's options, a date that doesn't exist — are
+ * rejected the same way.
+ * Either shows a ValidationNote at the first offending cell for a few
+ * seconds. Selecting a cell whose rule has an input hint shows the hint.
+ * Undo / redo is not checked — it only restores earlier values.
+ *
+ * DROPDOWN OPTIONS:
+ * A dropdown column's options come from its typed list, a cell range,
+ * another sheet's column or the Mendix list (utils/dropdownOptions). They
+ * are resolved into dropdownOptionsRef whenever the data, the columns or the
+ * sources change, and the column's source is a function reading that ref —
+ * the editor always offers the current list without new column settings.
+ * Cells holding a value that is no longer an option are flagged by the
+ * dropdown renderer; they keep their value until someone picks a new one.
+ *
+ * Dependent columns (column.parentColumn) offer per row the options mapped
+ * to that row's parent value, so source and renderer look the row up
+ * through dropdownOptionsAt. When a parent value changes, beforeChange
+ * adds the clearing of child values that no longer fit to the same batch —
+ * one undo step, one save — unless the child is set to flag them instead.
+ * The clearing cascades down a chain (Country → State → City).
+ *
+ * TYPED COLUMNS:
+ * Percentage, currency, date, time, date & time, autocomplete, multi-select,
+ * hyperlink and rating columns (utils/columnTypes) are text cells with the
+ * column's settings as columnConfig. beforeChange turns typed, pasted and
+ * filled input into the type's stored value first, so validation, the save
+ * and HyperFormula only see stored values. Dates are stored as YYYY-MM-DD
+ * and picked in the column's format (typedCells.TypedDateEditor);
+ * HyperFormula reads stored dates and times as date serials. The renderer
+ * shows the column's display text, or draws links, stars and tags
+ * (typedCells.drawTypedCell); a cell's own number format wins over the
+ * column's. A stored date or time the column can't read is flagged. Clicking a star sets the rating. A multi-select column takes its
+ * options like a dropdown.
+ *
+ * NUMBER FORMATS:
+ * cellMeta.numberFormat holds an Excel format code (utils/numberFormat). The
+ * renderer replaces only the displayed text — the grid data, HyperFormula and
+ * the formula bar keep the raw value. A [Red]-style section colour wins over
+ * the cell's font colour; conditional formatting still wins over both.
+ *
+ * COMMENTS:
+ * Cells with a comment thread (sheet.comments, utils/cellComments) get a
+ * corner mark — grey once the thread is resolved — and the latest message as
+ * their tooltip, in every column type (markCell). Threads are written in CommentsPanel, not here.
  *
  * LOCKED CELLS:
  * Formula destination cells are stored in sheet.lockedCells as [[row, col], ...].
@@ -54,21 +133,43 @@
  * sheets always shows the correct locked positions for the active sheet.
  */
 
-import { createElement, useRef, useCallback, useEffect, memo, useMemo } from "react";
+import { createElement, useRef, useState, useCallback, useEffect, memo, useMemo } from "react";
 import { HotTable }    from "@handsontable/react";
 import Handsontable    from "handsontable";
+import { DetailedCellError } from "hyperformula";
 import "handsontable/dist/handsontable.full.min.css";
 
 import {
     HOT_LICENSE_KEY,
+    PARENT_CHANGE_ACTION,
     CONTEXT_MENU_ITEMS,
     DEFAULT_COL_WIDTH,
     DEFAULT_ROW_HEIGHT,
     DEFAULT_DATE_FORMAT,
     DEFAULT_NUMERIC_FORMAT,
 } from "../utils/constants";
-import { cellKey, deepClone }                  from "../utils/helpers";
-import { buildHeaderRefMap, maybeTranslate }   from "../utils/formulaTranslator";
+import { cellKey, deepClone, colIndexToLetter, parseA1Range } from "../utils/helpers";
+import { createHeaderResolver, buildSheetResolvers, maybeTranslate } from "../utils/formulaTranslator";
+import { CARET_KEYS }                      from "../utils/formulaSuggestions";
+import { useFormulaAutocomplete }              from "../hooks/useFormulaAutocomplete";
+import { FormulaSuggestions }                  from "./FormulaSuggestions";
+import { explainFormulaError }                 from "../utils/formulaErrors";
+import { createConditionalFormatter }          from "../utils/conditionalFormatting";
+import { formatNumber }                        from "../utils/numberFormat";
+import { createDataValidator }                 from "../utils/dataValidation";
+import {
+    resolveDropdownOptions, isListedOption, parentColumnIndex, optionsForParent,
+} from "../utils/dropdownOptions";
+import { ValidationNote, VALIDATION_NOTE_KIND } from "./ValidationNote";
+import { isTypedColumn, parseCellInput, formatCellValue, isUnreadableDateTime } from "../utils/columnTypes";
+import { TypedTextEditor, TypedDateEditor, TagsEditor, drawTypedCell } from "./typedCells";
+import { commentsByCell, commentPreview } from "../utils/cellComments";
+import { triggerAuditLog } from "../services/mendixBridge";
+
+// How long a rejected / warned value note stays up
+const VALIDATION_NOTE_MS = 6000;
+
+const DATE_TIME_NOUNS = { date: "date", time: "time", datetime: "date & time" };
 
 // ── Row header width helper ────────────────────────────────────────────────────
 
@@ -101,6 +202,20 @@ function calcRowHeaderWidth(labels, hasCustomLabels) {
     return Math.min(MAX, Math.max(MIN, Math.ceil(maxTextPx) + PAD));
 }
 
+// Why a dropdown value is flagged — the cell's hover text
+function staleOptionTitle(value, entry, parentValue) {
+    if (!entry.optionMap) return `"${value}" is no longer one of the options`;
+    if (parentValue === null || parentValue === undefined || parentValue === "") {
+        return `Choose ${entry.parentHeader || "the parent column"} first`;
+    }
+    return `"${value}" is not an option for "${parentValue}"`;
+}
+
+// Why a date, time or date & time value is flagged or rejected
+function unreadableDateTimeTitle(value, column) {
+    return `"${value}" is not a valid ${DATE_TIME_NOUNS[column.type]}`;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 
 export const SheetGrid = memo(function SheetGrid({
@@ -112,17 +227,25 @@ export const SheetGrid = memo(function SheetGrid({
     colHeaders,
     hotRef,
     hfRef,
+    allSheets,
     onCellChange,
     onMetaChange,
     onDimensionChange,
     onAuditLog,
     auditJson,
+    onSelectionChange,
+    onFormulaErrorsChange,
+    candidates = null,
+    customFunctions = [],
+    mendixOptions = [],
 }) {
     if (!sheet) return null;
 
     const internalRef   = useRef(null);
     const gridRef       = hotRef ?? internalRef;
     const rendererName  = `ewwRenderer_${sheet.sheetId}`;
+    const dropdownRendererName = `ewwDropdownRenderer_${sheet.sheetId}`;
+    const checkboxRendererName = `ewwCheckboxRenderer_${sheet.sheetId}`;
     const cellMetaRef   = useRef(sheet.cellMeta);
     cellMetaRef.current = sheet.cellMeta;
 
@@ -136,28 +259,345 @@ export const SheetGrid = memo(function SheetGrid({
     const lockedCellsRef   = useRef(sheet.lockedCells || []);
     lockedCellsRef.current = sheet.lockedCells || [];
 
-    const invalidCellsRef = useRef(new Map());
+    // "row_col" (physical row) → explanation text of a formula error
+    const formulaErrorsRef = useRef(new Map());
+
+    // cellKey(row, col) (physical row) → the cell's comment thread
+    const commentsRef   = useRef(null);
+    commentsRef.current = useMemo(() => commentsByCell(sheet.comments), [sheet.comments]);
+
+    useEffect(() => {
+        gridRef.current?.hotInstance?.render();
+    }, [sheet.comments, gridRef]);
 
     // ── Store original formulas (with header names) ────────────────────────
     const originalFormulasRef = useRef(new Map());
 
-    // ── Build header reference map ─────────────────────────────────────────
-    const headerRefMap = useMemo(
-        () => buildHeaderRefMap(sheet.columns, sheet.rowLabels),
+    // ── Header reference resolver ──────────────────────────────────────────
+    const headerResolver = useMemo(
+        () => createHeaderResolver(sheet.columns, sheet.rowLabels),
         [sheet.columns, sheet.rowLabels]
     );
 
+    // ── Resolvers of every sheet, for Expenses!Cost_Q3 style references ──
+    // This sheet's entry is the live headerResolver, not the allSheets copy.
+    const sheetResolvers = useMemo(
+        () => buildSheetResolvers(allSheets, { sheetName: sheet.sheetName, resolver: headerResolver }),
+        [allSheets, sheet.sheetName, headerResolver]
+    );
+    const hasHeaderRefs = !headerResolver.isEmpty || sheetResolvers.size > 1;
+
+    // ── Formula suggestions for the cell editor ────────────────────────────
+    // candidates come from WorkbookContainer, shared with the FormulaBar
+    const rowCount   = sheet.data?.length || 0;
+    const colCount   = sheet.data?.[0]?.length || 0;
+    const functionsKey = JSON.stringify(customFunctions);
+
+    const editorListenersRef = useRef(new WeakSet());
+    const {
+        popup:     suggestionPopup,
+        update:    updateSuggestions,
+        close:     closeSuggestions,
+        pick:      pickSuggestion,
+        highlight: highlightSuggestion,
+        handleKey: handleSuggestionKey,
+    } = useFormulaAutocomplete(candidates, (text, caret) => {
+        const editor = gridRef.current?.hotInstance?.getActiveEditor();
+        if (!editor?.isOpened() || !editor.TEXTAREA) return;
+        editor.setValue(text);
+        editor.TEXTAREA.setSelectionRange(caret, caret);
+        suggestFromEditor();
+    });
+
+    function suggestFromEditor() {
+        const editor   = gridRef.current?.hotInstance?.getActiveEditor();
+        const textarea = editor?.TEXTAREA;
+        if (!editor?.isOpened() || !textarea) { closeSuggestions(); return; }
+        updateSuggestions(textarea.value, textarea.selectionStart, textarea.getBoundingClientRect());
+    }
+    const suggestFromEditorRef   = useRef(suggestFromEditor);
+    suggestFromEditorRef.current = suggestFromEditor;
+
+    // ── What formula error explanations are checked against ───────────────
+    const errorContext = useMemo(() => ({
+        resolver:   headerResolver,
+        sheetResolvers,
+        candidates,
+        sheetNames: [sheet.sheetName, ...(allSheets || []).map(s => s.sheetName).filter(name => name !== sheet.sheetName)],
+        customFunctions,
+    }), [headerResolver, sheetResolvers, candidates, sheet.sheetName, allSheets, functionsKey]); // eslint-disable-line react-hooks/exhaustive-deps
+    const errorContextRef   = useRef(errorContext);
+    errorContextRef.current = errorContext;
+
+    // ── Conditional formatting ─────────────────────────────────────────────
+    // The renderer is registered once, so it builds the formatter through
+    // buildFormatterRef, which always sees this render's rules and resolvers.
+    const conditionalFormats = sheet.conditionalFormats || [];
+    const rulesKey           = JSON.stringify(conditionalFormats);
+    const formatterRef       = useRef(null);
+    const buildFormatterRef  = useRef(null);
+    buildFormatterRef.current = () => {
+        const hf      = hfRef?.current;
+        const sheetId = hf?.getSheetId(sheet.sheetName);
+        if (conditionalFormats.length === 0 || sheetId === undefined) return () => null;
+
+        const size = hf.getSheetDimensions(sheetId);
+        return createConditionalFormatter(conditionalFormats, {
+            getValue: (row, col) => {
+                try { return hf.getCellValue({ sheet: sheetId, row, col }); } catch { return null; }
+            },
+            calculate: (formula) => hf.calculateFormula(formula, sheetId),
+            translate: (formula) => maybeTranslate(formula, headerResolver, sheetResolvers),
+            rowCount:  Math.max(size.height, rowCount),
+            colCount:  Math.max(size.width, colCount),
+        });
+    };
+
+    function conditionalStyleAt(row, col) {
+        if (!formatterRef.current) formatterRef.current = buildFormatterRef.current();
+        return formatterRef.current(row, col);
+    }
+
+    useEffect(() => {
+        formatterRef.current = null;
+        gridRef.current?.hotInstance?.render();
+    }, [rulesKey, sheet.data, headerResolver, sheetResolvers, gridRef]);
+
+    // ── Dropdown options ───────────────────────────────────────────────────
+    // column index → { options } or, for a dependent column,
+    // { parentIndex, parentHeader, optionMap }. Returns true when a list
+    // changed, so the stale-value flags need a render.
+    const dropdownOptionsRef    = useRef(new Map());
+    const dropdownOptionsKeyRef = useRef("");
+    const refreshDropdownOptions = useCallback(() => {
+        const hf      = hfRef?.current;
+        const sheetId = hf?.getSheetId(sheet.sheetName);
+        const context = {
+            calculate:     (formula) => (sheetId === undefined ? null : hf.calculateFormula(formula, sheetId)),
+            translate:     (formula) => maybeTranslate(formula, headerResolver, sheetResolvers),
+            // This sheet first — single mode's allSheets may hold an old copy
+            sheets:        [{ sheetName: sheet.sheetName, columns: sheet.columns, data: sheet.data }, ...(allSheets || [])],
+            mendixOptions,
+        };
+
+        const columns = sheet.columns || [];
+        const next    = new Map();
+        columns.forEach((col, index) => {
+            if (col.type !== "dropdown" && col.type !== "multiselect") return;
+            const parentIndex = col.type === "dropdown" ? parentColumnIndex(col, columns) : -1;
+            next.set(index, parentIndex === -1
+                ? { options: resolveDropdownOptions(col, context) }
+                : { parentIndex, parentHeader: columns[parentIndex].header, optionMap: col.optionMap || [] });
+        });
+        const key = JSON.stringify([...next]);
+        if (key === dropdownOptionsKeyRef.current) return false;
+        dropdownOptionsRef.current    = next;
+        dropdownOptionsKeyRef.current = key;
+        return true;
+    }, [hfRef, sheet.sheetName, sheet.columns, sheet.data, headerResolver, sheetResolvers, allSheets, mendixOptions]);
+
+    useEffect(() => {
+        if (refreshDropdownOptions()) gridRef.current?.hotInstance?.render();
+    }, [refreshDropdownOptions, gridRef]);
+
+    // The options of one cell (visual row), or null for a non-dropdown column
+    function dropdownOptionsAt(hotInstance, row, col) {
+        const entry = dropdownOptionsRef.current.get(col);
+        if (!entry) return null;
+        if (entry.options) return entry.options;
+        return optionsForParent(entry.optionMap, hotInstance.getDataAtCell(row, entry.parentIndex));
+    }
+
+    // Child values a batch of parent changes no longer allows are cleared in
+    // the same batch. Cells the batch writes itself (a pasted row) are left
+    // alone; pushed clears are visited too, which cascades down a chain.
+    const clearDependentValues = useCallback((changes, source) => {
+        if (String(source).startsWith("UndoRedo")) return;
+        const hot      = gridRef.current?.hotInstance;
+        const children = [...dropdownOptionsRef.current]
+            .filter(([index, entry]) => entry.optionMap && sheet.columns?.[index]?.onParentChange !== PARENT_CHANGE_ACTION.FLAG)
+            .map(([index, entry]) => ({ index, ...entry }));
+        if (!hot || children.length === 0) return;
+
+        const colOf   = (prop) => (typeof prop === "number" ? prop : hot.propToCol(prop));
+        const written = new Set(changes.filter(Boolean).map(([row, prop]) => `${row}_${colOf(prop)}`));
+
+        for (let i = 0; i < changes.length; i++) {
+            if (!changes[i]) continue;
+            const [row, prop, , newValue] = changes[i];
+            const col = colOf(prop);
+            children.forEach(child => {
+                if (child.parentIndex !== col || written.has(`${row}_${child.index}`)) return;
+                const current = hot.getDataAtCell(row, child.index);
+                if (isListedOption(current, optionsForParent(child.optionMap, newValue))) return;
+                written.add(`${row}_${child.index}`);
+                changes.push([row, child.index, current, null]);
+            });
+        }
+    }, [gridRef, sheet.columns]);
+
+    // ── Data validation ────────────────────────────────────────────────────
+    // A validator is built per batch of changes, so list sources are read
+    // from HyperFormula as they are at that moment.
+    const validationRules   = sheet.validationRules || [];
+    const buildValidatorRef = useRef(null);
+    buildValidatorRef.current = () => {
+        if (validationRules.length === 0) return null;
+        const hf      = hfRef?.current;
+        const sheetId = hf?.getSheetId(sheet.sheetName);
+        return createDataValidator(validationRules, {
+            calculate:    (formula) => (sheetId === undefined ? null : hf.calculateFormula(formula, sheetId)),
+            translate:    (formula) => maybeTranslate(formula, headerResolver, sheetResolvers),
+            dateFormatAt: (col) => (sheet.columns?.[col]?.type === "date" ? sheet.columns[col].format || DEFAULT_DATE_FORMAT : null),
+        });
+    };
+
+    const [validationNote, setValidationNote] = useState(null);
+    const noteTimerRef = useRef(null);
+
+    useEffect(() => () => clearTimeout(noteTimerRef.current), []);
+
+    const cellRect = useCallback((visualRow, col) => {
+        const hot = gridRef.current?.hotInstance;
+        return hot?.getCell(visualRow, col)?.getBoundingClientRect() ?? hot?.rootElement?.getBoundingClientRect() ?? null;
+    }, [gridRef]);
+
+    const hideValidationNote = useCallback(() => {
+        clearTimeout(noteTimerRef.current);
+        setValidationNote(null);
+    }, []);
+
+    // What the column type itself refuses (visual row). pending holds the
+    // batch's own values ("row_col" → value), so a pasted row is checked
+    // against its own parent value.
+    const columnTypeFailureRef = useRef(null);
+    columnTypeFailureRef.current = (hotInstance, row, col, value, pending) => {
+        if (value === null || value === undefined || value === "") return null;
+        if (typeof value === "string" && value.startsWith("=")) return null;
+
+        const column = sheet.columns?.[col];
+        if (isUnreadableDateTime(column, value)) return { reject: true, message: unreadableDateTimeTitle(value, column) };
+        if (column?.type === "numeric") {
+            return Handsontable.helper.isNumericLike(value)
+                ? null
+                : { reject: true, message: `${column.header || "This column"} only takes numbers` };
+        }
+
+        const entry = column?.type === "dropdown" ? dropdownOptionsRef.current.get(col) : null;
+        if (!entry) return null;
+        const parentKey   = entry.optionMap ? `${row}_${entry.parentIndex}` : null;
+        const parentValue = !parentKey ? null
+            : pending.has(parentKey) ? pending.get(parentKey) : hotInstance.getDataAtCell(row, entry.parentIndex);
+        const options     = entry.options || optionsForParent(entry.optionMap, parentValue);
+        if (isListedOption(value, options)) return null;
+        return {
+            reject:  true,
+            message: entry.optionMap ? staleOptionTitle(value, entry, parentValue) : `"${value}" is not one of the options`,
+        };
+    };
+
+    // Checks every change of a batch; rejected changes are set to null,
+    // which makes Handsontable skip them
+    const enforceValidation = useCallback((changes, source) => {
+        if (String(source).startsWith("UndoRedo")) return;
+        const validator = buildValidatorRef.current();
+        const hot       = gridRef.current?.hotInstance;
+        if (!hot) return;
+
+        const colOf   = (prop) => (typeof prop === "number" ? prop : hot.propToCol(prop));
+        const pending = new Map(changes.filter(Boolean).map(([row, prop, , value]) => [`${row}_${colOf(prop)}`, value]));
+
+        let first = null;
+        let count = 0;
+        changes.forEach((change, index) => {
+            if (!change) return;
+            const [row, prop, , newValue] = change;
+            const col     = colOf(prop);
+            const failure = columnTypeFailureRef.current(hot, row, col, newValue, pending)
+                || validator?.check(hot.toPhysicalRow(row), col, newValue);
+            if (!failure) return;
+            if (failure.reject) changes[index] = null;
+            count++;
+            if (!first) first = { ...failure, row, col };
+        });
+        if (!first) return;
+
+        const title = first.reject
+            ? (count > 1 ? `${count} values were not accepted` : "Value not accepted")
+            : (count > 1 ? `${count} values don't meet the rule` : "Check this value");
+
+        clearTimeout(noteTimerRef.current);
+        setValidationNote({
+            kind:    first.reject ? VALIDATION_NOTE_KIND.ERROR : VALIDATION_NOTE_KIND.WARNING,
+            title,
+            message: first.message,
+            rect:    cellRect(first.row, first.col),
+        });
+        noteTimerRef.current = setTimeout(() => setValidationNote(null), VALIDATION_NOTE_MS);
+    }, [gridRef, cellRect]);
+
+    // The input hint of the selected cell's rule. An error or warning stays
+    // until it times out or is closed.
+    const showValidationHint = useCallback(() => {
+        const hot      = gridRef.current?.hotInstance;
+        const selected = hot?.getSelectedLast();
+        let hint       = null;
+
+        if (selected && selected[0] >= 0 && selected[1] >= 0) {
+            const rule = buildValidatorRef.current()?.ruleAt(hot.toPhysicalRow(selected[0]), selected[1]);
+            if (rule?.hint) hint = { kind: VALIDATION_NOTE_KIND.HINT, title: null, message: rule.hint, rect: cellRect(selected[0], selected[1]) };
+        }
+        setValidationNote(prev => (prev && prev.kind !== VALIDATION_NOTE_KIND.HINT ? prev : hint));
+    }, [gridRef, cellRect]);
+
+    // ── Typed columns ──────────────────────────────────────────────────────
+    // Input → the column type's stored value (utils/columnTypes). Only text
+    // from the cell editor or the formula bar counts as typed.
+    const storeTypedValues = useCallback((changes, source) => {
+        const columns = sheet.columns || [];
+        const hot     = gridRef.current?.hotInstance;
+        if (!hot || String(source).startsWith("UndoRedo") || !columns.some(isTypedColumn)) return;
+
+        changes.forEach(change => {
+            if (!change) return;
+            const column = columns[typeof change[1] === "number" ? change[1] : hot.propToCol(change[1])];
+            if (isTypedColumn(column)) change[3] = parseCellInput(column, change[3], { typed: source === "edit" });
+        });
+    }, [gridRef, sheet.columns]);
+
+    // A click on a star sets the rating; on the current rating it clears it
+    const afterOnCellMouseDown = useCallback((event, coords) => {
+        const star = event.target?.dataset?.rating;
+        const hot  = gridRef.current?.hotInstance;
+        if (!star || !hot || coords.row < 0 || coords.col < 0) return;
+        if (hot.getCellMeta(coords.row, coords.col).readOnly) return;
+
+        const rating = Number(star);
+        hot.setDataAtCell(coords.row, coords.col, hot.getDataAtCell(coords.row, coords.col) === rating ? 0 : rating, "edit");
+    }, [gridRef]);
+
+    // Autocomplete suggestions: the column's own values, once each
+    function columnSuggestions(hotInstance, col) {
+        const seen = new Set();
+        (hotInstance.getSourceDataAtCol(col) || []).forEach(value => {
+            if (value === null || value === undefined || typeof value === "object") return;
+            const text = String(value).trim();
+            if (text && !text.startsWith("=")) seen.add(text);
+        });
+        return [...seen];
+    }
+
     // ── Scan sheet.data on mount/sheet-switch to populate originalFormulasRef
     useEffect(() => {
         originalFormulasRef.current.clear();
-        if (headerRefMap.size === 0) return;
+        if (!hasHeaderRefs) return;
 
         const data = sheet.data || [];
         data.forEach((row, rowIndex) => {
             if (!Array.isArray(row)) return;
             row.forEach((cellValue, colIndex) => {
                 if (typeof cellValue === "string" && cellValue.startsWith("=")) {
-                    const translated = maybeTranslate(cellValue, headerRefMap);
+                    const translated = maybeTranslate(cellValue, headerResolver, sheetResolvers);
                     if (translated !== cellValue) {
                         originalFormulasRef.current.set(
                             `${rowIndex}_${colIndex}`,
@@ -167,12 +607,16 @@ export const SheetGrid = memo(function SheetGrid({
                 }
             });
         });
-    }, [sheet.sheetId, sheet.data, headerRefMap]);
+    }, [sheet.sheetId, sheet.data, headerResolver, sheetResolvers, hasHeaderRefs]);
 
     // ── HyperFormula config ────────────────────────────────────────────────
+    // sheetName binds this grid to the HF sheet of the same name, so other
+    // sheets can reference it (=Budget!A1) and a re-mount after a tab switch
+    // reuses the sheet instead of adding an anonymous one.
     const formulasConfig = hfRef?.current
         ? {
             engine:             hfRef.current,
+            sheetName:          sheet.sheetName,
             evaluateNullToZero: true,
           }
         : false;
@@ -187,6 +631,25 @@ export const SheetGrid = memo(function SheetGrid({
         });
     }
 
+    // ── Shared cell marks ─────────────────────────────────────────────────
+    // Formula errors, unreadable dates and comments — marked, with the
+    // explanation, the reason or the latest comment on hover. Every renderer
+    // below calls this; reason is the renderer's own flag (a stale option).
+    // TDs are reused while scrolling, so a stale title is cleared.
+    function markCell(hotInstance, TD, row, col, column, reason = "") {
+        const physicalRow  = hotInstance.toPhysicalRow(row);
+        const formulaError = formulaErrorsRef.current.get(`${physicalRow}_${col}`);
+        const thread       = commentsRef.current.get(cellKey(physicalRow, col));
+        const stored       = hotInstance.getSourceDataAtCell(physicalRow, col);
+        const unreadable   = isUnreadableDateTime(column, stored) ? unreadableDateTimeTitle(stored, column) : "";
+        if (formulaError) Handsontable.dom.addClass(TD, "eww-cell--formula-error");
+        if (unreadable) Handsontable.dom.addClass(TD, "eww-cell--unreadable");
+        if (thread) Handsontable.dom.addClass(TD, thread.resolved ? "eww-cell--comment-resolved" : "eww-cell--comment");
+        const title = formulaError || reason || unreadable || (thread ? commentPreview(thread) : "");
+        if (title) TD.title = title;
+        else if (TD.title) TD.removeAttribute("title");
+    }
+
     // ── Register custom renderer ───────────────────────────────────────────
     // Reads lockedCellsRef.current (live ref) — never the captured closure
     // value — so cross-sheet navigation always applies the correct styling.
@@ -196,6 +659,17 @@ export const SheetGrid = memo(function SheetGrid({
             function (hotInstance, TD, row, col, prop, value, cellProperties) {
                 Handsontable.renderers.TextRenderer.apply(this, arguments);
 
+                // Number format, else the column type's display text — the
+                // value is untouched. Links, stars and tags are drawn instead.
+                const meta      = cellMetaRef.current?.[cellKey(row, col)];
+                const column    = cellProperties.columnConfig;
+                const formatted = meta?.numberFormat && value !== null && value !== undefined && value !== ""
+                    ? formatNumber(value, meta.numberFormat)
+                    : formatCellValue(column, value);
+                if (formatted) Handsontable.dom.fastInnerText(TD, formatted.text);
+                else if (column) drawTypedCell(TD, column, value, dropdownOptionsAt(hotInstance, row, col));
+                markCell(hotInstance, TD, row, col, column);
+
                 if (isLockedCell(row, col)) {
                     TD.style.backgroundColor = "#d9d9d9";
                     TD.style.color           = "#5b21b6";
@@ -205,18 +679,66 @@ export const SheetGrid = memo(function SheetGrid({
                 }
 
                 // Regular user formatting
-                const meta = cellMetaRef.current?.[cellKey(row, col)];
-                if (!meta) return;
-                if (meta.bold)      TD.style.fontWeight      = "bold";
-                if (meta.italic)    TD.style.fontStyle       = "italic";
-                if (meta.underline) TD.style.textDecoration  = "underline";
-                if (meta.fontColor) TD.style.color           = meta.fontColor;
-                if (meta.bgColor)   TD.style.backgroundColor = meta.bgColor;
-                if (meta.align)     TD.style.textAlign       = meta.align;
+                if (meta) {
+                    if (meta.bold)      TD.style.fontWeight      = "bold";
+                    if (meta.italic)    TD.style.fontStyle       = "italic";
+                    if (meta.underline) TD.style.textDecoration  = "underline";
+                    if (meta.fontColor) TD.style.color           = meta.fontColor;
+                    if (meta.bgColor)   TD.style.backgroundColor = meta.bgColor;
+                    if (meta.align)     TD.style.textAlign       = meta.align;
+                }
+                if (formatted?.color) TD.style.color = formatted.color;
+
+                // Conditional formatting, on top of the cell's own formatting
+                const rule = conditionalStyleAt(hotInstance.toPhysicalRow(row), col);
+                if (rule?.bold)      TD.style.fontWeight      = "bold";
+                if (rule?.italic)    TD.style.fontStyle       = "italic";
+                if (rule?.fontColor) TD.style.color           = rule.fontColor;
+                if (rule?.bgColor)   TD.style.backgroundColor = rule.bgColor;
+                if (rule?.dataBar) {
+                    const { color, percent } = rule.dataBar;
+                    TD.style.backgroundImage = `linear-gradient(90deg, ${color} ${percent}%, transparent ${percent}%)`;
+                } else if (TD.style.backgroundImage) {
+                    TD.style.backgroundImage = "";
+                }
             }
         );
     }, [rendererName]);
 
+    // ── Dropdown renderer ──────────────────────────────────────────────────
+    // Handsontable's own dropdown look, plus a flag on values that dropped
+    // out of the column's options since they were picked, and the shared
+    // cell marks.
+    useMemo(() => {
+        Handsontable.renderers.registerRenderer(
+            dropdownRendererName,
+            function (hotInstance, TD, row, col, prop, value) {
+                Handsontable.renderers.AutocompleteRenderer.apply(this, arguments);
+
+                const options = dropdownOptionsAt(hotInstance, row, col);
+                let stale     = "";
+                if (options && !isListedOption(value, options)) {
+                    const entry = dropdownOptionsRef.current.get(col);
+                    Handsontable.dom.addClass(TD, "eww-cell--stale-option");
+                    stale = staleOptionTitle(value, entry, entry.optionMap ? hotInstance.getDataAtCell(row, entry.parentIndex) : null);
+                }
+                markCell(hotInstance, TD, row, col, null, stale);
+            }
+        );
+    }, [dropdownRendererName]);
+
+    // ── Checkbox renderer ──────────────────────────────────────────────────
+    // Handsontable's checkbox, plus the shared cell marks.
+    useMemo(() => {
+        Handsontable.renderers.registerRenderer(
+            checkboxRendererName,
+            function (hotInstance, TD, row, col) {
+                Handsontable.renderers.CheckboxRenderer.apply(this, arguments);
+                markCell(hotInstance, TD, row, col, null);
+            }
+        );
+    }, [checkboxRendererName]);
+
     // ── Build column definitions ───────────────────────────────────────────
     const { hotColumns, hotColHeaders } = useMemo(() => {
         const cols = sheet.columns || [];
@@ -224,7 +746,7 @@ export const SheetGrid = memo(function SheetGrid({
             return { hotColumns: undefined, hotColHeaders: colHeaders };
         }
 
-        const hotCols = cols.map(col => {
+        const hotCols = cols.map((col, index) => {
             const baseReadOnly = col.readOnly || !isEditable;
 
             switch (col.type) {
@@ -239,28 +761,71 @@ export const SheetGrid = memo(function SheetGrid({
                     };
                 case "date":
                     return {
-                        type:          "date",
-                        renderer:      rendererName,
-                        width:         col.width || DEFAULT_COL_WIDTH,
-                        readOnly:      baseReadOnly,
-                        dateFormat:    col.format || DEFAULT_DATE_FORMAT,
-                        correctFormat: true,
-                        allowInvalid:  true,
+                        type:         "text",
+                        editor:       TypedDateEditor,
+                        renderer:     rendererName,
+                        width:        col.width || DEFAULT_COL_WIDTH,
+                        readOnly:     baseReadOnly,
+                        dateFormat:   col.format || DEFAULT_DATE_FORMAT,
+                        columnConfig: col,
                     };
                 case "checkbox":
                     return {
                         type:     "checkbox",
+                        renderer: checkboxRendererName,
                         width:    col.width || DEFAULT_COL_WIDTH,
                         readOnly: baseReadOnly,
                     };
+                case "percentage":
+                case "currency":
+                case "time":
+                case "datetime":
+                case "hyperlink":
+                case "rating":
+                    return {
+                        type:         "text",
+                        editor:       TypedTextEditor,
+                        renderer:     rendererName,
+                        width:        col.width || DEFAULT_COL_WIDTH,
+                        readOnly:     baseReadOnly,
+                        columnConfig: col,
+                        ...(col.type === "percentage" || col.type === "currency" ? { className: "htRight" } : {}),
+                    };
+                case "autocomplete":
+                    return {
+                        type:         "autocomplete",
+                        renderer:     rendererName,
+                        width:        col.width || DEFAULT_COL_WIDTH,
+                        readOnly:     baseReadOnly,
+                        source:       function (query, process) {
+                            process(columnSuggestions(this.instance, index));
+                        },
+                        strict:       false,
+                        filter:       true,
+                        allowInvalid: true,
+                        columnConfig: col,
+                    };
+                case "multiselect":
+                    return {
+                        type:         "text",
+                        editor:       TagsEditor,
+                        renderer:     rendererName,
+                        width:        col.width || DEFAULT_COL_WIDTH,
+                        readOnly:     baseReadOnly,
+                        source:       function (query, process) {
+                            process(dropdownOptionsAt(this.instance, this.visualRow, index) || []);
+                        },
+                        columnConfig: col,
+                    };
                 case "dropdown":
                     return {
                         type:         "dropdown",
+                        renderer:     dropdownRendererName,
                         width:        col.width || DEFAULT_COL_WIDTH,
                         readOnly:     baseReadOnly,
-                        source:       Array.isArray(col.source) && col.source.length > 0
-                                          ? col.source
-                                          : ["Option 1", "Option 2", "Option 3"],
+                        source:       function (query, process) {
+                            process(dropdownOptionsAt(this.instance, this.visualRow, index) || []);
+                        },
                         strict:       true,
                         allowInvalid: true,
                     };
@@ -283,7 +848,7 @@ export const SheetGrid = memo(function SheetGrid({
         );
 
         return { hotColumns: hotCols, hotColHeaders: headerLabels };
-    }, [sheet.columns, isEditable, colHeaders, rendererName]);
+    }, [sheet.columns, isEditable, colHeaders, rendererName, dropdownRendererName, checkboxRendererName]);
 
     // ── Row labels ─────────────────────────────────────────────────────────
     const rowLabels    = sheet.rowLabels || [];
@@ -298,12 +863,12 @@ export const SheetGrid = memo(function SheetGrid({
         const fullData = deepClone(sheet.data);
         const data = hasRowLabels ? fullData.slice(0, rowLabels.length) : fullData;
 
-        if (headerRefMap.size > 0) {
+        if (hasHeaderRefs) {
             data.forEach((row, rowIndex) => {
                 if (!Array.isArray(row)) return;
                 row.forEach((cellValue, colIndex) => {
                     if (typeof cellValue === "string" && cellValue.startsWith("=")) {
-                        const translated = maybeTranslate(cellValue, headerRefMap);
+                        const translated = maybeTranslate(cellValue, headerResolver, sheetResolvers);
                         if (translated !== cellValue) {
                             data[rowIndex][colIndex] = translated;
                         }
@@ -313,7 +878,7 @@ export const SheetGrid = memo(function SheetGrid({
         }
 
         return data;
-    }, [sheet.data, rowLabels.length, hasRowLabels, headerRefMap]);
+    }, [sheet.data, rowLabels.length, hasRowLabels, headerResolver, sheetResolvers, hasHeaderRefs]);
 
     const hotRowHeaders = useMemo(() => {
         if (!hasRowLabels) return rowHeaders;
@@ -335,23 +900,47 @@ export const SheetGrid = memo(function SheetGrid({
 
     // ── beforeChange ──────────────────────────────────────────────────────
     const beforeChange = useCallback((changes, source) => {
-        if (source === "loadData" || !changes || headerRefMap.size === 0) return;
+        if (source === "loadData" || !changes) return;
+
+        storeTypedValues(changes, source);
+        enforceValidation(changes, source);
+        clearDependentValues(changes, source);
+        if (!hasHeaderRefs) return;
 
         changes.forEach((change, index) => {
             if (!change) return;
             const [row, col, , newValue] = change;
             if (typeof newValue === "string" && newValue.startsWith("=")) {
-                const translated = maybeTranslate(newValue, headerRefMap);
+                const translated = maybeTranslate(newValue, headerResolver, sheetResolvers);
                 if (translated !== newValue) {
                     originalFormulasRef.current.set(`${row}_${col}`, newValue);
                     changes[index][3] = translated;
                 }
             }
         });
-    }, [headerRefMap]);
+    }, [headerResolver, sheetResolvers, hasHeaderRefs, storeTypedValues, enforceValidation, clearDependentValues]);
+
+    // ── Formula suggestion listeners on the cell editor ───────────────────
+    // Editors are reused across cells, so each textarea is wired only once.
+    // Listeners go through suggestFromEditorRef to always see current candidates.
+    const attachSuggestionListeners = useCallback(() => {
+        const textarea = gridRef.current?.hotInstance?.getActiveEditor()?.TEXTAREA;
+        if (!textarea || editorListenersRef.current.has(textarea)) return;
+        editorListenersRef.current.add(textarea);
+
+        const suggest = () => suggestFromEditorRef.current();
+        textarea.addEventListener("input", suggest);
+        textarea.addEventListener("click", suggest);
+        textarea.addEventListener("keyup", (event) => {
+            if (CARET_KEYS.has(event.key)) suggest();
+        });
+        textarea.addEventListener("blur", () => closeSuggestions());
+    }, [gridRef, closeSuggestions]);
 
     // ── afterBeginEditing ─────────────────────────────────────────────────
     const afterBeginEditing = useCallback((row, col) => {
+        attachSuggestionListeners();
+
         const key      = `${row}_${col}`;
         const original = originalFormulasRef.current.get(key);
         if (!original) return;
@@ -366,38 +955,108 @@ export const SheetGrid = memo(function SheetGrid({
         } catch (e) {
             // safe to ignore
         }
-    }, [gridRef]);
+    }, [gridRef, attachSuggestionListeners]);
 
-    // ── afterChange ────────────────────────────────────────────────────────
-    const afterChange = useCallback((changes, source) => {
-        if (source === "loadData" || !changes || !onCellChange) return;
+    // ── beforeKeyDown — suggestion popup keys ─────────────────────────────
+    const beforeKeyDown = useCallback((event) => {
+        if (event.key === "Tab") return;   // handled by the Tab navigation listener
+        if (!handleSuggestionKey(event.key)) return;
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    }, [handleSuggestionKey]);
 
+    // ── Selection → FormulaBar ─────────────────────────────────────────────
+    // Reports the active cell in data coordinates (physical row) with its raw
+    // content — the header-name formula when there is one — and its value.
+    const reportSelection = useCallback(() => {
+        if (!onSelectionChange) return;
         const hot = gridRef.current?.hotInstance;
         if (!hot) return;
 
-        const invalids = invalidCellsRef.current;
+        const selected = hot.getSelectedLast();
+        if (!selected) { onSelectionChange(null); return; }
 
-        const hasValidChange = changes.some(([r, c]) => !invalids.has(`${r}_${c}`));
-        if (!hasValidChange && invalids.size > 0 && changes.every(([r, c]) => invalids.has(`${r}_${c}`))) return;
+        const [visualRow, col] = selected;
+        if (visualRow < 0 || col < 0) return;   // header click
 
-        let dataToSave;
-        if (invalids.size > 0) {
-            dataToSave = hot.getSourceData().map(row => [...row]);
-            changes.forEach(([r, c, oldValue]) => {
-                if (invalids.has(`${r}_${c}`)) {
-                    dataToSave[r][c] = oldValue ?? null;
-                }
-            });
-            invalids.forEach((_, key) => {
-                const [r, c] = key.split("_").map(Number);
-                const alreadyPatched = changes.some(([cr, cc]) => cr === r && cc === c);
-                if (!alreadyPatched) {
-                    dataToSave[r][c] = null;
-                }
+        const row = hot.toPhysicalRow(visualRow);
+        onSelectionChange({
+            row,
+            col,
+            raw:      originalFormulasRef.current.get(`${row}_${col}`) ?? hot.getSourceDataAtCell(row, col),
+            value:    hot.getDataAtCell(visualRow, col),
+            readOnly: !!hot.getCellMeta(visualRow, col)?.readOnly,
+        });
+    }, [onSelectionChange, gridRef]);
+
+    // ── Formula errors ─────────────────────────────────────────────────────
+    // Returns true when the set of errors changed.
+    const scanFormulaErrors = useCallback(() => {
+        const hot = gridRef.current?.hotInstance;
+        const hf  = hfRef?.current;
+        if (!hot || !hf) return false;
+
+        const sheetId = hf.getSheetId(sheet.sheetName);
+        if (sheetId === undefined) return false;
+
+        const found = new Map();
+        hf.getSheetValues(sheetId).forEach((rowValues, row) => {
+            rowValues.forEach((value, col) => {
+                if (value instanceof DetailedCellError) found.set(`${row}_${col}`, value);
             });
-        } else {
-            dataToSave = hot.getSourceData();
-        }
+        });
+
+        const errorAt = (ref) => {
+            const cell = parseA1Range(ref);
+            return cell ? found.get(`${cell.r1}_${cell.c1}`)?.value ?? null : null;
+        };
+
+        const next   = new Map();
+        const errors = [];
+        found.forEach((error, key) => {
+            const [row, col] = key.split("_").map(Number);
+            const formula     = originalFormulasRef.current.get(key) ?? hot.getSourceDataAtCell(row, col);
+            const explanation = explainFormulaError(
+                formula,
+                { code: error.value, message: error.message },
+                { ...errorContextRef.current, errorAt }
+            );
+            next.set(key, explanation.text);
+            errors.push({ row, col, address: `${colIndexToLetter(col)}${row + 1}`, formula, ...explanation });
+        });
+
+        const previous = formulaErrorsRef.current;
+        const changed  = next.size !== previous.size || [...next].some(([key, text]) => previous.get(key) !== text);
+        formulaErrorsRef.current = next;
+        if (changed) onFormulaErrorsChange?.(errors);
+        return changed;
+    }, [gridRef, hfRef, sheet.sheetName, onFormulaErrorsChange]);
+
+    // Recalculated values invalidate the conditional formatting as well
+    const afterFormulasValuesUpdate = useCallback(() => {
+        formatterRef.current = null;
+        scanFormulaErrors();
+    }, [scanFormulaErrors]);
+
+    // Initial scan, and again when what the explanations depend on changes
+    useEffect(() => {
+        if (scanFormulaErrors()) gridRef.current?.hotInstance?.render();
+    }, [scanFormulaErrors, errorContext, gridRef]);
+
+    const afterSelectionEnd = useCallback(() => {
+        closeSuggestions();
+        reportSelection();
+        showValidationHint();
+    }, [closeSuggestions, reportSelection, showValidationHint]);
+
+    // ── afterChange ────────────────────────────────────────────────────────
+    const afterChange = useCallback((changes, source) => {
+        if (source === "loadData" || !changes || !onCellChange) return;
+
+        const hot = gridRef.current?.hotInstance;
+        if (!hot) return;
+
+        const dataToSave = hot.getSourceData();
 
         if (originalFormulasRef.current.size > 0) {
             originalFormulasRef.current.forEach((originalFormula, key) => {
@@ -409,6 +1068,7 @@ export const SheetGrid = memo(function SheetGrid({
         }
 
         onCellChange(sheet.sheetId, dataToSave);
+        reportSelection();
 
         if (!onAuditLog || !auditJson) return;
 
@@ -416,8 +1076,7 @@ export const SheetGrid = memo(function SheetGrid({
         const rowLabelList = sheet.rowLabels || [];
 
         const auditChanges = changes
-            .filter(([r, c, oldVal, newVal]) => {
-                if (invalids.has(`${r}_${c}`)) return false;
+            .filter(([, , oldVal, newVal]) => {
                 const o = oldVal === null || oldVal === undefined ? "" : String(oldVal);
                 const n = newVal === null || newVal === undefined ? "" : String(newVal);
                 return o !== n;
@@ -439,18 +1098,9 @@ export const SheetGrid = memo(function SheetGrid({
             changes:   auditChanges,
         });
 
-        try {
-            if (auditJson.status === "available" && typeof auditJson.setValue === "function") {
-                auditJson.setValue(auditPayload);
-                if (onAuditLog.canExecute) {
-                    onAuditLog.execute();
-                }
-            }
-        } catch (err) {
-            console.error("[ExcelWidget] Audit log failed:", err.message);
-        }
+        triggerAuditLog(auditJson, auditPayload, onAuditLog);
     }, [sheet.sheetId, sheet.sheetName, sheet.columns, sheet.rowLabels,
-        onCellChange, onAuditLog, auditJson, gridRef]);
+        onCellChange, onAuditLog, auditJson, gridRef, reportSelection]);
 
     const afterColumnResize = useCallback(() => {
         if (!onDimensionChange) return;
@@ -478,18 +1128,6 @@ export const SheetGrid = memo(function SheetGrid({
         onMetaChange(sheet.sheetId, { ...sheet.cellMeta, _mergedCells: mergedCells });
     }, [sheet.sheetId, sheet.cellMeta, onMetaChange, gridRef]);
 
-    const afterValidate = useCallback((isValid, value, row, prop) => {
-        const col = typeof prop === "number" ? prop : parseInt(prop, 10);
-        const cols = sheet.columns || [];
-        if (!cols[col]) return;
-        const key = `${row}_${col}`;
-        if (isValid) {
-            invalidCellsRef.current.delete(key);
-        } else {
-            invalidCellsRef.current.set(key, true);
-        }
-    }, [sheet.columns]);
-
     // ── Tab navigation fix ─────────────────────────────────────────────────
     const containerRef = useRef(null);
 
@@ -501,6 +1139,7 @@ export const SheetGrid = memo(function SheetGrid({
             if (!el.contains(document.activeElement)) return;
             event.preventDefault();
             event.stopImmediatePropagation();
+            if (handleSuggestionKey("Tab")) return;   // accepted a suggestion
             const hot = gridRef.current?.hotInstance;
             if (!hot || !hot.selection) return;
             if (event.shiftKey) {
@@ -511,7 +1150,7 @@ export const SheetGrid = memo(function SheetGrid({
         };
         document.addEventListener("keydown", onKeyDown, { capture: true });
         return () => document.removeEventListener("keydown", onKeyDown, { capture: true });
-    }, [gridRef]);
+    }, [gridRef, handleSuggestionKey]);
 
     const colWidths  = sheet.colWidths?.length  ? sheet.colWidths  : DEFAULT_COL_WIDTH;
     const rowHeights = sheet.rowHeights?.length ? sheet.rowHeights : DEFAULT_ROW_HEIGHT;
@@ -554,8 +1193,19 @@ export const SheetGrid = memo(function SheetGrid({
                 afterRowResize={afterRowResize}
                 afterMergeCells={afterMergeCells}
                 afterUnmergeCells={afterMergeCells}
-                afterValidate={afterValidate}
+                afterSelectionEnd={afterSelectionEnd}
+                afterOnCellMouseDown={afterOnCellMouseDown}
+                afterFormulasValuesUpdate={afterFormulasValuesUpdate}
+                beforeKeyDown={beforeKeyDown}
+                afterScrollVertically={hideValidationNote}
+                afterScrollHorizontally={hideValidationNote}
+            />
+            <FormulaSuggestions
+                popup={suggestionPopup}
+                onPick={pickSuggestion}
+                onHighlight={highlightSuggestion}
             />
+            <ValidationNote note={validationNote} onClose={hideValidationNote} />
         </div>
     );
 });
\ No newline at end of file
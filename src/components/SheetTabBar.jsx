@@ -6,21 +6,30 @@
  * FEATURES:
  *   - Click tab          → switch active sheet
  *   - Double-click tab   → rename sheet (inline edit)
- *   - Click ✕ on tab     → delete sheet
+ *   - Drag tab           → reorder sheets (orderIndex is saved from the new order)
+ *   - Right-click tab    → menu: rename, duplicate, move left/right, tab colour,
+ *                          hide, unhide, delete
+ *   - Click ✕ on tab     → delete sheet (asks for confirmation first)
  *   - Click + button     → add new empty sheet
+ *   - ☰ button           → list of all sheets, including hidden ones
+ *   - ‹ › buttons        → scroll the strip when the tabs don't fit
  *   - Lock icon          → sheet is view-only for this user
  *
+ * Hidden sheets get no tab. They stay reachable from the ☰ list and the
+ * context menu's Unhide entries. The last visible sheet can't be hidden
+ * and the last sheet can't be deleted.
+ *
  * PERMISSIONS:
- *   isWorkbookEditable = true  → shows + button and ✕ on tabs
- *   isWorkbookEditable = false → view-only user, no add/delete/rename
+ *   isWorkbookEditable = true  → shows +, ✕, drag and the editing menu entries
+ *   isWorkbookEditable = false → view-only user, can only switch sheets
  *
  * All mutations update local state in WorkbookContainer which triggers
  * auto-save — no Mendix microflow needed for sheet management.
  */
 
 import { createElement, useState, useRef, useEffect, useCallback } from "react";
-import { CSS }      from "../utils/constants";
-import { truncate } from "../utils/helpers";
+import { CSS, TAB_COLORS } from "../utils/constants";
+import { truncate }        from "../utils/helpers";
 
 export function SheetTabBar({
     sheets,
@@ -31,11 +40,26 @@ export function SheetTabBar({
     onAddSheet,
     onDeleteSheet,
     onRenameSheet,
+    onReorderSheet,
+    onDuplicateSheet,
+    onSetSheetHidden,
+    onSetTabColor,
 }) {
     const [renamingId, setRenamingId]   = useState(null);
     const [renameValue, setRenameValue] = useState("");
     const renameInputRef                = useRef(null);
 
+    const [menu, setMenu]                   = useState(null);   // { sheetId, x, y }
+    const [showList, setShowList]           = useState(false);
+    const [pendingDelete, setPendingDelete] = useState(null);   // sheet object
+    const [drag, setDrag]                   = useState(null);   // { from, over, after }
+
+    const stripRef                      = useRef(null);
+    const [overflow, setOverflow]       = useState({ left: false, right: false });
+
+    const visibleCount = sheets.filter(s => !s.hidden).length;
+    const hiddenSheets = sheets.filter(s => s.hidden);
+
     // Focus rename input when it appears
     useEffect(() => {
         if (renamingId && renameInputRef.current) {
@@ -44,8 +68,56 @@ export function SheetTabBar({
         }
     }, [renamingId]);
 
+    // ── Overflow scrolling ────────────────────────────────────────────────
+    const updateOverflow = useCallback(() => {
+        const el = stripRef.current;
+        if (!el) return;
+        setOverflow({
+            left:  el.scrollLeft > 0,
+            right: el.scrollLeft + el.clientWidth < el.scrollWidth - 1,
+        });
+    }, []);
+
+    useEffect(() => {
+        updateOverflow();
+        window.addEventListener("resize", updateOverflow);
+        return () => window.removeEventListener("resize", updateOverflow);
+    }, [updateOverflow, sheets]);
+
+    // Keep the active tab in view after switching or adding sheets
+    useEffect(() => {
+        const el  = stripRef.current;
+        const tab = el?.querySelector("[aria-selected='true']");
+        if (tab && typeof tab.scrollIntoView === "function") {
+            tab.scrollIntoView({ block: "nearest", inline: "nearest" });
+        }
+        updateOverflow();
+    }, [activeIndex, sheets.length, updateOverflow]);
+
+    const scrollStrip = (direction) => {
+        stripRef.current?.scrollBy({ left: direction * 160, behavior: "smooth" });
+    };
+
+    // ── Menus close on outside click / Escape ─────────────────────────────
+    useEffect(() => {
+        if (!menu && !showList) return;
+        const close = (e) => {
+            if (e.type === "keydown" && e.key !== "Escape") return;
+            if (e.type === "mousedown" && e.target.closest?.(".eww-tab-menu")) return;
+            setMenu(null);
+            setShowList(false);
+        };
+        document.addEventListener("mousedown", close);
+        document.addEventListener("keydown", close);
+        return () => {
+            document.removeEventListener("mousedown", close);
+            document.removeEventListener("keydown", close);
+        };
+    }, [menu, showList]);
+
+    // ── Rename ────────────────────────────────────────────────────────────
     const startRename = useCallback((e, sheet) => {
-        e.stopPropagation();
+        e?.stopPropagation();
         if (!isWorkbookEditable) return;
         setRenamingId(sheet.sheetId);
         setRenameValue(sheet.sheetName);
@@ -64,72 +136,168 @@ export function SheetTabBar({
         if (e.key === "Escape") { setRenamingId(null); setRenameValue(""); }
     }, [commitRename]);
 
-    const handleDelete = useCallback((e, sheet) => {
-        e.stopPropagation();
-        if (!isWorkbookEditable) return;
-        if (sheets.length <= 1) { alert("A workbook must have at least one sheet."); return; }
-        onDeleteSheet?.(sheet.sheetId);
-    }, [isWorkbookEditable, sheets.length, onDeleteSheet]);
+    // ── Delete (confirmed) ────────────────────────────────────────────────
+    const requestDelete = useCallback((e, sheet) => {
+        e?.stopPropagation();
+        if (!isWorkbookEditable || sheets.length <= 1) return;
+        setPendingDelete(sheet);
+    }, [isWorkbookEditable, sheets.length]);
+
+    const confirmDelete = useCallback(() => {
+        if (pendingDelete) onDeleteSheet?.(pendingDelete.sheetId);
+        setPendingDelete(null);
+    }, [pendingDelete, onDeleteSheet]);
+
+    // ── Drag to reorder ───────────────────────────────────────────────────
+    const handleDragStart = (e, index) => {
+        e.dataTransfer.effectAllowed = "move";
+        // Firefox needs data set for the drag to start
+        try { e.dataTransfer.setData("text/plain", String(index)); } catch {}
+        setDrag({ from: index, over: null, after: false });
+    };
+
+    const handleDragOver = (e, index) => {
+        if (!drag) return;
+        e.preventDefault();
+        const rect  = e.currentTarget.getBoundingClientRect();
+        const after = e.clientX > rect.left + rect.width / 2;
+        if (drag.over !== index || drag.after !== after) setDrag({ ...drag, over: index, after });
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        if (drag && drag.over !== null) {
+            // Target position in the array once the dragged tab is taken out
+            let to = drag.over + (drag.after ? 1 : 0);
+            if (drag.from < to) to -= 1;
+            if (to !== drag.from) onReorderSheet?.(drag.from, to);
+        }
+        setDrag(null);
+    };
+
+    // ── Context menu ──────────────────────────────────────────────────────
+    const openMenu = (e, sheet) => {
+        e.preventDefault();
+        setShowList(false);
+        setMenu({ sheetId: sheet.sheetId, x: e.clientX, y: e.clientY });
+    };
+
+    const runMenuAction = (action) => {
+        setMenu(null);
+        action();
+    };
+
+    // Neighbouring visible sheet index in the given direction, or -1
+    const neighbourIndex = (index, direction) => {
+        for (let i = index + direction; i >= 0 && i < sheets.length; i += direction) {
+            if (!sheets[i].hidden) return i;
+        }
+        return -1;
+    };
 
     if (!sheets || sheets.length === 0) return null;
 
+    const menuSheet = menu ? sheets.find(s => s.sheetId === menu.sheetId) : null;
+    const menuIndex = menuSheet ? sheets.indexOf(menuSheet) : -1;
+
     return (
         <div className={CSS.TAB_BAR} role="tablist" aria-label="Sheets">
 
-            {sheets.map((sheet, index) => {
-                const isActive   = index === activeIndex;
-                const isEditable = canEditSheet(sheet.isEditable);
-                const isRenaming = renamingId === sheet.sheetId;
+            {/* ☰ all-sheets list */}
+            <button
+                type="button"
+                className="eww-tab-bar__icon-btn"
+                title="All sheets"
+                onClick={() => { setMenu(null); setShowList(prev => !prev); }}
+            >
+                ☰
+            </button>
 
-                const tabClassName = [
-                    CSS.TAB,
-                    isActive    ? CSS.TAB_ACTIVE   : "",
-                    !isEditable ? CSS.TAB_READONLY : "",
-                ].filter(Boolean).join(" ");
+            {overflow.left && (
+                <button type="button" className="eww-tab-bar__icon-btn" title="Scroll left" onClick={() => scrollStrip(-1)}>‹</button>
+            )}
 
-                return (
-                    <div key={sheet.sheetId} style={{ position: "relative", display: "flex", flexShrink: 0 }}>
-                        <button
-                            role="tab"
-                            aria-selected={isActive}
-                            className={tabClassName}
-                            onClick={() => !isRenaming && onTabChange(index)}
-                            onDoubleClick={(e) => startRename(e, sheet)}
-                            title={isWorkbookEditable ? "Click to switch • Double-click to rename" : sheet.sheetName}
-                            style={{ paddingRight: isWorkbookEditable ? 20 : 12 }}
-                        >
-                            {!isEditable && <span style={{ fontSize: 10, marginRight: 3 }}>🔒</span>}
-
-                            {isRenaming ? (
-                                <input
-                                    ref={renameInputRef}
-                                    value={renameValue}
-                                    onChange={e => setRenameValue(e.target.value)}
-                                    onBlur={commitRename}
-                                    onKeyDown={handleRenameKeyDown}
-                                    onClick={e => e.stopPropagation()}
-                                    maxLength={50}
-                                    style={renameInputStyle}
-                                />
-                            ) : (
-                                <span className="eww-tab__name">{truncate(sheet.sheetName, 20)}</span>
-                            )}
-                        </button>
+            <div className="eww-tab-bar__strip" ref={stripRef} onScroll={updateOverflow}>
+                {sheets.map((sheet, index) => {
+                    if (sheet.hidden) return null;
+
+                    const isActive   = index === activeIndex;
+                    const isEditable = canEditSheet(sheet.isEditable);
+                    const isRenaming = renamingId === sheet.sheetId;
+                    const isDropSpot = drag && drag.over === index && drag.from !== index;
+
+                    const tabClassName = [
+                        CSS.TAB,
+                        isActive    ? CSS.TAB_ACTIVE   : "",
+                        !isEditable ? CSS.TAB_READONLY : "",
+                    ].filter(Boolean).join(" ");
 
-                        {/* ✕ delete button — only for editors */}
-                        {isWorkbookEditable && !isRenaming && (
+                    return (
+                        <div
+                            key={sheet.sheetId}
+                            style={{
+                                position: "relative", display: "flex", flexShrink: 0,
+                                opacity: drag?.from === index ? 0.5 : 1,
+                                boxShadow: isDropSpot
+                                    ? `${drag.after ? "2px" : "-2px"} 0 0 0 var(--eww-color-primary)`
+                                    : "none",
+                            }}
+                            draggable={isWorkbookEditable && !isRenaming}
+                            onDragStart={e => handleDragStart(e, index)}
+                            onDragOver={e => handleDragOver(e, index)}
+                            onDrop={handleDrop}
+                            onDragEnd={() => setDrag(null)}
+                            onContextMenu={e => openMenu(e, sheet)}
+                        >
                             <button
-                                onClick={(e) => handleDelete(e, sheet)}
-                                title={`Delete "${sheet.sheetName}"`}
-                                className="eww-tab__delete-btn"
-                                style={{ ...deleteButtonStyle, opacity: isActive ? 1 : 0 }}
+                                role="tab"
+                                aria-selected={isActive}
+                                className={tabClassName}
+                                onClick={() => !isRenaming && onTabChange(index)}
+                                onDoubleClick={(e) => startRename(e, sheet)}
+                                title={isWorkbookEditable ? "Click to switch • Double-click to rename • Drag to move • Right-click for more" : sheet.sheetName}
+                                style={{
+                                    paddingRight: isWorkbookEditable && sheets.length > 1 ? 20 : 12,
+                                    boxShadow: sheet.tabColor ? `inset 0 -3px 0 ${sheet.tabColor}` : undefined,
+                                }}
                             >
-                                ✕
+                                {!isEditable && <span style={{ fontSize: 10, marginRight: 3 }}>🔒</span>}
+
+                                {isRenaming ? (
+                                    <input
+                                        ref={renameInputRef}
+                                        value={renameValue}
+                                        onChange={e => setRenameValue(e.target.value)}
+                                        onBlur={commitRename}
+                                        onKeyDown={handleRenameKeyDown}
+                                        onClick={e => e.stopPropagation()}
+                                        maxLength={50}
+                                        style={renameInputStyle}
+                                    />
+                                ) : (
+                                    <span className="eww-tab__name">{truncate(sheet.sheetName, 20)}</span>
+                                )}
                             </button>
-                        )}
-                    </div>
-                );
-            })}
+
+                            {/* ✕ delete button — only for editors, never on the last sheet */}
+                            {isWorkbookEditable && !isRenaming && sheets.length > 1 && (
+                                <button
+                                    onClick={(e) => requestDelete(e, sheet)}
+                                    title={`Delete "${sheet.sheetName}"`}
+                                    className="eww-tab__delete-btn"
+                                    style={{ ...deleteButtonStyle, opacity: isActive ? 1 : 0 }}
+                                >
+                                    ✕
+                                </button>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {overflow.right && (
+                <button type="button" className="eww-tab-bar__icon-btn" title="Scroll right" onClick={() => scrollStrip(1)}>›</button>
+            )}
 
             {/* + add sheet button */}
             {isWorkbookEditable && (
@@ -143,10 +311,136 @@ export function SheetTabBar({
                 </button>
             )}
 
+            {/* ── All-sheets list ─────────────────────────────────────── */}
+            {showList && (
+                <div className="eww-tab-menu" style={{ left: 8, bottom: "calc(100% + 4px)" }} role="menu">
+                    {sheets.map((sheet, index) => (
+                        <button
+                            key={sheet.sheetId}
+                            type="button"
+                            role="menuitem"
+                            className={["eww-tab-menu__item", index === activeIndex ? "eww-tab-menu__item--active" : ""].filter(Boolean).join(" ")}
+                            disabled={sheet.hidden && !isWorkbookEditable}
+                            onClick={() => {
+                                setShowList(false);
+                                if (sheet.hidden) onSetSheetHidden?.(sheet.sheetId, false);
+                                onTabChange(index);
+                            }}
+                            title={sheet.hidden ? "Hidden — click to unhide" : sheet.sheetName}
+                        >
+                            <span style={{ ...colorDotStyle, background: sheet.tabColor || "transparent" }} />
+                            <span style={{ opacity: sheet.hidden ? 0.55 : 1 }}>{sheet.sheetName}</span>
+                            {sheet.hidden && <span className="eww-tab-menu__hint">hidden</span>}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {/* ── Right-click menu ────────────────────────────────────── */}
+            {menuSheet && (
+                <div className="eww-tab-menu" style={{ position: "fixed", left: menu.x, top: menu.y, transform: "translateY(-100%)" }} role="menu">
+                    {isWorkbookEditable ? (
+                        <div>
+                            <MenuItem label="Rename" onClick={() => runMenuAction(() => startRename(null, menuSheet))} />
+                            <MenuItem label="Duplicate" onClick={() => runMenuAction(() => onDuplicateSheet?.(menuSheet.sheetId))} />
+                            <MenuItem
+                                label="Move left"
+                                disabled={neighbourIndex(menuIndex, -1) === -1}
+                                onClick={() => runMenuAction(() => onReorderSheet?.(menuIndex, neighbourIndex(menuIndex, -1)))}
+                            />
+                            <MenuItem
+                                label="Move right"
+                                disabled={neighbourIndex(menuIndex, 1) === -1}
+                                onClick={() => runMenuAction(() => onReorderSheet?.(menuIndex, neighbourIndex(menuIndex, 1)))}
+                            />
+
+                            <div className="eww-tab-menu__divider" />
+                            <div className="eww-tab-menu__label">Tab colour</div>
+                            <div className="eww-tab-menu__swatches">
+                                {TAB_COLORS.map(color => (
+                                    <button
+                                        key={color}
+                                        type="button"
+                                        title={color}
+                                        className={["eww-tab-menu__swatch", menuSheet.tabColor === color ? "eww-tab-menu__swatch--active" : ""].filter(Boolean).join(" ")}
+                                        style={{ background: color }}
+                                        onClick={() => runMenuAction(() => onSetTabColor?.(menuSheet.sheetId, color))}
+                                    />
+                                ))}
+                                <button
+                                    type="button"
+                                    title="No colour"
+                                    className="eww-tab-menu__swatch eww-tab-menu__swatch--none"
+                                    onClick={() => runMenuAction(() => onSetTabColor?.(menuSheet.sheetId, null))}
+                                >
+                                    ∅
+                                </button>
+                            </div>
+
+                            <div className="eww-tab-menu__divider" />
+                            <MenuItem
+                                label="Hide"
+                                disabled={visibleCount <= 1}
+                                onClick={() => runMenuAction(() => onSetSheetHidden?.(menuSheet.sheetId, true))}
+                            />
+                            {hiddenSheets.map(hidden => (
+                                <MenuItem
+                                    key={hidden.sheetId}
+                                    label={`Unhide "${truncate(hidden.sheetName, 24)}"`}
+                                    onClick={() => runMenuAction(() => onSetSheetHidden?.(hidden.sheetId, false))}
+                                />
+                            ))}
+
+                            <div className="eww-tab-menu__divider" />
+                            <MenuItem
+                                label="Delete"
+                                danger
+                                disabled={sheets.length <= 1}
+                                onClick={() => runMenuAction(() => requestDelete(null, menuSheet))}
+                            />
+                        </div>
+                    ) : (
+                        <div className="eww-tab-menu__label" style={{ padding: "6px 10px" }}>View only</div>
+                    )}
+                </div>
+            )}
+
+            {/* ── Delete confirmation ─────────────────────────────────── */}
+            {pendingDelete && (
+                <div style={{ display: "contents" }}>
+                    <div style={S.backdrop} onClick={() => setPendingDelete(null)} />
+                    <div style={S.dialog} role="alertdialog" aria-label="Delete sheet">
+                        <div style={S.title}>Delete "{pendingDelete.sheetName}"?</div>
+                        <div style={S.text}>
+                            The sheet and all of its data will be removed. Formulas on other
+                            sheets that reference it will show #REF!.
+                        </div>
+                        <div style={S.footer}>
+                            <button type="button" style={S.cancelBtn} onClick={() => setPendingDelete(null)}>Cancel</button>
+                            <button type="button" style={S.dangerBtn} onClick={confirmDelete}>Delete</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
         </div>
     );
 }
 
+function MenuItem({ label, disabled, danger, onClick }) {
+    return (
+        <button
+            type="button"
+            role="menuitem"
+            className={["eww-tab-menu__item", danger ? "eww-tab-menu__item--danger" : ""].filter(Boolean).join(" ")}
+            disabled={disabled}
+            onClick={disabled ? undefined : onClick}
+        >
+            {label}
+        </button>
+    );
+}
+
 const renameInputStyle = {
     background: "transparent", border: "none",
     borderBottom: "1px solid #1a73e8", outline: "none",
@@ -164,4 +458,41 @@ const deleteButtonStyle = {
 const addButtonStyle = {
     fontSize: 18, fontWeight: 300, padding: "0 10px",
     color: "#5f6368", flexShrink: 0,
-};
\ No newline at end of file
+};
+
+const colorDotStyle = {
+    width: 8, height: 8, borderRadius: "50%", flexShrink: 0,
+    border: "1px solid rgba(0,0,0,0.12)",
+};
+
+// ─── Delete confirmation styles ───────────────────────────────────────────────
+
+const S = {
+    backdrop: {
+        position: "fixed", inset: 0,
+        background: "rgba(15,23,42,0.3)",
+        backdropFilter: "blur(2px)",
+        zIndex: 9998,
+    },
+    dialog: {
+        position: "fixed", top: "50%", left: "50%",
+        transform: "translate(-50%, -50%)",
+        width: 360, background: "#ffffff", borderRadius: 12,
+        boxShadow: "0 20px 60px rgba(15,23,42,0.18), 0 4px 16px rgba(15,23,42,0.08)",
+        border: "1px solid rgba(226,232,240,0.8)",
+        padding: "18px 18px 14px", zIndex: 9999,
+    },
+    title:  { fontSize: 14, fontWeight: 700, color: "#0f172a", marginBottom: 8, wordBreak: "break-word" },
+    text:   { fontSize: 12, color: "#475569", lineHeight: 1.5, marginBottom: 16 },
+    footer: { display: "flex", justifyContent: "flex-end", gap: 8 },
+    cancelBtn: {
+        padding: "7px 14px", background: "#fff", color: "#475569",
+        border: "1px solid #e2e8f0", borderRadius: 6, cursor: "pointer",
+        fontSize: 12, fontWeight: 600,
+    },
+    dangerBtn: {
+        padding: "7px 16px", background: "#dc2626", color: "#fff",
+        border: "none", borderRadius: 6, cursor: "pointer",
+        fontSize: 12, fontWeight: 600,
+    },
+};
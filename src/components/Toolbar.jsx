@@ -6,13 +6,50 @@
  *
  * NOTE: Column Settings button has been moved to the sheet name header
  * in WorkbookContainer.jsx — admin clicks it there instead.
+ *
+ * IMPORT:
+ * The Import button opens a hidden file input. The picked .xlsx is loaded
+ * by xlsxService, then XlsxImportDialog asks which worksheet and whether
+ * to replace the sheet or write into the selected range. The converted
+ * sheet is handed to onImport — WorkbookContainer merges it into sheetData
+ * so it is saved through the normal auto-save path.
+ *
+ * CSV / TSV files go through csvService and CsvImportDialog instead: the
+ * dialog previews the parse and, for admins, can turn the first row into
+ * typed columns. The result uses the same onImport path.
+ *
+ * EXPORT:
+ * The Export menu offers the current sheet as .xlsx, the whole workbook as
+ * .xlsx (one worksheet per entry in allSheets, with the live active sheet
+ * substituted for its possibly stale allSheetsJson copy) and the old CSV.
+ *
+ * NUMBER FORMATS:
+ * The currency, percent, thousands and decimal buttons and the number format
+ * menu write an Excel format code to cellMeta.numberFormat (utils/numberFormat).
+ * They build on the selected cell's current code when it is one of their own
+ * presets; a custom code from NumberFormatDialog is replaced by a fresh one.
+ *
+ * PRINT:
+ * PrintDialog collects page setup; printService then lays out the whole
+ * sheet (not just the rendered viewport) using the live evaluated values.
+ *
+ * A failed import, export or print is logged and shown at the end of the
+ * toolbar until dismissed or the next attempt.
  */
 
-import { createElement, useState, useCallback, useEffect } from "react";
-import { CSS } from "../utils/constants";
+import { createElement, useState, useCallback, useEffect, useRef } from "react";
+import { CSS, NUMBER_FORMAT_KIND, NEGATIVE_STYLE, DEFAULT_NUMBER_FORMAT_OPTIONS } from "../utils/constants";
 import { cellKey } from "../utils/helpers";
+import { buildNumberFormat, readNumberFormatOptions } from "../utils/numberFormat";
+import { readXlsxFile, convertWorksheet, exportXlsx } from "../services/xlsxService";
+import { readCsvFile } from "../services/csvService";
+import { printSheet } from "../services/printService";
+import { XlsxImportDialog } from "./XlsxImportDialog";
+import { CsvImportDialog } from "./CsvImportDialog";
+import { PrintDialog } from "./PrintDialog";
+import { NumberFormatDialog } from "./NumberFormatDialog";
 
-export function Toolbar({ hotRef, activeSheet, onMetaChange, disabled }) {
+export function Toolbar({ hotRef, activeSheet, allSheets, isAdmin, onMetaChange, onImport, disabled }) {
 
     const [activeFmt, setActiveFmt] = useState({
         bold:      false,
@@ -21,6 +58,7 @@ export function Toolbar({ hotRef, activeSheet, onMetaChange, disabled }) {
         fontColor: "#000000",
         bgColor:   "#ffffff",
         align:     "left",
+        numberFormat: null,
     });
 
     useEffect(() => {
@@ -42,6 +80,7 @@ export function Toolbar({ hotRef, activeSheet, onMetaChange, disabled }) {
                 fontColor: meta.fontColor ?? "#000000",
                 bgColor:   meta.bgColor   ?? "#ffffff",
                 align:     meta.align     ?? "left",
+                numberFormat: meta.numberFormat ?? null,
             });
         };
 
@@ -128,15 +167,142 @@ export function Toolbar({ hotRef, activeSheet, onMetaChange, disabled }) {
                 }
             }
         });
-        setActiveFmt({ bold: false, italic: false, underline: false, fontColor: "#000000", bgColor: "#ffffff", align: "left" });
+        setActiveFmt({ bold: false, italic: false, underline: false, fontColor: "#000000", bgColor: "#ffffff", align: "left", numberFormat: null });
         onMetaChange?.(activeSheet.sheetId, newMeta);
         hot.render();
     }, [hotRef, activeSheet, onMetaChange, disabled]);
 
+    // ── Number formats ────────────────────────────────────────────────────
+    const numberOptions = readNumberFormatOptions(activeFmt.numberFormat);
+
+    const setNumberFormat = useCallback((code) => {
+        setActiveFmt(prev => ({ ...prev, numberFormat: code }));
+        applyFormat("numberFormat", code ?? undefined);
+    }, [applyFormat]);
+
+    // Changes some options of the current preset (or of a plain number
+    // format when the cell has none or a custom code)
+    const updateNumberFormat = useCallback((change) => {
+        const current = numberOptions ?? DEFAULT_NUMBER_FORMAT_OPTIONS;
+        setNumberFormat(buildNumberFormat({ ...current, ...change(current) }));
+    }, [numberOptions, setNumberFormat]);
+
+    // The thousands toggle has no meaning for percent and scientific, and
+    // negative styles exist only for number and currency
+    const plainKind = (kind) =>
+        kind === NUMBER_FORMAT_KIND.CURRENCY || kind === NUMBER_FORMAT_KIND.ACCOUNTING ? kind : NUMBER_FORMAT_KIND.NUMBER;
+
+    const setNegativeStyle = useCallback((negative) => {
+        updateNumberFormat(current => ({
+            kind: current.kind === NUMBER_FORMAT_KIND.CURRENCY ? NUMBER_FORMAT_KIND.CURRENCY : NUMBER_FORMAT_KIND.NUMBER,
+            negative,
+        }));
+    }, [updateNumberFormat]);
+
+    const [pendingNumberFormat, setPendingNumberFormat] = useState(null);
+
+    const openNumberFormatDialog = useCallback(() => {
+        const hot      = hotRef?.current?.hotInstance;
+        const selected = hot?.getSelectedLast();
+        setPendingNumberFormat({
+            cellValue: selected ? hot.getDataAtCell(Math.max(0, selected[0]), Math.max(0, selected[1])) : null,
+        });
+    }, [hotRef]);
+
+    // ── Import / export errors ────────────────────────────────────────────
+    const [fileError, setFileError] = useState(null);
+
+    const reportFileError = useCallback((action, err) => {
+        console.error(`[ExcelWidget] ${action} failed:`, err?.message);
+        setFileError(`${action} failed${err?.message ? `: ${err.message}` : "."}`);
+    }, []);
+
+    // ── Import .xlsx ──────────────────────────────────────────────────────
+    const fileInputRef                      = useRef(null);
+    const [pendingImport, setPendingImport] = useState(null);
+
+    const openImportPicker = useCallback(() => {
+        if (disabled) return;
+        fileInputRef.current?.click();
+    }, [disabled]);
+
+    const handleFilePicked = useCallback(async (e) => {
+        const file = e.target.files?.[0];
+        // Reset so picking the same file again still fires onChange
+        e.target.value = "";
+        if (!file) return;
+        setFileError(null);
+
+        try {
+            const { workbook, sheetNames } = await readXlsxFile(file);
+            const hot = hotRef?.current?.hotInstance;
+            setPendingImport({
+                fileName:  file.name,
+                workbook,
+                sheetNames,
+                selection: hot?.getSelectedLast() ?? null,
+            });
+        } catch (err) {
+            reportFileError("Excel import", err);
+        }
+    }, [hotRef, reportFileError]);
+
+    const confirmImport = useCallback(({ sheetIndex, mode }) => {
+        const pending = pendingImport;
+        setPendingImport(null);
+        if (!pending) return;
+
+        try {
+            const imported = convertWorksheet(pending.workbook, sheetIndex);
+            const range    = mode === "range" ? selectionToRange(pending.selection) : null;
+            onImport?.(imported, { mode, range });
+        } catch (err) {
+            reportFileError("Excel import", err);
+        }
+    }, [pendingImport, onImport, reportFileError]);
+
+    // ── Import CSV / TSV ──────────────────────────────────────────────────
+    const csvInputRef                 = useRef(null);
+    const [pendingCsv, setPendingCsv] = useState(null);
+
+    const openCsvPicker = useCallback(() => {
+        if (disabled) return;
+        csvInputRef.current?.click();
+    }, [disabled]);
+
+    const handleCsvPicked = useCallback(async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = "";
+        if (!file) return;
+        setFileError(null);
+
+        try {
+            const bytes = await readCsvFile(file);
+            const hot   = hotRef?.current?.hotInstance;
+            setPendingCsv({
+                fileName:  file.name,
+                bytes,
+                selection: hot?.getSelectedLast() ?? null,
+            });
+        } catch (err) {
+            reportFileError("CSV import", err);
+        }
+    }, [hotRef, reportFileError]);
+
+    const confirmCsvImport = useCallback((imported, mode) => {
+        const pending = pendingCsv;
+        setPendingCsv(null);
+        if (!pending) return;
+
+        const range = mode === "range" ? selectionToRange(pending.selection) : null;
+        onImport?.(imported, { mode, range });
+    }, [pendingCsv, onImport]);
+
     // ── Export CSV ────────────────────────────────────────────────────────
     const exportCSV = useCallback(() => {
         const hot = hotRef?.current?.hotInstance;
         if (!hot) return;
+        setFileError(null);
         try {
             const exportPlugin = hot.getPlugin("exportFile");
             exportPlugin.downloadFile("csv", {
@@ -152,9 +318,52 @@ export function Toolbar({ hotRef, activeSheet, onMetaChange, disabled }) {
                 rowHeaders:           activeSheet?.rowLabels?.length > 0,
             });
         } catch (err) {
-            console.error("[ExcelWidget] CSV export failed:", err.message);
+            reportFileError("CSV export", err);
+        }
+    }, [hotRef, activeSheet?.sheetName, reportFileError]);
+
+    // ── Export .xlsx ──────────────────────────────────────────────────────
+    const exportSheetXlsx = useCallback(() => {
+        if (!activeSheet) return;
+        setFileError(null);
+        exportXlsx([activeSheet], exportFileName(activeSheet.sheetName))
+            .catch(err => reportFileError("Excel export", err));
+    }, [activeSheet, reportFileError]);
+
+    const hasWorkbook = Array.isArray(allSheets) && allSheets.length > 1;
+
+    const exportWorkbookXlsx = useCallback(() => {
+        if (!activeSheet) return;
+        const others = (allSheets || []).map(s =>
+            s.sheetName === activeSheet.sheetName ? activeSheet : s
+        );
+        const sheets = others.includes(activeSheet) ? others : [activeSheet, ...others];
+        setFileError(null);
+        exportXlsx(sheets, exportFileName("workbook"))
+            .catch(err => reportFileError("Excel export", err));
+    }, [activeSheet, allSheets, reportFileError]);
+
+    // ── Print ─────────────────────────────────────────────────────────────
+    const [pendingPrint, setPendingPrint] = useState(null);
+
+    const openPrintDialog = useCallback(() => {
+        const hot = hotRef?.current?.hotInstance;
+        setPendingPrint({ selection: hot?.getSelectedLast() ?? null });
+    }, [hotRef]);
+
+    const confirmPrint = useCallback((options) => {
+        const pending = pendingPrint;
+        setPendingPrint(null);
+        const hot = hotRef?.current?.hotInstance;
+        if (!pending || !activeSheet) return;
+        setFileError(null);
+
+        try {
+            printSheet(activeSheet, hot ? hot.getData() : activeSheet.data, options, pending.selection);
+        } catch (err) {
+            reportFileError("Print", err);
         }
-    }, [hotRef, activeSheet?.sheetName]);
+    }, [pendingPrint, hotRef, activeSheet, reportFileError]);
 
     return (
         <div className={CSS.TOOLBAR} role="toolbar" aria-label="Formatting toolbar">
@@ -207,6 +416,58 @@ export function Toolbar({ hotRef, activeSheet, onMetaChange, disabled }) {
 
             <Divider />
 
+            {/* ── Number format group ───────────────────────────────── */}
+            <ToolbarGroup>
+                <ToolbarBtn
+                    title="Currency format"
+                    active={numberOptions?.kind === NUMBER_FORMAT_KIND.CURRENCY}
+                    disabled={disabled}
+                    onClick={() => updateNumberFormat(current => ({ kind: NUMBER_FORMAT_KIND.CURRENCY, thousands: current.kind === NUMBER_FORMAT_KIND.CURRENCY ? current.thousands : true }))}
+                >
+                    <IconCurrency />
+                </ToolbarBtn>
+                <ToolbarBtn
+                    title="Percent format"
+                    active={numberOptions?.kind === NUMBER_FORMAT_KIND.PERCENT}
+                    disabled={disabled}
+                    onClick={() => updateNumberFormat(current => ({ kind: NUMBER_FORMAT_KIND.PERCENT, decimals: current.kind === NUMBER_FORMAT_KIND.PERCENT ? current.decimals : 0 }))}
+                >
+                    <IconPercent />
+                </ToolbarBtn>
+                <ToolbarBtn
+                    title="Thousands separator"
+                    active={!!numberOptions?.thousands && numberOptions.kind !== NUMBER_FORMAT_KIND.PERCENT && numberOptions.kind !== NUMBER_FORMAT_KIND.SCIENTIFIC}
+                    disabled={disabled}
+                    onClick={() => updateNumberFormat(current => ({ kind: plainKind(current.kind), thousands: plainKind(current.kind) === current.kind ? !current.thousands : true }))}
+                >
+                    <IconThousands />
+                </ToolbarBtn>
+                <ToolbarBtn title="Increase decimal places" disabled={disabled} onClick={() => updateNumberFormat(current => ({ decimals: Math.min(10, current.decimals + 1) }))}>
+                    <IconDecimalsMore />
+                </ToolbarBtn>
+                <ToolbarBtn title="Decrease decimal places" disabled={disabled} onClick={() => updateNumberFormat(current => ({ decimals: Math.max(0, current.decimals - 1) }))}>
+                    <IconDecimalsLess />
+                </ToolbarBtn>
+                <ToolbarMenu
+                    title="More number formats"
+                    icon={<IconNumberFormat />}
+                    disabled={disabled}
+                    items={[
+                        { label: "General",                      onClick: () => setNumberFormat(null) },
+                        { label: "Number (1,234.00)",            onClick: () => updateNumberFormat(() => ({ kind: NUMBER_FORMAT_KIND.NUMBER, thousands: true })) },
+                        { label: "Accounting ($ 1,234.00)",      onClick: () => updateNumberFormat(() => ({ kind: NUMBER_FORMAT_KIND.ACCOUNTING })) },
+                        { label: "Scientific (1.23E+03)",        onClick: () => updateNumberFormat(() => ({ kind: NUMBER_FORMAT_KIND.SCIENTIFIC })) },
+                        { label: "Negatives as -1,234.00",       onClick: () => setNegativeStyle(NEGATIVE_STYLE.MINUS) },
+                        { label: "Negatives in red",             onClick: () => setNegativeStyle(NEGATIVE_STYLE.RED) },
+                        { label: "Negatives in parentheses",     onClick: () => setNegativeStyle(NEGATIVE_STYLE.PARENS) },
+                        { label: "Negatives in red parentheses", onClick: () => setNegativeStyle(NEGATIVE_STYLE.RED_PARENS) },
+                        { label: "Custom format…",               onClick: openNumberFormatDialog },
+                    ]}
+                />
+            </ToolbarGroup>
+
+            <Divider />
+
             {/* ── Clear formatting ──────────────────────────────────── */}
             <ToolbarGroup>
                 <ToolbarBtn title="Clear formatting from selected cells" disabled={disabled} onClick={clearFormatting}>
@@ -216,17 +477,118 @@ export function Toolbar({ hotRef, activeSheet, onMetaChange, disabled }) {
 
             <Divider />
 
-            {/* ── Export CSV ────────────────────────────────────────── */}
+            {/* ── Import / Export ───────────────────────────────────── */}
             <ToolbarGroup>
-                <ToolbarBtn title="Export as CSV" disabled={false} onClick={exportCSV}>
-                    <IconExportCSV />
+                <ToolbarMenu
+                    title="Import"
+                    icon={<IconImport />}
+                    disabled={disabled}
+                    items={[
+                        { label: "Excel file (.xlsx)", onClick: openImportPicker },
+                        { label: "CSV / TSV file",     onClick: openCsvPicker },
+                    ]}
+                />
+                <ToolbarMenu
+                    title="Export"
+                    icon={<IconExportCSV />}
+                    disabled={false}
+                    items={[
+                        { label: "Current sheet (.xlsx)",  onClick: exportSheetXlsx },
+                        ...(hasWorkbook ? [{ label: "Whole workbook (.xlsx)", onClick: exportWorkbookXlsx }] : []),
+                        { label: "Current sheet (.csv)",   onClick: exportCSV },
+                    ]}
+                />
+                <ToolbarBtn title="Print / Save as PDF" disabled={false} onClick={openPrintDialog}>
+                    <IconPrint />
                 </ToolbarBtn>
             </ToolbarGroup>
 
+            {fileError && (
+                <div className="eww-toolbar__error" role="alert">
+                    <span className="eww-toolbar__error-text" title={fileError}>⚠ {fileError}</span>
+                    <button type="button" className="eww-toolbar__error-close" title="Dismiss" onClick={() => setFileError(null)}>
+                        ×
+                    </button>
+                </div>
+            )}
+
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept=".xlsx,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                onChange={handleFilePicked}
+                style={{ display: "none" }}
+            />
+            <input
+                ref={csvInputRef}
+                type="file"
+                accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain"
+                onChange={handleCsvPicked}
+                style={{ display: "none" }}
+            />
+
+            {pendingImport && (
+                <XlsxImportDialog
+                    fileName={pendingImport.fileName}
+                    sheetNames={pendingImport.sheetNames}
+                    selection={pendingImport.selection}
+                    onConfirm={confirmImport}
+                    onCancel={() => setPendingImport(null)}
+                />
+            )}
+
+            {pendingCsv && (
+                <CsvImportDialog
+                    fileName={pendingCsv.fileName}
+                    bytes={pendingCsv.bytes}
+                    isAdmin={isAdmin}
+                    hasSelection={!!pendingCsv.selection}
+                    onConfirm={confirmCsvImport}
+                    onCancel={() => setPendingCsv(null)}
+                />
+            )}
+
+            {pendingNumberFormat && (
+                <NumberFormatDialog
+                    code={activeFmt.numberFormat}
+                    cellValue={pendingNumberFormat.cellValue}
+                    onConfirm={(code) => { setPendingNumberFormat(null); setNumberFormat(code); }}
+                    onCancel={() => setPendingNumberFormat(null)}
+                />
+            )}
+
+            {pendingPrint && (
+                <PrintDialog
+                    sheetName={activeSheet?.sheetName || ""}
+                    hasSelection={!!pendingPrint.selection}
+                    onConfirm={confirmPrint}
+                    onCancel={() => setPendingPrint(null)}
+                />
+            )}
+
         </div>
     );
 }
 
+// "Budget" → "Budget_2026-10-19" — same naming as the CSV export
+function exportFileName(name) {
+    return `${name || "export"}_${new Date().toISOString().slice(0, 10)}`;
+}
+
+// getSelectedLast() → { row, col, rows, cols } for applyImportedSheet.
+// A single cell has no size — the import is written from there unclipped.
+function selectionToRange(selection) {
+    if (!selection) return null;
+    const [r1, c1, r2, c2] = selection.map(i => Math.max(0, i));
+    const isSingleCell     = r1 === r2 && c1 === c2;
+    return {
+        row:  Math.min(r1, r2),
+        col:  Math.min(c1, c2),
+        rows: isSingleCell ? null : Math.abs(r2 - r1) + 1,
+        cols: isSingleCell ? null : Math.abs(c2 - c1) + 1,
+    };
+}
+
 // ─── Sub-components ───────────────────────────────────────────────────────────
 
 function ToolbarGroup({ children }) {
@@ -293,6 +655,44 @@ function BgColorBtn({ title, value, disabled, onChange }) {
     );
 }
 
+/** Toolbar button with a small dropdown of actions. Closes on outside click. */
+function ToolbarMenu({ title, icon, disabled, items }) {
+    const [open, setOpen] = useState(false);
+    const menuRef         = useRef(null);
+
+    useEffect(() => {
+        if (!open) return;
+        const onMouseDown = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener("mousedown", onMouseDown);
+        return () => document.removeEventListener("mousedown", onMouseDown);
+    }, [open]);
+
+    return (
+        <div className="eww-toolbar__menu" ref={menuRef}>
+            <ToolbarBtn title={title} active={open} disabled={disabled} onClick={() => setOpen(prev => !prev)}>
+                {icon}
+            </ToolbarBtn>
+            {open && (
+                <div className="eww-toolbar__menu-list" role="menu">
+                    {items.map(item => (
+                        <button
+                            key={item.label}
+                            type="button"
+                            role="menuitem"
+                            className="eww-toolbar__menu-item"
+                            onClick={() => { setOpen(false); item.onClick(); }}
+                        >
+                            {item.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
 function Divider() {
     return <div className="eww-toolbar__divider" aria-hidden="true" />;
 }
@@ -397,4 +797,78 @@ function IconExportCSV() {
             <path d="M2 10v1.5A1.5 1.5 0 0 0 3.5 13h7a1.5 1.5 0 0 0 1.5-1.5V10" stroke="currentColor" strokeWidth="1.4" strokeLinecap="round"/>
         </svg>
     );
-}
\ No newline at end of file
+}
+
+function IconImport() {
+    return (
+        <svg width="14" height="14" viewBox="0 0 14 14" fill="none" aria-hidden="true">
+            <path d="M7 9V1M4 4l3-3 3 3" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
+            <path d="M2 10v1.5A1.5 1.5 0 0 0 3.5 13h7a1.5 1.5 0 0 0 1.5-1.5V10" stroke="currentColor" strokeWidth="1.4" strokeLinecap="round"/>
+        </svg>
+    );
+}
+
+function IconPrint() {
+    return (
+        <svg width="14" height="14" viewBox="0 0 14 14" fill="none" aria-hidden="true">
+            <path d="M3.5 5V1.5h7V5" stroke="currentColor" strokeWidth="1.3" strokeLinejoin="round"/>
+            <rect x="1.5" y="5" width="11" height="5" rx="1" stroke="currentColor" strokeWidth="1.3"/>
+            <rect x="3.5" y="8.5" width="7" height="4" stroke="currentColor" strokeWidth="1.3" fill="#fff"/>
+        </svg>
+    );
+}
+
+function IconCurrency() {
+    return (
+        <svg width="14" height="14" viewBox="0 0 14 14" fill="none" aria-hidden="true">
+            <path d="M9.8 4.2C9.4 3.3 8.4 2.8 7 2.8c-1.6 0-2.7.8-2.7 2s1 1.6 2.7 2 2.8.9 2.8 2.1-1.2 2.1-2.8 2.1c-1.5 0-2.5-.6-2.9-1.6" stroke="currentColor" strokeWidth="1.4" strokeLinecap="round" fill="none"/>
+            <line x1="7" y1="1" x2="7" y2="13" stroke="currentColor" strokeWidth="1.3" strokeLinecap="round"/>
+        </svg>
+    );
+}
+
+function IconPercent() {
+    return (
+        <svg width="14" height="14" viewBox="0 0 14 14" fill="none" aria-hidden="true">
+            <circle cx="4" cy="4" r="1.8" stroke="currentColor" strokeWidth="1.3"/>
+            <circle cx="10" cy="10" r="1.8" stroke="currentColor" strokeWidth="1.3"/>
+            <line x1="11" y1="2.5" x2="3" y2="11.5" stroke="currentColor" strokeWidth="1.4" strokeLinecap="round"/>
+        </svg>
+    );
+}
+
+function IconThousands() {
+    return (
+        <svg width="14" height="14" viewBox="0 0 14 14" fill="none" aria-hidden="true">
+            <text x="7" y="10" textAnchor="middle" fontSize="8" fontWeight="700" fill="currentColor">,000</text>
+        </svg>
+    );
+}
+
+function IconDecimalsMore() {
+    return (
+        <svg width="14" height="14" viewBox="0 0 14 14" fill="none" aria-hidden="true">
+            <text x="7" y="7" textAnchor="middle" fontSize="6" fontWeight="700" fill="currentColor">.0</text>
+            <text x="7" y="13" textAnchor="middle" fontSize="6" fontWeight="700" fill="currentColor">.00</text>
+            <path d="M1.5 9.5h3M3 8v3" stroke="currentColor" strokeWidth="1.1" strokeLinecap="round"/>
+        </svg>
+    );
+}
+
+function IconDecimalsLess() {
+    return (
+        <svg width="14" height="14" viewBox="0 0 14 14" fill="none" aria-hidden="true">
+            <text x="7" y="7" textAnchor="middle" fontSize="6" fontWeight="700" fill="currentColor">.00</text>
+            <text x="7" y="13" textAnchor="middle" fontSize="6" fontWeight="700" fill="currentColor">.0</text>
+            <path d="M1.5 9.5h3" stroke="currentColor" strokeWidth="1.1" strokeLinecap="round"/>
+        </svg>
+    );
+}
+
+function IconNumberFormat() {
+    return (
+        <svg width="14" height="14" viewBox="0 0 14 14" fill="none" aria-hidden="true">
+            <text x="7" y="10" textAnchor="middle" fontSize="7.5" fontWeight="700" fill="currentColor">123</text>
+        </svg>
+    );
+}
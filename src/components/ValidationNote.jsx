@@ -0,0 +1,44 @@
+/**
+ * ValidationNote.jsx
+ *
+ * Small note under a cell for data validation (utils/dataValidation),
+ * rendered by SheetGrid:
+ *
+ *   hint     — the rule's input hint, while a covered cell is selected
+ *   error    — a value was rejected; the old value was kept
+ *   warning  — a value was written but does not meet the rule
+ *
+ * note — { kind, title, message, rect } (rect: the cell's client rect)
+ */
+
+import { createElement } from "react";
+
+export const VALIDATION_NOTE_KIND = {
+    HINT:    "hint",
+    ERROR:   "error",
+    WARNING: "warning",
+};
+
+export function ValidationNote({ note, onClose }) {
+    if (!note || !note.rect) return null;
+
+    // Open above the cell when there is no room below
+    const below = window.innerHeight - note.rect.bottom > 120 || note.rect.top < 120;
+    const position = below
+        ? { top: note.rect.bottom + 2, left: note.rect.left }
+        : { bottom: window.innerHeight - note.rect.top + 2, left: note.rect.left };
+
+    return (
+        <div
+            className={`eww-validation-note eww-validation-note--${note.kind}`}
+            style={position}
+            role={note.kind === VALIDATION_NOTE_KIND.HINT ? "tooltip" : "alert"}
+        >
+            {note.title && <div className="eww-validation-note__title">{note.title}</div>}
+            <div className="eww-validation-note__message">{note.message}</div>
+            {note.kind !== VALIDATION_NOTE_KIND.HINT && (
+                <button type="button" className="eww-validation-note__close" aria-label="Close" onClick={onClose}>×</button>
+            )}
+        </div>
+    );
+}
@@ -1,6 +1,7 @@
 /**
  * WorkbookContainer.jsx
- * Single sheet per widget instance.
+ * Single sheet per widget instance — or, when the sheetsJson attribute is
+ * mapped, a whole workbook (see WORKBOOK MODE below).
  * No JSX fragments anywhere — Mendix compatibility.
  *
  * FIX: sheetData now re-parses whenever sheetJsonValue changes from Mendix
@@ -17,29 +18,119 @@
  *                     and skips saving (and immediately resets the flag to false)
  *                     so that a Mendix-originated data update never triggers
  *                     an unnecessary write back to Mendix.
+ *
+ * WORKBOOK MODE:
+ * sheetsJson holds every sheet as one JSON array. useWorkbookState parses it
+ * and owns sheets[] + the active tab, useAutoSave writes the whole array back,
+ * usePermissions decides per-sheet editability from each sheet's isEditable
+ * flag, and SheetTabBar under the grid switches / adds / renames / deletes /
+ * reorders / duplicates / hides sheets. orderIndex is rewritten from array
+ * position whenever the order changes. All sheet-level handlers below go
+ * through updateSheetData, which targets either the single sheetData or the
+ * active workbook sheet, so the toolbar, panels and grid work the same in
+ * both modes.
+ *
+ * NAMED RANGES:
+ * Each sheet keeps its names in namedRanges (NamedRangesPanel). The names of
+ * every known sheet are turned into HyperFormula named expressions here and
+ * registered by useHyperformula.
+ *
+ * FORMULA ERRORS:
+ * SheetGrid reports the active sheet's erroring formulas (onFormulaErrorsChange).
+ * The header shows their count; clicking it opens FormulaErrorsPanel, whose
+ * entries select the cell through hotRef.
+ *
+ * COMMENTS:
+ * Each sheet keeps its comment threads in comments (utils/cellComments),
+ * signed with currentUserId; SheetGrid marks the commented cells. The header
+ * shows the open threads; clicking it opens CommentsPanel, which comments on
+ * the selected cell. Anyone who can see the sheet may comment. Every new
+ * comment or reply is also written to auditJson and fires onAuditLog, so a
+ * microflow can notify the thread's participants.
+ *
+ * FORMULA RESULTS:
+ * Every save also writes the computed result and error code of each formula
+ * cell (values / errors, utils/formulaResults), read from HyperFormula at
+ * save time. In single-sheet mode only this sheet's results are written; they
+ * refresh with its next save.
+ *
+ * WORKBOOK FUNCTIONS:
+ * Admins define functions like COMMISSION(amount, rate) in
+ * CustomFunctionsPanel; they are stored on the defining sheet
+ * (customFunctions) and callable from every sheet. The definitions of every
+ * known sheet are collected here and registered by useHyperformula.
+ *
+ * CONDITIONAL FORMATTING:
+ * Each sheet keeps its rules in conditionalFormats (ConditionalFormatsPanel);
+ * SheetGrid applies them. Column changes and header renames rewrite rule
+ * ranges and formulas like any other formula.
+ *
+ * DATA VALIDATION:
+ * Each sheet keeps its rules in validationRules (DataValidationPanel);
+ * SheetGrid checks typed, pasted and filled values against them. Rule ranges,
+ * list sources and formulas follow column changes and header renames.
+ *
+ * DROPDOWN OPTIONS:
+ * A dropdown column may take its options from the Dropdown Options
+ * datasource (dropdownOptions / dropdownOptionValue / dropdownOptionList).
+ * Its items are read here into mendixOptions for SheetGrid; the list names
+ * go to ColumnSettingsPanel, where a column picks one of them.
+ *
+ * HEADER RENAMES:
+ * Renaming a column header or row label rewrites every formula and named
+ * range that uses the old name (utils/headerRename) — on this sheet and, in
+ * workbook mode, Sheet!Token references from the other tabs. The affected
+ * cells are listed in HeaderRenameDialog first; Cancel keeps the old name.
+ * Renaming a sheet rewrites every OldName!Ref reference to it the same way,
+ * straight away — they still point at the same cells.
  */
 
-import { createElement, useRef, useCallback, useState, useEffect } from "react";
+import { createElement, useRef, useCallback, useState, useEffect, useMemo } from "react";
 
 import { SheetGrid }           from "./SheetGrid";
 import { Toolbar }             from "./Toolbar";
 import { ColumnSettingsPanel } from "./ColumnSettingsPanel";
 import { RowSettingsPanel }    from "./RowSettingsPanel";
 import { ReadOnlyBadge }       from "./ReadOnlyBadge";
+import { SheetTabBar }         from "./SheetTabBar";
+import { NamedRangesPanel }    from "./NamedRangesPanel";
+import { CustomFunctionsPanel } from "./CustomFunctionsPanel";
+import { ConditionalFormatsPanel } from "./ConditionalFormatsPanel";
+import { DataValidationPanel } from "./DataValidationPanel";
+import { FormulaBar }          from "./FormulaBar";
+import { FormulaErrorsPanel }  from "./FormulaErrorsPanel";
+import { CommentsPanel }       from "./CommentsPanel";
+import { HeaderRenameDialog }  from "./HeaderRenameDialog";
 
-import { parseSheetJson, serializeSheet, parseAllSheetsJson } from "../services/dataService";
-import { triggerSheetChange }             from "../services/mendixBridge";
-import { CSS, AUTOSAVE_DEBOUNCE_MS }      from "../utils/constants";
+import {
+    parseSheetJson, serializeSheet, parseAllSheetsJson, applyImportedSheet, createWorkbookSheet,
+} from "../services/dataService";
+import { triggerSheetChange, triggerAuditLog } from "../services/mendixBridge";
+import { CSS, AUTOSAVE_DEBOUNCE_MS, NAMED_RANGE_SCOPE } from "../utils/constants";
 import { useHyperformula }                from "../hooks/useHyperformula";
+import { useWorkbookState }               from "../hooks/useWorkbookState";
+import { useAutoSave }                    from "../hooks/useAutoSave";
+import { usePermissions }                 from "../hooks/usePermissions";
+import { deepClone, generateId, reorderArray, colIndexToLetter } from "../utils/helpers";
+import { buildNamedExpressions, collectNamedRanges, findNameUsages } from "../utils/namedRanges";
+import { readFormulaResults }          from "../utils/formulaResults";
+import { collectCustomFunctions, findFunctionUsages } from "../utils/customFunctions";
+import { buildFormulaCandidates }  from "../utils/formulaSuggestions";
+import { planHeaderRename, planSheetRename, applyHeaderRename } from "../utils/headerRename";
+import { restructureColumns, columnInserted, columnDeleted, columnMoved } from "../utils/columnStructure";
+import {
+    createCommentMessage, addCommentMessage, findCommentThread, setCommentResolved, commentParticipants,
+} from "../utils/cellComments";
 
 export function WorkbookContainer(props) {
     const {
-        sheetId, sheetName, sheetJson,
+        sheetId, sheetName, sheetJson, sheetsJson,
         currentUserId, accessUserId, permissionType, isAdmin,
         onSheetChange, onAuditLog, auditJson,
         allSheetsJson,
+        dropdownOptions, dropdownOptionValue, dropdownOptionList,
         gridHeight = 600, rowCount = 50,
-        showToolbar = true, showSheetName = true,
+        showToolbar = true, showSheetName = true, showFormulaBar = true,
         rowHeaders = true, colHeaders = true,
     } = props;
 
@@ -51,17 +142,49 @@ export function WorkbookContainer(props) {
     const accessUserValue     = resolveAttr(accessUserId)   ?? "";
     const permissionValue     = resolveAttr(permissionType) ?? "View";
     const allSheetsJsonValue  = resolveAttr(allSheetsJson)  ?? "";
+    const sheetsJsonValue     = resolveAttr(sheetsJson);
 
     const isUserMatch  = currentUserValue && accessUserValue
         && currentUserValue.trim() === accessUserValue.trim();
 
-    const canEditCells   = isAdminValue || (isUserMatch && permissionValue === "Edit");
-    const canEditColumns = isAdminValue;
+    const canEditWorkbook = isAdminValue || (isUserMatch && permissionValue === "Edit");
+    const canEditColumns  = isAdminValue;
+
+    // ── Workbook mode ─────────────────────────────────────────────────────
+    // Hooks always run; with sheetsJson unmapped they stay empty and idle.
+    const isWorkbookMode = sheetsJson !== undefined && sheetsJson !== null;
+
+    const {
+        sheets, setSheets, activeSheet, activeSheetIndex, setActiveSheetIndex,
+        isLoading: isWorkbookLoading, markPendingEdits, clearPendingEdits, isRemoteUpdateRef,
+    } = useWorkbookState(isWorkbookMode ? sheetsJsonValue : undefined, rowCount);
+
+    const { canEditSheet } = usePermissions(!canEditWorkbook);
+
+    // Admins edit every sheet; everyone else needs workbook Edit + the sheet flag
+    const canEditSheetForUser = useCallback(
+        (sheetIsEditable) => isAdminValue || canEditSheet(sheetIsEditable),
+        [isAdminValue, canEditSheet]
+    );
+
+    const canEditCells = isWorkbookMode
+        ? !!activeSheet && canEditSheetForUser(activeSheet.isEditable)
+        : canEditWorkbook;
 
     const [sheetData, setSheetData]             = useState(() => parseSheetJson(sheetJsonValue, rowCount));
     const [savingStatus, setSavingStatus]       = useState("idle");
     const [showColumnPanel, setShowColumnPanel] = useState(false);
     const [showRowPanel, setShowRowPanel]       = useState(false);
+    const [showNamesPanel, setShowNamesPanel]   = useState(false);
+    const [showFunctionsPanel, setShowFunctionsPanel] = useState(false);
+    const [showFormatsPanel, setShowFormatsPanel]     = useState(false);
+    const [showValidationPanel, setShowValidationPanel] = useState(false);
+    const [selectedCell, setSelectedCell]       = useState(null);   // FormulaBar, from SheetGrid
+    const [formulaErrors, setFormulaErrors]     = useState([]);     // FormulaErrorsPanel, from SheetGrid
+    const [showErrorsPanel, setShowErrorsPanel] = useState(false);
+    const [showCommentsPanel, setShowCommentsPanel] = useState(false);
+    const [pendingRename, setPendingRename]     = useState(null);   // HeaderRenameDialog
+    const [settingsRevision, setSettingsRevision] = useState(0);    // remounts the settings panels
 
     const hotRef        = useRef(null);
     const debounceTimer = useRef(null);
@@ -88,13 +211,73 @@ export function WorkbookContainer(props) {
         setAllSheets(parseAllSheetsJson(allSheetsJsonValue));
     }, [allSheetsJsonValue]);
 
+    // ── Active sheet identity (workbook tab or the mapped Spreadsheet) ────
+    const activeSheetId   = isWorkbookMode ? activeSheet?.sheetId   ?? "" : sheetIdValue;
+    const activeSheetName = isWorkbookMode ? activeSheet?.sheetName ?? "" : sheetNameValue;
+
+    const activeSheetIdRef   = useRef(activeSheetId);
+    activeSheetIdRef.current = activeSheetId;
+
+    // While typing only the active sheet object changes. Keep the list handed
+    // to HyperFormula stable in that case so the other tabs aren't re-synced
+    // into the engine on every keystroke.
+    const hfSheetsRef = useRef([]);
+    if (isWorkbookMode && !sameInactiveSheets(hfSheetsRef.current, sheets, activeSheetId)) {
+        hfSheetsRef.current = sheets;
+    }
+
+    // ── Dropdown Options datasource ───────────────────────────────────────
+    // Offered by dropdown columns whose options come from the Mendix list
+    const mendixOptions = useMemo(
+        () => readListOptions(dropdownOptions, dropdownOptionValue, dropdownOptionList),
+        [dropdownOptions, dropdownOptionValue, dropdownOptionList]
+    );
+    const mendixLists = useMemo(
+        () => [...new Set(mendixOptions.map(option => option.list).filter(Boolean))],
+        [mendixOptions]
+    );
+
+    // ── Every sheet with live content — named ranges and their usages ─────
+    // Single-sheet mode: this sheet's own state plus the other sheets from
+    // allSheetsJson (whose copy of this sheet may be out of date).
+    const formulaSheets = useMemo(() => (
+        isWorkbookMode
+            ? sheets
+            : [{ ...sheetData, sheetName: activeSheetName }, ...allSheets.filter(s => s.sheetName !== activeSheetName)]
+    ), [isWorkbookMode, sheets, sheetData, activeSheetName, allSheets]);
+
+    // Only names and header configuration feed the named expressions, so
+    // typing into cells doesn't rebuild them
+    const namedSourceKey = JSON.stringify(formulaSheets.map(s => [s.sheetName, s.columns, s.rowLabels, s.namedRanges]));
+    const namedExpressions = useMemo(
+        () => buildNamedExpressions(formulaSheets),
+        [namedSourceKey] // eslint-disable-line react-hooks/exhaustive-deps
+    );
+
+    // Workbook functions from every sheet — first definition of a name wins
+    const functionsSourceKey = JSON.stringify(formulaSheets.map(s => [s.sheetName, s.customFunctions]));
+    const customFunctions = useMemo(
+        () => collectCustomFunctions(formulaSheets),
+        [functionsSourceKey] // eslint-disable-line react-hooks/exhaustive-deps
+    );
+
     // ── HyperFormula instance ─────────────────────────────────────────────
     const { hfRef, hfReady } = useHyperformula(
-        allSheets,
-        sheetNameValue,
-        hotRef
+        isWorkbookMode ? hfSheetsRef.current : allSheets,
+        activeSheetName,
+        hotRef,
+        namedExpressions,
+        customFunctions
     );
 
+    // Workbook mode saves through useAutoSave, with each sheet's formula results
+    const { savingStatus: workbookSavingStatus } = useAutoSave({
+        sheets, onSheetChange, sheetsJson, markPendingEdits, clearPendingEdits, isRemoteUpdateRef, hfRef,
+    });
+
+    // The formula bar shows nothing until the new grid reports a selection
+    useEffect(() => { setSelectedCell(null); setFormulaErrors([]); }, [activeSheetId]);
+
     // ── Reset on sheet switch ─────────────────────────────────────────────
     // When sheetId changes (user navigated to a different sheet), always
     // re-parse regardless of pending edits — the previous sheet's edit state
@@ -154,7 +337,7 @@ export function WorkbookContainer(props) {
 
     const performSave = useCallback(() => {
         try {
-            const newJson = serializeSheet(sheetData);
+            const newJson = serializeSheet(sheetData, readFormulaResults(hfRef.current, activeSheetName, sheetData.data));
             const success = triggerSheetChange(sheetJson, newJson, onSheetChange);
             if (!success) { setSavingStatus("idle"); return; }
 
@@ -171,93 +354,405 @@ export function WorkbookContainer(props) {
             console.error("[ExcelWidget] Auto-save failed:", err.message);
             setSavingStatus("idle");
         }
-    }, [sheetData, sheetJson, onSheetChange]);
+    }, [sheetData, sheetJson, onSheetChange, hfRef, activeSheetName]);
+
+    // ── Apply a change to the sheet being shown ───────────────────────────
+    // Single mode: sheetData (saved by the effect above).
+    // Workbook mode: the active entry of sheets[] (saved by useAutoSave).
+    const updateSheetData = useCallback((updater) => {
+        if (!isWorkbookMode) { setSheetData(updater); return; }
+        setSheets(prev => prev.map(s => (s.sheetId === activeSheetIdRef.current ? updater(s) : s)));
+    }, [isWorkbookMode, setSheets]);
+
+    const handleCellChange      = useCallback((newData)    => updateSheetData(prev => ({ ...prev, data: newData })), [updateSheetData]);
+    const handleMetaChange      = useCallback((newMeta)    => updateSheetData(prev => ({ ...prev, cellMeta: newMeta })), [updateSheetData]);
+    const handleDimensionChange = useCallback((dimensions) => updateSheetData(prev => ({ ...prev, ...dimensions })), [updateSheetData]);
+
+    // Imported sheets are a normal user edit — the auto-save effect picks them up.
+    const handleImport = useCallback((imported, options) => {
+        updateSheetData(prev => applyImportedSheet(prev, imported, { ...options, rowCount }));
+    }, [updateSheetData, rowCount]);
+
+    // ── Workbook tabs ─────────────────────────────────────────────────────
+    const handleAddSheet = useCallback(() => {
+        const name = nextSheetName(sheets);
+        setSheets(prev => [...prev, createWorkbookSheet(name, prev.length, rowCount)]);
+        setActiveSheetIndex(sheets.length);
+    }, [sheets, setSheets, setActiveSheetIndex, rowCount]);
+
+    const handleRenameSheet = useCallback((renameId, newName) => {
+        const target = sheets.find(s => s.sheetId === renameId);
+        if (!target || target.sheetName === newName) return;
+
+        if (sheets.some(s => s.sheetId !== renameId && s.sheetName.toLowerCase() === newName.toLowerCase())) {
+            console.warn(`[ExcelWidget] A sheet named "${newName}" already exists.`);
+            return;
+        }
+
+        // Rename inside HyperFormula first so the grid's formulas binding
+        // (sheetName) finds the sheet under its new name on the next render
+        try {
+            const hf = hfRef.current;
+            const id = hf?.getSheetId(target.sheetName);
+            if (id !== undefined) hf.renameSheet(id, newName);
+        } catch (err) {
+            console.warn("[ExcelWidget] HF rename warning:", err.message);
+        }
 
-    const handleCellChange      = useCallback((newData)    => setSheetData(prev => ({ ...prev, data: newData })), []);
-    const handleMetaChange      = useCallback((newMeta)    => setSheetData(prev => ({ ...prev, cellMeta: newMeta })), []);
-    const handleDimensionChange = useCallback((dimensions) => setSheetData(prev => ({ ...prev, ...dimensions })), []);
+        // Stored formulas, names and rules keep the name they were typed with
+        const edits = planSheetRename(sheets, target.sheetName, newName);
+        setSheets(prev => prev.map(s => {
+            const next = applyHeaderRename(s, edits);
+            return s.sheetId === renameId ? { ...next, sheetName: newName } : next;
+        }));
+    }, [sheets, setSheets, hfRef]);
 
-    const handleAddColumn = useCallback(() => {
-        setSheetData(prev => {
-            const cols   = prev.columns || [];
-            const newCol = { key: `col-${Date.now()}`, header: `Column ${cols.length + 1}`, type: "text", width: 120, source: [], format: "", readOnly: false };
-            return { ...prev, columns: [...cols, newCol], data: (prev.data || []).map(row => [...row, null]) };
+    const handleDeleteSheet = useCallback((deleteId) => {
+        const index = sheets.findIndex(s => s.sheetId === deleteId);
+        if (index === -1 || sheets.length <= 1) return;
+
+        const remaining = sheets.filter(s => s.sheetId !== deleteId).map((s, i) => ({ ...s, orderIndex: i }));
+        setSheets(remaining);
+        // Keep the same sheet selected; deleting the active one selects its
+        // nearest visible neighbour
+        const nextActiveId = deleteId === activeSheetId ? nearestVisibleSheetId(sheets, index) : activeSheetId;
+        setActiveSheetIndex(Math.max(0, remaining.findIndex(s => s.sheetId === nextActiveId)));
+    }, [sheets, setSheets, activeSheetId, setActiveSheetIndex]);
+
+    // Drag-and-drop and Move left / right. orderIndex follows array position.
+    const handleReorderSheet = useCallback((fromIndex, toIndex) => {
+        if (fromIndex === toIndex || toIndex < 0 || toIndex >= sheets.length) return;
+        const reordered = reorderArray(sheets, fromIndex, toIndex).map((s, i) => ({ ...s, orderIndex: i }));
+        setSheets(reordered);
+        setActiveSheetIndex(Math.max(0, reordered.findIndex(s => s.sheetId === activeSheetId)));
+    }, [sheets, setSheets, activeSheetId, setActiveSheetIndex]);
+
+    const handleDuplicateSheet = useCallback((sourceId) => {
+        const index = sheets.findIndex(s => s.sheetId === sourceId);
+        if (index === -1) return;
+
+        const source = sheets[index];
+        const copy   = {
+            ...deepClone(source),
+            sheetId:   generateId("sheet"),
+            sheetName: copySheetName(sheets, source.sheetName),
+            hidden:    false,
+            // Function names are workbook-wide — the copy would only shadow them
+            customFunctions: [],
+        };
+        const next = [...sheets.slice(0, index + 1), copy, ...sheets.slice(index + 1)]
+            .map((s, i) => ({ ...s, orderIndex: i }));
+        setSheets(next);
+        setActiveSheetIndex(index + 1);
+    }, [sheets, setSheets, setActiveSheetIndex]);
+
+    const handleSetSheetHidden = useCallback((targetId, hidden) => {
+        const index = sheets.findIndex(s => s.sheetId === targetId);
+        if (index === -1) return;
+        // At least one sheet must stay visible
+        if (hidden && sheets.filter(s => !s.hidden).length <= 1) return;
+
+        const next = sheets.map(s => (s.sheetId === targetId ? { ...s, hidden } : s));
+        setSheets(next);
+        if (hidden && targetId === activeSheetId) {
+            const nextActiveId = nearestVisibleSheetId(sheets, index);
+            setActiveSheetIndex(Math.max(0, next.findIndex(s => s.sheetId === nextActiveId)));
+        }
+    }, [sheets, setSheets, activeSheetId, setActiveSheetIndex]);
+
+    const handleSetTabColor = useCallback((targetId, tabColor) => {
+        setSheets(prev => prev.map(s => (s.sheetId === targetId ? { ...s, tabColor } : s)));
+    }, [setSheets]);
+
+    // ── Column structure ──────────────────────────────────────────────────
+    // Inserts, deletes and moves shift every reference to the moved cells —
+    // formulas, named ranges, cellMeta, lockedCells, colWidths, mergedCells
+    // (utils/columnStructure). In workbook mode Sheet!Ref references from the
+    // other tabs follow too. nextColumns(columns) → the columns afterwards.
+    const changeColumns = useCallback((moveColumn, nextColumns) => {
+        const restructure = (all, changedName) => {
+            const changed = all.find(s => s.sheetName === changedName);
+            return restructureColumns(all, changedName, moveColumn, nextColumns(changed?.columns || []));
+        };
+
+        if (!isWorkbookMode) {
+            setSheetData(prev => restructure([{ ...prev, sheetName: activeSheetName }], activeSheetName)[0]);
+            return;
+        }
+        setSheets(prev => {
+            const active = prev.find(s => s.sheetId === activeSheetIdRef.current);
+            return active ? restructure(prev, active.sheetName) : prev;
         });
+    }, [isWorkbookMode, activeSheetName, setSheets]);
+
+    // index defaults to the end — the panel appends
+    const handleAddColumn = useCallback((index = null) => {
+        changeColumns(
+            columnInserted(index ?? Infinity),
+            cols => {
+                const newCol = { key: `col-${Date.now()}`, header: `Column ${cols.length + 1}`, type: "text", width: 120, source: [], format: "", readOnly: false };
+                const at     = Math.min(index ?? cols.length, cols.length);
+                return [...cols.slice(0, at), newCol, ...cols.slice(at)];
+            }
+        );
+    }, [changeColumns]);
+
+    // ── Header / label renames ────────────────────────────────────────────
+    // updateHeaders is the plain update. When formulas use the old name they
+    // are listed for confirmation first and rewritten together with it.
+    // Single mode only rewrites this sheet — allSheetsJson is read-only here.
+    const requestHeaderRename = useCallback((title, updateHeaders) => {
+        const current = (isWorkbookMode ? activeSheet : sheetData) || {};
+        const scan    = isWorkbookMode ? sheets : [{ ...sheetData, sheetName: activeSheetName }];
+        const edits   = planHeaderRename(scan, activeSheetName, current, updateHeaders(current));
+
+        if (edits.length === 0) { updateSheetData(updateHeaders); return; }
+        setPendingRename({ title, edits, updateHeaders, sheetId: activeSheetId, sheetName: activeSheetName });
+    }, [isWorkbookMode, activeSheet, sheetData, sheets, activeSheetId, activeSheetName, updateSheetData]);
+
+    const confirmHeaderRename = useCallback(() => {
+        if (!pendingRename) return;
+        const { edits, updateHeaders, sheetId: renamedId, sheetName: renamedName } = pendingRename;
+
+        if (isWorkbookMode) {
+            setSheets(prev => prev.map(s => {
+                const next = applyHeaderRename(s, edits);
+                return s.sheetId === renamedId ? updateHeaders(next) : next;
+            }));
+        } else {
+            setSheetData(prev => updateHeaders(applyHeaderRename(prev, edits, renamedName)));
+        }
+        setPendingRename(null);
+    }, [pendingRename, isWorkbookMode, setSheets]);
+
+    // The panels keep the typed name in local state — remount them so the
+    // input goes back to the old name
+    const cancelHeaderRename = useCallback(() => {
+        setPendingRename(null);
+        setSettingsRevision(r => r + 1);
     }, []);
 
     const handleUpdateColumn = useCallback((colKey, changes) => {
-        setSheetData(prev => ({ ...prev, columns: (prev.columns || []).map(c => c.key === colKey ? { ...c, ...changes } : c) }));
-    }, []);
+        const updateColumns = prev => ({ ...prev, columns: (prev.columns || []).map(c => c.key === colKey ? { ...c, ...changes } : c) });
+        const column = (((isWorkbookMode ? activeSheet : sheetData) || {}).columns || []).find(c => c.key === colKey);
+
+        if (!column || !("header" in changes) || changes.header === column.header) {
+            updateSheetData(updateColumns);
+            return;
+        }
+        requestHeaderRename(renameTitle("column", column.header, changes.header), updateColumns);
+    }, [isWorkbookMode, activeSheet, sheetData, updateSheetData, requestHeaderRename]);
 
     const handleDeleteColumn = useCallback((colKey) => {
-        setSheetData(prev => {
-            const idx = (prev.columns || []).findIndex(c => c.key === colKey);
-            if (idx === -1) return prev;
-            return {
-                ...prev,
-                columns: prev.columns.filter(c => c.key !== colKey),
-                data: (prev.data || []).map(row => { const r = [...row]; r.splice(idx, 1); return r; }),
-            };
-        });
-    }, []);
+        const idx = (((isWorkbookMode ? activeSheet : sheetData) || {}).columns || []).findIndex(c => c.key === colKey);
+        if (idx === -1) return;
+        changeColumns(columnDeleted(idx), cols => cols.filter(c => c.key !== colKey));
+    }, [isWorkbookMode, activeSheet, sheetData, changeColumns]);
 
     const handleReorderColumn = useCallback((fromIndex, toIndex) => {
-        setSheetData(prev => {
-            const cols = [...(prev.columns || [])];
-            const [moved] = cols.splice(fromIndex, 1);
-            cols.splice(toIndex, 0, moved);
-            const newData = (prev.data || []).map(row => {
-                const r = [...row];
-                const [mc] = r.splice(fromIndex, 1);
-                r.splice(toIndex, 0, mc);
-                return r;
-            });
-            return { ...prev, columns: cols, data: newData };
-        });
-    }, []);
+        if (fromIndex === toIndex) return;
+        changeColumns(columnMoved(fromIndex, toIndex), cols => reorderArray(cols, fromIndex, toIndex));
+    }, [changeColumns]);
 
     const handleAddRow = useCallback(() => {
-        setSheetData(prev => ({ ...prev, rowLabels: [...(prev.rowLabels || []), ""] }));
-    }, []);
+        updateSheetData(prev => ({ ...prev, rowLabels: [...(prev.rowLabels || []), ""] }));
+    }, [updateSheetData]);
 
     const handleUpdateRow = useCallback((rowIndex, newLabel) => {
-        setSheetData(prev => {
+        const updateLabels = prev => {
             const labels = [...(prev.rowLabels || [])];
             while (labels.length <= rowIndex) labels.push("");
             labels[rowIndex] = newLabel;
             return { ...prev, rowLabels: labels };
-        });
-    }, []);
+        };
+        const oldLabel = (((isWorkbookMode ? activeSheet : sheetData) || {}).rowLabels || [])[rowIndex] ?? "";
+
+        if (!oldLabel || oldLabel === newLabel) {
+            updateSheetData(updateLabels);
+            return;
+        }
+        requestHeaderRename(renameTitle("row", oldLabel, newLabel), updateLabels);
+    }, [isWorkbookMode, activeSheet, sheetData, updateSheetData, requestHeaderRename]);
 
     const handleDeleteRow = useCallback((rowIndex) => {
-        setSheetData(prev => ({ ...prev, rowLabels: (prev.rowLabels || []).filter((_, i) => i !== rowIndex) }));
-    }, []);
+        updateSheetData(prev => ({ ...prev, rowLabels: (prev.rowLabels || []).filter((_, i) => i !== rowIndex) }));
+    }, [updateSheetData]);
 
     const handleReorderRow = useCallback((fromIndex, toIndex) => {
-        setSheetData(prev => {
+        updateSheetData(prev => {
             const labels = [...(prev.rowLabels || [])];
             const [moved] = labels.splice(fromIndex, 1);
             labels.splice(toIndex, 0, moved);
             return { ...prev, rowLabels: labels };
         });
+    }, [updateSheetData]);
+
+    // ── Named ranges ──────────────────────────────────────────────────────
+    // index null = new name
+    const handleSaveNamedRange = useCallback((index, range) => {
+        updateSheetData(prev => {
+            const ranges = [...(prev.namedRanges || [])];
+            if (index === null) ranges.push(range);
+            else ranges[index] = range;
+            return { ...prev, namedRanges: ranges };
+        });
+    }, [updateSheetData]);
+
+    const handleDeleteNamedRange = useCallback((index) => {
+        updateSheetData(prev => ({ ...prev, namedRanges: (prev.namedRanges || []).filter((_, i) => i !== index) }));
+    }, [updateSheetData]);
+
+    // ── Workbook functions ────────────────────────────────────────────────
+    // index null = new function
+    const handleSaveCustomFunction = useCallback((index, fn) => {
+        updateSheetData(prev => {
+            const functions = [...(prev.customFunctions || [])];
+            if (index === null) functions.push(fn);
+            else functions[index] = fn;
+            return { ...prev, customFunctions: functions };
+        });
+    }, [updateSheetData]);
+
+    const handleDeleteCustomFunction = useCallback((index) => {
+        updateSheetData(prev => ({ ...prev, customFunctions: (prev.customFunctions || []).filter((_, i) => i !== index) }));
+    }, [updateSheetData]);
+
+    // ── Conditional formatting ────────────────────────────────────────────
+    // index null = new rule; the array order is the rules' priority
+    const handleSaveConditionalFormat = useCallback((index, rule) => {
+        updateSheetData(prev => {
+            const rules = [...(prev.conditionalFormats || [])];
+            if (index === null) rules.push(rule);
+            else rules[index] = rule;
+            return { ...prev, conditionalFormats: rules };
+        });
+    }, [updateSheetData]);
+
+    const handleDeleteConditionalFormat = useCallback((index) => {
+        updateSheetData(prev => ({ ...prev, conditionalFormats: (prev.conditionalFormats || []).filter((_, i) => i !== index) }));
+    }, [updateSheetData]);
+
+    const handleReorderConditionalFormat = useCallback((fromIndex, toIndex) => {
+        updateSheetData(prev => ({ ...prev, conditionalFormats: reorderArray(prev.conditionalFormats || [], fromIndex, toIndex) }));
+    }, [updateSheetData]);
+
+    // ── Data validation ───────────────────────────────────────────────────
+    // index null = new rule; the first rule covering a cell applies
+    const handleSaveValidationRule = useCallback((index, rule) => {
+        updateSheetData(prev => {
+            const rules = [...(prev.validationRules || [])];
+            if (index === null) rules.push(rule);
+            else rules[index] = rule;
+            return { ...prev, validationRules: rules };
+        });
+    }, [updateSheetData]);
+
+    const handleDeleteValidationRule = useCallback((index) => {
+        updateSheetData(prev => ({ ...prev, validationRules: (prev.validationRules || []).filter((_, i) => i !== index) }));
+    }, [updateSheetData]);
+
+    const handleReorderValidationRule = useCallback((fromIndex, toIndex) => {
+        updateSheetData(prev => ({ ...prev, validationRules: reorderArray(prev.validationRules || [], fromIndex, toIndex) }));
+    }, [updateSheetData]);
+
+    const findCustomFunctionUsages = useCallback((name) => (
+        findFunctionUsages(name, formulaSheets)
+    ), [formulaSheets]);
+
+    // ── Comments ──────────────────────────────────────────────────────────
+    // The message is saved with the sheet and sent to the audit log as is
+    const handleAddComment = useCallback((row, col, text) => {
+        const current  = (isWorkbookMode ? activeSheet : sheetData) || {};
+        const existing = findCommentThread(current.comments, row, col);
+        const message  = createCommentMessage(currentUserValue, text);
+        if (!message.text) return;
+
+        updateSheetData(prev => ({ ...prev, comments: addCommentMessage(prev.comments, row, col, message) }));
+
+        const thread = existing
+            ? { ...existing, messages: [...existing.messages, message] }
+            : { id: message.id, messages: [message] };
+        triggerAuditLog(auditJson, JSON.stringify({
+            sheetId:   activeSheetId,
+            sheetName: activeSheetName,
+            comment: {
+                threadId:     thread.id,
+                messageId:    message.id,
+                row,
+                col,
+                address:      `${colIndexToLetter(col)}${row + 1}`,
+                colHeader:    (current.columns || [])[col]?.header || colIndexToLetter(col),
+                rowLabel:     (current.rowLabels || [])[row] || String(row + 1),
+                author:       message.author,
+                text:         message.text,
+                createdAt:    message.createdAt,
+                isReply:      !!existing,
+                participants: commentParticipants(thread),
+            },
+        }), onAuditLog);
+    }, [isWorkbookMode, activeSheet, sheetData, currentUserValue, updateSheetData,
+        auditJson, onAuditLog, activeSheetId, activeSheetName]);
+
+    const handleSetCommentResolved = useCallback((threadId, resolved) => {
+        updateSheetData(prev => ({ ...prev, comments: setCommentResolved(prev.comments, threadId, resolved, currentUserValue) }));
+    }, [updateSheetData, currentUserValue]);
+
+    const handleSelectFormulaError = useCallback(({ row, col }) => {
+        const hot = hotRef.current?.hotInstance;
+        if (!hot) return;
+        hot.selectCell(hot.toVisualRow(row), col);
+        hot.listen();
     }, []);
 
+    const findNamedRangeUsages = useCallback((name, scope) => (
+        findNameUsages(name, formulaSheets, scope === NAMED_RANGE_SCOPE.SHEET ? activeSheetName : null)
+    ), [formulaSheets, activeSheetName]);
+
+    const source = (isWorkbookMode ? activeSheet : sheetData) || {};
+
     const sheet = {
-        sheetId:     sheetIdValue,
-        sheetName:   sheetNameValue,
+        sheetId:     activeSheetId,
+        sheetName:   activeSheetName,
         isEditable:  canEditCells,
-        data:        sheetData.data        || [],
-        columns:     sheetData.columns     || [],
-        rowLabels:   sheetData.rowLabels   || [],
-        cellMeta:    sheetData.cellMeta    || {},
-        colWidths:   sheetData.colWidths   || [],
-        rowHeights:  sheetData.rowHeights  || [],
-        mergedCells: sheetData.mergedCells || [],
-        lockedCells: sheetData.lockedCells || [],
+        data:        source.data        || [],
+        columns:     source.columns     || [],
+        rowLabels:   source.rowLabels   || [],
+        cellMeta:    source.cellMeta    || {},
+        colWidths:   source.colWidths   || [],
+        rowHeights:  source.rowHeights  || [],
+        mergedCells: source.mergedCells || [],
+        lockedCells: source.lockedCells || [],
+        namedRanges: source.namedRanges || [],
+        customFunctions: source.customFunctions || [],
+        conditionalFormats: source.conditionalFormats || [],
+        validationRules:    source.validationRules    || [],
+        comments:           source.comments           || [],
     };
 
+    const isGridReady = hfReady && (!isWorkbookMode || (!isWorkbookLoading && !!activeSheet));
+
     const hasCustomColumns = sheet.columns.length > 0;
     const hasCustomRows    = sheet.rowLabels.length > 0;
+    const hasNamedRanges   = sheet.namedRanges.length > 0;
+    const hasFunctions     = sheet.customFunctions.length > 0;
+    const hasFormats       = sheet.conditionalFormats.length > 0;
+    const hasValidation    = sheet.validationRules.length > 0;
+    const openComments     = sheet.comments.filter(thread => !thread.resolved).length;
+
+    // Workbook-scoped names owned by other sheets — shown read-only in the
+    // panel and offered by the formula suggestions
+    const externalNames = collectNamedRanges(formulaSheets.filter(s => s.sheetName !== activeSheetName))
+        .filter(range => range.scope === NAMED_RANGE_SCOPE.WORKBOOK);
+    const externalFunctions = customFunctions.filter(fn => fn.sheetName !== activeSheetName);
+
+    // Formula suggestions, shared by the FormulaBar and the grid's cell editor
+    const dataRows   = source.data?.length || 0;
+    const dataCols   = source.data?.[0]?.length || 0;
+    const namesKey   = JSON.stringify(externalNames);
+    const candidates = useMemo(
+        () => buildFormulaCandidates(sheet, externalNames, customFunctions),
+        [source.columns, source.rowLabels, source.namedRanges, dataRows, dataCols, namesKey, customFunctions] // eslint-disable-line react-hooks/exhaustive-deps
+    );
 
     return (
         <div className={CSS.WORKBOOK_ROOT}>
@@ -266,7 +761,7 @@ export function WorkbookContainer(props) {
                 <div className={CSS.HEADER}>
                     <div className="eww-header__left">
                         <span className="eww-header__sheet-icon">📄</span>
-                        <span className="eww-header__title">{sheetNameValue}</span>
+                        <span className="eww-header__title">{activeSheetName}</span>
 
                         {canEditColumns && (
                             <div className="eww-header__config-group">
@@ -299,12 +794,76 @@ export function WorkbookContainer(props) {
                                     )}
                                 </button>
 
+                                <button
+                                    className={["eww-col-config-btn", "eww-name-config-btn", hasNamedRanges ? "eww-col-config-btn--active eww-name-config-btn--active" : ""].filter(Boolean).join(" ")}
+                                    onClick={() => setShowNamesPanel(true)}
+                                    title={hasNamedRanges ? `${sheet.namedRanges.length} named ranges on this sheet` : "Define named ranges and constants"}
+                                >
+                                    <span className="eww-col-config-btn__icon">🏷</span>
+                                    <span className="eww-col-config-btn__label">Names</span>
+                                    {hasNamedRanges && (
+                                        <span className="eww-col-config-btn__badge eww-name-config-btn__badge">{sheet.namedRanges.length}</span>
+                                    )}
+                                </button>
+
+                                <button
+                                    className={["eww-col-config-btn", "eww-fn-config-btn", hasFunctions ? "eww-col-config-btn--active eww-fn-config-btn--active" : ""].filter(Boolean).join(" ")}
+                                    onClick={() => setShowFunctionsPanel(true)}
+                                    title={hasFunctions ? `${sheet.customFunctions.length} functions defined on this sheet` : "Define workbook functions"}
+                                >
+                                    <span className="eww-col-config-btn__icon">ƒ</span>
+                                    <span className="eww-col-config-btn__label">Functions</span>
+                                    {hasFunctions && (
+                                        <span className="eww-col-config-btn__badge eww-fn-config-btn__badge">{sheet.customFunctions.length}</span>
+                                    )}
+                                </button>
+
+                                <button
+                                    className={["eww-col-config-btn", "eww-cf-config-btn", hasFormats ? "eww-col-config-btn--active eww-cf-config-btn--active" : ""].filter(Boolean).join(" ")}
+                                    onClick={() => setShowFormatsPanel(true)}
+                                    title={hasFormats ? `${sheet.conditionalFormats.length} conditional formatting rules` : "Add conditional formatting rules"}
+                                >
+                                    <span className="eww-col-config-btn__icon">◧</span>
+                                    <span className="eww-col-config-btn__label">Formatting</span>
+                                    {hasFormats && (
+                                        <span className="eww-col-config-btn__badge eww-cf-config-btn__badge">{sheet.conditionalFormats.length}</span>
+                                    )}
+                                </button>
+
+                                <button
+                                    className={["eww-col-config-btn", "eww-dv-config-btn", hasValidation ? "eww-col-config-btn--active eww-dv-config-btn--active" : ""].filter(Boolean).join(" ")}
+                                    onClick={() => setShowValidationPanel(true)}
+                                    title={hasValidation ? `${sheet.validationRules.length} data validation rules` : "Add data validation rules"}
+                                >
+                                    <span className="eww-col-config-btn__icon">✓</span>
+                                    <span className="eww-col-config-btn__label">Validation</span>
+                                    {hasValidation && (
+                                        <span className="eww-col-config-btn__badge eww-dv-config-btn__badge">{sheet.validationRules.length}</span>
+                                    )}
+                                </button>
+
                             </div>
                         )}
                     </div>
 
                     <div className="eww-header__meta">
-                        <SavingIndicator status={savingStatus} />
+                        {formulaErrors.length > 0 && (
+                            <button
+                                className="eww-error-indicator"
+                                onClick={() => { setShowErrorsPanel(open => !open); setShowCommentsPanel(false); }}
+                                title="Show formula errors on this sheet"
+                            >
+                                ⚠ {formulaErrors.length} formula {formulaErrors.length === 1 ? "error" : "errors"}
+                            </button>
+                        )}
+                        <button
+                            className={["eww-comments-indicator", openComments > 0 ? "eww-comments-indicator--active" : ""].filter(Boolean).join(" ")}
+                            onClick={() => { setShowCommentsPanel(open => !open); setShowErrorsPanel(false); }}
+                            title="Show comments on this sheet"
+                        >
+                            💬 {openComments > 0 ? `${openComments} ${openComments === 1 ? "comment" : "comments"}` : "Comments"}
+                        </button>
+                        <SavingIndicator status={isWorkbookMode ? workbookSavingStatus : savingStatus} />
                         {!canEditCells && <ReadOnlyBadge />}
                     </div>
                 </div>
@@ -312,32 +871,70 @@ export function WorkbookContainer(props) {
 
             {showToolbar && (
                 <Toolbar
-                    hotRef={hotRef} activeSheet={sheet}
+                    hotRef={hotRef} activeSheet={sheet} allSheets={isWorkbookMode ? sheets : allSheets}
+                    isAdmin={canEditColumns}
                     onMetaChange={(_, newMeta) => handleMetaChange(newMeta)}
+                    onImport={handleImport}
                     disabled={!canEditCells}
                 />
             )}
 
+            {showFormulaBar && (
+                <FormulaBar
+                    hotRef={hotRef} sheet={sheet}
+                    selection={isGridReady ? selectedCell : null}
+                    isEditable={canEditCells}
+                    candidates={candidates}
+                />
+            )}
+
             <div className={CSS.GRID_WRAPPER}>
-                {hfReady && (
+                {isGridReady && (
                     <SheetGrid
-                        key={sheetIdValue} sheet={sheet}
+                        key={activeSheetId} sheet={sheet}
                         isEditable={canEditCells} isAdmin={canEditColumns}
                         height={gridHeight} rowHeaders={rowHeaders} colHeaders={colHeaders}
                         hotRef={hotRef}
                         hfRef={hfRef}
+                        allSheets={isWorkbookMode ? hfSheetsRef.current : allSheets}
                         onCellChange={(_, newData) => handleCellChange(newData)}
                         onMetaChange={(_, newMeta) => handleMetaChange(newMeta)}
                         onDimensionChange={(_, dims) => handleDimensionChange(dims)}
                         onAuditLog={onAuditLog}
                         auditJson={auditJson}
+                        onSelectionChange={setSelectedCell}
+                        onFormulaErrorsChange={setFormulaErrors}
+                        candidates={candidates}
+                        customFunctions={customFunctions}
+                        mendixOptions={mendixOptions}
                     />
                 )}
             </div>
 
+            {isWorkbookMode && (
+                <SheetTabBar
+                    sheets={sheets}
+                    activeIndex={activeSheetIndex}
+                    isWorkbookEditable={canEditWorkbook}
+                    canEditSheet={canEditSheetForUser}
+                    onTabChange={setActiveSheetIndex}
+                    onAddSheet={handleAddSheet}
+                    onDeleteSheet={handleDeleteSheet}
+                    onRenameSheet={handleRenameSheet}
+                    onReorderSheet={handleReorderSheet}
+                    onDuplicateSheet={handleDuplicateSheet}
+                    onSetSheetHidden={handleSetSheetHidden}
+                    onSetTabColor={handleSetTabColor}
+                />
+            )}
+
             {showColumnPanel && canEditColumns && (
                 <ColumnSettingsPanel
+                    key={settingsRevision}
                     sheet={sheet} isAdmin={canEditColumns}
+                    sheets={formulaSheets}
+                    hasMendixOptions={!!dropdownOptions}
+                    mendixLists={mendixLists}
                     onAddColumn={() => handleAddColumn()}
                     onUpdateColumn={(_, colKey, changes) => handleUpdateColumn(colKey, changes)}
                     onDeleteColumn={(_, colKey) => handleDeleteColumn(colKey)}
@@ -348,6 +945,7 @@ export function WorkbookContainer(props) {
 
             {showRowPanel && canEditColumns && (
                 <RowSettingsPanel
+                    key={settingsRevision}
                     sheet={sheet} isAdmin={canEditColumns}
                     onAddRow={handleAddRow}
                     onUpdateRow={handleUpdateRow}
@@ -357,6 +955,82 @@ export function WorkbookContainer(props) {
                 />
             )}
 
+            {showErrorsPanel && (
+                <FormulaErrorsPanel
+                    sheetName={activeSheetName}
+                    errors={formulaErrors}
+                    onSelectError={handleSelectFormulaError}
+                    onClose={() => setShowErrorsPanel(false)}
+                />
+            )}
+
+            {showCommentsPanel && (
+                <CommentsPanel
+                    sheetName={activeSheetName}
+                    comments={sheet.comments}
+                    columns={sheet.columns}
+                    rowLabels={sheet.rowLabels}
+                    selection={isGridReady ? selectedCell : null}
+                    canComment={!!currentUserValue}
+                    onAddComment={handleAddComment}
+                    onSetResolved={handleSetCommentResolved}
+                    onSelectCell={handleSelectFormulaError}
+                    onClose={() => setShowCommentsPanel(false)}
+                />
+            )}
+
+            {showNamesPanel && canEditColumns && (
+                <NamedRangesPanel
+                    sheet={sheet} isAdmin={canEditColumns}
+                    externalNames={externalNames}
+                    findUsages={findNamedRangeUsages}
+                    onSaveName={handleSaveNamedRange}
+                    onDeleteName={handleDeleteNamedRange}
+                    onClose={() => setShowNamesPanel(false)}
+                />
+            )}
+
+            {showFunctionsPanel && canEditColumns && (
+                <CustomFunctionsPanel
+                    sheet={sheet} isAdmin={canEditColumns}
+                    externalFunctions={externalFunctions}
+                    findUsages={findCustomFunctionUsages}
+                    onSaveFunction={handleSaveCustomFunction}
+                    onDeleteFunction={handleDeleteCustomFunction}
+                    onClose={() => setShowFunctionsPanel(false)}
+                />
+            )}
+
+            {showFormatsPanel && canEditColumns && (
+                <ConditionalFormatsPanel
+                    sheet={sheet} isAdmin={canEditColumns}
+                    onSaveRule={handleSaveConditionalFormat}
+                    onDeleteRule={handleDeleteConditionalFormat}
+                    onReorderRule={handleReorderConditionalFormat}
+                    onClose={() => setShowFormatsPanel(false)}
+                />
+            )}
+
+            {showValidationPanel && canEditColumns && (
+                <DataValidationPanel
+                    sheet={sheet} isAdmin={canEditColumns}
+                    onSaveRule={handleSaveValidationRule}
+                    onDeleteRule={handleDeleteValidationRule}
+                    onReorderRule={handleReorderValidationRule}
+                    onClose={() => setShowValidationPanel(false)}
+                />
+            )}
+
+            {pendingRename && (
+                <HeaderRenameDialog
+                    title={pendingRename.title}
+                    sheetName={pendingRename.sheetName}
+                    edits={pendingRename.edits}
+                    onConfirm={confirmHeaderRename}
+                    onCancel={cancelHeaderRename}
+                />
+            )}
+
         </div>
     );
 }
@@ -389,10 +1063,57 @@ function SavingIndicator({ status }) {
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
+// True when every sheet except the active one is the same object as before
+function sameInactiveSheets(prev, next, activeId) {
+    if (prev.length !== next.length) return false;
+    return next.every((s, i) =>
+        s.sheetId === activeId ? prev[i].sheetId === activeId : prev[i] === s
+    );
+}
+
+// "Sheet1", "Sheet2", … — first number not already taken
+function nextSheetName(sheets) {
+    const taken = new Set(sheets.map(s => s.sheetName.toLowerCase()));
+    let n = sheets.length + 1;
+    while (taken.has(`sheet${n}`)) n++;
+    return `Sheet${n}`;
+}
+
+// "Budget (2)", "Budget (3)", … — first copy name not already taken
+function copySheetName(sheets, baseName) {
+    const taken = new Set(sheets.map(s => s.sheetName.toLowerCase()));
+    let n = 2;
+    while (taken.has(`${baseName} (${n})`.toLowerCase())) n++;
+    return `${baseName} (${n})`;
+}
+
+// Closest visible sheet to `index` other than itself — left first, then right
+function nearestVisibleSheetId(sheets, index) {
+    for (let i = index - 1; i >= 0; i--) if (!sheets[i].hidden) return sheets[i].sheetId;
+    for (let i = index + 1; i < sheets.length; i++) if (!sheets[i].hidden) return sheets[i].sheetId;
+    return sheets[index === 0 ? 1 : 0]?.sheetId;
+}
+
+// 'Rename column "Revenue" to "Sales"?' / 'Clear row label "Q1"?'
+function renameTitle(kind, oldName, newName) {
+    const label = kind === "row" ? "row label" : "column header";
+    return newName ? `Rename ${kind} "${oldName}" to "${newName}"?` : `Clear ${label} "${oldName}"?`;
+}
+
 function resolveAttr(prop) {
     if (prop === null || prop === undefined) return undefined;
     if (typeof prop === "object" && "status" in prop) {
         return prop.status === "available" ? prop.value : undefined;
     }
     return prop;
+}
+
+// Items of a Mendix list datasource as [{ value, list }]. A reloading list
+// keeps its previous items, so they are read whatever the status.
+function readListOptions(listValue, valueProp, listProp) {
+    if (!listValue?.items || !valueProp) return [];
+    return listValue.items.map(item => ({
+        value: valueProp.get(item)?.value ?? "",
+        list:  listProp?.get(item)?.value ?? "",
+    }));
 }
\ No newline at end of file
@@ -0,0 +1,164 @@
+/**
+ * XlsxImportDialog.jsx
+ *
+ * Shown by Toolbar after the user picks an .xlsx file.
+ * Lets the user choose which worksheet to import and where it goes:
+ *
+ *   Replace sheet    — the whole sheet is replaced by the worksheet
+ *   Selected range   — the worksheet is written at the selected cell,
+ *                      clipped to the selection if more than one cell is selected
+ *
+ * No JSX fragments — Mendix compatibility.
+ */
+
+import { createElement, useState } from "react";
+import { colIndexToLetter } from "../utils/helpers";
+
+export function XlsxImportDialog({ fileName, sheetNames, selection, onConfirm, onCancel }) {
+    const [sheetIndex, setSheetIndex] = useState(0);
+    const [mode, setMode]             = useState("replace");
+
+    const selectionLabel = selection ? describeSelection(selection) : "no cell selected";
+
+    return (
+        <div style={{ display: "contents" }}>
+
+            <div style={S.backdrop} onClick={onCancel} />
+
+            <div style={S.dialog} role="dialog" aria-label="Import Excel file">
+
+                <div style={S.header}>
+                    <div style={S.headerTitle}>Import Excel file</div>
+                    <div style={S.headerSub}>{fileName}</div>
+                </div>
+
+                <div style={S.body}>
+
+                    {sheetNames.length > 1 && (
+                        <div style={S.field}>
+                            <label style={S.label}>Worksheet</label>
+                            <select
+                                value={sheetIndex}
+                                onChange={e => setSheetIndex(Number(e.target.value))}
+                                style={S.select}
+                            >
+                                {sheetNames.map((name, i) => (
+                                    <option key={name} value={i}>{name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    <div style={S.field}>
+                        <label style={S.label}>Import into</label>
+
+                        <label style={S.radioRow}>
+                            <input
+                                type="radio" name="eww-import-mode"
+                                checked={mode === "replace"}
+                                onChange={() => setMode("replace")}
+                            />
+                            <span>
+                                Replace current sheet
+                                <span style={S.hint}> — values, formatting, merges and sizes</span>
+                            </span>
+                        </label>
+
+                        <label style={{ ...S.radioRow, opacity: selection ? 1 : 0.5 }}>
+                            <input
+                                type="radio" name="eww-import-mode"
+                                checked={mode === "range"}
+                                disabled={!selection}
+                                onChange={() => setMode("range")}
+                            />
+                            <span>
+                                Selected range
+                                <span style={S.hint}> — {selectionLabel}</span>
+                            </span>
+                        </label>
+                    </div>
+
+                    {mode === "replace" && (
+                        <div style={S.warning}>
+                            All existing cell values and formatting on this sheet will be overwritten.
+                        </div>
+                    )}
+                </div>
+
+                <div style={S.footer}>
+                    <button type="button" style={S.cancelBtn} onClick={onCancel}>Cancel</button>
+                    <button type="button" style={S.primaryBtn} onClick={() => onConfirm({ sheetIndex, mode })}>
+                        Import
+                    </button>
+                </div>
+
+            </div>
+        </div>
+    );
+}
+
+// [r1, c1, r2, c2] → "A1" or "A1:C4"
+function describeSelection([r1, c1, r2, c2]) {
+    const start = `${colIndexToLetter(Math.min(c1, c2))}${Math.min(r1, r2) + 1}`;
+    const end   = `${colIndexToLetter(Math.max(c1, c2))}${Math.max(r1, r2) + 1}`;
+    return start === end ? `starting at ${start}` : `${start}:${end}`;
+}
+
+// ─── Styles ───────────────────────────────────────────────────────────────────
+
+const S = {
+    backdrop: {
+        position: "fixed", inset: 0,
+        background: "rgba(15,23,42,0.3)",
+        backdropFilter: "blur(2px)",
+        zIndex: 9998,
+    },
+    dialog: {
+        position: "fixed", top: "50%", left: "50%",
+        transform: "translate(-50%, -50%)",
+        width: 420, background: "#ffffff", borderRadius: 12,
+        boxShadow: "0 20px 60px rgba(15,23,42,0.18), 0 4px 16px rgba(15,23,42,0.08)",
+        border: "1px solid rgba(226,232,240,0.8)",
+        display: "flex", flexDirection: "column",
+        overflow: "hidden", zIndex: 9999,
+    },
+    header: {
+        padding: "16px 18px", borderBottom: "1px solid #f1f5f9",
+        background: "linear-gradient(135deg, #f8faff 0%, #f0f4ff 100%)",
+    },
+    headerTitle: { fontSize: 14, fontWeight: 700, color: "#0f172a", letterSpacing: "-0.01em" },
+    headerSub:   { fontSize: 11, color: "#94a3b8", marginTop: 1, wordBreak: "break-all" },
+    body:        { padding: "14px 18px" },
+    field:       { marginBottom: 14 },
+    label:       { display: "block", fontSize: 11, fontWeight: 600, color: "#475569", marginBottom: 6 },
+    select: {
+        width: "100%", height: 32, padding: "0 8px",
+        border: "1px solid #e2e8f0", borderRadius: 6,
+        fontSize: 12, outline: "none", background: "#fff",
+    },
+    radioRow: {
+        display: "flex", alignItems: "center", gap: 8,
+        fontSize: 12, color: "#0f172a", padding: "4px 0", cursor: "pointer",
+    },
+    hint:    { color: "#94a3b8" },
+    warning: {
+        fontSize: 11, color: "#b45309", background: "#fffbeb",
+        border: "1px solid #fde68a", borderRadius: 6, padding: "8px 10px",
+    },
+    footer: {
+        display: "flex", justifyContent: "flex-end", gap: 8,
+        padding: "12px 18px", borderTop: "1px solid #f1f5f9", background: "#fafbfc",
+    },
+    cancelBtn: {
+        padding: "7px 14px", background: "#fff", color: "#475569",
+        border: "1px solid #e2e8f0", borderRadius: 6, cursor: "pointer",
+        fontSize: 12, fontWeight: 600,
+    },
+    primaryBtn: {
+        padding: "7px 16px",
+        background: "linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%)",
+        color: "#fff", border: "none", borderRadius: 6, cursor: "pointer",
+        fontSize: 12, fontWeight: 600,
+        boxShadow: "0 2px 8px rgba(37,99,235,0.3)",
+    },
+};
@@ -0,0 +1,238 @@
+/**
+ * typedCells.js
+ *
+ * Handsontable editors and cell content for the column types of
+ * utils/columnTypes. SheetGrid puts the column's settings on its column
+ * definition as columnConfig, so both read them from cellProperties:
+ *
+ *   TypedTextEditor — the text editor, opened with the value as the user
+ *                     would type it (25%, 9:30 PM, 01/03/2026 09:30)
+ *   TypedDateEditor — the date picker, for dates stored as YYYY-MM-DD
+ *   TagsEditor      — a checklist of a multi-select column's options
+ *   drawTypedCell   — link, star and tag cells. The other types only change
+ *                     the cell's text (formatCellValue in the renderer).
+ *
+ * What an editor returns is turned into the stored value by parseCellInput
+ * in SheetGrid's beforeChange, like pasted and filled values.
+ * Plain DOM — Handsontable owns these elements, React never renders them.
+ */
+
+import Handsontable from "handsontable";
+import { CELL_TYPES } from "../utils/constants";
+import { editorText, splitTags, joinTags, safeUrl, ratingMax } from "../utils/columnTypes";
+
+const TAGS_SHORTCUTS = "ewwTagsEditor";
+
+// ── Text editor for typed columns ────────────────────────────────────────────
+// Typing over a cell starts from what was typed; Enter, F2 and double-click
+// start from the editable text of the stored value.
+export class TypedTextEditor extends Handsontable.editors.TextEditor {
+    beginEditing(newInitialValue, event) {
+        const initial = typeof newInitialValue === "string"
+            ? newInitialValue
+            : editorText(this.cellProperties?.columnConfig, this.originalValue);
+        super.beginEditing(initial, event);
+    }
+}
+
+// ── Date editor ──────────────────────────────────────────────────────────────
+// Handsontable's date picker reads and writes the cell in cellProperties
+// .dateFormat (the column's format), so it is handed the shown date rather
+// than the stored ISO date.
+export class TypedDateEditor extends Handsontable.editors.DateEditor {
+    prepare(row, col, prop, td, value, cellProperties) {
+        super.prepare(row, col, prop, td, value, cellProperties);
+        this.originalValue = editorText(cellProperties.columnConfig, value);
+    }
+}
+
+// ── Multi-select editor ──────────────────────────────────────────────────────
+// The options come from the column's source function, as for a dropdown.
+// Values already in the cell that are no longer options stay listed, so they
+// can be unticked. ↑ ↓ move, Space ticks, Enter saves, Escape cancels.
+export class TagsEditor extends Handsontable.editors.BaseEditor {
+    init() {
+        this.items    = [];
+        this.selected = new Set();
+        this.active   = 0;
+
+        this.list = this.hot.rootDocument.createElement("div");
+        this.list.className = "eww-tags-editor";
+        this.list.tabIndex  = -1;
+        this.list.setAttribute("role", "listbox");
+        this.list.setAttribute("aria-multiselectable", "true");
+        this.list.setAttribute("data-hot-input", "true");
+        this.list.style.display = "none";
+        this.hot.rootElement.appendChild(this.list);
+
+        // Keep Handsontable from treating clicks in the list as clicks
+        // outside the edited cell
+        this.list.addEventListener("mousedown", (event) => {
+            event.stopPropagation();
+            event.preventDefault();
+            const option = event.target.closest?.("[data-index]");
+            if (option) this.toggle(Number(option.dataset.index));
+        });
+
+        this.addHook("afterScrollVertically",   () => this.refreshDimensions());
+        this.addHook("afterScrollHorizontally", () => this.refreshDimensions());
+    }
+
+    prepare(row, col, prop, td, value, cellProperties) {
+        super.prepare(row, col, prop, td, value, cellProperties);
+        let options = [];
+        const source = cellProperties.source;
+        if (typeof source === "function") source.call(cellProperties, "", (list) => { options = list || []; });
+        else if (Array.isArray(source)) options = source;
+        this.options = options.map(String);
+    }
+
+    getValue() {
+        return joinTags(this.items.filter(item => this.selected.has(item)));
+    }
+
+    setValue(value) {
+        this.selected = new Set(splitTags(value));
+    }
+
+    open() {
+        this.setValue(this.originalValue);
+        this.items  = [...this.options, ...[...this.selected].filter(tag => !this.options.includes(tag))];
+        this.active = 0;
+        this.renderList();
+        this.list.style.display = "";
+        this.refreshDimensions();
+
+        this.hot.getShortcutManager().setActiveContextName("editor");
+        this.hot.getShortcutManager().getContext("editor").addShortcuts([
+            { keys: [["ArrowDown"]], callback: () => this.moveActive(1) },
+            { keys: [["ArrowUp"]],   callback: () => this.moveActive(-1) },
+            { keys: [["Space"]],     callback: () => this.toggle(this.active) },
+        ], { group: TAGS_SHORTCUTS });
+    }
+
+    close() {
+        this.list.style.display = "none";
+        this.hot.getShortcutManager().getContext("editor").removeShortcutsByGroup(TAGS_SHORTCUTS);
+    }
+
+    focus() {
+        this.list.focus({ preventScroll: true });
+    }
+
+    toggle(index) {
+        const item = this.items[index];
+        if (item === undefined) return;
+        if (this.selected.has(item)) this.selected.delete(item);
+        else this.selected.add(item);
+        this.active = index;
+        this.renderList();
+    }
+
+    moveActive(step) {
+        if (this.items.length === 0) return;
+        this.active = (this.active + step + this.items.length) % this.items.length;
+        this.renderList();
+    }
+
+    renderList() {
+        const doc = this.hot.rootDocument;
+        Handsontable.dom.empty(this.list);
+
+        if (this.items.length === 0) {
+            const empty = doc.createElement("div");
+            empty.className   = "eww-tags-editor__empty";
+            empty.textContent = "No options — set them in Column Settings";
+            this.list.appendChild(empty);
+            return;
+        }
+
+        this.items.forEach((item, index) => {
+            const checked = this.selected.has(item);
+            const option  = doc.createElement("div");
+            option.className = "eww-tags-editor__option"
+                + (checked ? " eww-tags-editor__option--checked" : "")
+                + (index === this.active ? " eww-tags-editor__option--active" : "")
+                + (this.options.includes(item) ? "" : " eww-tags-editor__option--stale");
+            option.dataset.index = String(index);
+            option.setAttribute("role", "option");
+            option.setAttribute("aria-selected", String(checked));
+
+            const box = doc.createElement("span");
+            box.className   = "eww-tags-editor__box";
+            box.textContent = checked ? "✓" : "";
+            option.appendChild(box);
+            option.appendChild(doc.createTextNode(item));
+            this.list.appendChild(option);
+        });
+        this.list.children[this.active]?.scrollIntoView?.({ block: "nearest" });
+    }
+
+    refreshDimensions() {
+        if (this.list.style.display === "none") return;
+        const rect = this.getEditedCellRect();
+        if (!rect) {
+            this.close();
+            return;
+        }
+        this.list.style.top      = `${rect.top + rect.height}px`;
+        this.list.style.left     = `${rect.start}px`;
+        this.list.style.minWidth = `${Math.max(rect.width, 160)}px`;
+    }
+}
+
+// ── Cell content ─────────────────────────────────────────────────────────────
+// Draws a hyperlink, rating or multi-select cell into TD (already filled by
+// the text renderer). options — a multi-select column's current options, to
+// mark tags that are no longer one of them. Returns false when the value is
+// left as text: another type, a formula error or text that is not a link.
+export function drawTypedCell(TD, column, value, options = null) {
+    const doc = TD.ownerDocument;
+
+    switch (column?.type) {
+        case CELL_TYPES.HYPERLINK: {
+            const href = safeUrl(value);
+            if (!href) return false;
+            const link = doc.createElement("a");
+            link.className   = "eww-cell-link";
+            link.href        = href;
+            link.target      = "_blank";
+            link.rel         = "noopener noreferrer";
+            link.textContent = href.replace(/^mailto:/i, "");
+            Handsontable.dom.empty(TD);
+            TD.appendChild(link);
+            return true;
+        }
+        case CELL_TYPES.RATING: {
+            const blank = value === null || value === undefined || value === "";
+            if (!blank && typeof value !== "number") return false;
+            const stars = doc.createElement("span");
+            stars.className = "eww-cell-rating";
+            stars.setAttribute("aria-label", `${blank ? 0 : value} of ${ratingMax(column)}`);
+            for (let n = 1; n <= ratingMax(column); n++) {
+                const star = doc.createElement("span");
+                star.className      = `eww-cell-rating__star${!blank && n <= value ? " eww-cell-rating__star--on" : ""}`;
+                star.dataset.rating = String(n);
+                star.textContent    = "★";
+                stars.appendChild(star);
+            }
+            Handsontable.dom.empty(TD);
+            TD.appendChild(stars);
+            return true;
+        }
+        case CELL_TYPES.MULTISELECT: {
+            const tags = typeof value === "string" ? splitTags(value) : [];
+            if (tags.length === 0) return false;
+            Handsontable.dom.empty(TD);
+            tags.forEach(tag => {
+                const chip = doc.createElement("span");
+                chip.className   = `eww-cell-tag${options && !options.includes(tag) ? " eww-cell-tag--stale" : ""}`;
+                chip.textContent = tag;
+                TD.appendChild(chip);
+            });
+            return true;
+        }
+        default:
+            return false;
+    }
+}
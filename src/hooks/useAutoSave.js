@@ -10,7 +10,8 @@
  *       ↓
  *   wait AUTOSAVE_DEBOUNCE_MS (800ms) — resets on every new change
  *       ↓
- *   serializeSheets(sheets) → JSON string
+ *   serializeSheets(sheets) → JSON string, with every sheet's formula
+ *   results read from HyperFormula (values / errors)
  *       ↓
  *   sheetsJson.setValue(newJson)   ← writes back into Mendix attribute
  *       ↓
@@ -18,11 +19,15 @@
  *       ↓
  *   savingStatus → "saved" (for 2s) → "idle"
  *       ↓
- *   clearPendingEdits()            ← allows next Mendix refresh to reload
+ *   clearPendingEdits(newJson)     ← allows next Mendix refresh to reload
+ *
+ * Changes that came FROM Mendix (isRemoteUpdateRef set by useWorkbookState)
+ * are not saved back — that would loop through the commit microflow.
  */
 
 import { useState, useEffect, useRef, useCallback } from "react";
 import { serializeSheets }      from "../services/dataService";
+import { readFormulaResults }   from "../utils/formulaResults";
 import { triggerSheetChange }   from "../services/mendixBridge";
 import { AUTOSAVE_DEBOUNCE_MS } from "../utils/constants";
 
@@ -31,9 +36,12 @@ import { AUTOSAVE_DEBOUNCE_MS } from "../utils/constants";
  * @param {SheetObject[]}  params.sheets          - current sheets state (changes on every edit)
  * @param {object}         params.onSheetChange   - Mendix action prop
  * @param {object}         params.sheetsJson      - Mendix attribute prop (EditableValue with setValue)
+ * @param {Function}       params.markPendingEdits  - from useWorkbookState
  * @param {Function}       params.clearPendingEdits - from useWorkbookState
+ * @param {object}         params.isRemoteUpdateRef - from useWorkbookState
+ * @param {object}         params.hfRef             - HyperFormula engine ref (useHyperformula)
  */
-export function useAutoSave({ sheets, onSheetChange, sheetsJson, clearPendingEdits }) {
+export function useAutoSave({ sheets, onSheetChange, sheetsJson, markPendingEdits, clearPendingEdits, isRemoteUpdateRef, hfRef }) {
 
     // "idle" | "saving" | "saved"
     const [savingStatus, setSavingStatus] = useState("idle");
@@ -42,25 +50,19 @@ export function useAutoSave({ sheets, onSheetChange, sheetsJson, clearPendingEdi
     const debounceTimer  = useRef(null);
     const savedTimer     = useRef(null);
 
-    // Track if we've done at least one load (skip saving on initial parse)
-    const isInitialLoad  = useRef(true);
-
-    // ── Mark first load done ───────────────────────────────────────────────
-    // After the first time sheets arrives (parsed from Mendix), we mark
-    // initial load as done. Subsequent changes are user edits → save them.
-    useEffect(() => {
-        if (sheets.length > 0 && isInitialLoad.current) {
-            isInitialLoad.current = false;
-        }
-    }, [sheets]);
-
     // ── Auto-save effect ───────────────────────────────────────────────────
     useEffect(() => {
-        // Skip: nothing loaded yet
-        if (isInitialLoad.current) return;
-        // Skip: no sheets
+        // Skip: no sheets (nothing loaded yet)
         if (!sheets.length) return;
 
+        // Skip: this sheets[] came from Mendix (initial parse or refresh),
+        // not from the user
+        if (isRemoteUpdateRef?.current) {
+            isRemoteUpdateRef.current = false;
+            return;
+        }
+
+        markPendingEdits?.();
         setSavingStatus("saving");
 
         // Clear any existing debounce
@@ -73,13 +75,17 @@ export function useAutoSave({ sheets, onSheetChange, sheetsJson, clearPendingEdi
         // Cleanup on unmount or before next effect run
         return () => clearTimeout(debounceTimer.current);
 
-    }, [sheets]); // Re-runs whenever sheets state changes
+    }, [sheets]); // eslint-disable-line react-hooks/exhaustive-deps
+    // Re-runs whenever sheets state changes
 
     // ── Perform the actual save ────────────────────────────────────────────
     const performSave = useCallback(() => {
         try {
             // 1. Serialize current sheets state to JSON string
-            const newJson = serializeSheets(sheets);
+            const newJson = serializeSheets(
+                sheets,
+                sheet => readFormulaResults(hfRef?.current, sheet.sheetName, sheet.data)
+            );
 
             // 2. Write into Mendix attribute + fire commit microflow
             //    Both steps handled by mendixBridge.triggerSheetChange
@@ -93,7 +99,7 @@ export function useAutoSave({ sheets, onSheetChange, sheetsJson, clearPendingEdi
 
             // 3. Update status → "saved" for 2s then back to "idle"
             setSavingStatus("saved");
-            clearPendingEdits();
+            clearPendingEdits(newJson);
 
             clearTimeout(savedTimer.current);
             savedTimer.current = setTimeout(() => {
@@ -104,7 +110,7 @@ export function useAutoSave({ sheets, onSheetChange, sheetsJson, clearPendingEdi
             console.error("[ExcelWidget] Auto-save failed:", err.message);
             setSavingStatus("idle");
         }
-    }, [sheets, sheetsJson, onSheetChange, clearPendingEdits]);
+    }, [sheets, sheetsJson, onSheetChange, clearPendingEdits, hfRef]);
 
     // ── Cleanup on unmount ─────────────────────────────────────────────────
     useEffect(() => {
@@ -0,0 +1,107 @@
+/**
+ * useFormulaAutocomplete.js
+ *
+ * Suggestion popup state for a formula input — shared by the FormulaBar input
+ * and the grid's cell editor (SheetGrid).
+ *
+ * FLOW:
+ *   input changes / caret moves
+ *       ↓
+ *   update(text, caret, anchorRect)   ← token at the caret, filtered candidates
+ *       ↓
+ *   <FormulaSuggestions popup={popup} … /> renders under anchorRect
+ *       ↓
+ *   ArrowUp / ArrowDown move, Enter / Tab accept, Escape closes
+ *   (handleKey returns true when it used the key — the caller then stops it)
+ *       ↓
+ *   onAccept(newText, newCaret)       ← caller writes the text back
+ *
+ * Nothing is preselected when the token is still empty (right after = or
+ * an operator), so Enter keeps committing the cell as usual.
+ *
+ * The callbacks only read refs, so they can be attached to native DOM
+ * listeners once without going stale.
+ */
+
+import { useState, useRef, useCallback, useEffect } from "react";
+import { tokenAtCaret, filterSuggestions, applySuggestion } from "../utils/formulaSuggestions";
+
+/**
+ * @param {object}   candidates - from buildFormulaCandidates
+ * @param {Function} onAccept   - (text, caret) → void
+ */
+export function useFormulaAutocomplete(candidates, onAccept) {
+    // { items, activeIndex, rect, text, token } | null
+    const [popup, setPopup] = useState(null);
+
+    const popupRef      = useRef(null);
+    const candidatesRef = useRef(candidates);
+    const onAcceptRef   = useRef(onAccept);
+
+    // Kept current after each render — the callbacks run from events,
+    // never during one
+    useEffect(() => {
+        candidatesRef.current = candidates;
+        onAcceptRef.current   = onAccept;
+    });
+
+    const show = (next) => {
+        popupRef.current = next;
+        setPopup(next);
+    };
+
+    const close = useCallback(() => {
+        if (popupRef.current) show(null);
+    }, []);
+
+    const update = useCallback((text, caret, rect) => {
+        const token = tokenAtCaret(text, caret);
+        const items = token ? filterSuggestions(candidatesRef.current, token.prefix) : [];
+        if (items.length === 0) { close(); return; }
+
+        show({ items, activeIndex: token.prefix ? 0 : -1, rect, text, token });
+    }, [close]);
+
+    const pick = useCallback((index) => {
+        const current = popupRef.current;
+        const item    = current?.items[index];
+        if (!item) return;
+
+        const result = applySuggestion(current.text, current.token, item);
+        show(null);
+        onAcceptRef.current?.(result.text, result.caret);
+    }, []);
+
+    const highlight = useCallback((index) => {
+        const current = popupRef.current;
+        if (current && current.activeIndex !== index) show({ ...current, activeIndex: index });
+    }, []);
+
+    // Returns true when the key was handled by the popup
+    const handleKey = useCallback((key) => {
+        const current = popupRef.current;
+        if (!current) return false;
+
+        const count = current.items.length;
+        switch (key) {
+            case "ArrowDown":
+                highlight((current.activeIndex + 1) % count);
+                return true;
+            case "ArrowUp":
+                highlight(current.activeIndex <= 0 ? count - 1 : current.activeIndex - 1);
+                return true;
+            case "Enter":
+            case "Tab":
+                if (current.activeIndex < 0) { close(); return false; }
+                pick(current.activeIndex);
+                return true;
+            case "Escape":
+                close();
+                return true;
+            default:
+                return false;
+        }
+    }, [close, highlight, pick]);
+
+    return { popup, update, close, pick, highlight, handleKey };
+}
@@ -1,7 +1,18 @@
 import { useRef, useState, useEffect } from "react";
 import { HyperFormula } from "hyperformula";
+import { buildSheetResolvers, translateSheetData } from "../utils/formulaTranslator";
+import { createCustomFunctionPlugin, functionPluginsWith, releaseCustomFunctionPlugin } from "../utils/customFunctions";
+import { formulaDateTimeParser } from "../utils/columnTypes";
+import { NAMED_RANGE_SCOPE } from "../utils/constants";
 
-export function useHyperformula(allSheets, currentSheetName, hotRef) {
+const FORMULA_DATE_FORMATS = ["YYYY-MM-DD", "DD/MM/YYYY", "DD/MM/YY"];
+
+// namedExpressions — [{ name, expression, scope, sheetName }] from
+// namedRanges.buildNamedExpressions; re-registered whenever they change.
+// customFunctions  — workbook functions (customFunctions.collectCustomFunctions);
+// a plugin of this engine only, built before the engine and swapped in (which
+// rebuilds the engine) when they change.
+export function useHyperformula(allSheets, currentSheetName, hotRef, namedExpressions = [], customFunctions = []) {
 
     const hfRef                               = useRef(null);
     const [hfReady, setHfReady]               = useState(false);
@@ -10,13 +21,65 @@ export function useHyperformula(allSheets, currentSheetName, hotRef) {
     // Track sheets currently registered inside HF
     const registeredSheetsRef = useRef(new Set());
 
+    // Track named expressions currently registered inside HF: [{ name, sheetName }]
+    // (sheetName null = workbook scope; ids are looked up again on removal,
+    // because a rebuild renumbers the sheets)
+    const registeredNamesRef = useRef([]);
+
+    // HF function plugin holding the workbook functions — this engine's
+    // own, never registered page-wide
+    const functionsPluginRef = useRef(null);
+
+    // ─────────────────────────────────────────────────────────────
+    // Build the workbook functions plugin
+    // Declared before the engine is created, so the first build already
+    // knows them. A later change swaps the plugin through updateConfig,
+    // which rebuilds the engine: HF reads its function list only then.
+    // ─────────────────────────────────────────────────────────────
+    const functionsKey = JSON.stringify(customFunctions || []);
+
+    useEffect(() => {
+
+        const wanted = JSON.parse(functionsKey);
+        if (wanted.length === 0 && !functionsPluginRef.current) return;
+
+        releaseCustomFunctionPlugin(functionsPluginRef.current);
+        functionsPluginRef.current = createCustomFunctionPlugin(wanted);
+
+        const hf = hfRef.current;
+        if (!hf) return;
+
+        try {
+            hf.updateConfig({ functionPlugins: functionPluginsWith(functionsPluginRef.current) });
+
+            // The grid's formulas plugin keeps the sheet id it was given
+            const formulas = hotRef?.current?.hotInstance?.getPlugin("formulas");
+            if (formulas?.sheetName) formulas.sheetId = hf.getSheetId(formulas.sheetName);
+
+            hotRef?.current?.hotInstance?.render();
+        } catch (err) {
+            console.warn("[ExcelWidget] HF rebuild for workbook functions failed:", err.message);
+        }
+
+    }, [functionsKey, hotRef]);
+
+    useEffect(() => () => {
+        releaseCustomFunctionPlugin(functionsPluginRef.current);
+        functionsPluginRef.current = null;
+    }, []);
+
     // ─────────────────────────────────────────────────────────────
     // Create HF engine once
     // ─────────────────────────────────────────────────────────────
     useEffect(() => {
         try {
+            // Stored dates (YYYY-MM-DD) and dates & times are date serials
+            // in formulas; DD/MM/YYYY and DD/MM/YY are HF's own defaults
             const hf = HyperFormula.buildEmpty({
-                licenseKey: "gpl-v3"
+                licenseKey:      "gpl-v3",
+                dateFormats:     FORMULA_DATE_FORMATS,
+                parseDateTime:   formulaDateTimeParser(HyperFormula.defaultConfig.parseDateTime),
+                functionPlugins: functionPluginsWith(functionsPluginRef.current),
             });
 
             hfRef.current = hf;
@@ -33,6 +96,7 @@ export function useHyperformula(allSheets, currentSheetName, hotRef) {
 
             hfRef.current = null;
             registeredSheetsRef.current.clear();
+            registeredNamesRef.current = [];
             setAllSheetsReady(false);
         };
     }, []);
@@ -60,6 +124,15 @@ export function useHyperformula(allSheets, currentSheetName, hotRef) {
 
         let recalculationNeeded = false;
 
+        // Other sheets go into HF as-is, so their header-name formulas
+        // (Cost_Q3, Revenue!Total_Q1) are translated to A1 here
+        const sheetResolvers = buildSheetResolvers(allSheets);
+        const contentOf = sheet => translateSheetData(
+            sheet.data || [[]],
+            sheetResolvers.get(sheet.sheetName),
+            sheetResolvers
+        );
+
         // ── Ensure all other sheets exist and update their data
         otherSheets.forEach(sheet => {
 
@@ -71,8 +144,9 @@ export function useHyperformula(allSheets, currentSheetName, hotRef) {
                 // Sheet not yet registered → create
                 if (existingId === undefined) {
 
-                    const newId = hf.addSheet(sheetName);
-                    hf.setSheetContent(newId, sheet.data || [[]]);
+                    // addSheet returns the (normalised) name, not the id
+                    hf.addSheet(sheetName);
+                    hf.setSheetContent(hf.getSheetId(sheetName), contentOf(sheet));
 
                     registered.add(sheetName);
                     recalculationNeeded = true;
@@ -80,7 +154,7 @@ export function useHyperformula(allSheets, currentSheetName, hotRef) {
                 }
 
                 // Sheet exists → update content
-                hf.setSheetContent(existingId, sheet.data || [[]]);
+                hf.setSheetContent(existingId, contentOf(sheet));
                 registered.add(sheetName);
                 recalculationNeeded = true;
 
@@ -90,9 +164,15 @@ export function useHyperformula(allSheets, currentSheetName, hotRef) {
 
         });
 
+        // The displayed sheet is owned by Handsontable, but remember it: if it
+        // is later renamed away or deleted, the stale copy must be removed too
+        if (currentSheetName) registered.add(currentSheetName);
+
         // ── Remove sheets that no longer exist in Mendix
         registered.forEach(sheetName => {
 
+            if (sheetName === currentSheetName) return;
+
             const stillExists = otherSheets.some(
                 s => s.sheetName === sheetName
             );
@@ -132,6 +212,62 @@ export function useHyperformula(allSheets, currentSheetName, hotRef) {
 
     }, [allSheets, currentSheetName, hfReady]);
 
+    // ─────────────────────────────────────────────────────────────
+    // Sync named ranges / constants
+    // Runs after the sheet sync above so every referenced sheet exists.
+    // Compared by content — a new array with the same names is a no-op.
+    // ─────────────────────────────────────────────────────────────
+    const namesKey = JSON.stringify(namedExpressions || []);
+
+    useEffect(() => {
+
+        const hf = hfRef.current;
+        if (!hf || !hfReady) return;
+
+        const wanted = JSON.parse(namesKey);
+        if (wanted.length === 0 && registeredNamesRef.current.length === 0) return;
+
+        // Start from a clean slate — simpler than diffing and keeps the
+        // order of definition, so a name can refer to an earlier one
+        registeredNamesRef.current.forEach(({ name, sheetName }) => {
+            try {
+                const scopeId = sheetName === null ? undefined : hf.getSheetId(sheetName);
+                if (sheetName !== null && scopeId === undefined) return;   // went with its sheet
+                hf.removeNamedExpression(name, scopeId);
+            } catch {}
+        });
+        registeredNamesRef.current = [];
+
+        wanted.forEach(({ name, expression, scope, sheetName }) => {
+            try {
+                let scopeId;
+
+                if (scope === NAMED_RANGE_SCOPE.SHEET) {
+                    scopeId = hf.getSheetId(sheetName);
+
+                    // The displayed sheet may not be in HF yet — the grid's
+                    // formulas plugin reuses a sheet that already has its name
+                    if (scopeId === undefined && sheetName === currentSheetName) {
+                        hf.addSheet(sheetName);
+                        scopeId = hf.getSheetId(sheetName);
+                    }
+                    if (scopeId === undefined) return;
+                }
+
+                hf.addNamedExpression(name, expression, scopeId);
+                registeredNamesRef.current.push({ name, sheetName: scopeId === undefined ? null : sheetName });
+
+            } catch (err) {
+                console.warn(`[ExcelWidget] HF named range "${name}" warning:`, err.message);
+            }
+        });
+
+        try {
+            hotRef?.current?.hotInstance?.render();
+        } catch {}
+
+    }, [namesKey, allSheets, currentSheetName, hfReady, hotRef]);
+
     return {
         hfRef,
         hfReady: hfReady && allSheetsReady
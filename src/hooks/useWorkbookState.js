@@ -26,8 +26,9 @@ import { clampIndex } from "../utils/helpers";
 /**
  * @param {string}  sheetsJsonProp  - raw value from Mendix sheetsJson attribute
  *                                    (changes whenever Mendix refreshes the entity)
+ * @param {number}  rowCount        - minimum rows for sheets parsed from JSON
  */
-export function useWorkbookState(sheetsJsonProp) {
+export function useWorkbookState(sheetsJsonProp, rowCount = 50) {
 
     // ── Core state ─────────────────────────────────────────────────────────
     const [sheets, setSheets]                   = useState([]);
@@ -48,6 +49,11 @@ export function useWorkbookState(sheetsJsonProp) {
     // This is cleared by useAutoSave after a successful save + DB commit.
     const hasPendingEditsRef = useRef(false);
 
+    // ── True while sheets[] holds a load FROM Mendix ──────────────────────
+    // useAutoSave reads and resets it so a Mendix refresh is never saved
+    // straight back (same guard as isMendixUpdate in single-sheet mode).
+    const isRemoteUpdateRef = useRef(false);
+
     // ── Initial load + Mendix-driven refresh ──────────────────────────────
     useEffect(() => {
         // No prop yet — Mendix datasource still loading
@@ -78,7 +84,8 @@ export function useWorkbookState(sheetsJsonProp) {
         setParseError(null);
 
         try {
-            const parsed = parseSheets(sheetsJsonProp);
+            const parsed = parseSheets(sheetsJsonProp, rowCount);
+            isRemoteUpdateRef.current = true;
             setSheets(parsed);
 
             // Keep activeSheetIndex in bounds if sheet count changed
@@ -96,16 +103,18 @@ export function useWorkbookState(sheetsJsonProp) {
             setIsLoading(false);
         }
 
-    }, [sheetsJsonProp]);
+    }, [sheetsJsonProp]); // eslint-disable-line react-hooks/exhaustive-deps
+    // rowCount intentionally excluded — it does not change at runtime.
 
     // ── Safe active sheet index setter ────────────────────────────────────
-    // Clamps the index to valid range so callers don't have to.
+    // Only rejects negatives here; the upper bound is applied when reading
+    // (below). Clamping against sheets.length in the setter would use a stale
+    // length when a sheet is added and selected in the same handler.
     const safeSetActiveSheetIndex = useCallback((index) => {
-        setActiveSheetIndex(prev => {
-            const clamped = clampIndex(index, 0, Math.max(0, sheets.length - 1));
-            return clamped;
-        });
-    }, [sheets.length]);
+        setActiveSheetIndex(Math.max(0, index));
+    }, []);
+
+    const clampedIndex = clampIndex(activeSheetIndex, 0, Math.max(0, sheets.length - 1));
 
     // ── Mark pending edits ────────────────────────────────────────────────
     // Called by useAutoSave whenever the user makes a cell change.
@@ -117,22 +126,23 @@ export function useWorkbookState(sheetsJsonProp) {
     // ── Clear pending edits ───────────────────────────────────────────────
     // Called by useAutoSave AFTER a successful save + DB commit cycle.
     // After this, the next Mendix prop refresh WILL reload sheets.
-    const clearPendingEdits = useCallback(() => {
+    const clearPendingEdits = useCallback((savedJson = null) => {
         hasPendingEditsRef.current = false;
-        // Also update lastLoadedJsonRef so the next Mendix refresh
-        // (which will contain the just-saved data) is recognised as new
-        lastLoadedJsonRef.current = null;
+        // Remember what we just wrote: when Mendix echoes it back as the new
+        // prop value it is recognised as already loaded and not re-parsed.
+        // Anything else Mendix sends (e.g. a microflow edit) still reloads.
+        lastLoadedJsonRef.current = savedJson;
     }, []);
 
     // ── Active sheet object (convenience) ─────────────────────────────────
-    const activeSheet = sheets[activeSheetIndex] ?? null;
+    const activeSheet = sheets[clampedIndex] ?? null;
 
     return {
         // State
         sheets,
         setSheets,
         activeSheet,
-        activeSheetIndex,
+        activeSheetIndex: clampedIndex,
         setActiveSheetIndex: safeSetActiveSheetIndex,
 
         // Loading / error
@@ -142,5 +152,6 @@ export function useWorkbookState(sheetsJsonProp) {
         // Pending edit guards (used by useAutoSave)
         markPendingEdits,
         clearPendingEdits,
+        isRemoteUpdateRef,
     };
 }
\ No newline at end of file
@@ -0,0 +1,306 @@
+/**
+ * csvService.js
+ *
+ * Delimited text import (CSV, TSV, semicolon, pipe).
+ *
+ * PIPELINE:
+ *   readCsvFile(file)          → raw bytes
+ *   decodeCsvBytes(bytes, enc) → text   (encoding detected from BOM / UTF-8 validity)
+ *   detectDelimiter(text)      → "," | "\t" | ";" | "|"
+ *   parseCsv(text, delimiter)  → string[][]   (RFC 4180 quoting)
+ *   inferColumnTypes(rows)     → [{ type, source }]  one per column
+ *   buildCsvImport(rows, opts) → { data, columns? }  ready for applyImportedSheet
+ *
+ * Types are the COLUMN_TYPE_META values. Values are converted to what the
+ * grid stores for that type: numbers for numeric, YYYY-MM-DD strings for
+ * date, booleans for checkbox, plain strings for dropdown/text.
+ *
+ * Pure functions except readCsvFile — the preview dialog calls them again
+ * whenever the user overrides the delimiter, encoding or header option.
+ */
+
+import { DEFAULT_COLUMN, CSV_DROPDOWN_MAX_DISTINCT } from "../utils/constants";
+import { generateId } from "../utils/helpers";
+import { parseDateTimeText } from "../utils/columnTypes";
+
+export const CSV_DELIMITERS = [
+    { value: ",",  label: "Comma (,)"     },
+    { value: ";",  label: "Semicolon (;)" },
+    { value: "\t", label: "Tab"           },
+    { value: "|",  label: "Pipe (|)"      },
+];
+
+export const CSV_ENCODINGS = [
+    { value: "utf-8",        label: "UTF-8"                  },
+    { value: "utf-16le",     label: "UTF-16 LE"              },
+    { value: "utf-16be",     label: "UTF-16 BE"              },
+    { value: "windows-1252", label: "Western (Windows-1252)" },
+];
+
+const TRUE_WORDS  = ["true", "yes", "y", "x", "✓"];
+const FALSE_WORDS = ["false", "no", "n"];
+
+// Dates read by toDateString, day first like the DD/MM/YYYY default
+const CSV_DATE_FORMATS = ["YYYY-MM-DD", "DD/MM/YYYY", "DD.MM.YYYY", "DD-MM-YYYY"];
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  READ / DECODE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * readCsvFile
+ * @param   {File} file
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readCsvFile(file) {
+    return new Uint8Array(await file.arrayBuffer());
+}
+
+/**
+ * detectEncoding
+ * BOM first; otherwise UTF-8 if the bytes are valid UTF-8, else Windows-1252
+ * (what Excel writes for "CSV" on Western-locale Windows).
+ *
+ * @param   {Uint8Array} bytes
+ * @returns {string}     one of CSV_ENCODINGS values
+ */
+export function detectEncoding(bytes) {
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return "utf-8";
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) return "utf-16le";
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return "utf-16be";
+
+    try {
+        new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+        return "utf-8";
+    } catch {
+        return "windows-1252";
+    }
+}
+
+/**
+ * decodeCsvBytes
+ * TextDecoder strips the BOM for the matching encoding.
+ *
+ * @param   {Uint8Array} bytes
+ * @param   {string}     encoding
+ * @returns {string}
+ */
+export function decodeCsvBytes(bytes, encoding) {
+    return new TextDecoder(encoding).decode(bytes);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  DELIMITER + PARSE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * detectDelimiter
+ * Picks the candidate that splits the first lines into the most consistent,
+ * non-trivial number of fields. Delimiters inside quotes are ignored.
+ *
+ * @param   {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+    const sample = text.split(/\r?\n/).filter(line => line.trim() !== "").slice(0, 20).join("\n");
+
+    let best      = ",";
+    let bestScore = 0;
+
+    CSV_DELIMITERS.forEach(({ value }) => {
+        const counts = parseCsv(sample, value).map(row => row.length);
+        if (counts.length === 0) return;
+
+        const first      = counts[0];
+        const consistent = counts.filter(n => n === first).length / counts.length;
+        // Prefer more columns, but only when lines agree on the count
+        const score = first > 1 ? consistent * first : 0;
+
+        if (score > bestScore) {
+            best      = value;
+            bestScore = score;
+        }
+    });
+
+    return best;
+}
+
+/**
+ * parseCsv
+ * RFC 4180: fields may be quoted, "" inside quotes is a literal quote,
+ * quoted fields may contain delimiters and line breaks.
+ * Trailing empty line is dropped.
+ *
+ * @param   {string} text
+ * @param   {string} delimiter
+ * @returns {string[][]}
+ */
+export function parseCsv(text, delimiter) {
+    const rows = [];
+    let row     = [];
+    let field   = "";
+    let inQuote = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inQuote) {
+            if (ch === "\"") {
+                if (text[i + 1] === "\"") { field += "\""; i++; } else { inQuote = false; }
+            } else {
+                field += ch;
+            }
+            continue;
+        }
+
+        if (ch === "\"" && field === "") {
+            inQuote = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && text[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row   = [];
+            field = "";
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  TYPE INFERENCE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * inferColumnTypes
+ * One entry per column of `rows` (header row must already be removed).
+ * Order of checks: checkbox → numeric → date → dropdown → text.
+ *
+ * @param   {string[][]} rows
+ * @returns {{ type: string, source: string[] }[]}
+ */
+export function inferColumnTypes(rows) {
+    const colCount = Math.max(0, ...rows.map(r => r.length));
+
+    return Array.from({ length: colCount }, (_, c) => {
+        const values = rows
+            .map(r => (r[c] ?? "").trim())
+            .filter(v => v !== "");
+
+        if (values.length === 0) return { type: "text", source: [] };
+
+        if (values.every(v => toBoolean(v) !== null)) return { type: "checkbox", source: [] };
+        if (values.every(v => toNumber(v) !== null))  return { type: "numeric",  source: [] };
+        if (values.every(v => toDateString(v) !== null)) return { type: "date",  source: [] };
+
+        const distinct = Array.from(new Set(values));
+        if (distinct.length <= CSV_DROPDOWN_MAX_DISTINCT && values.length >= distinct.length * 2) {
+            return { type: "dropdown", source: distinct.sort((a, b) => a.localeCompare(b)) };
+        }
+
+        return { type: "text", source: [] };
+    });
+}
+
+/**
+ * buildCsvImport
+ * Converts parsed rows into { data, columns? }.
+ *
+ * @param   {string[][]} rows
+ * @param   {object}     options
+ * @param   {boolean}    options.useHeaders  - first row becomes columns[].header
+ * @param   {object[]}   options.types       - [{ type, source }] per column (from
+ *                                             inferColumnTypes, possibly overridden)
+ * @returns {{ data: any[][], columns?: object[] }}
+ */
+export function buildCsvImport(rows, { useHeaders, types }) {
+    const headerRow = useHeaders ? rows[0] || [] : null;
+    const bodyRows  = useHeaders ? rows.slice(1) : rows;
+    const colCount  = Math.max(headerRow ? headerRow.length : 0, ...bodyRows.map(r => r.length));
+
+    const data = bodyRows.map(row =>
+        Array.from({ length: colCount }, (_, c) => {
+            const raw = row[c] ?? "";
+            return useHeaders ? convertValue(raw, types[c]?.type) : autoValue(raw);
+        })
+    );
+
+    if (!useHeaders) return { data };
+
+    const columns = Array.from({ length: colCount }, (_, c) => ({
+        ...DEFAULT_COLUMN,
+        key:    generateId("col"),
+        header: (headerRow[c] ?? "").trim() || `Column ${c + 1}`,
+        type:   types[c]?.type   || "text",
+        source: types[c]?.type === "dropdown" ? types[c].source || [] : [],
+    }));
+
+    return { data, columns };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  VALUE CONVERSION
+// ─────────────────────────────────────────────────────────────────────────────
+
+function convertValue(raw, type) {
+    const value = raw.trim();
+    if (value === "") return null;
+
+    switch (type) {
+        case "numeric":  return toNumber(value)     ?? value;
+        case "date":     return toDateString(value) ?? value;
+        case "checkbox": return toBoolean(value)    ?? false;
+        default:         return raw;
+    }
+}
+
+// No column config — numbers become numbers, formulas and text stay as typed
+function autoValue(raw) {
+    const value = raw.trim();
+    if (value === "") return null;
+    if (value.startsWith("=")) return value;
+    return toNumber(value) ?? raw;
+}
+
+function toBoolean(value) {
+    const lower = value.toLowerCase();
+    if (TRUE_WORDS.includes(lower))  return true;
+    if (FALSE_WORDS.includes(lower)) return false;
+    return null;
+}
+
+// Accepts 1234.5 · 1,234.50 · 1.234,50 · 1 234,50 · -12 · 3e4
+function toNumber(value) {
+    const compact = value.replace(/\s/g, "");
+
+    if (/^[-+]?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(compact)) return Number(compact);
+    if (/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(compact))    return Number(compact.replace(/,/g, ""));
+    if (/^[-+]?\d{1,3}(\.\d{3})+(,\d+)?$/.test(compact))    return Number(compact.replace(/\./g, "").replace(",", "."));
+    if (/^[-+]?\d+,\d+$/.test(compact))                     return Number(compact.replace(",", "."));
+
+    return null;
+}
+
+// DD/MM/YYYY, D.M.YYYY, DD-MM-YYYY or ISO YYYY-MM-DD → YYYY-MM-DD, the ISO
+// form parseCellInput stores for date columns. Read with the column parser,
+// so impossible dates (31/02/2026) stay text.
+function toDateString(value) {
+    for (const format of CSV_DATE_FORMATS) {
+        const parts = parseDateTimeText(value, format);
+        if (parts) {
+            const pad = (n) => String(n).padStart(2, "0");
+            return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+        }
+    }
+    return null;
+}
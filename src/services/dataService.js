@@ -15,9 +15,26 @@
  * → populates From Column / To Column / Row dropdowns in formula builder.
  *
  * Widget reads metadata back but ignores it (doesn't affect rendering).
+ *
+ * Formula results are saved next to the formulas, keyed "row,col" like
+ * cellMeta (utils/formulaResults):
+ *
+ * values: { "3,1": 2400, "4,1": null }   // last computed result per formula cell
+ * errors: { "4,1": "#DIV/0!" }           // error code of the cells that failed
+ *
+ * so microflows and reports read results without evaluating formulas.
+ * Both are derived — the widget recomputes them and ignores them on load.
  */
 
 import { MIN_COLS } from "../utils/constants";
+import { cellKey, parseCellKey, generateId } from "../utils/helpers";
+import { offsetFormulaReferences } from "../utils/formulaTranslator";
+import { normaliseNamedRanges } from "../utils/namedRanges";
+import { normaliseCustomFunctions } from "../utils/customFunctions";
+import { normaliseConditionalFormats } from "../utils/conditionalFormatting";
+import { normaliseValidationRules } from "../utils/dataValidation";
+import { normaliseComments } from "../utils/cellComments";
+import { normaliseColumnValues } from "../utils/columnTypes";
 
 // ─────────────────────────────────────────────────────────────────────────────
 //  PARSE
@@ -43,10 +60,18 @@ export function parseSheetJson(jsonString, rowCount = 50) {
         return empty;
     }
 
+    return parseSheetObject(raw, rowCount);
+}
+
+// Values of typed columns (percentage, time, multi-select …) are brought to
+// their stored form — see utils/columnTypes — so a sheet written by a
+// microflow or an older widget saves back the same way the grid writes it.
+function parseSheetObject(raw, rowCount) {
+    const columns = Array.isArray(raw.columns) ? raw.columns : [];
     return {
         _sheetId:    typeof raw.sheetId === "string" ? raw.sheetId : null,
-        data:        normaliseData(raw.data, rowCount),
-        columns:     Array.isArray(raw.columns)     ? raw.columns                             : [],
+        data:        normaliseColumnValues(columns, normaliseData(raw.data, rowCount)),
+        columns,
         rowLabels:   Array.isArray(raw.rowLabels)   ? raw.rowLabels.map(l => String(l ?? "")) : [],
         cellMeta:    (raw.cellMeta && typeof raw.cellMeta === "object") ? raw.cellMeta        : {},
         colWidths:   Array.isArray(raw.colWidths)   ? raw.colWidths                           : [],
@@ -54,7 +79,12 @@ export function parseSheetJson(jsonString, rowCount = 50) {
         mergedCells: Array.isArray(raw.mergedCells) ? raw.mergedCells                         : [],
         // ── NEW: locked cells from formula destination ──
         lockedCells: Array.isArray(raw.lockedCells) ? raw.lockedCells                         : [],
-        // metadata is read-only — widget doesn't use it for rendering
+        namedRanges: normaliseNamedRanges(raw.namedRanges),
+        customFunctions: normaliseCustomFunctions(raw.customFunctions),
+        conditionalFormats: normaliseConditionalFormats(raw.conditionalFormats),
+        validationRules:    normaliseValidationRules(raw.validationRules),
+        comments:           normaliseComments(raw.comments),
+        // metadata, values and errors are read-only — recomputed by the widget
     };
 }
 
@@ -86,6 +116,14 @@ export function parseAllSheetsJson(jsonString) {
             sheetId:   String(entry.sheetId   ?? ""),
             sheetName: String(entry.sheetName ?? ""),
             data:      normaliseSheetData(entry.data),
+            // Header configuration — lets formulas on other sheets use
+            // header references like Expenses!Cost_Q3
+            columns:   Array.isArray(entry.columns)   ? entry.columns                             : [],
+            rowLabels: Array.isArray(entry.rowLabels) ? entry.rowLabels.map(l => String(l ?? "")) : [],
+            // Workbook-scoped names defined on other sheets
+            namedRanges: normaliseNamedRanges(entry.namedRanges),
+            // Workbook functions defined on other sheets
+            customFunctions: normaliseCustomFunctions(entry.customFunctions),
         }));
 }
 
@@ -109,52 +147,255 @@ function normaliseSheetData(data) {
 //  SERIALIZE — includes metadata for Mendix formula builder
 // ─────────────────────────────────────────────────────────────────────────────
 
-export function serializeSheet(sheetData) {
+// results — { values, errors } from formulaResults.readFormulaResults; left
+// out of the payload when the engine couldn't provide them
+export function serializeSheet(sheetData, results = null) {
     try {
-        const data        = trimData(sheetData.data || []);
-        const columns     = sheetData.columns   || [];
-        const rowLabels   = trimRowLabels(sheetData.rowLabels || []);
-
-        // Build metadata for Mendix formula builder dropdowns
-        // columnHeaders: custom names if configured, else A/B/C for all columns
-        // rowLabels: custom labels if configured, else 1/2/3 for all rows
-        const dataColCount = data.length > 0 ? Math.max(...data.map(r => Array.isArray(r) ? r.length : 0), 1) : MIN_COLS;
-        const dataRowCount = data.length || 0;
-
-        const fullColCount = columns.length > 0 ? columns.length : Math.max(dataColCount, MIN_COLS);
-        const fullRowCount = rowLabels.length > 0 ? rowLabels.length : Math.max(dataRowCount, 50);
-
-        const columnHeaders = Array.from({ length: fullColCount }, (_, i) =>
-            columns[i]?.header || colIndexToLetter(i)
-        );
-
-        const rowLabelsMeta = Array.from({ length: fullRowCount }, (_, i) =>
-            rowLabels[i] || String(i + 1)
-        );
-
-        return JSON.stringify({
-            data,
-            columns,
-            rowLabels,
-            cellMeta:    sheetData.cellMeta    || {},
-            colWidths:   sheetData.colWidths   || [],
-            rowHeights:  sheetData.rowHeights  || [],
-            mergedCells: sheetData.mergedCells || [],
-            // ── NEW: preserve lockedCells so they survive widget save cycles ──
-            lockedCells: sheetData.lockedCells || [],
-            metadata: {
-                columnHeaders,
-                rowLabels: rowLabelsMeta,
-                columnCount: fullColCount,
-                rowCount:    fullRowCount,
-            },
-        });
+        return JSON.stringify(buildSheetPayload(sheetData, results));
     } catch (e) {
         console.error("[ExcelWidget] Failed to serialize sheet:", e.message);
         return "{}";
     }
 }
 
+function buildSheetPayload(sheetData, results = null) {
+    const data        = trimData(sheetData.data || []);
+    const columns     = sheetData.columns   || [];
+    const rowLabels   = trimRowLabels(sheetData.rowLabels || []);
+
+    // Build metadata for Mendix formula builder dropdowns
+    // columnHeaders: custom names if configured, else A/B/C for all columns
+    // rowLabels: custom labels if configured, else 1/2/3 for all rows
+    const dataColCount = data.length > 0 ? Math.max(...data.map(r => Array.isArray(r) ? r.length : 0), 1) : MIN_COLS;
+    const dataRowCount = data.length || 0;
+
+    const fullColCount = columns.length > 0 ? columns.length : Math.max(dataColCount, MIN_COLS);
+    const fullRowCount = rowLabels.length > 0 ? rowLabels.length : Math.max(dataRowCount, 50);
+
+    const columnHeaders = Array.from({ length: fullColCount }, (_, i) =>
+        columns[i]?.header || colIndexToLetter(i)
+    );
+
+    const rowLabelsMeta = Array.from({ length: fullRowCount }, (_, i) =>
+        rowLabels[i] || String(i + 1)
+    );
+
+    return {
+        data,
+        columns,
+        rowLabels,
+        cellMeta:    sheetData.cellMeta    || {},
+        colWidths:   sheetData.colWidths   || [],
+        rowHeights:  sheetData.rowHeights  || [],
+        mergedCells: sheetData.mergedCells || [],
+        // ── NEW: preserve lockedCells so they survive widget save cycles ──
+        lockedCells: sheetData.lockedCells || [],
+        namedRanges: sheetData.namedRanges || [],
+        customFunctions: sheetData.customFunctions || [],
+        conditionalFormats: sheetData.conditionalFormats || [],
+        validationRules:    sheetData.validationRules || [],
+        comments:           sheetData.comments || [],
+        metadata: {
+            columnHeaders,
+            rowLabels: rowLabelsMeta,
+            columnCount: fullColCount,
+            rowCount:    fullRowCount,
+        },
+        ...(results ? { values: results.values, errors: results.errors } : {}),
+    };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  WORKBOOK MODE — all sheets in one sheetsJson attribute
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * parseSheets
+ * sheetsJson is a JSON array of sheet objects — the serializeSheet shape plus
+ * sheetId, sheetName, orderIndex, isEditable, hidden and tabColor.
+ * Returned sorted by orderIndex. An empty or unreadable value gives a
+ * workbook with one sheet, so a fresh Workbook object is usable straight away.
+ *
+ * @param   {string}   jsonString
+ * @param   {number}   rowCount
+ * @returns {object[]} DEFAULT_SHEET-shaped sheet objects
+ */
+export function parseSheets(jsonString, rowCount = 50) {
+    const fallback = () => [createWorkbookSheet("Sheet1", 0, rowCount)];
+
+    if (!jsonString || typeof jsonString !== "string" || jsonString.trim() === "") {
+        return fallback();
+    }
+
+    let raw;
+    try {
+        raw = JSON.parse(jsonString);
+    } catch (e) {
+        console.error("[ExcelWidget] Failed to parse sheetsJson:", e.message);
+        return fallback();
+    }
+
+    if (!Array.isArray(raw)) {
+        console.error("[ExcelWidget] sheetsJson must be a JSON array.");
+        return fallback();
+    }
+
+    const sheets = raw
+        .filter(entry => entry && typeof entry === "object" && !Array.isArray(entry))
+        .map((entry, index) => {
+            const { _sheetId, ...sheetData } = parseSheetObject(entry, rowCount);
+            return {
+                ...sheetData,
+                sheetId:    String(_sheetId || entry.sheetId || generateId("sheet")),
+                sheetName:  String(entry.sheetName || `Sheet${index + 1}`),
+                orderIndex: Number.isFinite(entry.orderIndex) ? entry.orderIndex : index,
+                isEditable: entry.isEditable !== false,
+                hidden:     entry.hidden === true,
+                tabColor:   typeof entry.tabColor === "string" ? entry.tabColor : null,
+            };
+        })
+        .sort((a, b) => a.orderIndex - b.orderIndex);
+
+    return sheets.length > 0 ? sheets : fallback();
+}
+
+/**
+ * serializeSheets
+ * Inverse of parseSheets. orderIndex is rewritten from array position so
+ * the saved order is always exactly what the tab bar shows.
+ *
+ * @param   {object[]} sheets
+ * @param   {Function} [resultsFor] - sheet → { values, errors } | null
+ * @returns {string}
+ */
+export function serializeSheets(sheets, resultsFor = null) {
+    try {
+        return JSON.stringify((sheets || []).map((sheet, index) => ({
+            sheetId:    sheet.sheetId,
+            sheetName:  sheet.sheetName,
+            orderIndex: index,
+            isEditable: sheet.isEditable !== false,
+            hidden:     sheet.hidden === true,
+            tabColor:   sheet.tabColor || null,
+            ...buildSheetPayload(sheet, resultsFor ? resultsFor(sheet) : null),
+        })));
+    } catch (e) {
+        console.error("[ExcelWidget] Failed to serialize sheets:", e.message);
+        return "[]";
+    }
+}
+
+/**
+ * createWorkbookSheet
+ * Empty sheet for the tab bar's + button.
+ *
+ * @returns {object}
+ */
+export function createWorkbookSheet(sheetName, orderIndex, rowCount = 50) {
+    const empty = buildEmptySheetData(rowCount);
+    delete empty._sheetId;
+    return {
+        ...empty,
+        sheetId:    generateId("sheet"),
+        sheetName,
+        orderIndex,
+        isEditable: true,
+        hidden:     false,
+        tabColor:   null,
+    };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  IMPORT — merge an imported sheet (xlsx / csv) into the current sheetData
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * applyImportedSheet
+ *
+ * mode "replace" — imported data, cellMeta, merges and dimensions replace the
+ *                  sheet's own. columns / rowLabels (admin config) are kept,
+ *                  unless the import brings its own columns (CSV with headers).
+ * mode "range"   — imported block is written starting at range.row/range.col.
+ *                  If range.rows/range.cols are set the block is clipped to
+ *                  them (i.e. the user's selection). Relative A1 references
+ *                  in imported formulas are shifted by the same offset, like
+ *                  an Excel paste.
+ *
+ * In both modes values landing in typed columns (utils/columnTypes) are
+ * brought to the column's stored form, as if they had been pasted.
+ *
+ * @param   {object} sheetData  - current state (parseSheetJson shape)
+ * @param   {object} imported   - { data, columns?, cellMeta?, mergedCells?, colWidths?, rowHeights? }
+ * @param   {object} options    - { mode, range, rowCount }
+ * @returns {object}            - new sheetData
+ */
+export function applyImportedSheet(sheetData, imported, { mode = "replace", range = null, rowCount = 50 } = {}) {
+    const importedData = Array.isArray(imported.data) ? imported.data : [];
+
+    if (mode === "replace") {
+        const columns = Array.isArray(imported.columns) ? imported.columns : sheetData.columns;
+        return {
+            ...sheetData,
+            data:        normaliseColumnValues(columns, normaliseData(importedData, rowCount)),
+            cellMeta:    imported.cellMeta    || {},
+            mergedCells: imported.mergedCells || [],
+            colWidths:   imported.colWidths   || [],
+            rowHeights:  imported.rowHeights  || [],
+            lockedCells: [],
+            ...(Array.isArray(imported.columns) ? { columns: imported.columns } : {}),
+        };
+    }
+
+    const startRow = range?.row ?? 0;
+    const startCol = range?.col ?? 0;
+    const maxRows  = range?.rows ?? Infinity;
+    const maxCols  = range?.cols ?? Infinity;
+
+    const data = (sheetData.data || []).map(row => [...row]);
+
+    importedData.forEach((row, r) => {
+        if (r >= maxRows || !Array.isArray(row)) return;
+        const targetRow = startRow + r;
+        while (data.length <= targetRow) data.push([]);
+
+        row.forEach((value, c) => {
+            if (c >= maxCols) return;
+            const targetCol = startCol + c;
+            while (data[targetRow].length <= targetCol) data[targetRow].push(null);
+            data[targetRow][targetCol] = offsetFormulaReferences(value, startRow, startCol);
+        });
+    });
+
+    const isInside = (r, c) => r < maxRows && c < maxCols;
+
+    const cellMeta = { ...(sheetData.cellMeta || {}) };
+    Object.entries(imported.cellMeta || {}).forEach(([key, meta]) => {
+        const { row, col } = parseCellKey(key);
+        if (isInside(row, col)) cellMeta[cellKey(startRow + row, startCol + col)] = meta;
+    });
+
+    // Existing merges that overlap the pasted block would fight the new ones
+    const blockRows = Math.min(importedData.length, maxRows);
+    const blockCols = Math.min(Math.max(0, ...importedData.map(r => (Array.isArray(r) ? r.length : 0))), maxCols);
+    const overlapsBlock = m =>
+        m.row < startRow + blockRows && m.row + m.rowspan > startRow &&
+        m.col < startCol + blockCols && m.col + m.colspan > startCol;
+
+    const mergedCells = [
+        ...(sheetData.mergedCells || []).filter(m => !overlapsBlock(m)),
+        ...(imported.mergedCells || [])
+            .filter(m => isInside(m.row + m.rowspan - 1, m.col + m.colspan - 1))
+            .map(m => ({ ...m, row: startRow + m.row, col: startCol + m.col })),
+    ];
+
+    return {
+        ...sheetData,
+        data: normaliseColumnValues(sheetData.columns, normaliseData(data, rowCount)),
+        cellMeta,
+        mergedCells,
+    };
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 //  HELPERS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -180,6 +421,11 @@ function buildEmptySheetData(rowCount) {
         rowHeights:  [],
         mergedCells: [],
         lockedCells: [],
+        namedRanges: [],
+        customFunctions: [],
+        conditionalFormats: [],
+        validationRules:    [],
+        comments:           [],
     };
 }
 
@@ -17,6 +17,8 @@
  * FUNCTIONS IN THIS FILE:
  *   triggerSheetChange    — auto-save: write JSON back + fire commit microflow
  *   triggerSheetTabChange — notify Mendix when user switches sheet tabs
+ *   triggerAuditLog       — write an audit entry (cell edits, new comments)
+ *                           into auditJson + fire onAuditLog
  *
  * WHAT THIS FILE DOES NOT DO:
  *   - Does not manage state
@@ -147,6 +149,40 @@ export function triggerSheetTabChange(onSheetTabChange) {
     }
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+//  triggerAuditLog
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * triggerAuditLog
+ *
+ * Writes one audit entry into the auditJson attribute and fires the
+ * onAuditLog microflow, which reads it. Optional — both props must be wired.
+ * Entries are JSON objects with sheetId and sheetName plus either
+ *   changes — [{ row, col, colHeader, rowLabel, oldValue, newValue }] (cell edits)
+ *   comment — { threadId, messageId, row, col, address, colHeader, rowLabel,
+ *               author, text, createdAt, isReply, participants } (a new comment)
+ *
+ * @param {object} auditJsonAttr  - Mendix EditableValue for the auditJson attribute
+ * @param {string} payload        - the entry as a JSON string
+ * @param {object} onAuditLog     - Mendix action object { canExecute, execute }
+ *
+ * @returns {boolean}             - true if the microflow was fired
+ */
+export function triggerAuditLog(auditJsonAttr, payload, onAuditLog) {
+    if (!auditJsonAttr || !onAuditLog || !isMendixAttrWritable(auditJsonAttr)) return false;
+
+    try {
+        auditJsonAttr.setValue(payload);
+        if (!onAuditLog.canExecute) return false;
+        onAuditLog.execute();
+        return true;
+    } catch (err) {
+        console.error("[ExcelWidget] Audit log failed:", err.message);
+        return false;
+    }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 //  isMendixActionReady  (utility)
 // ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,377 @@
+/**
+ * printService.js
+ *
+ * Print / PDF output for a sheet.
+ *
+ * Browser printing of the grid itself only shows the rows Handsontable has
+ * rendered (it virtualises the viewport). Instead we build a standalone HTML
+ * document with one fixed-size <div class="page"> per printed page and print
+ * that from a hidden iframe. "Save as PDF" in the browser's print dialog
+ * produces the PDF.
+ *
+ * LAYOUT:
+ *   resolvePrintArea   → which cells (used range, selection or "B2:F40")
+ *   paginate           → pages, down-then-over like Excel. With fitToWidth the
+ *                        columns are zoomed onto one page width; otherwise
+ *                        they are split into page-wide column bands.
+ *   buildPrintHtml     → pages with column headers / row labels, the first N
+ *                        rows repeated on every page, cellMeta styling, merges
+ *                        (clipped at page breaks) and header/footer bands.
+ *
+ * Values come from the live HotTable (hot.getData()), so formulas print their
+ * HyperFormula results, not their source text.
+ */
+
+import {
+    DEFAULT_COL_WIDTH,
+    DEFAULT_ROW_HEIGHT,
+    DEFAULT_NUMERIC_FORMAT,
+    PRINT_PAPER_SIZES,
+    PRINT_MARGIN_PX,
+    PRINT_BAND_HEIGHT_PX,
+    PRINT_HEADER_ROW_PX,
+} from "../utils/constants";
+import { cellKey, colIndexToLetter, parseA1Range } from "../utils/helpers";
+import { isTypedColumn, formatCellValue, ratingMax } from "../utils/columnTypes";
+
+const ROW_LABEL_MIN_WIDTH = 40;
+const PX_PER_LABEL_CHAR   = 7;
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  PUBLIC
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * printSheet
+ * Builds the print document and opens the browser print dialog for it.
+ *
+ * @param {object}     sheet      - sheetData (parseSheetJson shape)
+ * @param {any[][]}    values     - evaluated grid values (hot.getData())
+ * @param {object}     options    - DEFAULT_PRINT_OPTIONS shape
+ * @param {number[]}   selection  - [r1, c1, r2, c2] for area "selection"
+ */
+export function printSheet(sheet, values, options, selection = null) {
+    const html   = buildPrintHtml(sheet, values, options, selection);
+    const iframe = document.createElement("iframe");
+
+    iframe.setAttribute("aria-hidden", "true");
+    iframe.style.cssText = "position:fixed;right:0;bottom:0;width:0;height:0;border:0;";
+    document.body.appendChild(iframe);
+
+    const cleanup = () => {
+        if (iframe.parentNode) iframe.parentNode.removeChild(iframe);
+    };
+
+    iframe.onload = () => {
+        const win = iframe.contentWindow;
+        if (!win) return cleanup();
+        win.addEventListener("afterprint", cleanup);
+        win.focus();
+        win.print();
+    };
+    iframe.srcdoc = html;
+}
+
+/**
+ * resolvePrintArea
+ * "sheet"     → used range (last non-empty row / column, at least the
+ *               configured columns and row labels)
+ * "selection" → the given selection
+ * "custom"    → options.customRange parsed as A1 ("B2:F40")
+ * Falls back to the used range if the chosen area is unavailable.
+ *
+ * @returns {{ r1, c1, r2, c2 }}
+ */
+export function resolvePrintArea(sheet, values, options, selection = null) {
+    if (options.area === "selection" && selection) {
+        const [r1, c1, r2, c2] = selection.map(i => Math.max(0, i));
+        return { r1: Math.min(r1, r2), c1: Math.min(c1, c2), r2: Math.max(r1, r2), c2: Math.max(c1, c2) };
+    }
+
+    if (options.area === "custom") {
+        const parsed = parseA1Range(options.customRange);
+        if (parsed) return parsed;
+    }
+
+    return usedRange(sheet, values);
+}
+
+/**
+ * paginate
+ * @returns {{ scale, pageWidth, pageHeight, labelWidth, pages: { rows: number[], cols: number[] }[], titleRows: number[] }}
+ */
+export function paginate(sheet, area, options) {
+    const paper      = PRINT_PAPER_SIZES[options.paperSize] || PRINT_PAPER_SIZES.A4;
+    const landscape  = options.orientation === "landscape";
+    const pageWidth  = (landscape ? paper.height : paper.width)  - PRINT_MARGIN_PX * 2;
+    const pageHeight = (landscape ? paper.width  : paper.height) - PRINT_MARGIN_PX * 2;
+    const bodyHeight = pageHeight - PRINT_BAND_HEIGHT_PX * 2;
+
+    const labelWidth = options.showHeaders ? rowLabelWidth(sheet, area) : 0;
+    const headerRowH = options.showHeaders ? PRINT_HEADER_ROW_PX : 0;
+
+    const allCols = range(area.c1, area.c2);
+    const totalW  = labelWidth + sum(allCols.map(c => colWidth(sheet, c)));
+    const scale   = options.fitToWidth ? Math.min(1, pageWidth / totalW) : 1;
+
+    const colBands = options.fitToWidth
+        ? [allCols]
+        : packInto(allCols, c => colWidth(sheet, c), pageWidth - labelWidth);
+
+    const repeat    = Math.max(0, Number(options.repeatRows) || 0);
+    const titleRows = range(0, repeat - 1);
+    const bodyRows  = range(area.r1, area.r2).filter(r => r >= repeat);
+    const titleH    = sum(titleRows.map(r => rowHeight(sheet, r)));
+
+    const rowBands = bodyRows.length > 0
+        ? packInto(bodyRows, r => rowHeight(sheet, r), bodyHeight / scale - headerRowH - titleH)
+        : [[]];
+
+    const pages = [];
+    colBands.forEach(cols => {
+        rowBands.forEach(rows => pages.push({ rows, cols }));
+    });
+
+    return { scale, pageWidth, pageHeight, labelWidth, pages, titleRows };
+}
+
+/**
+ * buildPrintHtml
+ * @returns {string} complete HTML document
+ */
+export function buildPrintHtml(sheet, values, options, selection = null) {
+    const area   = resolvePrintArea(sheet, values, options, selection);
+    const layout = paginate(sheet, area, options);
+    const paper  = PRINT_PAPER_SIZES[options.paperSize] || PRINT_PAPER_SIZES.A4;
+    const date   = new Date().toLocaleDateString();
+    const total  = layout.pages.length;
+
+    const pagesHtml = layout.pages.map((page, i) => {
+        const tokens = { sheet: sheet.sheetName || "", date, page: i + 1, pages: total };
+        return `
+<div class="page">
+  <div class="band">${escapeHtml(fillTokens(options.headerText, tokens))}</div>
+  <div class="body">
+    <table class="grid" style="zoom:${layout.scale}">
+      ${colGroup(sheet, page.cols, layout.labelWidth)}
+      ${options.showHeaders ? headerRow(sheet, page.cols) : ""}
+      <tbody>
+        ${segmentRows(sheet, values, layout.titleRows, page.cols, options)}
+        ${segmentRows(sheet, values, page.rows, page.cols, options)}
+      </tbody>
+    </table>
+  </div>
+  <div class="band">${escapeHtml(fillTokens(options.footerText, tokens))}</div>
+</div>`;
+    }).join("");
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(sheet.sheetName || "Sheet")}</title>
+<style>
+  @page { size: ${paper.label} ${options.orientation}; margin: ${PRINT_MARGIN_PX}px; }
+  * { box-sizing: border-box; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  body { margin: 0; font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; font-size: 12px; color: #0f172a; }
+  .page { width: ${layout.pageWidth}px; height: ${layout.pageHeight}px; display: flex; flex-direction: column; overflow: hidden; page-break-after: always; break-after: page; }
+  .page:last-child { page-break-after: auto; break-after: auto; }
+  .band { height: ${PRINT_BAND_HEIGHT_PX}px; flex-shrink: 0; display: flex; align-items: center; justify-content: center; font-size: 10px; color: #475569; }
+  .body { flex: 1; overflow: hidden; }
+  .grid { border-collapse: collapse; table-layout: fixed; }
+  .grid th, .grid td { border: 1px solid #cbd5e1; padding: 0 4px; overflow: hidden; white-space: nowrap; }
+  .grid th { background: #f1f5f9; font-weight: 600; color: #334155; text-align: center; }
+  .grid th.label { text-align: left; }
+  .grid td.num { text-align: right; }
+</style>
+</head>
+<body>${pagesHtml}</body>
+</html>`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  LAYOUT HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+function usedRange(sheet, values) {
+    let lastRow = -1;
+    let lastCol = -1;
+
+    (values || []).forEach((row, r) => {
+        (row || []).forEach((v, c) => {
+            if (v === null || v === undefined || v === "") return;
+            lastRow = Math.max(lastRow, r);
+            lastCol = Math.max(lastCol, c);
+        });
+    });
+
+    Object.keys(sheet.cellMeta || {}).forEach(key => {
+        const [r, c] = key.split(",").map(Number);
+        if (Number.isNaN(r) || Number.isNaN(c)) return;
+        lastRow = Math.max(lastRow, r);
+        lastCol = Math.max(lastCol, c);
+    });
+
+    lastRow = Math.max(lastRow, (sheet.rowLabels?.length || 0) - 1, 0);
+    lastCol = Math.max(lastCol, (sheet.columns?.length   || 0) - 1, 0);
+
+    return { r1: 0, c1: 0, r2: lastRow, c2: lastCol };
+}
+
+// Greedy: as many items as fit in `limit`, at least one per band
+function packInto(items, sizeOf, limit) {
+    const bands = [];
+    let band    = [];
+    let used    = 0;
+
+    items.forEach(item => {
+        const size = sizeOf(item);
+        if (band.length > 0 && used + size > limit) {
+            bands.push(band);
+            band = [];
+            used = 0;
+        }
+        band.push(item);
+        used += size;
+    });
+
+    if (band.length > 0) bands.push(band);
+    return bands;
+}
+
+function colWidth(sheet, c) {
+    return sheet.colWidths?.[c] || sheet.columns?.[c]?.width || DEFAULT_COL_WIDTH;
+}
+
+function rowHeight(sheet, r) {
+    return sheet.rowHeights?.[r] || DEFAULT_ROW_HEIGHT;
+}
+
+function rowLabelWidth(sheet, area) {
+    const labels = sheet.rowLabels?.length
+        ? sheet.rowLabels.map(l => String(l ?? ""))
+        : [String(area.r2 + 1)];
+    const longest = Math.max(...labels.map(l => l.length), 1);
+    return Math.max(ROW_LABEL_MIN_WIDTH, longest * PX_PER_LABEL_CHAR + 16);
+}
+
+function range(from, to) {
+    const out = [];
+    for (let i = from; i <= to; i++) out.push(i);
+    return out;
+}
+
+function sum(list) {
+    return list.reduce((a, b) => a + b, 0);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  HTML BUILDERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+function colGroup(sheet, cols, labelWidth) {
+    const label = labelWidth > 0 ? `<col style="width:${labelWidth}px">` : "";
+    return `<colgroup>${label}${cols.map(c => `<col style="width:${colWidth(sheet, c)}px">`).join("")}</colgroup>`;
+}
+
+function headerRow(sheet, cols) {
+    const cells = cols.map(c =>
+        `<th>${escapeHtml(sheet.columns?.[c]?.header || colIndexToLetter(c))}</th>`
+    ).join("");
+    return `<thead><tr style="height:${PRINT_HEADER_ROW_PX}px"><th></th>${cells}</tr></thead>`;
+}
+
+/**
+ * Renders a contiguous run of rows. Merges are clipped to the run and the
+ * column band, so a merge crossing a page break prints on both pages.
+ */
+function segmentRows(sheet, values, rows, cols, options) {
+    if (rows.length === 0) return "";
+
+    const rowSet = new Set(rows);
+    const colSet = new Set(cols);
+    const starts  = new Map();
+    const covered = new Set();
+
+    (sheet.mergedCells || []).forEach(m => {
+        const mr = range(m.row, m.row + m.rowspan - 1).filter(r => rowSet.has(r));
+        const mc = range(m.col, m.col + m.colspan - 1).filter(c => colSet.has(c));
+        if (mr.length === 0 || mc.length === 0) return;
+
+        starts.set(cellKey(mr[0], mc[0]), { rowspan: mr.length, colspan: mc.length });
+        mr.forEach(r => mc.forEach(c => covered.add(cellKey(r, c))));
+    });
+
+    return rows.map(r => {
+        const label = options.showHeaders
+            ? `<th class="label">${escapeHtml(sheet.rowLabels?.length ? sheet.rowLabels[r] ?? "" : r + 1)}</th>`
+            : "";
+
+        const cells = cols.map(c => {
+            const key   = cellKey(r, c);
+            const span  = starts.get(key);
+            if (covered.has(key) && !span) return "";
+
+            const value = values?.[r]?.[c] ?? sheet.data?.[r]?.[c] ?? null;
+            const attrs = span ? ` rowspan="${span.rowspan}" colspan="${span.colspan}"` : "";
+            const cls   = typeof value === "number" ? " class=\"num\"" : "";
+            return `<td${attrs}${cls} style="${cellStyle(sheet.cellMeta?.[key])}">${escapeHtml(formatValue(value, sheet.columns?.[c]))}</td>`;
+        }).join("");
+
+        return `<tr style="height:${rowHeight(sheet, r)}px">${label}${cells}</tr>`;
+    }).join("");
+}
+
+// Same properties the grid renderer applies
+function cellStyle(meta) {
+    if (!meta) return "";
+    const css = [];
+    if (meta.bold)      css.push("font-weight:bold");
+    if (meta.italic)    css.push("font-style:italic");
+    if (meta.underline) css.push("text-decoration:underline");
+    if (meta.fontColor) css.push(`color:${meta.fontColor}`);
+    if (meta.bgColor)   css.push(`background-color:${meta.bgColor}`);
+    if (meta.align)     css.push(`text-align:${meta.align}`);
+    return escapeHtml(css.join(";"));
+}
+
+function formatValue(value, column) {
+    if (value === null || value === undefined) return "";
+    if (column?.type === "checkbox") return value === true || value === "true" ? "☑" : "☐";
+    if (column?.type === "rating" && typeof value === "number") {
+        return "★".repeat(value) + "☆".repeat(Math.max(ratingMax(column) - value, 0));
+    }
+    if (isTypedColumn(column)) return formatCellValue(column, value)?.text ?? String(value);
+    if (typeof value === "number" && column?.type === "numeric") {
+        return formatNumber(value, column.format || DEFAULT_NUMERIC_FORMAT);
+    }
+    return String(value);
+}
+
+// Numbro-style pattern ("0,0.00", "$0,0", "0.0%") via Intl
+function formatNumber(value, pattern) {
+    const decimals = (/\.(0+)/.exec(pattern)?.[1] || "").length;
+    const percent  = pattern.includes("%");
+    const prefix   = /^[^0#,.]*/.exec(pattern)[0];
+    const suffix   = /[^0#,.%]*$/.exec(pattern)[0];
+
+    const text = (percent ? value * 100 : value).toLocaleString(undefined, {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
+        useGrouping:           pattern.includes(","),
+    });
+
+    return `${prefix}${text}${percent ? "%" : ""}${suffix}`;
+}
+
+function fillTokens(text, tokens) {
+    return String(text || "").replace(/\{(sheet|date|page|pages)\}/g, (_, name) => tokens[name]);
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
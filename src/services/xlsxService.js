@@ -0,0 +1,418 @@
+/**
+ * xlsxService.js
+ *
+ * Excel (.xlsx) import and export.
+ *
+ * IMPORT reads Excel workbooks into the same sheet shape that
+ * dataService.parseSheetJson returns, so an imported file goes through
+ * exactly the same render + auto-save path as a hand-typed sheet.
+ *
+ * WHAT IS KEPT ON IMPORT:
+ *   data         — values, formulas as "=..." strings (shared formulas expanded),
+ *                  dates as ISO text (2026-10-19, 2026-10-19T09:30, 09:30)
+ *   cellMeta     — bold / italic / underline / fontColor / bgColor / align,
+ *                  numberFormat (number format codes the grid can show)
+ *   mergedCells  — HotTable format { row, col, rowspan, colspan }
+ *   colWidths    — converted from Excel character widths to px
+ *   rowHeights   — converted from points to px
+ *
+ * WHAT IS DROPPED ON IMPORT:
+ *   Theme colours, borders, date and other number formats utils/numberFormat
+ *   cannot show, images, charts — anything cellMeta has no slot for.
+ *
+ * EXPORT writes one worksheet per sheet object:
+ *   - header-name formulas (Revenue_Q1, Expenses!Cost_Q3) are translated to
+ *     A1 with formulaTranslator, so Excel can evaluate them — formulas stay live
+ *   - cellMeta becomes Excel fonts / fills / alignment; a cell's numberFormat
+ *     is its Excel number format, before the column's
+ *   - columns[].format becomes the Excel number format of numeric and
+ *     date columns; date strings are written as real Excel dates
+ *   - time and date & time columns are written as Excel dates with their
+ *     format, percentage and currency columns get their number format and
+ *     hyperlink cells become Excel hyperlinks
+ *   - merges, column widths and row heights are kept
+ *   Custom column headers and row labels are not written as extra rows —
+ *   that would shift every A1 reference by one.
+ *
+ * Uses ExcelJS. On import the workbook is loaded once (readXlsxFile) and
+ * individual worksheets are converted on demand (convertWorksheet), so the
+ * import dialog can list sheet names before anything is converted.
+ */
+
+import ExcelJS from "exceljs";
+import { cellKey, letterToColIndex } from "../utils/helpers";
+import {
+    DEFAULT_COL_WIDTH,
+    DEFAULT_ROW_HEIGHT,
+    DEFAULT_DATE_FORMAT,
+    DEFAULT_NUMERIC_FORMAT,
+    DEFAULT_TIME_FORMAT,
+    DEFAULT_DATETIME_FORMAT,
+} from "../utils/constants";
+import { storedDateTimeParts, columnNumberFormat, safeUrl } from "../utils/columnTypes";
+import { createHeaderResolver, buildSheetResolvers, maybeTranslate, renameSheetReferences } from "../utils/formulaTranslator";
+import { validateNumberFormat } from "../utils/numberFormat";
+
+const XLSX_MIME_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Excel stores column width in "characters of the default font" and row
+// height in points. These factors match Excel's own rendering at 100% zoom.
+const PX_PER_CHAR  = 7;
+const CHAR_PADDING = 5;
+const PX_PER_POINT = 4 / 3;
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  READ
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * readXlsxFile
+ * Loads a File/Blob picked by the user into an ExcelJS workbook.
+ *
+ * @param   {File}   file
+ * @returns {Promise<{ workbook: object, sheetNames: string[] }>}
+ */
+export async function readXlsxFile(file) {
+    const buffer   = await file.arrayBuffer();
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheetNames = workbook.worksheets.map(ws => ws.name);
+    if (sheetNames.length === 0) {
+        throw new Error("The file does not contain any worksheets.");
+    }
+
+    return { workbook, sheetNames };
+}
+
+/**
+ * convertWorksheet
+ * Converts one worksheet into { data, cellMeta, mergedCells, colWidths, rowHeights }.
+ *
+ * @param   {object} workbook    - ExcelJS workbook from readXlsxFile
+ * @param   {number} sheetIndex  - zero-based index into workbook.worksheets
+ * @returns {object}
+ */
+export function convertWorksheet(workbook, sheetIndex = 0) {
+    const ws = workbook.worksheets[sheetIndex];
+    if (!ws) throw new Error(`Worksheet ${sheetIndex + 1} does not exist.`);
+
+    const rowCount = ws.rowCount;
+    const colCount = ws.columnCount;
+
+    const data     = Array.from({ length: rowCount }, () => Array(colCount).fill(null));
+    const cellMeta = {};
+
+    ws.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+        row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
+            const r = rowNumber - 1;
+            const c = colNumber - 1;
+
+            // Merged slave cells carry no value of their own
+            if (cell.isMerged && cell.master.address !== cell.address) return;
+
+            data[r][c] = readCellValue(cell);
+
+            const meta = readCellMeta(cell);
+            if (meta) cellMeta[cellKey(r, c)] = meta;
+        });
+    });
+
+    const mergedCells = (ws.model.merges || [])
+        .map(parseMergeRange)
+        .filter(Boolean);
+
+    const colWidths = Array.from({ length: colCount }, (_, i) => {
+        const width = ws.getColumn(i + 1).width;
+        return width ? Math.round(width * PX_PER_CHAR + CHAR_PADDING) : DEFAULT_COL_WIDTH;
+    });
+
+    const rowHeights = Array.from({ length: rowCount }, (_, i) => {
+        const height = ws.getRow(i + 1).height;
+        return height ? Math.round(height * PX_PER_POINT) : DEFAULT_ROW_HEIGHT;
+    });
+
+    return { data, cellMeta, mergedCells, colWidths, rowHeights };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  WRITE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * exportXlsx
+ * Builds an .xlsx from one or more sheet objects and downloads it.
+ *
+ * @param   {object[]} sheets    - sheet objects ({ sheetName, data, columns, rowLabels,
+ *                                 cellMeta, mergedCells, colWidths, rowHeights });
+ *                                 only sheetName and data are required
+ * @param   {string}   fileName  - without extension
+ * @returns {Promise<void>}
+ */
+export async function exportXlsx(sheets, fileName) {
+    const workbook = buildXlsxWorkbook(sheets);
+    const buffer   = await workbook.xlsx.writeBuffer();
+    downloadBlob(new Blob([buffer], { type: XLSX_MIME_TYPE }), `${fileName}.xlsx`);
+}
+
+/**
+ * buildXlsxWorkbook
+ * Pure conversion sheet objects → ExcelJS workbook (no download).
+ *
+ * @param   {object[]} sheets
+ * @returns {object}   ExcelJS workbook
+ */
+export function buildXlsxWorkbook(sheets) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+    // No cached results are written — let Excel evaluate every formula on open
+    workbook.calcProperties.fullCalcOnLoad = true;
+
+    // Names are settled first: a name Excel does not allow is changed, and
+    // every formula qualified with the old one must follow
+    const usedNames = new Set();
+    const names     = sheets.map((sheet, index) => uniqueWorksheetName(sheet.sheetName || `Sheet${index + 1}`, usedNames));
+    const renames   = new Map();
+    sheets.forEach((sheet, index) => {
+        if (sheet.sheetName && sheet.sheetName !== names[index]) renames.set(sheet.sheetName, names[index]);
+    });
+
+    const sheetResolvers = buildSheetResolvers(sheets);
+    sheets.forEach((sheet, index) => {
+        writeWorksheet(workbook.addWorksheet(names[index]), sheet, sheetResolvers, renames);
+    });
+
+    return workbook;
+}
+
+function writeWorksheet(ws, sheet, sheetResolvers, renames) {
+    const columns   = sheet.columns   || [];
+    const rowLabels = sheet.rowLabels || [];
+    const cellMeta  = sheet.cellMeta  || {};
+    const resolver  = createHeaderResolver(columns, rowLabels);
+
+    // Same visible area as SheetGrid: only labelled rows when labels exist
+    const allRows = Array.isArray(sheet.data) ? sheet.data : [];
+    const rows    = rowLabels.length > 0 ? allRows.slice(0, rowLabels.length) : allRows;
+
+    rows.forEach((row, r) => {
+        if (!Array.isArray(row)) return;
+        row.forEach((value, c) => {
+            const column = columns[c];
+            const meta   = cellMeta[cellKey(r, c)];
+            const formula   = maybeTranslate(value, resolver, sheetResolvers);
+            const cellValue = toExcelValue(renames.size > 0 ? renameSheetReferences(formula, renames) : formula, column);
+
+            if (cellValue === null && !meta) return;
+
+            const cell = ws.getCell(r + 1, c + 1);
+            cell.value = cellValue;
+
+            const numFmt = meta?.numberFormat || toExcelNumFmt(column);
+            if (numFmt) cell.numFmt = numFmt;
+
+            if (meta) applyCellMeta(cell, meta);
+        });
+    });
+
+    (sheet.mergedCells || []).forEach(m => {
+        if (!m || m.rowspan * m.colspan <= 1) return;
+        ws.mergeCells(m.row + 1, m.col + 1, m.row + m.rowspan, m.col + m.colspan);
+    });
+
+    const colWidths = sheet.colWidths?.length ? sheet.colWidths : columns.map(col => col.width);
+    colWidths.forEach((px, i) => {
+        if (px) ws.getColumn(i + 1).width = Math.max(1, (px - CHAR_PADDING) / PX_PER_CHAR);
+    });
+
+    (sheet.rowHeights || []).forEach((px, i) => {
+        if (px && px !== DEFAULT_ROW_HEIGHT) ws.getRow(i + 1).height = px / PX_PER_POINT;
+    });
+}
+
+function toExcelValue(value, column) {
+    if (value === null || value === undefined || value === "") return null;
+
+    if (typeof value === "string" && value.startsWith("=")) {
+        return { formula: value.slice(1) };
+    }
+
+    if (column?.type === "numeric" && typeof value === "string") {
+        const num = Number(value);
+        return Number.isFinite(num) ? num : value;
+    }
+
+    if (column?.type === "date" || column?.type === "time" || column?.type === "datetime") {
+        const parts = storedDateTimeParts(column, value);
+        return parts ? new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)) : value;
+    }
+
+    if (column?.type === "hyperlink" && safeUrl(value)) {
+        return { text: value.replace(/^mailto:/i, ""), hyperlink: value };
+    }
+
+    return value;
+}
+
+function applyCellMeta(cell, meta) {
+    const font = {};
+    if (meta.bold)      font.bold      = true;
+    if (meta.italic)    font.italic    = true;
+    if (meta.underline) font.underline = true;
+    if (meta.fontColor) font.color     = { argb: hexToArgb(meta.fontColor) };
+    if (Object.keys(font).length > 0) cell.font = font;
+
+    if (meta.bgColor) {
+        cell.fill = { type: "pattern", pattern: "solid", fgColor: { argb: hexToArgb(meta.bgColor) } };
+    }
+
+    if (meta.align) cell.alignment = { horizontal: meta.align };
+}
+
+// Numbro pattern (HotTable numericFormat) / moment date format / typed
+// column settings → Excel numFmt
+function toExcelNumFmt(column) {
+    if (column?.type === "numeric") {
+        return (column.format || DEFAULT_NUMERIC_FORMAT).replace("0,0", "#,##0");
+    }
+    if (column?.type === "date") {
+        // Excel date codes are lower-case: dd/mm/yyyy
+        return (column.format || DEFAULT_DATE_FORMAT).toLowerCase();
+    }
+    if (column?.type === "time" || column?.type === "datetime") {
+        return toExcelDateCode(column.format || (column.type === "time" ? DEFAULT_TIME_FORMAT : DEFAULT_DATETIME_FORMAT));
+    }
+    if (column?.type === "percentage" || column?.type === "currency") {
+        return columnNumberFormat(column);
+    }
+    return null;
+}
+
+// h:mm A → h:mm AM/PM; [at] → "at". Excel reads mm after an hour as minutes.
+function toExcelDateCode(format) {
+    return format.replace(/\[([^\]]*)]|YYYY|YY|MM|M|DD|D|HH|H|hh|h|mm|ss|A|a/g, (token, literal) => {
+        if (literal !== undefined) return `"${literal}"`;
+        return /^[Aa]$/.test(token) ? "AM/PM" : token.toLowerCase();
+    });
+}
+
+// Excel: max 31 chars, none of : \ / ? * [ ], unique (case-insensitive)
+function uniqueWorksheetName(name, usedNames) {
+    const base = String(name).replace(/[:\\/?*[\]]/g, " ").trim().slice(0, 31) || "Sheet";
+    let candidate = base;
+    let counter   = 2;
+    while (usedNames.has(candidate.toLowerCase())) {
+        const suffix = ` (${counter++})`;
+        candidate = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+}
+
+function hexToArgb(hex) {
+    return `FF${String(hex).replace("#", "").toUpperCase()}`;
+}
+
+function downloadBlob(blob, fileName) {
+    const url  = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href     = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+function readCellValue(cell) {
+    // cell.formula also resolves shared formulas relative to this cell
+    if (cell.formula) return `=${cell.formula}`;
+
+    const value = cell.value;
+    if (value === null || value === undefined) return null;
+
+    if (value instanceof Date) return formatDate(value);
+
+    if (typeof value === "object") {
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join("");
+        if (value.hyperlink)               return value.text ?? value.hyperlink;
+        if (value.error)                   return value.error;
+        if ("result" in value)             return value.result ?? null;
+        return null;
+    }
+
+    return value;
+}
+
+function readCellMeta(cell) {
+    const meta = {};
+    const font = cell.font;
+    const fill = cell.fill;
+    const align = cell.alignment;
+
+    if (font?.bold)      meta.bold      = true;
+    if (font?.italic)    meta.italic    = true;
+    if (font?.underline) meta.underline = true;
+
+    const fontColor = argbToHex(font?.color?.argb);
+    if (fontColor) meta.fontColor = fontColor;
+
+    if (fill?.type === "pattern" && fill.pattern === "solid") {
+        const bgColor = argbToHex(fill.fgColor?.argb);
+        if (bgColor) meta.bgColor = bgColor;
+    }
+
+    if (["left", "center", "right"].includes(align?.horizontal)) {
+        meta.align = align.horizontal;
+    }
+
+    // Date codes are left out: dates are imported as ISO text
+    const numFmt = typeof cell.numFmt === "string" ? cell.numFmt.trim() : "";
+    if (numFmt && !/^(General|@)$/i.test(numFmt) && validateNumberFormat(numFmt) === null) {
+        meta.numberFormat = numFmt;
+    }
+
+    return Object.keys(meta).length > 0 ? meta : null;
+}
+
+// "FFRRGGBB" → "#rrggbb". Theme / indexed colours are not resolvable here.
+function argbToHex(argb) {
+    if (typeof argb !== "string" || argb.length !== 8) return null;
+    return `#${argb.slice(2).toLowerCase()}`;
+}
+
+// "B2:D4" → { row: 1, col: 1, rowspan: 3, colspan: 3 }
+function parseMergeRange(range) {
+    const match = /^([A-Z]+)(\d+):([A-Z]+)(\d+)$/.exec(range);
+    if (!match) return null;
+
+    const startCol = letterToColIndex(match[1]);
+    const startRow = parseInt(match[2], 10) - 1;
+    const endCol   = letterToColIndex(match[3]);
+    const endRow   = parseInt(match[4], 10) - 1;
+
+    return {
+        row:     startRow,
+        col:     startCol,
+        rowspan: endRow - startRow + 1,
+        colspan: endCol - startCol + 1,
+    };
+}
+
+// The stored forms of date, time and date & time columns: 2026-10-19,
+// 09:30 (on Excel's day zero, 1899-12-30) or 2026-10-19T09:30.
+// ExcelJS returns dates as UTC, so read the UTC parts.
+function formatDate(date) {
+    const pad  = (n) => String(n).padStart(2, "0");
+    const day  = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+    const secs = date.getUTCSeconds();
+    const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}${secs ? `:${pad(secs)}` : ""}`;
+
+    if (day === "1899-12-30")  return time;
+    if (time === "00:00")      return day;
+    return `${day}T${time}`;
+}
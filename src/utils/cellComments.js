@@ -0,0 +1,120 @@
+/**
+ * cellComments.js
+ *
+ * Comment threads on cells (CommentsPanel), stored per sheet in
+ * sheetJson.comments:
+ *
+ *   { id: "msg-…", row: 3, col: 1,                      ← B4
+ *     resolved: false, resolvedBy: "", resolvedAt: "",
+ *     messages: [{ id: "msg-…", author: "jdoe", createdAt: "2026-10-19T14:05:00.000Z",
+ *                  text: "Where does this number come from?" }, …replies] }
+ *
+ * row is the data row, col the column index — like lockedCells. A cell has
+ * at most one thread: a new comment on a cell that already has one is a reply
+ * to it, and a reply reopens a resolved thread. The thread's id is the id of
+ * its first message. Authors are the widget's currentUserId; times are ISO
+ * strings in UTC.
+ */
+
+import { cellKey, generateId } from "./helpers";
+
+// ── Read comments from sheetJson ─────────────────────────────────────────────
+// Threads without a cell or without a message are dropped
+export function normaliseComments(raw) {
+    if (!Array.isArray(raw)) return [];
+    return raw
+        .filter(entry => entry && typeof entry === "object"
+            && Number.isInteger(entry.row) && entry.row >= 0
+            && Number.isInteger(entry.col) && entry.col >= 0
+            && Array.isArray(entry.messages))
+        .map(entry => ({
+            id:         String(entry.id ?? "") || generateId("msg"),
+            row:        entry.row,
+            col:        entry.col,
+            resolved:   entry.resolved === true,
+            resolvedBy: String(entry.resolvedBy ?? ""),
+            resolvedAt: String(entry.resolvedAt ?? ""),
+            messages:   entry.messages
+                .filter(message => message && typeof message === "object" && String(message.text ?? "").trim())
+                .map(message => ({
+                    id:        String(message.id ?? "") || generateId("msg"),
+                    author:    String(message.author ?? ""),
+                    text:      String(message.text),
+                    createdAt: String(message.createdAt ?? ""),
+                })),
+        }))
+        .filter(thread => thread.messages.length > 0);
+}
+
+// ── A new comment or reply ───────────────────────────────────────────────────
+// Built once, so the same message is saved and sent to the audit log
+export function createCommentMessage(author, text, now = new Date()) {
+    return {
+        id:        generateId("msg"),
+        author:    String(author ?? ""),
+        text:      String(text ?? "").trim(),
+        createdAt: now.toISOString(),
+    };
+}
+
+// ── The thread on a cell, or null ────────────────────────────────────────────
+export function findCommentThread(comments, row, col) {
+    return (comments || []).find(thread => thread.row === row && thread.col === col) || null;
+}
+
+// ── Add a message to a cell's thread ─────────────────────────────────────────
+// Starts the thread when the cell has none; a reply reopens it.
+// Returns a new comments array.
+export function addCommentMessage(comments, row, col, message) {
+    const list = comments || [];
+    if (!findCommentThread(list, row, col)) {
+        return [...list, { id: message.id, row, col, resolved: false, resolvedBy: "", resolvedAt: "", messages: [message] }];
+    }
+    return list.map(thread => (
+        thread.row === row && thread.col === col
+            ? { ...thread, resolved: false, resolvedBy: "", resolvedAt: "", messages: [...thread.messages, message] }
+            : thread
+    ));
+}
+
+// ── Resolve or reopen a thread ───────────────────────────────────────────────
+export function setCommentResolved(comments, threadId, resolved, user, now = new Date()) {
+    return (comments || []).map(thread => (
+        thread.id === threadId
+            ? {
+                ...thread,
+                resolved,
+                resolvedBy: resolved ? String(user ?? "") : "",
+                resolvedAt: resolved ? now.toISOString() : "",
+            }
+            : thread
+    ));
+}
+
+// ── Cells with a thread, for the grid's corner marks ─────────────────────────
+// Map cellKey(row, col) → thread
+export function commentsByCell(comments) {
+    const map = new Map();
+    (comments || []).forEach(thread => map.set(cellKey(thread.row, thread.col), thread));
+    return map;
+}
+
+// ── Tooltip of a commented cell ──────────────────────────────────────────────
+// The first message and, when there are replies, the latest one:
+//   jdoe: Where does this number come from?
+//   … amy: The Q1 report (1 reply)
+export function commentPreview(thread) {
+    const first   = thread.messages[0];
+    const replies = thread.messages.length - 1;
+    const latest  = thread.messages[replies];
+    const text    = `${latest.author || "Comment"}: ${latest.text}`;
+    const status  = thread.resolved ? " — resolved" : "";
+    if (replies === 0) return `${text}${status}`;
+    return `${first.author || "Comment"}: ${first.text}\n… ${text} (${replies} ${replies === 1 ? "reply" : "replies"})${status}`;
+}
+
+// ── Everyone in a thread ─────────────────────────────────────────────────────
+// Distinct authors in the order they first wrote — who to notify of a reply
+export function commentParticipants(thread) {
+    return [...new Set((thread?.messages || []).map(message => message.author).filter(Boolean))];
+}
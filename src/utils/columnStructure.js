@@ -0,0 +1,142 @@
+/**
+ * columnStructure.js
+ *
+ * Column insert / delete / move for the settings panel. These edits happen
+ * outside Handsontable and HyperFormula, so everything that is addressed by
+ * column index is moved here, the way Excel does it:
+ *
+ *   - data rows, columns, colWidths
+ *   - cellMeta keys ("row,col"), lockedCells, mergedCells, comment threads
+ *   - formulas and named ranges — A1 references and header tokens, on this
+ *     sheet and Sheet!Ref references from the other sheets
+ *   - conditional formatting ranges and formula rules
+ *   - validation rule ranges, formulas and list source ranges
+ *   - dropdown columns' option ranges (sourceRange)
+ *
+ * A change is described by moveColumn(oldIndex) → newIndex, or -1 when the
+ * column was deleted (columnInserted / columnDeleted / columnMoved).
+ */
+
+import { cellKey, parseCellKey } from "./helpers";
+import { buildHeaderRenamer, moveColumnReferences, rewriteHeaderTokens } from "./formulaTranslator";
+import { planFormulaRewrites, applyHeaderRename } from "./headerRename";
+
+export const columnInserted = (index) => (col) => (col < index ? col : col + 1);
+
+export const columnDeleted = (index) => (col) => {
+    if (col === index) return -1;
+    return col < index ? col : col - 1;
+};
+
+export const columnMoved = (fromIndex, toIndex) => (col) => {
+    if (col === fromIndex) return toIndex;
+    if (fromIndex < toIndex && col > fromIndex && col <= toIndex) return col - 1;
+    if (toIndex < fromIndex && col >= toIndex && col < fromIndex) return col + 1;
+    return col;
+};
+
+// ── Apply a column change to a workbook ──────────────────────────────────────
+// sheets     — every sheet whose formulas may reference the changed one
+// sheetName  — the sheet whose columns change
+// moveColumn — old index → new index (-1 = deleted)
+// columns    — the changed sheet's columns after the change
+// Returns a new sheets array; sheets with nothing to rewrite are kept as is.
+export function restructureColumns(sheets, sheetName, moveColumn, columns) {
+    const target  = String(sheetName).toLowerCase();
+    const changed = (Array.isArray(sheets) ? sheets : [])
+        .find(sheet => String(sheet?.sheetName).toLowerCase() === target);
+    if (!changed) return sheets;
+
+    const renameToken = buildHeaderRenamer(changed, { ...changed, columns }, moveColumn);
+
+    return sheets.map(sheet => {
+        if (!sheet) return sheet;
+        const isOwnSheet = sheet === changed;
+        const isTarget   = (qualifier) => (qualifier === null ? isOwnSheet : qualifier.toLowerCase() === target);
+
+        const rewrite = (formula) => rewriteHeaderTokens(
+            moveColumnReferences(formula, moveColumn, isTarget),
+            (token, qualifier) => (isTarget(qualifier) ? renameToken(token) : undefined)
+        );
+
+        // Formula text does not depend on where its cell is, so the changed
+        // sheet is moved first and then rewritten like the others
+        const moved = isOwnSheet ? moveSheetColumns(sheet, moveColumn, columns) : sheet;
+        return applyHeaderRename(moved, planFormulaRewrites([moved], () => rewrite));
+    });
+}
+
+// ─── Private ──────────────────────────────────────────────────────────────────
+
+// Data, widths and per-cell state of the changed sheet
+function moveSheetColumns(sheet, moveColumn, columns) {
+    const growth = columns.length - (sheet.columns || []).length;
+
+    const moveRow = (row, fill) => {
+        const next = Array.from({ length: Math.max(0, row.length + growth) }, (_, col) => fill(col));
+        row.forEach((value, col) => {
+            const newCol = moveColumn(col);
+            if (newCol >= 0 && newCol < next.length) next[newCol] = value;
+        });
+        return next;
+    };
+
+    const cellMeta = {};
+    Object.entries(sheet.cellMeta || {}).forEach(([key, meta]) => {
+        const { row, col } = parseCellKey(key);
+        if (Number.isNaN(row) || Number.isNaN(col)) {
+            // Not a cell — HotTable's own merge list is kept in sync as well
+            cellMeta[key] = key === "_mergedCells" ? moveMerges(meta, moveColumn) : meta;
+            return;
+        }
+        const newCol = moveColumn(col);
+        if (newCol >= 0) cellMeta[cellKey(row, newCol)] = meta;
+    });
+
+    const lockedCells = (sheet.lockedCells || []).flatMap(entry => {
+        const col    = Array.isArray(entry) ? entry[1] : entry.col;
+        const newCol = moveColumn(col);
+        if (newCol < 0) return [];
+        return [Array.isArray(entry) ? [entry[0], newCol] : { ...entry, col: newCol }];
+    });
+
+    // A deleted column takes its comments with it, as in Excel
+    const comments = (sheet.comments || []).flatMap(thread => {
+        const newCol = moveColumn(thread.col);
+        return newCol < 0 ? [] : [newCol === thread.col ? thread : { ...thread, col: newCol }];
+    });
+
+    return {
+        ...sheet,
+        columns,
+        data:        (sheet.data || []).map(row => (Array.isArray(row) ? moveRow(row, () => null) : row)),
+        colWidths:   (sheet.colWidths || []).length
+            ? moveRow(sheet.colWidths, col => columns[col]?.width ?? null)
+            : sheet.colWidths,
+        cellMeta,
+        lockedCells,
+        comments,
+        mergedCells: moveMerges(sheet.mergedCells, moveColumn),
+    };
+}
+
+// A merge keeps the columns that survive; it is dropped when those are no
+// longer side by side (a column moved out of its middle) or one cell is left
+function moveMerges(merges, moveColumn) {
+    if (!Array.isArray(merges)) return merges;
+
+    return merges.flatMap(merge => {
+        const cols = [];
+        for (let col = merge.col; col < merge.col + (merge.colspan || 1); col++) {
+            const newCol = moveColumn(col);
+            if (newCol >= 0) cols.push(newCol);
+        }
+        if (cols.length === 0) return [];
+
+        const first   = Math.min(...cols);
+        const colspan = Math.max(...cols) - first + 1;
+        if (colspan !== cols.length) return [];
+        if (colspan === 1 && (merge.rowspan || 1) === 1) return [];
+        return [{ ...merge, col: first, colspan }];
+    });
+}
@@ -0,0 +1,442 @@
+/**
+ * columnTypes.js
+ *
+ * Stored value, displayed text and input parsing of the column types that
+ * Handsontable has no cell type for. Each keeps one JSON form in sheet.data,
+ * so HyperFormula, exports and Mendix microflows read what the grid shows:
+ *
+ *   percentage    number, as a fraction — 0.25 shows as 25%
+ *                 (column.decimals, default 0)
+ *   currency      number; column.currencySymbol (default "$") and
+ *                 column.decimals (default 2) only change the display
+ *   date          "YYYY-MM-DD"
+ *   time          "HH:mm", or "HH:mm:ss" when there are seconds
+ *   datetime      "YYYY-MM-DDTHH:mm[:ss]" — local time, no zone
+ *   autocomplete  text; the editor suggests the column's existing values
+ *   multiselect   text: the picked options joined by "; "
+ *   hyperlink     text: the URL. Typed www.example.com gets https://, a
+ *                 typed e-mail address mailto:
+ *   rating        whole number 0 … column.max (default 5)
+ *
+ * date, time and datetime are shown with column.format in moment-style
+ * tokens (YYYY YY MM M DD D HH H hh h mm ss A a, [literal]) and typed text is
+ * read back with the same tokens, so no Moment.js is needed. HyperFormula
+ * reads the stored forms as date serials (formulaDateTimeParser), so date
+ * arithmetic works; a formula result in one of these columns is a serial and
+ * is shown in the column's format.
+ *
+ * parseCellInput never changes formulas, and keeps text it cannot read —
+ * like a number column, the cell holds what was typed rather than losing it.
+ * Dates saved by older widgets in the column's display format (19/10/2026)
+ * are brought to ISO by normaliseColumnValues when the sheet is loaded.
+ */
+
+import {
+    CELL_TYPES,
+    DEFAULT_DATE_FORMAT,
+    DEFAULT_TIME_FORMAT,
+    DEFAULT_DATETIME_FORMAT,
+    DEFAULT_CURRENCY_SYMBOL,
+    DEFAULT_RATING_MAX,
+} from "./constants";
+import { formatNumber } from "./numberFormat";
+
+export const TAG_SEPARATOR = "; ";
+
+const TYPED_COLUMNS = new Set([
+    CELL_TYPES.PERCENTAGE, CELL_TYPES.CURRENCY, CELL_TYPES.DATE, CELL_TYPES.TIME, CELL_TYPES.DATETIME,
+    CELL_TYPES.AUTOCOMPLETE, CELL_TYPES.MULTISELECT, CELL_TYPES.HYPERLINK, CELL_TYPES.RATING,
+]);
+
+const DATE_TOKENS   = /\[[^\]]*]|YYYY|YY|MM|M|DD|D|HH|H|hh|h|mm|ss|A|a/g;
+const EXCEL_EPOCH   = Date.UTC(1899, 11, 30);
+const DAY_MS        = 86400000;
+const ISO_DATE_TIME = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}(?::\d{2})?)$/;
+
+// Shown when the column has no format of its own
+const DATE_TIME_FORMATS = {
+    [CELL_TYPES.DATE]:     DEFAULT_DATE_FORMAT,
+    [CELL_TYPES.TIME]:     DEFAULT_TIME_FORMAT,
+    [CELL_TYPES.DATETIME]: DEFAULT_DATETIME_FORMAT,
+};
+
+// ── Is the column one of these types? ────────────────────────────────────────
+export function isTypedColumn(column) {
+    return TYPED_COLUMNS.has(column?.type);
+}
+
+// ── Input → stored value ─────────────────────────────────────────────────────
+// typed — the user typed it in the cell editor. A typed plain number in a
+// percentage column is read as percent (25 → 25%), as in Excel; pasted,
+// filled and imported numbers are already fractions.
+export function parseCellInput(column, value, { typed = false } = {}) {
+    if (isBlank(value) || isFormula(value) || !isTypedColumn(column)) return value;
+
+    switch (column.type) {
+        case CELL_TYPES.PERCENTAGE: {
+            const text    = String(value).trim();
+            const percent = text.endsWith("%");
+            const number  = toNumber(percent ? text.slice(0, -1) : value);
+            if (number === null) return value;
+            return percent || (typed && typeof value === "string") ? round(number / 100) : number;
+        }
+        case CELL_TYPES.CURRENCY: {
+            const number = toNumber(String(value).split(currencySymbol(column)).join(""));
+            return number === null ? value : number;
+        }
+        case CELL_TYPES.DATE: {
+            const date = typeof value === "number" ? fromSerial(value) : parseDate(value, column.format);
+            return date ? storeDate(date) : value;
+        }
+        case CELL_TYPES.TIME: {
+            const time = typeof value === "number" ? fromSerial(value) : parseTime(value, column.format);
+            return time ? storeTime(time) : value;
+        }
+        case CELL_TYPES.DATETIME: {
+            const dateTime = typeof value === "number" ? fromSerial(value) : parseDateTime(value, column.format);
+            return dateTime ? storeDateTime(dateTime) : value;
+        }
+        case CELL_TYPES.MULTISELECT:
+            return joinTags(splitTags(value));
+        case CELL_TYPES.HYPERLINK:
+            return normaliseUrl(value);
+        case CELL_TYPES.RATING: {
+            const number = toNumber(value);
+            if (number === null) return value;
+            return Math.min(Math.max(Math.round(number), 0), ratingMax(column));
+        }
+        default:
+            return typeof value === "string" ? value.trim() : value;
+    }
+}
+
+// ── Stored value → displayed text ────────────────────────────────────────────
+// { text, color } like formatNumber, or null when the value is shown as is
+// (blank, not readable for the type, or a type drawn by the renderer).
+export function formatCellValue(column, value) {
+    if (isBlank(value) || !isTypedColumn(column)) return null;
+
+    switch (column.type) {
+        case CELL_TYPES.PERCENTAGE:
+        case CELL_TYPES.CURRENCY:
+            return typeof value === "number" ? formatNumber(value, columnNumberFormat(column)) : null;
+        case CELL_TYPES.DATE:
+        case CELL_TYPES.TIME:
+        case CELL_TYPES.DATETIME: {
+            const parts = typeof value === "number" ? fromSerial(value) : storedDateTimeParts(column, value);
+            return parts ? { text: formatDateTime(parts, column.format || DATE_TIME_FORMATS[column.type]), color: null } : null;
+        }
+        default:
+            return null;
+    }
+}
+
+// ── Stored value → text in the cell editor ───────────────────────────────────
+// What parseCellInput reads back to the same value — a percentage edits as
+// "25%", a currency amount without its symbol.
+export function editorText(column, value) {
+    if (isBlank(value)) return "";
+    if (column?.type === CELL_TYPES.PERCENTAGE && typeof value === "number") return `${round(value * 100)}%`;
+    const shown = column?.type === CELL_TYPES.CURRENCY ? null : formatCellValue(column, value);
+    return shown ? shown.text : String(value);
+}
+
+// ── Stored form of a whole sheet ─────────────────────────────────────────────
+// Brings values saved by hand, by a microflow or by an older widget to the
+// stored form of their column. Returns data itself when nothing changed.
+export function normaliseColumnValues(columns, data) {
+    const typed = (columns || []).map(column => (isTypedColumn(column) ? column : null));
+    if (!typed.some(Boolean) || !Array.isArray(data)) return data;
+
+    let changed = false;
+    const next = data.map(row => {
+        if (!Array.isArray(row)) return row;
+        return row.map((value, col) => {
+            if (!typed[col]) return value;
+            const stored = parseCellInput(typed[col], value);
+            if (stored !== value) changed = true;
+            return stored;
+        });
+    });
+    return changed ? next : data;
+}
+
+// ── Multi-select tags ────────────────────────────────────────────────────────
+export function splitTags(value) {
+    if (isBlank(value)) return [];
+    const list = Array.isArray(value) ? value : String(value).split(";");
+    const seen = new Set();
+    return list
+        .map(tag => String(tag ?? "").trim())
+        .filter(tag => tag && !seen.has(tag) && seen.add(tag));
+}
+
+export function joinTags(tags) {
+    return tags.length > 0 ? tags.join(TAG_SEPARATOR) : null;
+}
+
+// ── Hyperlinks ───────────────────────────────────────────────────────────────
+// The address a cell links to, or null — only web and mail links are
+// followed, never javascript: or data: URLs.
+export function safeUrl(value) {
+    if (typeof value !== "string") return null;
+    const url = value.trim();
+    return /^(https?:\/\/|mailto:)\S+$/i.test(url) ? url : null;
+}
+
+// ── Ratings ──────────────────────────────────────────────────────────────────
+export function ratingMax(column) {
+    const max = Number(column?.max);
+    return Number.isInteger(max) && max >= 1 && max <= 10 ? max : DEFAULT_RATING_MAX;
+}
+
+// ── Currency ─────────────────────────────────────────────────────────────────
+export function currencySymbol(column) {
+    return String(column?.currencySymbol || DEFAULT_CURRENCY_SYMBOL).replace(/"/g, "");
+}
+
+// ── Number format of a percentage or currency column ────────────────────────
+// An Excel format code ("0.0%", "$"#,##0.00) — used for the display and
+// by the Excel export
+export function columnNumberFormat(column) {
+    const decimals = Number.isInteger(column.decimals) && column.decimals >= 0
+        ? Math.min(column.decimals, 10)
+        : (column.type === CELL_TYPES.PERCENTAGE ? 0 : 2);
+    const digits = decimals > 0 ? `0.${"0".repeat(decimals)}` : "0";
+    return column.type === CELL_TYPES.PERCENTAGE
+        ? `${digits}%`
+        : `"${currencySymbol(column)}"#,##${digits}`;
+}
+
+// ── Parts of a stored date, time or date & time ─────────────────────────────
+// { year, month, day, hour, minute, second }, or null for other values. A
+// time is put on 1899-12-30, Excel's day zero, so it exports as a bare time.
+export function storedDateTimeParts(column, value) {
+    switch (column?.type) {
+        case CELL_TYPES.DATE:
+            return /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? readStoredDateTime(value) : null;
+        case CELL_TYPES.TIME: {
+            const time = readStoredTime(value);
+            return time ? { ...time, year: 1899, month: 12, day: 30 } : null;
+        }
+        case CELL_TYPES.DATETIME:
+            return readStoredDateTime(value);
+        default:
+            return null;
+    }
+}
+
+// ── Text a date, time or date & time column can't read ──────────────────────
+// parseCellInput keeps such text (31/02/2026) as typed; the grid flags it.
+export function isUnreadableDateTime(column, value) {
+    if (!DATE_TIME_FORMATS[column?.type] || isBlank(value) || isFormula(value) || typeof value === "number") return false;
+    return !storedDateTimeParts(column, value);
+}
+
+// ── HyperFormula's parseDateTime ─────────────────────────────────────────────
+// Its default parser, also reading the T of a stored date & time. With
+// "YYYY-MM-DD" among the engine's dateFormats, stored dates, times and
+// dates & times are date serials in formulas.
+export function formulaDateTimeParser(defaultParser) {
+    return (text, dateFormat, timeFormat) =>
+        defaultParser(String(text).replace(ISO_DATE_TIME, "$1 $2"), dateFormat, timeFormat);
+}
+
+// ── Moment-style date/time tokens ────────────────────────────────────────────
+// parts — { year, month, day, hour, minute, second }; text in [brackets] is
+// written as is.
+export function formatDateTime(parts, format) {
+    const pad = (n, width = 2) => String(n).padStart(width, "0");
+    const h12 = parts.hour % 12 || 12;
+    return String(format).replace(DATE_TOKENS, token => {
+        switch (token) {
+            case "YYYY": return pad(parts.year, 4);
+            case "YY":   return pad(parts.year % 100);
+            case "MM":   return pad(parts.month);
+            case "M":    return String(parts.month);
+            case "DD":   return pad(parts.day);
+            case "D":    return String(parts.day);
+            case "HH":   return pad(parts.hour);
+            case "H":    return String(parts.hour);
+            case "hh":   return pad(h12);
+            case "h":    return String(h12);
+            case "mm":   return pad(parts.minute);
+            case "ss":   return pad(parts.second);
+            case "A":    return parts.hour < 12 ? "AM" : "PM";
+            case "a":    return parts.hour < 12 ? "am" : "pm";
+            default:     return token.slice(1, -1);
+        }
+    });
+}
+
+// Reads text written in format; missing parts are 0 (time) or 1 (date).
+// Returns null when the text does not match or names an impossible date.
+export function parseDateTimeText(text, format) {
+    const order   = [];
+    const pattern = String(format).split(DATE_TOKENS);
+    const tokens  = String(format).match(DATE_TOKENS) || [];
+    let source    = escapeLiteral(pattern[0]);
+    tokens.forEach((token, i) => {
+        if (token.startsWith("[")) {
+            source += escapeLiteral(token.slice(1, -1));
+        } else {
+            order.push(token);
+            source += token === "YYYY" ? "(\\d{4})" : /^[Aa]$/.test(token) ? "([AaPp]\\.?[Mm]\\.?)" : "(\\d{1,2})";
+        }
+        source += escapeLiteral(pattern[i + 1]);
+    });
+
+    const match = new RegExp(`^${source}$`).exec(String(text).trim());
+    if (!match) return null;
+
+    const parts = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+    let meridiem = null;
+    order.forEach((token, i) => {
+        const raw = match[i + 1];
+        if (/^[Aa]$/.test(token)) { meridiem = raw[0].toLowerCase(); return; }
+        const n = parseInt(raw, 10);
+        if (token === "YYYY")             parts.year   = n;
+        else if (token === "YY")          parts.year   = 2000 + n;
+        else if (token[0] === "M")        parts.month  = n;
+        else if (token[0] === "D")        parts.day    = n;
+        else if (/^[Hh]/.test(token))     parts.hour   = n;
+        else if (token === "mm")          parts.minute = n;
+        else if (token === "ss")          parts.second = n;
+    });
+    if (meridiem) {
+        if (parts.hour < 1 || parts.hour > 12) return null;
+        parts.hour = (parts.hour % 12) + (meridiem === "p" ? 12 : 0);
+    }
+    return isValidParts(parts) ? parts : null;
+}
+
+// ─── Private ──────────────────────────────────────────────────────────────────
+
+function isBlank(value) {
+    return value === null || value === undefined || value === "";
+}
+
+function isFormula(value) {
+    return typeof value === "string" && value.startsWith("=");
+}
+
+// 1,234.50 / (1,234.50) / -1234.5 → number, else null
+function toNumber(value) {
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+    if (typeof value !== "string") return null;
+    let text = value.replace(/[\s,]/g, "");
+    let sign = 1;
+    if (/^\(.*\)$/.test(text)) { sign = -1; text = text.slice(1, -1); }
+    if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text)) return null;
+    return sign * Number(text);
+}
+
+// Drops floating-point noise such as 0.07 * 100 = 7.000000000000001
+function round(number) {
+    return Number(number.toPrecision(12));
+}
+
+// ISO (2026-10-19, also with a time), text in column.format, or DD/MM/YYYY
+function parseDate(value, format) {
+    const text = String(value).trim();
+    return readStoredDateTime(text.replace(" ", "T"))
+        || parseDateTimeText(text, format || DEFAULT_DATE_FORMAT)
+        || parseDateTimeText(text, DEFAULT_DATE_FORMAT);
+}
+
+// 9 / 9:30 / 9.30 / 09:30:15 / 930 / 9pm / 9:30 p.m., or text in column.format
+function parseTime(value, format) {
+    const text  = String(value).trim();
+    const match = /^(\d{1,2})(?:[:.]?(\d{2}))?(?:[:.](\d{2}))?\s*([ap])?\.?m?\.?$/i.exec(text);
+    const parts = match
+        ? {
+            year: 1970, month: 1, day: 1,
+            hour:   parseInt(match[1], 10),
+            minute: parseInt(match[2] ?? "0", 10),
+            second: parseInt(match[3] ?? "0", 10),
+        }
+        : parseDateTimeText(text, format || DEFAULT_TIME_FORMAT);
+    if (!parts) return null;
+    if (match?.[4]) {
+        if (parts.hour < 1 || parts.hour > 12) return null;
+        parts.hour = (parts.hour % 12) + (match[4].toLowerCase() === "p" ? 12 : 0);
+    }
+    return isValidParts(parts) ? parts : null;
+}
+
+// ISO (2026-03-01T09:30, 2026-03-01 09:30, 2026-03-01), text in
+// column.format, or a date in its date part with a loose time after it
+function parseDateTime(value, format) {
+    const text = String(value).trim();
+    const iso  = readStoredDateTime(text.replace(" ", "T"));
+    if (iso) return iso;
+
+    const fmt    = format || DEFAULT_DATETIME_FORMAT;
+    const direct = parseDateTimeText(text, fmt);
+    if (direct) return direct;
+
+    const dateFormat = fmt.split(/\s+(?=[Hh])/)[0];
+    const [, datePart, timePart] = /^(\S+)(?:\s+(.+))?$/.exec(text) || [];
+    const date = datePart ? parseDateTimeText(datePart, dateFormat) : null;
+    const time = timePart ? parseTime(timePart) : { hour: 0, minute: 0, second: 0 };
+    return date && time ? { ...date, hour: time.hour, minute: time.minute, second: time.second } : null;
+}
+
+function readStoredTime(value) {
+    const match = /^(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(value));
+    if (!match) return null;
+    const parts = { year: 1970, month: 1, day: 1, hour: +match[1], minute: +match[2], second: +(match[3] ?? 0) };
+    return isValidParts(parts) ? parts : null;
+}
+
+function readStoredDateTime(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(String(value));
+    if (!match) return null;
+    const parts = {
+        year: +match[1], month: +match[2], day: +match[3],
+        hour: +(match[4] ?? 0), minute: +(match[5] ?? 0), second: +(match[6] ?? 0),
+    };
+    return isValidParts(parts) ? parts : null;
+}
+
+function storeTime({ hour, minute, second }) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${pad(hour)}:${pad(minute)}${second ? `:${pad(second)}` : ""}`;
+}
+
+function storeDate({ year, month, day }) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${String(year).padStart(4, "0")}-${pad(month)}-${pad(day)}`;
+}
+
+function storeDateTime(parts) {
+    return `${storeDate(parts)}T${storeTime(parts)}`;
+}
+
+// Excel serial (days since 1899-12-30, time as the fraction) → parts
+function fromSerial(serial) {
+    if (!Number.isFinite(serial) || serial < 0) return null;
+    const date = new Date(EXCEL_EPOCH + Math.round(serial * DAY_MS / 1000) * 1000);
+    return {
+        year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(),
+        hour: date.getUTCHours(), minute: date.getUTCMinutes(), second: date.getUTCSeconds(),
+    };
+}
+
+function isValidParts({ year, month, day, hour, minute, second }) {
+    if (hour > 23 || minute > 59 || second > 59) return false;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function escapeLiteral(text) {
+    return String(text ?? "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+}
+
+function normaliseUrl(value) {
+    const text = String(value).trim();
+    if (/^[a-z][a-z0-9+.-]*:/i.test(text)) return text;
+    if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) return `mailto:${text}`;
+    if (/^(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)+(\/\S*)?$/i.test(text)) return `https://${text}`;
+    return text;
+}
@@ -0,0 +1,375 @@
+/**
+ * conditionalFormatting.js
+ *
+ * Conditional formatting rules — style a cell by its value, Excel-style.
+ *
+ * Each sheet stores its rules in sheetJson.conditionalFormats, highest
+ * priority first:
+ *   [{ range: "B2:B20", type: "greaterThan", value: "1000",
+ *      style: { bgColor: "#dcfce7", fontColor: "#166534", bold: true } },
+ *    { range: "C:C",    type: "formula", formula: "=Revenue_Q1 > Cost_Q1",
+ *      style: { bgColor: "#fee2e2" }, stopIfTrue: true },
+ *    { range: "D2:D20", type: "colorScale", colors: ["#f87171", "#fde047", "#4ade80"] },
+ *    { range: "E2:E20", type: "dataBar", barColor: "#60a5fa" }]
+ *
+ * RANGES:
+ *   B2:B20, B:B (whole column), B:D, several separated by commas, and the
+ *   header form Revenue_Q1:Revenue_Q4. Rows are data (physical) rows.
+ *
+ * TYPES (constants.CF_RULE_TYPE):
+ *   greaterThan / lessThan / between — numbers; between includes both ends
+ *   equal         — a number, or text compared without case
+ *   textContains  — text, without case
+ *   blank / notBlank
+ *   duplicate     — values that occur more than once in the range
+ *   topN          — the rank highest (bottom: lowest) numbers, or rank % of
+ *                   them with percent
+ *   formula       — true for the range's top-left cell; relative references
+ *                   move with the cell like a filled-down formula
+ *   colorScale    — 2 or 3 colours from the lowest to the highest number
+ *                   (the middle one at the median)
+ *   dataBar       — a bar as long as the number's share of the range maximum
+ *
+ * Every matching rule contributes the style properties that no higher rule
+ * has set; a matching rule with stopIfTrue ends the evaluation.
+ */
+
+import { CF_RULE_TYPE, DEFAULT_CONDITIONAL_FORMAT } from "./constants";
+import { letterToColIndex, toNumber, isBlank, keyOf, isTrue, normaliseFormula } from "./helpers";
+import { offsetFormulaReferences } from "./formulaTranslator";
+
+const RULE_TYPES  = new Set(Object.values(CF_RULE_TYPE));
+const SCALE_TYPES = new Set([CF_RULE_TYPE.COLOR_SCALE, CF_RULE_TYPE.DATA_BAR]);
+const CELL_RANGE  = /^\$?([A-Za-z]{1,3})\$?([0-9]+)(?::\$?([A-Za-z]{1,3})\$?([0-9]+))?$/;
+const COL_RANGE   = /^\$?([A-Za-z]{1,3}):\$?([A-Za-z]{1,3})$/;
+const HEX_COLOR   = /^#[0-9a-fA-F]{3}(?:[0-9a-fA-F]{3})?$/;
+
+// ── Normalise rules read from sheetJson ──────────────────────────────────────
+export function normaliseConditionalFormats(raw) {
+    if (!Array.isArray(raw)) return [];
+    return raw
+        .filter(entry => entry && typeof entry === "object" && RULE_TYPES.has(entry.type))
+        .map(entry => ({
+            ...DEFAULT_CONDITIONAL_FORMAT,
+            range:      String(entry.range ?? "").trim(),
+            type:       entry.type,
+            value:      String(entry.value ?? ""),
+            value2:     String(entry.value2 ?? ""),
+            text:       String(entry.text ?? ""),
+            rank:       Number.isFinite(Number(entry.rank)) ? Number(entry.rank) : DEFAULT_CONDITIONAL_FORMAT.rank,
+            bottom:     entry.bottom === true,
+            percent:    entry.percent === true,
+            formula:    String(entry.formula ?? ""),
+            style:      entry.style && typeof entry.style === "object" ? { ...entry.style } : { ...DEFAULT_CONDITIONAL_FORMAT.style },
+            colors:     Array.isArray(entry.colors) && entry.colors.length >= 2
+                            ? entry.colors.slice(0, 3).map(String)
+                            : DEFAULT_CONDITIONAL_FORMAT.colors,
+            barColor:   typeof entry.barColor === "string" ? entry.barColor : DEFAULT_CONDITIONAL_FORMAT.barColor,
+            stopIfTrue: entry.stopIfTrue === true,
+        }));
+}
+
+// ── Parse a rule's range ─────────────────────────────────────────────────────
+// translate — header form → A1 (formulaTranslator.maybeTranslate on "=...")
+// Returns [{ r1, c1, r2, c2 }] (r2 = Infinity for whole columns), or null
+// when any part can't be read.
+export function parseRuleRange(text, translate = (formula) => formula) {
+    const parts = String(text ?? "").split(",").map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    const areas = [];
+    for (const part of parts) {
+        const a1 = String(translate(`=${part}`)).slice(1).trim();
+
+        const cells = CELL_RANGE.exec(a1);
+        if (cells) {
+            const [, colA, rowA, colB = colA, rowB = rowA] = cells;
+            const ca = letterToColIndex(colA.toUpperCase());
+            const cb = letterToColIndex(colB.toUpperCase());
+            const ra = Number(rowA) - 1;
+            const rb = Number(rowB) - 1;
+            if (ra < 0 || rb < 0) return null;
+            areas.push({ r1: Math.min(ra, rb), c1: Math.min(ca, cb), r2: Math.max(ra, rb), c2: Math.max(ca, cb) });
+            continue;
+        }
+
+        const cols = COL_RANGE.exec(a1);
+        if (cols) {
+            const ca = letterToColIndex(cols[1].toUpperCase());
+            const cb = letterToColIndex(cols[2].toUpperCase());
+            areas.push({ r1: 0, c1: Math.min(ca, cb), r2: Infinity, c2: Math.max(ca, cb) });
+            continue;
+        }
+
+        return null;
+    }
+    return areas;
+}
+
+// ── Validate a rule ──────────────────────────────────────────────────────────
+// Returns an error message, or null when the rule can be saved.
+export function validateConditionalFormat(rule, translate) {
+    if (!String(rule.range ?? "").trim()) return "Enter the cells the rule applies to, e.g. B2:B20 or B:B.";
+    if (!parseRuleRange(rule.range, translate)) {
+        return `"${rule.range}" is not a range — use B2:B20, B:B or header names like Revenue_Q1:Revenue_Q4.`;
+    }
+
+    switch (rule.type) {
+        case CF_RULE_TYPE.GREATER_THAN:
+        case CF_RULE_TYPE.LESS_THAN:
+            return toNumber(rule.value) === null ? "Enter a number to compare with." : null;
+        case CF_RULE_TYPE.BETWEEN:
+            return toNumber(rule.value) === null || toNumber(rule.value2) === null
+                ? "Enter both numbers of the range."
+                : null;
+        case CF_RULE_TYPE.EQUAL:
+            return String(rule.value ?? "") === "" ? "Enter the value to match." : null;
+        case CF_RULE_TYPE.TEXT_CONTAINS:
+            return String(rule.text ?? "") === "" ? "Enter the text to look for." : null;
+        case CF_RULE_TYPE.TOP_N: {
+            const rank = Number(rule.rank);
+            if (!Number.isInteger(rank) || rank < 1) return "Enter a whole number of 1 or more.";
+            return rule.percent && rank > 100 ? "A percentage can be at most 100." : null;
+        }
+        case CF_RULE_TYPE.FORMULA: {
+            const formula = String(rule.formula ?? "").trim();
+            if (!formula || formula === "=") return "Enter a formula, e.g. =Revenue_Q1 > Cost_Q1.";
+            return null;
+        }
+        case CF_RULE_TYPE.COLOR_SCALE:
+            return (rule.colors || []).every(color => HEX_COLOR.test(color)) ? null : "Pick a colour for every point of the scale.";
+        case CF_RULE_TYPE.DATA_BAR:
+            return HEX_COLOR.test(rule.barColor || "") ? null : "Pick a bar colour.";
+        default:
+            return RULE_TYPES.has(rule.type) ? null : "Choose a rule type.";
+    }
+}
+
+// ── One-line summary for the rules panel ─────────────────────────────────────
+export function describeConditionalFormat(rule) {
+    switch (rule.type) {
+        case CF_RULE_TYPE.GREATER_THAN:  return `Value > ${rule.value}`;
+        case CF_RULE_TYPE.LESS_THAN:     return `Value < ${rule.value}`;
+        case CF_RULE_TYPE.BETWEEN:       return `Value between ${rule.value} and ${rule.value2}`;
+        case CF_RULE_TYPE.EQUAL:         return `Value = ${rule.value}`;
+        case CF_RULE_TYPE.TEXT_CONTAINS: return `Text contains "${rule.text}"`;
+        case CF_RULE_TYPE.BLANK:         return "Cell is blank";
+        case CF_RULE_TYPE.NOT_BLANK:     return "Cell is not blank";
+        case CF_RULE_TYPE.DUPLICATE:     return "Duplicate values";
+        case CF_RULE_TYPE.TOP_N:         return `${rule.bottom ? "Bottom" : "Top"} ${rule.rank}${rule.percent ? "%" : ""}`;
+        case CF_RULE_TYPE.FORMULA:       return `Formula ${normaliseFormula(rule.formula)}`;
+        case CF_RULE_TYPE.COLOR_SCALE:   return `${(rule.colors || []).length}-colour scale`;
+        case CF_RULE_TYPE.DATA_BAR:      return "Data bar";
+        default:                         return rule.type;
+    }
+}
+
+// ── Evaluate rules ───────────────────────────────────────────────────────────
+// rules   — the sheet's conditionalFormats
+// options — {
+//   getValue(row, col)         computed value of a cell (physical row)
+//   calculate(formula)         computed value of an A1 formula on this sheet
+//   translate(formula)         header form → A1
+//   rowCount, colCount         size of the sheet (bounds whole columns)
+// }
+// Returns styleAt(row, col) → { bold, italic, fontColor, bgColor, dataBar }
+// or null. Range statistics and formula results are computed on first use
+// and kept, so build a new formatter whenever values change.
+export function createConditionalFormatter(rules, options) {
+    const { getValue, calculate, translate = (formula) => formula, rowCount = 0, colCount = 0 } = options;
+
+    const compiled = (Array.isArray(rules) ? rules : [])
+        .map(rule => ({ rule, areas: parseRuleRange(rule.range, translate) }))
+        .filter(entry => entry.areas)
+        .map(entry => ({
+            ...entry,
+            areas: entry.areas
+                .map(area => ({ ...area, r2: Math.min(area.r2, rowCount - 1), c2: Math.min(area.c2, colCount - 1) }))
+                .filter(area => area.r1 <= area.r2 && area.c1 <= area.c2),
+            stats: null,
+            formula: null,
+        }))
+        .filter(entry => entry.areas.length > 0);
+
+    if (compiled.length === 0) return () => null;
+
+    const statsOf = (entry) => {
+        if (!entry.stats) entry.stats = buildStats(entry, getValue);
+        return entry.stats;
+    };
+
+    const matches = (entry, value, row, col) => {
+        const { rule } = entry;
+        switch (rule.type) {
+            case CF_RULE_TYPE.GREATER_THAN: return compareNumber(value, rule.value, (a, b) => a > b);
+            case CF_RULE_TYPE.LESS_THAN:    return compareNumber(value, rule.value, (a, b) => a < b);
+            case CF_RULE_TYPE.BETWEEN: {
+                const n  = toNumber(value);
+                const lo = toNumber(rule.value);
+                const hi = toNumber(rule.value2);
+                if (n === null || lo === null || hi === null) return false;
+                return n >= Math.min(lo, hi) && n <= Math.max(lo, hi);
+            }
+            case CF_RULE_TYPE.EQUAL: {
+                if (isBlank(value)) return false;
+                const n = toNumber(value);
+                const target = toNumber(rule.value);
+                if (n !== null && target !== null) return n === target;
+                return textOf(value) === String(rule.value).trim().toLowerCase();
+            }
+            case CF_RULE_TYPE.TEXT_CONTAINS:
+                return !isBlank(value) && textOf(value).includes(String(rule.text).toLowerCase());
+            case CF_RULE_TYPE.BLANK:     return isBlank(value);
+            case CF_RULE_TYPE.NOT_BLANK: return !isBlank(value);
+            case CF_RULE_TYPE.DUPLICATE:
+                return !isBlank(value) && (statsOf(entry).counts.get(keyOf(value)) || 0) > 1;
+            case CF_RULE_TYPE.TOP_N: {
+                const n         = toNumber(value);
+                const threshold = topThreshold(statsOf(entry).sorted, rule);
+                if (n === null || threshold === null) return false;
+                return rule.bottom ? n <= threshold : n >= threshold;
+            }
+            case CF_RULE_TYPE.FORMULA:
+                return isTrue(evaluateFormulaRule(entry, row, col));
+            default:
+                return false;
+        }
+    };
+
+    const evaluateFormulaRule = (entry, row, col) => {
+        if (entry.formula === null) {
+            const origin  = entry.areas[0];
+            entry.formula = { text: translate(normaliseFormula(entry.rule.formula)), r: origin.r1, c: origin.c1, results: new Map() };
+        }
+        const key = `${row},${col}`;
+        if (!entry.formula.results.has(key)) {
+            let result = null;
+            try {
+                result = calculate(offsetFormulaReferences(entry.formula.text, row - entry.formula.r, col - entry.formula.c));
+            } catch {}
+            entry.formula.results.set(key, result);
+        }
+        return entry.formula.results.get(key);
+    };
+
+    return (row, col) => {
+        let style = null;
+        const set = (prop, value) => {
+            if (value === undefined || value === null || value === "" || value === false) return;
+            style = style || {};
+            if (style[prop] === undefined) style[prop] = value;
+        };
+
+        for (const entry of compiled) {
+            if (!entry.areas.some(a => row >= a.r1 && row <= a.r2 && col >= a.c1 && col <= a.c2)) continue;
+
+            const { rule } = entry;
+            const value    = getValue(row, col);
+
+            if (SCALE_TYPES.has(rule.type)) {
+                const n = toNumber(value);
+                if (n === null) continue;
+                const stats = statsOf(entry);
+                if (rule.type === CF_RULE_TYPE.COLOR_SCALE) set("bgColor", scaleColor(n, stats, rule.colors));
+                else set("dataBar", { percent: barPercent(n, stats), color: rule.barColor });
+            } else {
+                if (!matches(entry, value, row, col)) continue;
+                const { bold, italic, fontColor, bgColor } = rule.style || {};
+                set("bold", bold);
+                set("italic", italic);
+                set("fontColor", fontColor);
+                set("bgColor", bgColor);
+            }
+
+            if (rule.stopIfTrue) break;
+        }
+
+        return style;
+    };
+}
+
+// ─── Private ──────────────────────────────────────────────────────────────────
+
+function buildStats(entry, getValue) {
+    const counts  = new Map();
+    const numbers = [];
+
+    entry.areas.forEach(area => {
+        for (let row = area.r1; row <= area.r2; row++) {
+            for (let col = area.c1; col <= area.c2; col++) {
+                const value = getValue(row, col);
+                if (isBlank(value)) continue;
+                const key = keyOf(value);
+                counts.set(key, (counts.get(key) || 0) + 1);
+                const n = toNumber(value);
+                if (n !== null) numbers.push(n);
+            }
+        }
+    });
+
+    const sorted = numbers.sort((a, b) => a - b);
+    return {
+        counts,
+        sorted,
+        min:    sorted.length ? sorted[0] : 0,
+        max:    sorted.length ? sorted[sorted.length - 1] : 0,
+        median: sorted.length ? medianOf(sorted) : 0,
+    };
+}
+
+// Smallest value still in the top N (largest still in the bottom N)
+function topThreshold(sorted, rule) {
+    if (sorted.length === 0) return null;
+    const rank  = Number(rule.rank) || 0;
+    const count = Math.max(1, Math.min(sorted.length, rule.percent ? Math.floor(sorted.length * rank / 100) : rank));
+    return rule.bottom ? sorted[count - 1] : sorted[sorted.length - count];
+}
+
+function scaleColor(n, stats, colors) {
+    const [low, mid, high] = colors.length >= 3 ? colors : [colors[0], null, colors[1]];
+    if (stats.max === stats.min) return mid || high;
+    if (!mid) return mixColors(low, high, (n - stats.min) / (stats.max - stats.min));
+    if (n <= stats.median) {
+        return stats.median === stats.min ? mid : mixColors(low, mid, (n - stats.min) / (stats.median - stats.min));
+    }
+    return stats.max === stats.median ? mid : mixColors(mid, high, (n - stats.median) / (stats.max - stats.median));
+}
+
+// Bars start at zero, or at the lowest value when every value is negative
+function barPercent(n, stats) {
+    const lo = Math.min(0, stats.min);
+    const hi = Math.max(0, stats.max);
+    if (hi === lo) return 0;
+    return Math.round(Math.max(0, Math.min(1, (n - lo) / (hi - lo))) * 100);
+}
+
+function mixColors(from, to, ratio) {
+    const a = parseHex(from);
+    const b = parseHex(to);
+    if (!a || !b) return ratio < 0.5 ? from : to;
+    const t = Math.max(0, Math.min(1, ratio));
+    return `#${a.map((channel, i) => Math.round(channel + (b[i] - channel) * t).toString(16).padStart(2, "0")).join("")}`;
+}
+
+function parseHex(color) {
+    if (!HEX_COLOR.test(color || "")) return null;
+    const hex = color.length === 4 ? color.slice(1).split("").map(c => c + c).join("") : color.slice(1);
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function medianOf(sorted) {
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function compareNumber(value, operand, compare) {
+    const n      = toNumber(value);
+    const target = toNumber(operand);
+    return n !== null && target !== null && compare(n, target);
+}
+
+// Formula errors (HyperFormula's DetailedCellError) compare by their code
+function textOf(value) {
+    if (value && typeof value === "object") return String(value.value ?? "").toLowerCase();
+    return String(value).trim().toLowerCase();
+}
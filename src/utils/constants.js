@@ -28,8 +28,21 @@ export const DEFAULT_SHEET = {
     colWidths:   [],
     rowHeights:  [],
     mergedCells: [],
+    hidden:      false,
+    tabColor:    null,
+    namedRanges: [],
+    customFunctions: [],
+    conditionalFormats: [],
+    validationRules: [],
+    comments:    [],
 };
 
+/** Tab colour choices offered in the sheet tab context menu. */
+export const TAB_COLORS = [
+    "#ea4335", "#fb8c00", "#fbbc04", "#34a853",
+    "#00acc1", "#1a73e8", "#9334e6", "#5f6368",
+];
+
 export const PERMISSION = Object.freeze({
     VIEW: "view",
     EDIT: "edit",
@@ -61,34 +74,293 @@ export const CELL_TYPES = Object.freeze({
     DATE:     "date",
     CHECKBOX: "checkbox",
     DROPDOWN: "dropdown",
+    PERCENTAGE:   "percentage",
+    CURRENCY:     "currency",
+    TIME:         "time",
+    DATETIME:     "datetime",
+    AUTOCOMPLETE: "autocomplete",
+    MULTISELECT:  "multiselect",
+    HYPERLINK:    "hyperlink",
+    RATING:       "rating",
 });
 
 /**
  * Column type metadata for ColumnSettingsPanel UI.
- * Time removed — not reliably supported without Moment.js.
+ * Time and date & time are parsed and shown without Moment.js — see
+ * utils/columnTypes for how each type stores its values.
  * Icons/emojis removed — plain labels only.
+ *
+ * hasParent   — can depend on another column (dependent dropdown)
+ * hasDecimals — column.decimals; hasSymbol — column.currencySymbol;
+ * hasMax      — column.max (highest rating)
  */
 export const COLUMN_TYPE_META = [
-    { value: "text",     label: "Text",     hotType: "text",     hasSource: false, hasFormat: false },
-    { value: "numeric",  label: "Number",   hotType: "numeric",  hasSource: false, hasFormat: true  },
-    { value: "date",     label: "Date",     hotType: "date",     hasSource: false, hasFormat: true  },
-    { value: "checkbox", label: "Checkbox", hotType: "checkbox", hasSource: false, hasFormat: false },
-    { value: "dropdown", label: "Dropdown", hotType: "dropdown", hasSource: true,  hasFormat: false },
+    { value: "text",         label: "Text",          hotType: "text",         hasSource: false, hasFormat: false },
+    { value: "numeric",      label: "Number",        hotType: "numeric",      hasSource: false, hasFormat: true  },
+    { value: "percentage",   label: "Percentage",    hotType: "text",         hasSource: false, hasFormat: false, hasDecimals: true },
+    { value: "currency",     label: "Currency",      hotType: "text",         hasSource: false, hasFormat: false, hasDecimals: true, hasSymbol: true },
+    { value: "date",         label: "Date",          hotType: "date",         hasSource: false, hasFormat: true  },
+    { value: "time",         label: "Time",          hotType: "text",         hasSource: false, hasFormat: true  },
+    { value: "datetime",     label: "Date & time",   hotType: "text",         hasSource: false, hasFormat: true  },
+    { value: "checkbox",     label: "Checkbox",      hotType: "checkbox",     hasSource: false, hasFormat: false },
+    { value: "dropdown",     label: "Dropdown",      hotType: "dropdown",     hasSource: true,  hasFormat: false, hasParent: true },
+    { value: "multiselect",  label: "Multi-select",  hotType: "text",         hasSource: true,  hasFormat: false },
+    { value: "autocomplete", label: "Autocomplete",  hotType: "autocomplete", hasSource: false, hasFormat: false },
+    { value: "hyperlink",    label: "Hyperlink",     hotType: "text",         hasSource: false, hasFormat: false },
+    { value: "rating",       label: "Rating",        hotType: "text",         hasSource: false, hasFormat: false, hasMax: true },
 ];
 
-export const DEFAULT_NUMERIC_FORMAT = "0,0.00";
-export const DEFAULT_DATE_FORMAT    = "DD/MM/YYYY";
+export const DEFAULT_NUMERIC_FORMAT  = "0,0.00";
+export const DEFAULT_DATE_FORMAT     = "DD/MM/YYYY";
+export const DEFAULT_TIME_FORMAT     = "HH:mm";
+export const DEFAULT_DATETIME_FORMAT = "DD/MM/YYYY HH:mm";
+export const DEFAULT_CURRENCY_SYMBOL = "$";
+export const DEFAULT_RATING_MAX      = 5;
+
+/**
+ * CSV import: a column whose values fall into at most this many distinct
+ * entries (and repeat at least twice on average) is inferred as a dropdown.
+ */
+export const CSV_DROPDOWN_MAX_DISTINCT = 8;
 
 export const DEFAULT_COLUMN = {
-    key:      "",
-    header:   "Column",
-    type:     "text",
-    width:    120,
-    source:   [],
-    format:   "",
-    readOnly: false,
+    key:            "",
+    header:         "Column",
+    type:           "text",
+    width:          120,
+    source:         [],
+    sourceType:     "list",
+    sourceRange:    "",
+    sourceSheet:    "",
+    sourceColumn:   "",
+    sourceList:     "",
+    parentColumn:   "",
+    optionMap:      [],
+    onParentChange: "clear",
+    format:         "",
+    currencySymbol: "",
+    decimals:       null,
+    max:            null,
+    readOnly:       false,
+};
+
+/**
+ * Where a dropdown column's options come from (column.sourceType) — see
+ * utils/dropdownOptions. Columns saved before sourceType existed are LIST.
+ */
+export const DROPDOWN_SOURCE_TYPE = Object.freeze({
+    LIST:   "list",     // column.source — typed in ColumnSettingsPanel
+    RANGE:  "range",    // column.sourceRange — H2:H20, Lists!A1:A50, a named range
+    SHEET:  "sheet",    // column.sourceColumn of sheet column.sourceSheet
+    MENDIX: "mendix",   // the Dropdown Options datasource, narrowed by column.sourceList
+});
+
+export const DROPDOWN_SOURCE_TYPE_META = [
+    { value: DROPDOWN_SOURCE_TYPE.LIST,   label: "Typed list" },
+    { value: DROPDOWN_SOURCE_TYPE.RANGE,  label: "Cell range" },
+    { value: DROPDOWN_SOURCE_TYPE.SHEET,  label: "Column of a sheet" },
+    { value: DROPDOWN_SOURCE_TYPE.MENDIX, label: "Mendix list" },
+];
+
+/**
+ * Dependent dropdowns: what happens to a child column's value when the
+ * parent column's value changes and no longer offers it (column.onParentChange).
+ */
+export const PARENT_CHANGE_ACTION = Object.freeze({
+    CLEAR: "clear",   // the value is emptied in the same edit
+    FLAG:  "flag",    // the value is kept and marked like a stale option
+});
+
+/**
+ * Print layout. Sizes are CSS pixels at 96 dpi — the unit the browser
+ * uses when it lays out the print document.
+ */
+export const PRINT_PAPER_SIZES = Object.freeze({
+    A4:     { label: "A4",     width: 794, height: 1123 },
+    Letter: { label: "Letter", width: 816, height: 1056 },
+    Legal:  { label: "Legal",  width: 816, height: 1344 },
+});
+
+export const PRINT_MARGIN_PX      = 48;   // 0.5 in on every side
+export const PRINT_BAND_HEIGHT_PX = 24;   // page header / footer line
+export const PRINT_HEADER_ROW_PX  = 26;
+
+export const DEFAULT_PRINT_OPTIONS = {
+    paperSize:     "A4",
+    orientation:   "portrait",
+    fitToWidth:    true,
+    showHeaders:   true,       // column headers + row labels
+    repeatRows:    0,          // first N sheet rows repeated under the headers
+    area:          "sheet",    // "sheet" | "selection" | "custom"
+    customRange:   "",
+    headerText:    "{sheet}",
+    footerText:    "Page {page} of {pages}",
+};
+
+/**
+ * Named ranges / constants (NamedRangesPanel). Stored per sheet in
+ * sheetJson.namedRanges; workbook-scoped names are visible from every sheet.
+ * refersTo keeps what the admin typed (B2, Revenue_Q1:Revenue_Q4, 0.21).
+ */
+export const NAMED_RANGE_SCOPE = Object.freeze({
+    WORKBOOK: "workbook",
+    SHEET:    "sheet",
+});
+
+export const DEFAULT_NAMED_RANGE = {
+    name:     "",
+    refersTo: "",
+    scope:    NAMED_RANGE_SCOPE.WORKBOOK,
+};
+
+/**
+ * Workbook functions (CustomFunctionsPanel). Stored per sheet in
+ * sheetJson.customFunctions and usable from every sheet — see
+ * utils/customFunctions.js.
+ */
+export const DEFAULT_CUSTOM_FUNCTION = {
+    name:        "",
+    params:      [],
+    body:        "",
+    description: "",
+};
+
+/**
+ * Conditional formatting rules (ConditionalFormatsPanel). Stored per sheet in
+ * sheetJson.conditionalFormats, in priority order — see
+ * utils/conditionalFormatting.js for what each type reads.
+ */
+export const CF_RULE_TYPE = Object.freeze({
+    GREATER_THAN:  "greaterThan",
+    LESS_THAN:     "lessThan",
+    BETWEEN:       "between",
+    EQUAL:         "equal",
+    TEXT_CONTAINS: "textContains",
+    BLANK:         "blank",
+    NOT_BLANK:     "notBlank",
+    DUPLICATE:     "duplicate",
+    TOP_N:         "topN",
+    FORMULA:       "formula",
+    COLOR_SCALE:   "colorScale",
+    DATA_BAR:      "dataBar",
+});
+
+export const CF_RULE_TYPE_META = [
+    { value: CF_RULE_TYPE.GREATER_THAN,  label: "Greater than" },
+    { value: CF_RULE_TYPE.LESS_THAN,     label: "Less than" },
+    { value: CF_RULE_TYPE.BETWEEN,       label: "Between" },
+    { value: CF_RULE_TYPE.EQUAL,         label: "Equal to" },
+    { value: CF_RULE_TYPE.TEXT_CONTAINS, label: "Text contains" },
+    { value: CF_RULE_TYPE.BLANK,         label: "Is blank" },
+    { value: CF_RULE_TYPE.NOT_BLANK,     label: "Is not blank" },
+    { value: CF_RULE_TYPE.DUPLICATE,     label: "Duplicate values" },
+    { value: CF_RULE_TYPE.TOP_N,         label: "Top / bottom N" },
+    { value: CF_RULE_TYPE.FORMULA,       label: "Custom formula" },
+    { value: CF_RULE_TYPE.COLOR_SCALE,   label: "Colour scale" },
+    { value: CF_RULE_TYPE.DATA_BAR,      label: "Data bar" },
+];
+
+export const DEFAULT_CONDITIONAL_FORMAT = {
+    range:      "",
+    type:       CF_RULE_TYPE.GREATER_THAN,
+    value:      "",
+    value2:     "",
+    text:       "",
+    rank:       10,
+    bottom:     false,
+    percent:    false,
+    formula:    "",
+    style:      { bgColor: "#fde68a", fontColor: "", bold: false, italic: false },
+    colors:     ["#f87171", "#4ade80"],
+    barColor:   "#60a5fa",
+    stopIfTrue: false,
+};
+
+/**
+ * Data validation rules (DataValidationPanel). Stored per sheet in
+ * sheetJson.validationRules and enforced when cells are typed, pasted or
+ * filled — see utils/dataValidation.js for what each type accepts.
+ */
+export const VALIDATION_RULE_TYPE = Object.freeze({
+    NUMBER:       "number",
+    WHOLE_NUMBER: "wholeNumber",
+    TEXT_LENGTH:  "textLength",
+    PATTERN:      "pattern",
+    DATE:         "date",
+    LIST:         "list",
+    FORMULA:      "formula",
+});
+
+export const VALIDATION_RULE_TYPE_META = [
+    { value: VALIDATION_RULE_TYPE.NUMBER,       label: "Number" },
+    { value: VALIDATION_RULE_TYPE.WHOLE_NUMBER, label: "Whole number" },
+    { value: VALIDATION_RULE_TYPE.TEXT_LENGTH,  label: "Text length" },
+    { value: VALIDATION_RULE_TYPE.PATTERN,      label: "Pattern (regular expression)" },
+    { value: VALIDATION_RULE_TYPE.DATE,         label: "Date" },
+    { value: VALIDATION_RULE_TYPE.LIST,         label: "List" },
+    { value: VALIDATION_RULE_TYPE.FORMULA,      label: "Custom formula" },
+];
+
+export const VALIDATION_ERROR_STYLE = Object.freeze({
+    REJECT: "reject",   // the value is not written
+    WARN:   "warn",     // the value is written, the message is shown
+});
+
+export const DEFAULT_VALIDATION_RULE = {
+    range:        "",
+    type:         VALIDATION_RULE_TYPE.NUMBER,
+    min:          "",
+    max:          "",
+    pattern:      "",
+    source:       "",
+    formula:      "",
+    allowBlank:   true,
+    hint:         "",
+    errorStyle:   VALIDATION_ERROR_STYLE.REJECT,
+    errorMessage: "",
 };
 
+/**
+ * Per-cell number formats — cellMeta.numberFormat holds an Excel format code
+ * (utils/numberFormat.js). The toolbar builds its presets from these options;
+ * NumberFormatDialog offers NUMBER_FORMAT_PRESETS as a starting point.
+ */
+export const NUMBER_FORMAT_KIND = Object.freeze({
+    NUMBER:     "number",
+    CURRENCY:   "currency",
+    ACCOUNTING: "accounting",
+    PERCENT:    "percent",
+    SCIENTIFIC: "scientific",
+});
+
+export const NEGATIVE_STYLE = Object.freeze({
+    MINUS:      "minus",       // -1,234.00
+    RED:        "red",         // 1,234.00 in red
+    PARENS:     "parens",      // (1,234.00)
+    RED_PARENS: "redParens",   // (1,234.00) in red
+});
+
+export const DEFAULT_NUMBER_FORMAT_OPTIONS = {
+    kind:      NUMBER_FORMAT_KIND.NUMBER,
+    decimals:  2,
+    thousands: false,
+    negative:  NEGATIVE_STYLE.MINUS,
+    symbol:    "$",
+};
+
+export const NUMBER_FORMAT_PRESETS = [
+    { label: "Number",              code: "0.00" },
+    { label: "Thousands separator", code: "#,##0.00" },
+    { label: "Currency",            code: "\"$\"#,##0.00" },
+    { label: "Euro",                code: "#,##0.00 \"€\"" },
+    { label: "Accounting",          code: "_(\"$\"* #,##0.00_);_(\"$\"* (#,##0.00);_(\"$\"* \"-\"??_);_(@_)" },
+    { label: "Percentage",          code: "0.00%" },
+    { label: "Scientific",          code: "0.00E+00" },
+    { label: "Negatives in red",    code: "#,##0.00;[Red]-#,##0.00" },
+    { label: "Thousands (K)",       code: "#,##0.0,\"K\"" },
+    { label: "Millions (M)",        code: "#,##0.0,,\"M\"" },
+];
+
 export const TOOLBAR_ACTION = Object.freeze({
     BOLD:          "bold",
     ITALIC:        "italic",
@@ -108,6 +380,7 @@ export const CSS = Object.freeze({
     WORKBOOK_ROOT:    "eww-root",
     HEADER:           "eww-header",
     TOOLBAR:          "eww-toolbar",
+    FORMULA_BAR:      "eww-formula-bar",
     GRID_WRAPPER:     "eww-grid-wrapper",
     TAB_BAR:          "eww-tab-bar",
     TAB:              "eww-tab",
@@ -0,0 +1,347 @@
+/**
+ * customFunctions.js
+ *
+ * Workbook functions — formulas with parameters that an admin defines once
+ * and everyone uses like a built-in:
+ *
+ *   COMMISSION(amount, rate) = IF(amount>10000, amount*rate*1.2, amount*rate)
+ *   =COMMISSION(Revenue_Q1, 0.05)
+ *
+ * Each sheet stores the functions it defines in sheetJson.customFunctions:
+ *   [{ name: "COMMISSION", params: ["amount", "rate"],
+ *      body: "IF(amount>10000, amount*rate*1.2, amount*rate)", description: "" }]
+ * Every function is usable from every sheet, so names are unique
+ * workbook-wide and may not reuse a built-in function's name.
+ *
+ * A body only sees its parameters — no cells, header tokens or named ranges —
+ * so a function gives the same result wherever it is called. It may call
+ * built-in functions and other workbook functions, itself included.
+ *
+ * createCustomFunctionPlugin turns the definitions into one HyperFormula
+ * function plugin. It is never registered in HyperFormula's page-wide
+ * registry: useHyperformula hands it to its own engine (functionPluginsWith),
+ * so two widgets on a page — or two workbooks — keep their own functions.
+ * A call evaluates its arguments in the workbook, puts their values in place
+ * of the parameters and evaluates the body in a separate, empty engine that
+ * belongs to the plugin.
+ */
+
+import {
+    HyperFormula, FunctionPlugin, FunctionArgumentType,
+    CellError, ErrorType, SimpleRangeValue, EmptyValue,
+} from "hyperformula";
+import { colIndexToLetter } from "./helpers";
+import { TOKEN_TYPE, tokenizeFormula } from "./formulaTokenizer";
+import { listFormulaFunctions } from "./formulaFunctions";
+
+const NAME_PATTERN      = /^[A-Za-z_][A-Za-z0-9_.]*$/;
+const CELL_REF_LIKE     = /^[A-Za-z]{1,3}[0-9]+$/;
+const R1C1_LIKE         = /^[Rr][0-9]*[Cc][0-9]*$/;
+const RESERVED_NAMES    = new Set(["true", "false"]);
+const SIGNATURE_PATTERN = /^([^()]*)\(([^()]*)\)$/;
+const NAMED_MESSAGE     = /^[A-Z_][A-Z0-9_.]*: /;
+const MAX_CALL_DEPTH    = 32;
+
+// Bodies are evaluated on an empty sheet: its A1 stands in for an empty argument
+const EMPTY_ARGUMENT = "$A$1";
+
+let callDepth = 0;
+
+// ── Normalise functions read from sheetJson ──────────────────────────────────
+export function normaliseCustomFunctions(raw) {
+    if (!Array.isArray(raw)) return [];
+    return raw
+        .filter(entry => entry && typeof entry === "object" && entry.name)
+        .map(entry => ({
+            name:        String(entry.name).trim().toUpperCase(),
+            params:      (Array.isArray(entry.params) ? entry.params : String(entry.params ?? "").split(","))
+                .map(param => String(param ?? "").trim())
+                .filter(Boolean),
+            body:        String(entry.body ?? "").trim().replace(/^=\s*/, ""),
+            description: String(entry.description ?? "").trim(),
+        }));
+}
+
+// ── Signature text ───────────────────────────────────────────────────────────
+// "commission(amount, rate)" → { name: "COMMISSION", params: ["amount", "rate"] }
+// A bare name is a function without parameters. Returns null when unreadable.
+export function parseFunctionSignature(text) {
+    const trimmed = String(text ?? "").trim();
+    if (!trimmed) return null;
+    if (!trimmed.includes("(")) return { name: trimmed.toUpperCase(), params: [] };
+
+    const match = SIGNATURE_PATTERN.exec(trimmed);
+    if (!match) return null;
+
+    const params = match[2].split(",").map(param => param.trim());
+    return {
+        name:   match[1].trim().toUpperCase(),
+        params: params.length === 1 && params[0] === "" ? [] : params,
+    };
+}
+
+export function formatFunctionSignature(fn) {
+    return `${fn.name}(${(fn.params || []).join(", ")})`;
+}
+
+// ── Validate a definition ────────────────────────────────────────────────────
+// takenNames — the other workbook functions (any case); a body may call them
+// Returns an error message, or null when the function can be saved.
+export function validateCustomFunction(fn, takenNames = []) {
+    const name = String(fn?.name ?? "").trim().toUpperCase();
+    if (!name) return "Enter a name.";
+    if (!NAME_PATTERN.test(name)) {
+        return "Use letters, digits, _ and . only, starting with a letter or _.";
+    }
+    if (CELL_REF_LIKE.test(name) || R1C1_LIKE.test(name)) return `"${name}" looks like a cell reference.`;
+    if (RESERVED_NAMES.has(name.toLowerCase())) return `"${name}" is reserved.`;
+    if (isBuiltInFunction(name)) return `"${name}" is a built-in function.`;
+    if (takenNames.some(taken => taken.toUpperCase() === name)) return `"${name}" is already defined.`;
+
+    const params = fn.params || [];
+    const seen   = new Set();
+    for (const param of params) {
+        if (!NAME_PATTERN.test(param)) {
+            return `Parameter "${param}": use letters, digits, _ and . only, starting with a letter or _.`;
+        }
+        if (CELL_REF_LIKE.test(param) || R1C1_LIKE.test(param)) return `Parameter "${param}" looks like a cell reference.`;
+        if (RESERVED_NAMES.has(param.toLowerCase())) return `Parameter "${param}" is reserved.`;
+        if (seen.has(param.toLowerCase())) return `Parameter "${param}" is listed twice.`;
+        seen.add(param.toLowerCase());
+    }
+
+    const body = String(fn.body ?? "").trim().replace(/^=\s*/, "");
+    if (!body) return "Enter the formula the function returns.";
+
+    const known = new Set([name, ...takenNames.map(taken => taken.toUpperCase()), ...listFormulaFunctions().map(f => f.name)]);
+    let depth   = 0;
+
+    for (const token of tokenizeFormula(`=${body}`)) {
+        if (token.type === TOKEN_TYPE.UNKNOWN) return `The formula cannot be read near "${token.text}".`;
+        if (token.type === TOKEN_TYPE.FUNCTION && !known.has(token.name)) return `"${token.text}" is not a known function.`;
+        if (token.type === TOKEN_TYPE.REFERENCE && (token.sheet !== null || !seen.has(token.name.toLowerCase()))) {
+            return `"${token.text}" is not a parameter — a function can only use its own parameters.`;
+        }
+        if (token.type === TOKEN_TYPE.OPERATOR && token.text === ":") {
+            return "Ranges cannot be written in the body — pass them in as a parameter.";
+        }
+        if (token.type === TOKEN_TYPE.PAREN && token.text === "(") depth++;
+        if (token.type === TOKEN_TYPE.PAREN && token.text === ")" && --depth < 0) break;
+    }
+    if (depth !== 0) return "Check the brackets in the formula.";
+
+    return null;
+}
+
+// ── Is a name taken by HyperFormula itself? ──────────────────────────────────
+export function isBuiltInFunction(name) {
+    const id = String(name ?? "").toUpperCase();
+    if (HyperFormula.getFunctionPlugin(id)) return true;
+    // Protected functions (VERSION, OFFSET) have no plugin to look at
+    return listFormulaFunctions().some(fn => fn.name === id);
+}
+
+// ── Functions from every sheet, flattened ────────────────────────────────────
+// sheets — [{ sheetName, customFunctions }]
+// Returns [{ name, params, body, description, sheetName }]; when two sheets
+// define the same name, the first one wins.
+export function collectCustomFunctions(sheets) {
+    const result = [];
+    const seen   = new Set();
+    (Array.isArray(sheets) ? sheets : []).forEach(sheet => {
+        (sheet?.customFunctions || []).forEach(fn => {
+            const key = String(fn.name).toUpperCase();
+            if (seen.has(key)) return;
+            seen.add(key);
+            result.push({ ...fn, sheetName: sheet.sheetName });
+        });
+    });
+    return result;
+}
+
+// ── Formulas that call a function ────────────────────────────────────────────
+// sheets — [{ sheetName, data }]
+// Returns [{ sheetName, row, col, address, formula }]
+export function findFunctionUsages(name, sheets) {
+    const target = String(name ?? "").trim().toUpperCase();
+    if (!target) return [];
+
+    const usages = [];
+    (Array.isArray(sheets) ? sheets : []).forEach(sheet => {
+        (sheet?.data || []).forEach((row, r) => {
+            if (!Array.isArray(row)) return;
+            row.forEach((value, c) => {
+                if (typeof value !== "string" || !value.startsWith("=")) return;
+                const calls = tokenizeFormula(value).some(token => token.type === TOKEN_TYPE.FUNCTION && token.name === target);
+                if (calls) {
+                    usages.push({
+                        sheetName: sheet.sheetName,
+                        row:       r,
+                        col:       c,
+                        address:   `${colIndexToLetter(c)}${r + 1}`,
+                        formula:   value,
+                    });
+                }
+            });
+        });
+    });
+
+    return usages;
+}
+
+// ── Build the plugin for one engine ──────────────────────────────────────────
+// Definitions that do not validate are skipped with a warning. Returns the
+// plugin, or null when there is nothing to add. The names are added to
+// HyperFormula's function translations, which only lets formulas spell them;
+// an engine without the plugin still answers #NAME?.
+// Release the plugin once its engine no longer uses it.
+export function createCustomFunctionPlugin(functions) {
+    const names  = (functions || []).map(fn => fn.name);
+    const usable = (functions || []).filter((fn, index) => {
+        const error = validateCustomFunction(fn, names.filter((_, i) => i !== index));
+        if (error) console.warn(`[ExcelWidget] Workbook function "${fn.name}" skipped:`, error);
+        return !error;
+    });
+    if (usable.length === 0) return null;
+
+    try {
+        const translations = Object.fromEntries(usable.map(fn => [fn.name, fn.name]));
+        HyperFormula.getRegisteredLanguagesCodes().forEach(code => HyperFormula.getLanguage(code).extendFunctions(translations));
+        return createFunctionPlugin(usable);
+    } catch (err) {
+        console.error("[ExcelWidget] Workbook functions could not be registered:", err.message);
+        return null;
+    }
+}
+
+// ── The functionPlugins of an engine using plugin ────────────────────────────
+// Every built-in function plus the workbook functions (none for null)
+export function functionPluginsWith(plugin) {
+    const builtIn = HyperFormula.getAllFunctionPlugins();
+    return plugin ? [...builtIn, plugin] : builtIn;
+}
+
+export function releaseCustomFunctionPlugin(plugin) {
+    if (plugin) resetBodyEngine(plugin);
+}
+
+// ─── Private ──────────────────────────────────────────────────────────────────
+
+function createFunctionPlugin(functions) {
+    class WorkbookFunctionsPlugin extends FunctionPlugin {}
+    WorkbookFunctionsPlugin.implementedFunctions = {};
+    WorkbookFunctionsPlugin.bodyEngine           = null;
+
+    functions.forEach((fn, index) => {
+        const method   = `workbookFunction${index}`;
+        const template = compileBody(fn);
+
+        WorkbookFunctionsPlugin.implementedFunctions[fn.name] = {
+            method,
+            // ANY keeps ranges whole and passes errors straight through
+            parameters: fn.params.map(() => ({ argumentType: FunctionArgumentType.ANY })),
+        };
+        WorkbookFunctionsPlugin.prototype[method] = function (ast, state) {
+            return this.runFunction(ast.args, state, this.metadata(fn.name), (...args) => callFunction(WorkbookFunctionsPlugin, fn, template, args));
+        };
+    });
+
+    return WorkbookFunctionsPlugin;
+}
+
+// "=IF(amount>10000, …)" → ["=IF(", 0, ">10000, …"]: text with parameter indexes
+function compileBody(fn) {
+    const params = fn.params.map(param => param.toLowerCase());
+    return tokenizeFormula(`=${fn.body}`).map(token => {
+        const index = token.type === TOKEN_TYPE.REFERENCE && token.sheet === null
+            ? params.indexOf(token.name.toLowerCase())
+            : -1;
+        return index === -1 ? token.text : index;
+    });
+}
+
+function callFunction(plugin, fn, template, args) {
+    if (callDepth >= MAX_CALL_DEPTH) {
+        return new CellError(ErrorType.CYCLE, `${fn.name} calls itself more than ${MAX_CALL_DEPTH} levels deep.`);
+    }
+
+    const literals = [];
+    for (const arg of args) {
+        const literal = toLiteral(arg);
+        if (literal instanceof CellError) return literal;
+        literals.push(literal);
+    }
+
+    callDepth++;
+    try {
+        const formula = template.map(part => (typeof part === "number" ? literals[part] : part)).join("");
+        return fromResult(fn, getBodyEngine(plugin).calculateFormula(formula, 0));
+    } catch (err) {
+        return new CellError(ErrorType.ERROR, `${fn.name}: ${err.message}`);
+    } finally {
+        callDepth--;
+    }
+}
+
+// An argument value as formula text: 5 → (5), "a" → ("a"), a range → {1,2;3,4}
+function toLiteral(value) {
+    if (!(value instanceof SimpleRangeValue)) return scalarLiteral(value, false);
+
+    const rows = [];
+    for (const row of value.data) {
+        const cells = [];
+        for (const cell of row) {
+            if (cell instanceof CellError) return cell;
+            const literal = scalarLiteral(cell, true);
+            if (literal === null) return new CellError(ErrorType.VALUE, "Text containing \" cannot be passed in a range.");
+            cells.push(literal);
+        }
+        rows.push(cells.join(","));
+    }
+    return `{${rows.join(";")}}`;
+}
+
+// Returns null for text with a quote inside an array, which has no literal form
+function scalarLiteral(value, inArray) {
+    if (value === EmptyValue || value === null || value === undefined) return EMPTY_ARGUMENT;
+    if (typeof value === "boolean") return value ? "TRUE()" : "FALSE()";
+    if (typeof value === "number") return inArray ? String(value) : `(${value})`;
+    if (typeof value?.val === "number") return scalarLiteral(value.val, inArray);   // dates, percentages
+
+    // HyperFormula strings have no escape for "
+    const text = String(value);
+    if (!text.includes("\"")) return inArray ? `"${text}"` : `("${text}")`;
+    return inArray ? null : `("${text.split("\"").join("\"&CHAR(34)&\"")}")`;
+}
+
+function fromResult(fn, result) {
+    if (result && typeof result === "object" && "type" in result && "value" in result) {
+        // An error from a nested workbook function already names it
+        const message = !result.message || NAMED_MESSAGE.test(result.message)
+            ? result.message || undefined
+            : `${fn.name}: ${result.message}`;
+        return new CellError(ErrorType[result.type] ?? ErrorType.ERROR, message);
+    }
+    if (Array.isArray(result)) {
+        return new CellError(ErrorType.VALUE, `${fn.name} returns a range — it has to return a single value.`);
+    }
+    return result ?? EmptyValue;
+}
+
+// Built on first use, with the plugin itself, so bodies can call every
+// workbook function
+function getBodyEngine(plugin) {
+    if (!plugin.bodyEngine) {
+        plugin.bodyEngine = HyperFormula.buildFromArray([[]], { licenseKey: "gpl-v3", functionPlugins: functionPluginsWith(plugin) });
+    }
+    return plugin.bodyEngine;
+}
+
+function resetBodyEngine(plugin) {
+    try {
+        plugin.bodyEngine?.destroy();
+    } catch (err) {
+        console.warn("[ExcelWidget] Workbook function engine could not be destroyed:", err.message);
+    }
+    plugin.bodyEngine = null;
+}
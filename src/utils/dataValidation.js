@@ -0,0 +1,300 @@
+/**
+ * dataValidation.js
+ *
+ * Data validation rules — which values a cell accepts, Excel-style.
+ *
+ * Each sheet stores its rules in sheetJson.validationRules:
+ *   [{ range: "C2:C50", type: "number", min: "0", max: "100",
+ *      hint: "Score from 0 to 100", errorStyle: "reject" },
+ *    { range: "D:D", type: "list", source: "=Lists!A1:A10",
+ *      errorStyle: "warn", errorMessage: "Not one of the listed regions." },
+ *    { range: "E2:E50", type: "formula", formula: "=E2 <= Budget_Total" }]
+ *
+ * RANGES are read like conditional formatting ranges (B2:B20, B:B, several
+ * separated by commas, header names) — see conditionalFormatting.parseRuleRange.
+ * A cell follows the first rule whose range covers it.
+ *
+ * TYPES (constants.VALIDATION_RULE_TYPE):
+ *   number       — a number from min to max (either may be empty)
+ *   wholeNumber  — the same, without decimals
+ *   textLength   — text of min to max characters
+ *   pattern      — text matching a regular expression (add ^…$ to match
+ *                  the whole value)
+ *   date         — a date from min to max (YYYY-MM-DD); the value is read as
+ *                  YYYY-MM-DD (what date columns store), in the column's
+ *                  date format or as DD/MM/YYYY
+ *   list         — one of the values of source: a range or expression
+ *                  ("=Lists!A1:A10", "=Regions") or items separated by commas
+ *                  ("North, South"); compared without case
+ *   formula      — true for the range's top-left cell; relative references
+ *                  move with the cell, and references to the cell itself see
+ *                  the new value
+ *
+ * Blank values pass unless allowBlank is off. Formulas typed into a cell are
+ * not checked — their result is only known after recalculation.
+ *
+ * errorStyle "reject" keeps the old value, "warn" writes the new one; both
+ * show errorMessage, or a message built from the rule when it is empty.
+ */
+
+import { VALIDATION_RULE_TYPE, VALIDATION_ERROR_STYLE, DEFAULT_VALIDATION_RULE, DEFAULT_DATE_FORMAT } from "./constants";
+import { toNumber, isBlank, keyOf, isTrue, normaliseFormula } from "./helpers";
+import { parseDateTimeText } from "./columnTypes";
+import { offsetFormulaReferences, replaceCellReference } from "./formulaTranslator";
+import { parseRuleRange } from "./conditionalFormatting";
+
+const RULE_TYPES   = new Set(Object.values(VALIDATION_RULE_TYPE));
+const RANGE_TYPES  = new Set([VALIDATION_RULE_TYPE.NUMBER, VALIDATION_RULE_TYPE.WHOLE_NUMBER, VALIDATION_RULE_TYPE.TEXT_LENGTH, VALIDATION_RULE_TYPE.DATE]);
+const ISO_DATE     = "YYYY-MM-DD";
+
+// ── Normalise rules read from sheetJson ──────────────────────────────────────
+export function normaliseValidationRules(raw) {
+    if (!Array.isArray(raw)) return [];
+    return raw
+        .filter(entry => entry && typeof entry === "object" && RULE_TYPES.has(entry.type))
+        .map(entry => ({
+            ...DEFAULT_VALIDATION_RULE,
+            range:        String(entry.range ?? "").trim(),
+            type:         entry.type,
+            min:          String(entry.min ?? ""),
+            max:          String(entry.max ?? ""),
+            pattern:      String(entry.pattern ?? ""),
+            source:       String(entry.source ?? ""),
+            formula:      String(entry.formula ?? ""),
+            allowBlank:   entry.allowBlank !== false,
+            hint:         String(entry.hint ?? ""),
+            errorStyle:   entry.errorStyle === VALIDATION_ERROR_STYLE.WARN ? VALIDATION_ERROR_STYLE.WARN : VALIDATION_ERROR_STYLE.REJECT,
+            errorMessage: String(entry.errorMessage ?? ""),
+        }));
+}
+
+// ── Check a rule before it is saved ──────────────────────────────────────────
+// Returns an error message, or null when the rule can be saved.
+export function checkValidationRule(rule, translate) {
+    if (!String(rule.range ?? "").trim()) return "Enter the cells the rule applies to, e.g. C2:C50 or C:C.";
+    if (!parseRuleRange(rule.range, translate)) {
+        return `"${rule.range}" is not a range — use C2:C50, C:C or header names like Score_1:Score_50.`;
+    }
+
+    if (RANGE_TYPES.has(rule.type)) {
+        const read = rule.type === VALIDATION_RULE_TYPE.DATE ? boundDay : toNumber;
+        const min  = String(rule.min ?? "").trim();
+        const max  = String(rule.max ?? "").trim();
+        if (!min && !max) return "Enter a minimum, a maximum or both.";
+        if ((min && read(min) === null) || (max && read(max) === null)) {
+            return rule.type === VALIDATION_RULE_TYPE.DATE ? "Enter dates as YYYY-MM-DD." : "Enter numbers for the minimum and maximum.";
+        }
+        if (min && max && read(min) > read(max)) return "The minimum is larger than the maximum.";
+        if (rule.type === VALIDATION_RULE_TYPE.TEXT_LENGTH && ((min && toNumber(min) < 0) || (max && toNumber(max) < 0))) {
+            return "A text length can't be negative.";
+        }
+        return null;
+    }
+
+    switch (rule.type) {
+        case VALIDATION_RULE_TYPE.PATTERN: {
+            if (!String(rule.pattern ?? "")) return "Enter a regular expression, e.g. ^[A-Z]{3}-\\d{4}$.";
+            const regex = compilePattern(rule.pattern);
+            return regex instanceof RegExp ? null : `Not a valid regular expression: ${regex.message}`;
+        }
+        case VALIDATION_RULE_TYPE.LIST:
+            return String(rule.source ?? "").trim() ? null : "Enter a range like =Lists!A1:A10, or items separated by commas.";
+        case VALIDATION_RULE_TYPE.FORMULA: {
+            const formula = String(rule.formula ?? "").trim();
+            if (!formula || formula === "=") return "Enter a formula, e.g. =C2 <= Budget_Total.";
+            return null;
+        }
+        default:
+            return RULE_TYPES.has(rule.type) ? null : "Choose a rule type.";
+    }
+}
+
+// ── One-line summary — the rules panel and the default error message ────────
+export function describeValidationRule(rule) {
+    const min = String(rule.min ?? "").trim();
+    const max = String(rule.max ?? "").trim();
+    const bounds = (unit = "") => {
+        if (min && max) return ` from ${min} to ${max}${unit}`;
+        if (min)        return ` of at least ${min}${unit}`;
+        if (max)        return ` of at most ${max}${unit}`;
+        return "";
+    };
+
+    switch (rule.type) {
+        case VALIDATION_RULE_TYPE.NUMBER:       return `A number${bounds()}`;
+        case VALIDATION_RULE_TYPE.WHOLE_NUMBER: return `A whole number${bounds()}`;
+        case VALIDATION_RULE_TYPE.TEXT_LENGTH:  return `Text${bounds(" characters")}`;
+        case VALIDATION_RULE_TYPE.PATTERN:      return `Text matching ${rule.pattern}`;
+        case VALIDATION_RULE_TYPE.DATE:
+            if (min && max) return `A date from ${min} to ${max}`;
+            if (min)        return `A date on or after ${min}`;
+            if (max)        return `A date on or before ${max}`;
+            return "A date";
+        case VALIDATION_RULE_TYPE.LIST:         return `One of ${rule.source}`;
+        case VALIDATION_RULE_TYPE.FORMULA:      return `Formula ${normaliseFormula(rule.formula)} is true`;
+        default:                                return rule.type;
+    }
+}
+
+// ── Enforce rules ────────────────────────────────────────────────────────────
+// rules   — the sheet's validationRules
+// options — {
+//   calculate(formula)   computed value of an A1 formula on this sheet
+//   translate(formula)   header form → A1
+//   dateFormatAt(col)    the date format of a column, or null
+// }
+// Returns {
+//   ruleAt(row, col)          the rule covering a cell (physical row), or null
+//   check(row, col, value)    null when value is accepted, otherwise
+//                             { rule, message, reject }
+// }
+// List sources are computed on first use and kept, so build a new validator
+// for every batch of changes.
+export function createDataValidator(rules, options) {
+    const { calculate, translate = (formula) => formula, dateFormatAt = () => null } = options;
+
+    const compiled = (Array.isArray(rules) ? rules : [])
+        .map(rule => ({ rule, areas: parseRuleRange(rule.range, translate), items: null }))
+        .filter(entry => entry.areas);
+
+    const entryAt = (row, col) =>
+        compiled.find(entry => entry.areas.some(a => row >= a.r1 && row <= a.r2 && col >= a.c1 && col <= a.c2)) || null;
+
+    const listItems = (entry) => {
+        if (entry.items) return entry.items;
+        const source = String(entry.rule.source ?? "").trim();
+        let values;
+        if (source.startsWith("=")) {
+            try {
+                const result = calculate(translate(source));
+                values = Array.isArray(result) ? result.flat() : [result];
+            } catch {
+                values = [];
+            }
+        } else {
+            values = source.split(",");
+        }
+        entry.items = new Set(values.filter(value => !isBlank(value) && typeof value !== "object").map(keyOf));
+        return entry.items;
+    };
+
+    const accepts = (entry, row, col, value) => {
+        const { rule } = entry;
+        const min = String(rule.min ?? "").trim();
+        const max = String(rule.max ?? "").trim();
+        const within = (n, read) => (!min || n >= read(min)) && (!max || n <= read(max));
+
+        switch (rule.type) {
+            case VALIDATION_RULE_TYPE.NUMBER: {
+                const n = toNumber(value);
+                return n !== null && within(n, toNumber);
+            }
+            case VALIDATION_RULE_TYPE.WHOLE_NUMBER: {
+                const n = toNumber(value);
+                return n !== null && Number.isInteger(n) && within(n, toNumber);
+            }
+            case VALIDATION_RULE_TYPE.TEXT_LENGTH:
+                return within(String(value).length, toNumber);
+            case VALIDATION_RULE_TYPE.PATTERN: {
+                const regex = compilePattern(rule.pattern);
+                return !(regex instanceof RegExp) || regex.test(String(value));   // a broken pattern never blocks input
+            }
+            case VALIDATION_RULE_TYPE.DATE: {
+                const day = toDay(value, dateFormatAt(col));
+                return day !== null && within(day, boundDay);
+            }
+            case VALIDATION_RULE_TYPE.LIST:
+                return listItems(entry).has(keyOf(value));
+            case VALIDATION_RULE_TYPE.FORMULA: {
+                const origin  = entry.areas[0];
+                const moved   = offsetFormulaReferences(translate(normaliseFormula(rule.formula)), row - origin.r1, col - origin.c1);
+                try {
+                    return isTrue(calculate(replaceCellReference(moved, row, col, toLiteral(value))));
+                } catch {
+                    return false;
+                }
+            }
+            default:
+                return true;
+        }
+    };
+
+    return {
+        ruleAt(row, col) {
+            return entryAt(row, col)?.rule ?? null;
+        },
+        check(row, col, value) {
+            const entry = entryAt(row, col);
+            if (!entry) return null;
+            if (typeof value === "string" && value.startsWith("=")) return null;
+
+            const { rule } = entry;
+            if (isBlank(value)) {
+                if (rule.allowBlank) return null;
+                return failure(rule, rule.errorMessage || "This cell can't be left empty.");
+            }
+            if (accepts(entry, row, col, value)) return null;
+            return failure(rule, rule.errorMessage || defaultMessage(rule));
+        },
+    };
+}
+
+// ─── Private ──────────────────────────────────────────────────────────────────
+
+function defaultMessage(rule) {
+    const source = String(rule.source ?? "").trim();
+    switch (rule.type) {
+        case VALIDATION_RULE_TYPE.LIST:
+            return source.startsWith("=") ? `Choose one of the values in ${source.slice(1)}.` : `Choose one of: ${source}.`;
+        case VALIDATION_RULE_TYPE.FORMULA:
+            return `The value doesn't meet the rule ${normaliseFormula(rule.formula)}.`;
+        default: {
+            const text = describeValidationRule(rule);
+            return `Enter ${text.charAt(0).toLowerCase()}${text.slice(1)}.`;
+        }
+    }
+}
+
+function failure(rule, message) {
+    return { rule, message, reject: rule.errorStyle !== VALIDATION_ERROR_STYLE.WARN };
+}
+
+// The pattern's RegExp, or the SyntaxError saying why it isn't one
+function compilePattern(pattern) {
+    try {
+        return new RegExp(pattern);
+    } catch (err) {
+        return err;
+    }
+}
+
+// Days since 1970-01-01, so dates compare as numbers. Date columns store
+// ISO dates; text in other columns may be in the column's format or the
+// default one. Rule bounds are ISO.
+function toDay(value, format = null) {
+    const text = String(value ?? "").trim();
+    if (!text) return null;
+    return partsToDay(parseDateTimeText(text, ISO_DATE)
+        || (format && parseDateTimeText(text, format))
+        || parseDateTimeText(text, DEFAULT_DATE_FORMAT));
+}
+
+function boundDay(text) {
+    return partsToDay(parseDateTimeText(String(text ?? "").trim(), ISO_DATE));
+}
+
+function partsToDay(parts) {
+    return parts ? Math.round(Date.UTC(parts.year, parts.month - 1, parts.day) / 86400000) : null;
+}
+
+// A value as formula text: numbers as typed, everything else as a string.
+// HyperFormula strings have no escape for ", so a quote is spliced in with
+// CHAR(34), in brackets to keep the literal one operand.
+function toLiteral(value) {
+    if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+    const n = toNumber(value);
+    if (n !== null) return String(n);
+    const text = String(value ?? "");
+    if (!text.includes("\"")) return `"${text}"`;
+    return `("${text.split("\"").join("\"&CHAR(34)&\"")}")`;
+}
@@ -0,0 +1,144 @@
+/**
+ * dropdownOptions.js
+ *
+ * The option list of a dropdown column. column.sourceType
+ * (constants.DROPDOWN_SOURCE_TYPE) picks where it comes from:
+ *
+ *   list    — column.source, typed in ColumnSettingsPanel. An empty list
+ *             offers "Option 1/2/3" so a new column can be tried out.
+ *   range   — column.sourceRange: H2:H20, Lists!A1:A50, a named range or
+ *             header names (Code_1:Code_20); stored without "="
+ *   sheet   — every value of column sourceColumn on sheet sourceSheet.
+ *             sourceColumn is the column's key when it has one, so renaming
+ *             or moving the column keeps the link; else its header or letter.
+ *   mendix  — the widget's Dropdown Options datasource; a non-empty
+ *             sourceList keeps only the items of that named list
+ *
+ * Ranges and sheet columns are read from HyperFormula, so formula results
+ * are offered and the options follow edits to the source cells. Blank cells
+ * and errors are skipped and duplicates dropped; options are text, in the
+ * order they first appear.
+ *
+ * DEPENDENT COLUMNS: a column with parentColumn (the key of another column
+ * on the sheet) offers, per row, the options optionMap lists for that row's
+ * parent value — its own source is not used:
+ *
+ *   { header: "City", parentColumn: "col-country", onParentChange: "clear",
+ *     optionMap: [{ parent: "France",  options: ["Paris", "Lyon"] },
+ *                 { parent: "Germany", options: ["Berlin", "Munich"] }] }
+ *
+ * Parent values match exactly first, then ignoring case. A blank or
+ * unlisted parent value offers nothing.
+ */
+
+import { DROPDOWN_SOURCE_TYPE } from "./constants";
+import { colIndexToLetter, letterToColIndex } from "./helpers";
+
+const FALLBACK_OPTIONS = ["Option 1", "Option 2", "Option 3"];
+
+// ── Options of one column ────────────────────────────────────────────────────
+// context — { calculate(formula), translate(formula), sheets, mendixOptions }
+//   calculate      evaluates a formula on the column's sheet
+//   translate      turns header names into A1 references
+//   sheets         [{ sheetName, columns, data }] the sheet sources can name
+//   mendixOptions  [{ value, list }] read from the datasource
+export function resolveDropdownOptions(column, context = {}) {
+    switch (column?.sourceType) {
+        case DROPDOWN_SOURCE_TYPE.RANGE:
+            return readRange(column.sourceRange, context);
+        case DROPDOWN_SOURCE_TYPE.SHEET:
+            return readRange(sheetColumnRange(column, context.sheets), context);
+        case DROPDOWN_SOURCE_TYPE.MENDIX: {
+            const list = String(column.sourceList ?? "");
+            return uniqueOptions((context.mendixOptions || [])
+                .filter(option => !list || option.list === list)
+                .map(option => option.value));
+        }
+        default:
+            return Array.isArray(column?.source) && column.source.length > 0 ? column.source : FALLBACK_OPTIONS;
+    }
+}
+
+// ── Is a cell value one of the options? ──────────────────────────────────────
+// Blank cells always are. Compared as text, with case — like Handsontable's
+// strict dropdown check.
+export function isListedOption(value, options) {
+    if (value === null || value === undefined || value === "") return true;
+    return options.some(option => String(option) === String(value));
+}
+
+// ── Parent of a dependent column ─────────────────────────────────────────────
+// Its index in columns, or -1 when the column has no parent or it was deleted
+export function parentColumnIndex(column, columns) {
+    if (!column?.parentColumn) return -1;
+    return (columns || []).findIndex(c => c !== column && c.key === column.parentColumn);
+}
+
+// ── Options of a dependent column for one parent value ───────────────────────
+export function optionsForParent(optionMap, parentValue) {
+    if (parentValue === null || parentValue === undefined || parentValue === "") return [];
+    const key     = String(parentValue).trim();
+    const entries = (Array.isArray(optionMap) ? optionMap : []).filter(Boolean);
+    const entry   = entries.find(e => String(e.parent ?? "").trim() === key)
+        || entries.find(e => String(e.parent ?? "").trim().toLowerCase() === key.toLowerCase());
+    return entry && Array.isArray(entry.options) ? uniqueOptions(entry.options) : [];
+}
+
+// ── Columns a sheet source can point at ──────────────────────────────────────
+// [{ value, label }] — configured columns by key (header when a sheet from
+// allSheetsJson has no keys), otherwise the letters of the sheet's data.
+export function sourceColumnChoices(sheet) {
+    const columns = sheet?.columns || [];
+    if (columns.length > 0) {
+        return columns.map((column, index) => ({
+            value: column.key || column.header || colIndexToLetter(index),
+            label: column.header || colIndexToLetter(index),
+        }));
+    }
+    const width = Math.max(0, ...(sheet?.data || []).map(row => (Array.isArray(row) ? row.length : 0)));
+    return Array.from({ length: width }, (_, index) => ({ value: colIndexToLetter(index), label: colIndexToLetter(index) }));
+}
+
+// ─── Private ──────────────────────────────────────────────────────────────────
+
+function readRange(range, { calculate, translate = (formula) => formula } = {}) {
+    const text = String(range ?? "").trim().replace(/^=/, "");
+    if (!text || !calculate) return [];
+    try {
+        const result = calculate(translate(`=${text}`));
+        return uniqueOptions(Array.isArray(result) ? result.flat() : [result]);
+    } catch {
+        return [];
+    }
+}
+
+// 'Net Sales'!C:C for the source column, or "" when the sheet or column is gone
+function sheetColumnRange(column, sheets) {
+    const target = String(column.sourceSheet ?? "").toLowerCase();
+    const sheet  = (sheets || []).find(s => String(s?.sheetName).toLowerCase() === target);
+    const ref    = String(column.sourceColumn ?? "").trim();
+    if (!sheet || !ref) return "";
+
+    const columns = sheet.columns || [];
+    let index = columns.findIndex(c => c.key && c.key === ref);
+    if (index === -1) index = columns.findIndex(c => String(c.header ?? "").toLowerCase() === ref.toLowerCase());
+    if (index === -1 && /^[A-Z]{1,3}$/i.test(ref)) index = letterToColIndex(ref.toUpperCase());
+    if (index < 0) return "";
+
+    const letter = colIndexToLetter(index);
+    return `'${String(sheet.sheetName).replace(/'/g, "''")}'!${letter}:${letter}`;
+}
+
+// Error values come back from HyperFormula as objects
+function uniqueOptions(values) {
+    const seen = new Set();
+    const options = [];
+    values.forEach(value => {
+        if (value === null || value === undefined || typeof value === "object") return;
+        const text = String(value).trim();
+        if (!text || seen.has(text)) return;
+        seen.add(text);
+        options.push(text);
+    });
+    return options;
+}
@@ -0,0 +1,296 @@
+/**
+ * formulaErrors.js
+ *
+ * Explains why a formula evaluates to an error.
+ *
+ * HyperFormula only gives the code (#NAME?, #REF!, …) and sometimes a terse
+ * message. The header-name translator also passes unknown tokens through
+ * untouched, so a typo like Revnue_Q1 silently ends up as #NAME?. Here the
+ * ORIGINAL formula (header-name form) is checked against what the sheet
+ * knows, and the causes are spelled out:
+ *
+ *   =SUM(Revnue_Q1, 5)   → "Revnue_Q1" is not a known header; did you mean "Revenue_Q1"?
+ *   =SUMM(A1:A4)         → "SUMM" is not a known function; did you mean "SUM"?
+ *   =Expnses!Cost_Q3     → "Expnses" is not a sheet in this workbook; did you mean "Expenses"?
+ *   =COMMISSION(A1)      → COMMISSION takes 2 arguments (amount, rate) but is given 1.
+ *   =A1 * 2  (A1 = 1/0)  → The error comes from A1 (#DIV/0!).
+ *
+ * Used by SheetGrid (cell tooltips, errors list) and FormulaErrorsPanel.
+ */
+
+import { parseA1Range } from "./helpers";
+import { listFormulaFunctions } from "./formulaFunctions";
+import { SUGGESTION_KIND } from "./formulaSuggestions";
+import { TOKEN_TYPE, tokenizeFormula } from "./formulaTokenizer";
+import { formatHeaderToken } from "./formulaTranslator";
+
+export const FORMULA_ERROR_INFO = {
+    "#DIV/0!": "Division by zero — the divisor is 0 or an empty cell.",
+    "#NAME?":  "The formula uses a name that is not a function, header reference or named range.",
+    "#REF!":   "The formula points at a cell or sheet that does not exist.",
+    "#CYCLE!": "The formula depends on its own result, directly or through other cells.",
+    "#VALUE!": "A value has the wrong type, e.g. text where a number is expected.",
+    "#N/A":    "A lookup found no match.",
+    "#NUM!":   "The result is not a valid number.",
+    "#ERROR!": "The formula cannot be read — check brackets, commas and quotes.",
+    "#SPILL!": "The result range overlaps cells that are not empty.",
+    "#LIC!":   "The formula engine licence does not allow this function.",
+};
+
+const A1_REF           = /^\$?[A-Za-z]{1,3}\$?[0-9]+$/;
+const COLUMN_ONLY      = /^\$?[A-Za-z]{1,3}$/;
+const ROW_ONLY         = /^\$?[0-9]+$/;
+const COLUMN_LETTERS   = /^[A-Z]{1,3}$/;
+const ROW_NUMBER       = /^[1-9][0-9]*$/;
+const LITERALS         = new Set(["true", "false"]);
+
+// Function names of the latest listFormulaFunctions() result
+let functionNames = { source: null, names: new Set() };
+
+// ── Is a cell value an error code? ───────────────────────────────────────────
+export function isFormulaErrorValue(value) {
+    return typeof value === "string" && Object.prototype.hasOwnProperty.call(FORMULA_ERROR_INFO, value);
+}
+
+// ── Explain one erroring formula ─────────────────────────────────────────────
+// formula — the original formula (header names kept)
+// error   — { code, message } (HyperFormula's DetailedCellError value/message)
+// context — {
+//   resolver        this sheet's header resolver (createHeaderResolver)
+//   sheetResolvers  every sheet's resolver (buildSheetResolvers), optional
+//   candidates    suggestion candidates (buildFormulaCandidates) — names and
+//                 functions for "did you mean"; headers are matched part by
+//                 part against the resolver
+//   sheetNames    names of every sheet in the workbook
+//   errorAt       (a1Ref) → error code of a cell on this sheet, or null
+//   customFunctions  workbook functions (collectCustomFunctions), optional
+// }
+// Returns { code, description, causes: string[], text } — text is the
+// one-line explanation for tooltips.
+export function explainFormulaError(formula, error, context = {}) {
+    const code        = error?.code ?? "#ERROR!";
+    const description = FORMULA_ERROR_INFO[code] ?? "The formula returned an error.";
+    const causes      = [];
+
+    const text = String(formula ?? "");
+    if (text.startsWith("=")) {
+        causes.push(...findUnknownReferences(text, context));
+        causes.push(...findWrongArgumentCounts(text, context.customFunctions));
+
+        // Errors travel through references — point at where it started
+        if (causes.length === 0 && context.errorAt && code !== "#CYCLE!") {
+            const source = referencedCells(text, context.resolver).find(ref => context.errorAt(ref));
+            if (source) causes.push(`The error comes from ${source} (${context.errorAt(source)}).`);
+        }
+    }
+
+    if (causes.length === 0 && error?.message) causes.push(error.message);
+
+    return {
+        code,
+        description,
+        causes,
+        text: `${code} — ${causes.length > 0 ? causes.join(" ") : description}`,
+    };
+}
+
+// ── Closest match for a misspelt word ────────────────────────────────────────
+// Case-insensitive edit distance; returns null when nothing is close enough.
+export function suggestClosest(word, options) {
+    const target = String(word ?? "").toLowerCase();
+    if (!target) return null;
+
+    const maxDistance = Math.max(1, Math.floor(target.length / 3));
+    let best = null;
+    let bestDistance = maxDistance + 1;
+
+    for (const option of options) {
+        const candidate = String(option);
+        if (Math.abs(candidate.length - target.length) > maxDistance) continue;
+        const distance = editDistance(target, candidate.toLowerCase(), bestDistance);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+            if (distance === 0) break;
+        }
+    }
+
+    return best;
+}
+
+// ─── Private ──────────────────────────────────────────────────────────────────
+
+function findUnknownReferences(formula, context) {
+    const { resolver, sheetResolvers, candidates, sheetNames = [] } = context;
+    const list    = candidates?.list || [];
+    const causes  = [];
+    const seen    = new Set();
+    const tokens  = tokenizeFormula(formula);
+    const labels  = list.filter(c => c.kind !== SUGGESTION_KIND.FUNCTION).map(c => c.label);
+    const names   = new Set(list.filter(c => c.kind === SUGGESTION_KIND.NAME).map(c => c.label.toLowerCase()));
+    // Workbook functions are known even before the engine has registered them
+    const functions = new Set([...knownFunctions(), ...list.filter(c => c.isCustom).map(c => c.label)]);
+    const sheets  = new Set(sheetNames.map(name => String(name).toLowerCase()));
+
+    const report = (key, message) => {
+        if (seen.has(key)) return;
+        seen.add(key);
+        causes.push(message);
+    };
+
+    for (const [index, token] of tokens.entries()) {
+        if (token.type === TOKEN_TYPE.FUNCTION) {
+            if (functions.has(token.name)) continue;
+            const name  = token.text;
+            const guess = suggestClosest(name, functions);
+            report(`fn:${name}`, `"${name}" is not a known function${guess ? `; did you mean "${guess}"?` : "."}`);
+            continue;
+        }
+        if (token.type !== TOKEN_TYPE.REFERENCE) continue;
+
+        const { name, sheet: sheetName } = token;
+        const before = tokens[index - 1]?.text;
+        const after  = tokens[index + 1]?.text;
+
+        if (sheetName && !sheets.has(sheetName.toLowerCase())) {
+            const guess = suggestClosest(sheetName, sheetNames);
+            report(`sheet:${sheetName}`, `"${sheetName}" is not a sheet in this workbook${guess ? `; did you mean "${guess}"?` : "."}`);
+            continue;
+        }
+
+        if (A1_REF.test(name) || LITERALS.has(name.toLowerCase())) continue;
+        if (COLUMN_ONLY.test(name) && (before === ":" || after === ":")) continue;   // A:C
+        if (ROW_ONLY.test(name) && (before === ":" || after === ":")) continue;      // 2:3
+
+        if (sheetName) {
+            const sheetResolver = sheetResolvers?.get(sheetName);
+            if (sheetResolver && !sheetResolver.has(name)) {
+                const guess = closestHeaderToken(name, sheetResolver);
+                report(`ref:${sheetName}!${name}`, `"${name}" is not a known header on ${sheetName}${guess ? `; did you mean "${guess}"?` : "."}`);
+            }
+            continue;
+        }
+
+        if (resolver?.has(name) || names.has(name.toLowerCase())) continue;
+
+        const guess = suggestClosest(name, [closestHeaderToken(name, resolver), ...labels].filter(Boolean));
+        if (guess && guess.toLowerCase() === name.toLowerCase()) {
+            report(`ref:${name}`, `"${name}" is not a known header — header names are case-sensitive; did you mean "${guess}"?`);
+        } else {
+            report(`ref:${name}`, `"${name}" is not a known header${guess ? `; did you mean "${guess}"?` : " or named range."}`);
+        }
+    }
+
+    return causes;
+}
+
+// The header token closest to a misspelt one. Each "_" split is matched part
+// by part — column letters and row numbers as typed, headers and labels by
+// suggestClosest — so no list of every token is needed. null when none fits.
+function closestHeaderToken(name, resolver) {
+    if (!resolver) return null;
+    const { headers, labels } = resolver.parts();
+
+    for (let at = name.indexOf("_"); at > 0; at = name.indexOf("_", at + 1)) {
+        const colPart = name.slice(0, at);
+        const rowPart = name.slice(at + 1);
+        const col     = COLUMN_LETTERS.test(colPart) ? colPart : suggestClosest(colPart, headers);
+        const row     = ROW_NUMBER.test(rowPart) ? rowPart : suggestClosest(rowPart, labels);
+        const token   = col && row ? formatHeaderToken(col, row) : null;
+        if (token && resolver.has(token)) return token;
+    }
+    return null;
+}
+
+// Workbook function calls with the wrong number of arguments — HyperFormula
+// only says "Wrong number of arguments."
+function findWrongArgumentCounts(formula, customFunctions = []) {
+    const byName = new Map(customFunctions.map(fn => [fn.name, fn]));
+    const causes = [];
+    const tokens = tokenizeFormula(formula);
+
+    for (const [index, token] of tokens.entries()) {
+        const fn = token.type === TOKEN_TYPE.FUNCTION ? byName.get(token.name) : null;
+        if (!fn) continue;
+
+        const given = countArguments(tokens, index);
+        if (given === null || given === fn.params.length) continue;
+
+        const wanted = fn.params.length === 1 ? "1 argument" : `${fn.params.length} arguments`;
+        const list   = fn.params.length > 0 ? ` (${fn.params.join(", ")})` : "";
+        const cause  = `${fn.name} takes ${wanted}${list} but is given ${given}.`;
+        if (!causes.includes(cause)) causes.push(cause);
+    }
+
+    return causes;
+}
+
+// Arguments of the call whose name is tokens[index]; null when unclosed
+function countArguments(tokens, index) {
+    let depth = 0;
+    let count = 0;
+    let empty = true;
+
+    for (let i = index + 1; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type === TOKEN_TYPE.WHITESPACE) continue;
+
+        if (token.type === TOKEN_TYPE.PAREN && (token.text === "(" || token.text === "{")) {
+            if (depth++ > 0) empty = false;
+        } else if (token.type === TOKEN_TYPE.PAREN) {
+            if (--depth === 0) return empty ? 0 : count + 1;
+        } else if (depth === 1 && token.type === TOKEN_TYPE.SEPARATOR) {
+            count++;
+            empty = false;
+        } else {
+            empty = false;
+        }
+    }
+
+    return null;
+}
+
+// A1 cells the formula reads on its own sheet — header tokens resolved
+function referencedCells(formula, resolver) {
+    const refs = [];
+
+    for (const token of tokenizeFormula(formula)) {
+        if (token.type !== TOKEN_TYPE.REFERENCE || token.sheet !== null) continue;
+        const name = token.name;
+        const ref = A1_REF.test(name) ? name.replace(/\$/g, "").toUpperCase() : resolver?.get(name);
+        if (ref && parseA1Range(ref) && !refs.includes(ref)) refs.push(ref);
+    }
+
+    return refs;
+}
+
+// Rebuilt whenever listFormulaFunctions hands out a new list
+function knownFunctions() {
+    const source = listFormulaFunctions();
+    if (functionNames.source !== source) {
+        functionNames = { source, names: new Set(source.map(fn => fn.name)) };
+    }
+    return functionNames.names;
+}
+
+// Levenshtein distance, giving up once it exceeds limit
+function editDistance(a, b, limit = Infinity) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin >= limit) return limit;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
@@ -0,0 +1,122 @@
+/**
+ * formulaFunctions.js
+ *
+ * Catalogue of formula functions for autocomplete and error hints.
+ *
+ * The list of names always comes from HyperFormula itself
+ * (getRegisteredFunctionNames), so every function the engine can evaluate —
+ * including ones registered later — is offered. FUNCTION_DOCS adds a
+ * signature and a one-line description for the functions people use most;
+ * the rest are listed with a generic NAME(…) signature.
+ */
+
+import { HyperFormula } from "hyperformula";
+
+const FUNCTION_LANGUAGE = "enGB";
+
+export const FUNCTION_DOCS = {
+    // ── Maths ───────────────────────────────────────────────────────────────
+    SUM:         { signature: "SUM(number1, [number2], …)",                    description: "Adds all the numbers." },
+    SUMIF:       { signature: "SUMIF(range, criteria, [sum_range])",           description: "Adds the cells that meet one condition." },
+    SUMIFS:      { signature: "SUMIFS(sum_range, range1, criteria1, …)",       description: "Adds the cells that meet every condition." },
+    SUMPRODUCT:  { signature: "SUMPRODUCT(array1, [array2], …)",               description: "Multiplies matching items and adds the results." },
+    PRODUCT:     { signature: "PRODUCT(number1, [number2], …)",                description: "Multiplies all the numbers." },
+    ROUND:       { signature: "ROUND(number, digits)",                         description: "Rounds to a number of digits." },
+    ROUNDUP:     { signature: "ROUNDUP(number, digits)",                       description: "Rounds away from zero." },
+    ROUNDDOWN:   { signature: "ROUNDDOWN(number, digits)",                     description: "Rounds towards zero." },
+    ABS:         { signature: "ABS(number)",                                   description: "Absolute value." },
+    MOD:         { signature: "MOD(number, divisor)",                          description: "Remainder after division." },
+    POWER:       { signature: "POWER(number, power)",                          description: "Raises a number to a power." },
+    SQRT:        { signature: "SQRT(number)",                                  description: "Square root." },
+    INT:         { signature: "INT(number)",                                   description: "Rounds down to the nearest integer." },
+
+    // ── Statistics ──────────────────────────────────────────────────────────
+    AVERAGE:     { signature: "AVERAGE(number1, [number2], …)",                description: "Arithmetic mean of the numbers." },
+    AVERAGEIF:   { signature: "AVERAGEIF(range, criteria, [average_range])",   description: "Mean of the cells that meet one condition." },
+    AVERAGEIFS:  { signature: "AVERAGEIFS(average_range, range1, criteria1, …)", description: "Mean of the cells that meet every condition." },
+    MIN:         { signature: "MIN(number1, [number2], …)",                    description: "Smallest number." },
+    MAX:         { signature: "MAX(number1, [number2], …)",                    description: "Largest number." },
+    MEDIAN:      { signature: "MEDIAN(number1, [number2], …)",                 description: "Middle value." },
+    COUNT:       { signature: "COUNT(value1, [value2], …)",                    description: "Counts cells that contain numbers." },
+    COUNTA:      { signature: "COUNTA(value1, [value2], …)",                   description: "Counts cells that are not empty." },
+    COUNTBLANK:  { signature: "COUNTBLANK(range)",                             description: "Counts empty cells." },
+    COUNTIF:     { signature: "COUNTIF(range, criteria)",                      description: "Counts cells that meet one condition." },
+    COUNTIFS:    { signature: "COUNTIFS(range1, criteria1, …)",                description: "Counts cells that meet every condition." },
+    STDEV:       { signature: "STDEV(number1, [number2], …)",                  description: "Standard deviation of a sample." },
+
+    // ── Logic ───────────────────────────────────────────────────────────────
+    IF:          { signature: "IF(condition, value_if_true, [value_if_false])", description: "Returns one value if the condition is true, another if false." },
+    IFS:         { signature: "IFS(condition1, value1, …)",                    description: "Value of the first condition that is true." },
+    IFERROR:     { signature: "IFERROR(value, value_if_error)",                description: "Returns a fallback when the value is an error." },
+    IFNA:        { signature: "IFNA(value, value_if_na)",                      description: "Returns a fallback when the value is #N/A." },
+    AND:         { signature: "AND(logical1, [logical2], …)",                  description: "TRUE if every argument is true." },
+    OR:          { signature: "OR(logical1, [logical2], …)",                   description: "TRUE if any argument is true." },
+    NOT:         { signature: "NOT(logical)",                                  description: "Reverses TRUE and FALSE." },
+    SWITCH:      { signature: "SWITCH(expression, case1, value1, …, [default])", description: "Value of the first case that matches." },
+
+    // ── Lookup ──────────────────────────────────────────────────────────────
+    VLOOKUP:     { signature: "VLOOKUP(key, range, index, [is_sorted])",       description: "Looks up a key in the first column and returns a value from the same row." },
+    HLOOKUP:     { signature: "HLOOKUP(key, range, index, [is_sorted])",       description: "Looks up a key in the first row and returns a value from the same column." },
+    XLOOKUP:     { signature: "XLOOKUP(key, lookup_range, return_range, [if_not_found])", description: "Looks up a key and returns the matching item." },
+    INDEX:       { signature: "INDEX(range, row, [column])",                   description: "Value at a position in a range." },
+    MATCH:       { signature: "MATCH(key, range, [type])",                     description: "Position of a value in a range." },
+    CHOOSE:      { signature: "CHOOSE(index, value1, [value2], …)",            description: "Picks a value by position." },
+
+    // ── Text ────────────────────────────────────────────────────────────────
+    CONCATENATE: { signature: "CONCATENATE(text1, [text2], …)",                description: "Joins pieces of text." },
+    TEXTJOIN:    { signature: "TEXTJOIN(delimiter, ignore_empty, text1, …)",   description: "Joins text with a delimiter." },
+    LEFT:        { signature: "LEFT(text, [count])",                           description: "First characters of a text." },
+    RIGHT:       { signature: "RIGHT(text, [count])",                          description: "Last characters of a text." },
+    MID:         { signature: "MID(text, start, count)",                       description: "Characters from the middle of a text." },
+    LEN:         { signature: "LEN(text)",                                     description: "Number of characters." },
+    TRIM:        { signature: "TRIM(text)",                                    description: "Removes extra spaces." },
+    UPPER:       { signature: "UPPER(text)",                                   description: "Converts to upper case." },
+    LOWER:       { signature: "LOWER(text)",                                   description: "Converts to lower case." },
+    TEXT:        { signature: "TEXT(number, format)",                          description: "Formats a number as text." },
+    VALUE:       { signature: "VALUE(text)",                                   description: "Converts text to a number." },
+    SUBSTITUTE:  { signature: "SUBSTITUTE(text, search, replacement, [occurrence])", description: "Replaces text." },
+
+    // ── Date ────────────────────────────────────────────────────────────────
+    TODAY:       { signature: "TODAY()",                                       description: "Today's date." },
+    NOW:         { signature: "NOW()",                                         description: "Current date and time." },
+    DATE:        { signature: "DATE(year, month, day)",                        description: "Builds a date." },
+    YEAR:        { signature: "YEAR(date)",                                    description: "Year of a date." },
+    MONTH:       { signature: "MONTH(date)",                                   description: "Month of a date (1–12)." },
+    DAY:         { signature: "DAY(date)",                                     description: "Day of the month." },
+    DATEDIF:     { signature: "DATEDIF(start, end, unit)",                     description: "Difference between two dates." },
+    EOMONTH:     { signature: "EOMONTH(start, months)",                        description: "Last day of a month before or after a date." },
+    NETWORKDAYS: { signature: "NETWORKDAYS(start, end, [holidays])",           description: "Working days between two dates." },
+
+    // ── Finance ─────────────────────────────────────────────────────────────
+    PMT:         { signature: "PMT(rate, periods, present_value, [future_value], [type])", description: "Periodic payment for a loan." },
+    NPV:         { signature: "NPV(rate, value1, [value2], …)",                description: "Net present value of cash flows." },
+    IRR:         { signature: "IRR(values, [guess])",                          description: "Internal rate of return." },
+    FV:          { signature: "FV(rate, periods, payment, [present_value], [type])", description: "Future value of an investment." },
+};
+
+let cachedFunctions = null;
+
+// ── All functions the engine knows ───────────────────────────────────────────
+// Returns [{ name, signature, description }] sorted by name.
+// Pass refresh = true after registering new functions.
+export function listFormulaFunctions(refresh = false) {
+    if (cachedFunctions && !refresh) return cachedFunctions;
+
+    let names = [];
+    try {
+        names = HyperFormula.getRegisteredFunctionNames(FUNCTION_LANGUAGE);
+    } catch (err) {
+        console.warn("[ExcelWidget] Could not read HyperFormula functions:", err.message);
+        names = Object.keys(FUNCTION_DOCS);
+    }
+
+    cachedFunctions = Array.from(new Set(names))
+        .sort((a, b) => a.localeCompare(b))
+        .map(name => ({
+            name,
+            signature:   FUNCTION_DOCS[name]?.signature   ?? `${name}(…)`,
+            description: FUNCTION_DOCS[name]?.description ?? "",
+        }));
+
+    return cachedFunctions;
+}
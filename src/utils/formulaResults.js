@@ -0,0 +1,62 @@
+/**
+ * formulaResults.js
+ *
+ * Reads HyperFormula's computed results for a sheet's formula cells so they
+ * can be saved next to the formulas (dataService.serializeSheet):
+ *
+ *   data:   [["Revenue", 1200], ["Total", "=SUM(B1:B1)"], ["Ratio", "=B1/0"]]
+ *   values: { "1,1": 1200, "2,1": null }
+ *   errors: { "2,1": "#DIV/0!" }
+ *
+ * Keys are cellKey "row,col", like cellMeta. Only formula cells get an
+ * entry; a cell whose formula failed has value null and its error code in
+ * errors. Microflows and reports outside the browser can then read the last
+ * result without evaluating anything.
+ */
+
+import { DetailedCellError } from "hyperformula";
+import { cellKey } from "./helpers";
+
+// ── Read results ─────────────────────────────────────────────────────────────
+// hf        — the HyperFormula engine (may be null before it is ready)
+// sheetName — the sheet inside HF
+// data      — the sheet's raw data, used to find the formula cells
+// Returns { values, errors }, or null when the sheet isn't in the engine.
+export function readFormulaResults(hf, sheetName, data) {
+    if (!hf || !sheetName) return null;
+
+    let sheetId;
+    try {
+        sheetId = hf.getSheetId(sheetName);
+    } catch {
+        return null;
+    }
+    if (sheetId === undefined) return null;
+
+    const values = {};
+    const errors = {};
+
+    (data || []).forEach((rowValues, row) => {
+        if (!Array.isArray(rowValues)) return;
+        rowValues.forEach((raw, col) => {
+            if (typeof raw !== "string" || !raw.startsWith("=")) return;
+
+            let result;
+            try {
+                result = hf.getCellValue({ sheet: sheetId, row, col });
+            } catch {
+                return;
+            }
+
+            const key = cellKey(row, col);
+            if (result instanceof DetailedCellError) {
+                values[key] = null;
+                errors[key] = result.value;
+            } else {
+                values[key] = result ?? null;
+            }
+        });
+    });
+
+    return { values, errors };
+}
@@ -0,0 +1,203 @@
+/**
+ * formulaSuggestions.js
+ *
+ * What the formula autocomplete offers while a formula is being typed:
+ *   - functions      SUM(…), VLOOKUP(…) — everything HyperFormula registers,
+ *                    and the workbook's own functions (COMMISSION(amount, rate))
+ *   - header tokens  Revenue_Q1, Revenue_3, A_Q1, [Net Revenue]_[Q1 2025] —
+ *                    this sheet's headers, in their exact case (the
+ *                    translator is case-sensitive)
+ *   - names          TaxRate, Q1Sales — this sheet's names and the
+ *                    workbook-scoped names of other sheets
+ *
+ * Matching is case-insensitive: "rev" finds Revenue_Q1, and accepting the
+ * suggestion inserts the correctly cased token. Header tokens are made from
+ * the typed prefix (createHeaderResolver().suggest), never listed up front —
+ * a sheet has a Revenue_N token for every row.
+ *
+ * Everything here is plain text in, plain text out, so the formula bar and
+ * the grid's cell editor share the same logic (useFormulaAutocomplete).
+ */
+
+import { createHeaderResolver } from "./formulaTranslator";
+import { FUNCTION_DOCS, listFormulaFunctions } from "./formulaFunctions";
+import { formatFunctionSignature } from "./customFunctions";
+
+export const SUGGESTION_KIND = {
+    FUNCTION: "function",
+    HEADER:   "header",
+    NAME:     "name",
+};
+
+const MAX_SUGGESTIONS = 12;
+
+// Keys that only move the caret — the token under it may have changed
+export const CARET_KEYS = new Set(["ArrowLeft", "ArrowRight", "Home", "End"]);
+
+// Characters a token can be made of (header names may use any letter)
+const TOKEN_CHAR = /[\p{L}\p{N}_.$]/u;
+
+// Characters after which a new operand (and so a suggestion) can start
+const OPERAND_START = /[=(,;+\-*/^&<>:\s]/;
+
+// ── Candidates for one sheet ─────────────────────────────────────────────────
+// sheet           — { columns, rowLabels, data, namedRanges }
+// externalNames   — workbook-scoped names defined on other sheets
+// customFunctions — the workbook's functions (collectCustomFunctions)
+// Returns { list, headers }
+//   list    — [{ kind, label, insert, detail, description, isCustom? }] for
+//             names and functions
+//   headers — (prefix, limit, anywhere) → header token candidates for that
+//             prefix, only those that point inside the sheet
+export function buildFormulaCandidates(sheet, externalNames = [], customFunctions = []) {
+    const candidates = [];
+    const seen       = new Set();
+
+    const add = (candidate) => {
+        const key = `${candidate.kind}:${candidate.label.toLowerCase()}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        candidates.push(candidate);
+    };
+
+    const resolver = createHeaderResolver(sheet?.columns, sheet?.rowLabels);
+    const rowCount = Math.max(sheet?.data?.length || 0, sheet?.rowLabels?.length || 0, 1);
+    const colCount = Math.max(sheet?.columns?.length || 0, sheet?.data?.[0]?.length || 0, 1);
+    const headers  = (prefix, limit, anywhere = false) => resolver
+        .suggest(prefix, { rowCount, colCount, limit, anywhere })
+        .map(([token, ref]) => ({ kind: SUGGESTION_KIND.HEADER, label: token, insert: token, detail: ref, description: "" }));
+
+    [...(sheet?.namedRanges || []), ...externalNames].forEach(range => {
+        if (!range?.name) return;
+        add({
+            kind:        SUGGESTION_KIND.NAME,
+            label:       range.name,
+            insert:      range.name,
+            detail:      range.refersTo,
+            description: range.sheetName ? `Defined on ${range.sheetName}` : "",
+        });
+    });
+
+    // Before the engine's list, which holds them too once they are registered
+    customFunctions.forEach(fn => {
+        add({
+            kind:        SUGGESTION_KIND.FUNCTION,
+            label:       fn.name,
+            insert:      `${fn.name}(`,
+            detail:      formatFunctionSignature(fn),
+            description: fn.description || `Workbook function, defined on ${fn.sheetName}.`,
+            isCustom:    true,
+        });
+    });
+
+    listFormulaFunctions().forEach(fn => {
+        add({
+            kind:        SUGGESTION_KIND.FUNCTION,
+            label:       fn.name,
+            insert:      `${fn.name}(`,
+            detail:      fn.signature,
+            description: fn.description,
+        });
+    });
+
+    return { list: candidates, headers };
+}
+
+// ── Token being typed at the caret ───────────────────────────────────────────
+// Returns { start, end, prefix } or null when the text is not a formula or
+// the caret is inside a "string literal".
+export function tokenAtCaret(text, caret) {
+    const value = String(text ?? "");
+    if (!value.startsWith("=")) return null;
+
+    const pos = Math.max(1, Math.min(caret ?? value.length, value.length));
+
+    // Odd number of quotes before the caret → inside a string
+    const quotes = (value.slice(0, pos).match(/"/g) || []).length;
+    if (quotes % 2 === 1) return null;
+
+    let start = pos;
+    while (start > 1 && TOKEN_CHAR.test(value[start - 1])) start--;
+
+    // Inside an open bracket part ([Net Reve|) the token starts before "["
+    const bracket = openBracketAt(value, pos);
+    if (bracket !== -1) {
+        start = bracket;
+        while (start > 1 && TOKEN_CHAR.test(value[start - 1])) start--;
+    }
+
+    // A sheet-qualified reference (Expenses!Cost_Q3) belongs to another sheet
+    if (value[start - 1] === "!") return null;
+
+    // A number is not worth suggesting for, and nothing is suggested right
+    // after a value (=SUM(A1)| or ="x"|) — only after =, ( or an operator
+    const prefix = value.slice(start, pos);
+    if (/^[0-9.$]/.test(prefix)) return null;
+    if (!prefix && !OPERAND_START.test(value[start - 1])) return null;
+
+    return { start, end: pos, prefix };
+}
+
+// ── Filter candidates for a prefix ───────────────────────────────────────────
+// candidates — buildFormulaCandidates()
+// Prefix matches come first, then matches anywhere in the label.
+// An empty prefix (right after =, ( or an operator) lists header tokens,
+// names, workbook functions and the most common built-in functions.
+export function filterSuggestions(candidates, prefix, limit = MAX_SUGGESTIONS) {
+    const { list = [], headers = () => [] } = candidates || {};
+    const needle = String(prefix ?? "").toLowerCase();
+
+    if (!needle) {
+        return [
+            ...headers("", limit),
+            ...list.filter(c => c.kind !== SUGGESTION_KIND.FUNCTION || c.isCustom || FUNCTION_DOCS[c.label]),
+        ].slice(0, limit);
+    }
+
+    // A header token typed in full is already complete
+    const starts   = headers(needle, limit + 1).filter(c => c.label.toLowerCase() !== needle);
+    const contains = [];
+    list.forEach(candidate => {
+        const label = candidate.label.toLowerCase();
+        if (label === needle && candidate.kind !== SUGGESTION_KIND.FUNCTION) return;   // already complete
+        if (label.startsWith(needle))     starts.push(candidate);
+        else if (label.includes(needle))  contains.push(candidate);
+    });
+    if (starts.length >= limit) return starts.slice(0, limit);
+
+    return [...starts, ...headers(needle, limit, true), ...contains].slice(0, limit);
+}
+
+// ── Insert a suggestion ──────────────────────────────────────────────────────
+// Replaces the token at the caret with the suggestion.
+// Returns { text, caret } — caret placed after the inserted text.
+export function applySuggestion(text, token, suggestion) {
+    const value = String(text ?? "");
+    let after  = value.slice(token.end);
+    let insert = suggestion.insert;
+    let skip   = 0;
+
+    if (insert.endsWith("(")) {
+        // Accepting SUM( in front of an existing "(" must not double it
+        if (after.startsWith("(")) { insert = insert.slice(0, -1); skip = 1; }
+    } else {
+        // Replace the rest of a partly typed token too: Rev|enue_Q1 → Revenue_Q1,
+        // [Net Rev|enue]_Q1 → [Net Revenue]_Q1
+        if (openBracketAt(value, token.end) !== -1) after = after.slice(after.indexOf("]") + 1);
+        while (after && (TOKEN_CHAR.test(after[0]) || after[0] === "[")) {
+            after = after[0] === "[" ? after.slice(after.indexOf("]") + 1 || after.length) : after.slice(1);
+        }
+    }
+
+    const before = value.slice(0, token.start) + insert;
+    return { text: before + after, caret: before.length + skip };
+}
+
+// ─── Private ──────────────────────────────────────────────────────────────────
+
+// Index of the "[" of a bracket part still open at pos, or -1
+function openBracketAt(text, pos) {
+    const open  = text.lastIndexOf("[", pos - 1);
+    const close = text.lastIndexOf("]", pos - 1);
+    return open > close ? open : -1;
+}
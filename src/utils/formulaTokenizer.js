@@ -0,0 +1,168 @@
+/**
+ * formulaTokenizer.js
+ *
+ * Splits a formula into tokens so references can be rewritten without
+ * touching anything else:
+ *
+ *   =SUM(Budget!Revenue_Q1:Revenue_Q4, "Revenue_Q1") * $B$2
+ *
+ *   operator "="   function "SUM"   paren "("
+ *   reference Budget!Revenue_Q1 (sheet "Budget")   operator ":"   reference Revenue_Q4
+ *   separator ","  whitespace  string "\"Revenue_Q1\""  paren ")"
+ *   whitespace  operator "*"  whitespace  reference $B$2
+ *
+ * Joining every token's text gives back the formula exactly as typed, so a
+ * formula that cannot be fully read (unterminated string, stray character)
+ * still round-trips — the unreadable part just becomes "unknown" tokens.
+ *
+ * Header tokens may bracket-quote a part that is not a plain name — spaces,
+ * symbols, a leading digit: [Net Revenue]_[Q1 2025], [Cost (EUR)]_Q1,
+ * Revenue_[Q1 2025]. A "]" inside brackets is doubled: [a]]b] → a]b.
+ * Either part may carry a "$" like an A1 reference: $Revenue_$Q1.
+ * Names may use any Unicode letter (Umsätze_Q1, الإيرادات_Q1).
+ *
+ * mapReferences is the rewriting entry point used by formulaTranslator: it
+ * visits every reference, with a range (A:B, 2:3, Sheet!A1:B2) as one unit whose
+ * end inherits the start's sheet, and never sees function names, numbers,
+ * error literals or text inside strings.
+ */
+
+export const TOKEN_TYPE = {
+    WHITESPACE: "whitespace",
+    STRING:     "string",
+    NUMBER:     "number",
+    ERROR:      "error",
+    FUNCTION:   "function",
+    REFERENCE:  "reference",
+    OPERATOR:   "operator",
+    PAREN:      "paren",
+    SEPARATOR:  "separator",
+    UNKNOWN:    "unknown",
+};
+
+const NAME_START = String.raw`\p{L}_\\`;
+const NAME_CHARS = String.raw`\p{L}\p{M}\p{N}_.`;
+const BRACKETED  = String.raw`\[(?:[^\]]|\]\])*\]`;
+
+// [Col]_Row, [Col]_[Row], Col_[Row], or a plain name / $A$1 — header parts
+// may be marked absolute: $[Col]_$[Row], $Col_$Row
+const NAME = String.raw`\$?${BRACKETED}(?:_\$?(?:${BRACKETED}|[${NAME_CHARS}]+))?` +
+    String.raw`|\$?[${NAME_START}][${NAME_CHARS}$]*(?:(?<=_\$?)${BRACKETED})?`;
+
+const TOKEN_PATTERN = new RegExp([
+    String.raw`(?<whitespace>\s+)`,
+    // "" is an escaped quote; an unterminated string runs to the end
+    String.raw`(?<string>"(?:[^"]|"")*"?)`,
+    String.raw`(?<error>#(?:NULL!|DIV\/0!|VALUE!|REF!|NAME\?|NUM!|N\/A|CYCLE!|ERROR!|SPILL!|LIC!|CALC!))`,
+    // Row numbers around ":" are a row range (2:3, $2:$3), not numbers
+    String.raw`(?<rows>\$?[0-9]+(?=:\$?[0-9])|(?<=[0-9]:)\$?[0-9]+)`,
+    String.raw`(?<number>(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)(?:[eE][+-]?[0-9]+)?)`,
+    // Sheet!Name, 'My Sheet'!Name, Sheet!$A$1, Sheet!1 (row range), Sheet!#REF!
+    String.raw`(?<sheet>'(?:[^']|'')+'|[${NAME_START}][${NAME_CHARS}]*)!(?<qualified>${NAME}|\$?[${NAME_CHARS}$]+|#REF!)`,
+    // Name, $A$1, A$1 — a function when "(" follows
+    String.raw`(?<name>${NAME})`,
+    String.raw`(?<operator><>|<=|>=|[-+*/^&=<>%:])`,
+    String.raw`(?<paren>[(){}])`,
+    String.raw`(?<separator>[,;])`,
+    String.raw`(?<unknown>[\s\S])`,
+].join("|"), "uy");
+
+const CALL_PATTERN = /\s*\(/y;
+
+// ── Tokenize ─────────────────────────────────────────────────────────────────
+// Returns [{ type, text, start, end }]. References also carry
+//   sheet     — the unquoted sheet name, or null when unqualified
+//   sheetText — the qualifier as typed ('My Sheet'), or null
+//   name      — the part after "!" (the whole text when unqualified)
+// Functions carry name (upper-cased).
+export function tokenizeFormula(formula) {
+    const text   = String(formula ?? "");
+    const tokens = [];
+
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < text.length) {
+        const start  = TOKEN_PATTERN.lastIndex;
+        const match  = TOKEN_PATTERN.exec(text);
+        const groups = match.groups;
+        const token  = { type: TOKEN_TYPE.UNKNOWN, text: match[0], start, end: start + match[0].length };
+
+        if (groups.whitespace !== undefined)     token.type = TOKEN_TYPE.WHITESPACE;
+        else if (groups.string !== undefined)    token.type = TOKEN_TYPE.STRING;
+        else if (groups.error !== undefined)     token.type = TOKEN_TYPE.ERROR;
+        else if (groups.number !== undefined)    token.type = TOKEN_TYPE.NUMBER;
+        else if (groups.rows !== undefined) {
+            Object.assign(token, { type: TOKEN_TYPE.REFERENCE, sheet: null, sheetText: null, name: groups.rows });
+        }
+        else if (groups.sheet !== undefined) {
+            Object.assign(token, {
+                type:      TOKEN_TYPE.REFERENCE,
+                sheet:     unquoteSheetName(groups.sheet),
+                sheetText: groups.sheet,
+                name:      groups.qualified,
+            });
+        } else if (groups.name !== undefined) {
+            CALL_PATTERN.lastIndex = token.end;
+            Object.assign(token, !token.text.includes("[") && CALL_PATTERN.test(text)
+                ? { type: TOKEN_TYPE.FUNCTION, name: groups.name.toUpperCase() }
+                : { type: TOKEN_TYPE.REFERENCE, sheet: null, sheetText: null, name: groups.name });
+        }
+        else if (groups.operator !== undefined)  token.type = TOKEN_TYPE.OPERATOR;
+        else if (groups.paren !== undefined)     token.type = TOKEN_TYPE.PAREN;
+        else if (groups.separator !== undefined) token.type = TOKEN_TYPE.SEPARATOR;
+
+        tokens.push(token);
+    }
+
+    return tokens;
+}
+
+// ── Rewrite references ───────────────────────────────────────────────────────
+// Calls rewrite(reference) for every reference, where reference is
+//   { start, end, text }
+//   start / end — { name, sheet, sheetText }; end is null for a single cell.
+//                 sheet is the sheet the part points at (an unqualified range
+//                 end inherits it from the start), sheetText only what was typed.
+// and substitutes what it returns (undefined keeps the reference as typed).
+// Only formulas ("=...") are rewritten.
+export function mapReferences(formula, rewrite) {
+    if (typeof formula !== "string" || !formula.startsWith("=")) return formula;
+
+    const tokens = tokenizeFormula(formula);
+    let result   = "";
+    let changed  = false;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type !== TOKEN_TYPE.REFERENCE) { result += token.text; continue; }
+
+        const start = { name: token.name, sheet: token.sheet, sheetText: token.sheetText };
+        let end     = null;
+        let text    = token.text;
+
+        const colon = tokens[i + 1];
+        const next  = tokens[i + 2];
+        if (colon?.type === TOKEN_TYPE.OPERATOR && colon.text === ":" && next?.type === TOKEN_TYPE.REFERENCE) {
+            end  = { name: next.name, sheet: next.sheet ?? token.sheet, sheetText: next.sheetText };
+            text = token.text + colon.text + next.text;
+            i   += 2;
+        }
+
+        const rewritten = rewrite({ start, end, text });
+        if (rewritten !== undefined && rewritten !== text) changed = true;
+        result += rewritten ?? text;
+    }
+
+    return changed ? result : formula;
+}
+
+// ── Reference part back to text ──────────────────────────────────────────────
+// Keeps the qualifier exactly as typed: formatReferencePart({ sheetText: "'Net Sales'" }, "B2") → 'Net Sales'!B2
+export function formatReferencePart(part, name) {
+    return part.sheetText ? `${part.sheetText}!${name}` : name;
+}
+
+// 'Net Sales' → Net Sales, 'Bob''s' → Bob's
+export function unquoteSheetName(name) {
+    if (name.startsWith("'") && name.endsWith("'")) return name.slice(1, -1).replace(/''/g, "'");
+    return name;
+}
@@ -8,14 +8,26 @@
  *   ColumnHeader_RowHeader  → cell reference  e.g. Revenue_Q1 → A1
  *   ColumnHeader_RowNumber  → cell reference  e.g. Revenue_1  → A1
  *   ColumnLetter_RowHeader  → cell reference  e.g. A_Q1       → A1
+ *   Sheet!Token             → other sheet      e.g. Expenses!Cost_Q3    → Expenses!B3
+ *   'Sheet Name'!Token      → quoted name      e.g. 'Net Sales'!Total_Q4 → 'Net Sales'!D4
+ *   [Header]_[Label]        → bracketed parts  e.g. [Net Revenue]_[Q1 2025] → A1
  *
  * RULES:
  *   - Separator is always underscore (_)
+ *   - Headers / labels with spaces, symbols or a leading digit are bracketed,
+ *     either part or both: [Cost (EUR)]_Q1, Revenue_[Q1 2025], [2025]_3.
+ *     Names in any script work unbracketed: Umsätze_Q1, الإيرادات_Q1
  *   - Works with any HF formula: =SUM, =AVERAGE, =IF, =VLOOKUP etc.
  *   - Ranges work:  Revenue_Q1:Revenue_Q4 → A1:A4
  *   - Mixed refs:   Revenue_Q1 + B2 → A1 + B2 (A1 notation still works)
  *   - Case sensitive — header names must match exactly as configured
  *   - If no match found, token is left unchanged (safe fallback)
+ *   - Only references are looked at (formulaTokenizer) — function names and
+ *     text inside "..." are never rewritten, even when they match a header
+ *   - Sheet-qualified tokens resolve against THAT sheet's columns and
+ *     rowLabels (sheetResolvers); sheet names match case-insensitively, as in HF
+ *   - In a qualified range (Expenses!Cost_Q1:Cost_Q4) the end token belongs
+ *     to the same sheet as the start
  *
  * EXAMPLES:
  *   columns:   [{ header: "Revenue" }, { header: "Cost" }, { header: "Profit" }]
@@ -29,6 +41,9 @@
  *   =A_Q1 + B_Q2                       → =A1 + B2
  */
 
+import { mapReferences, formatReferencePart } from "./formulaTokenizer";
+import { letterToColIndex } from "./helpers";
+
 // ── Column index → spreadsheet letter(s) ─────────────────────────────────────
 // 0 → A, 1 → B, 25 → Z, 26 → AA, 27 → AB ...
 export function columnIndexToLetter(index) {
@@ -41,114 +56,578 @@ export function columnIndexToLetter(index) {
     return letter;
 }
 
-// ── Build reference map ───────────────────────────────────────────────────────
-// Returns a Map of "token" → "A1ref"
-// Called once per render when columns or rowLabels change.
+// ── Header reference resolver ────────────────────────────────────────────────
+// Resolves "token" → "A1ref" on demand instead of listing every combination
+// up front, so it costs the same for 10 rows or 10,000. Built once per
+// columns / rowLabels change; each token is resolved once and cached.
 //
-// Generates all valid token combinations:
+// Token forms, in order of precedence (the first column / row with a given
+// header or label wins):
 //   ColumnHeader_RowHeader  e.g. Revenue_Q1
 //   ColumnHeader_RowNumber  e.g. Revenue_1
 //   ColumnLetter_RowHeader  e.g. A_Q1
+// Headers may contain "_" themselves (Net_Sales_Q1), so every split is tried.
+// A bracketed part is taken literally: [Net Revenue]_[Q1 2025].
+// "$" marks a part absolute as in $A$1 — before the column part or right
+// after the "_": $Revenue_Q1, Revenue_$Q1, $[Net Revenue]_$[Q1 2025].
 //
-export function buildHeaderRefMap(columns, rowLabels) {
-    const map = new Map();
+// Returns {
+//   get(token)      → "A1" or undefined
+//   has(token)
+//   describe(token) → { ref, col, row, usesHeader, usesLabel, colAbsolute,
+//                     rowAbsolute } or undefined — which parts of the token
+//                     were header / label names, and which were marked "$"
+//                     (ref itself is always relative, like get)
+//   isEmpty         → true when no header or row label is configured
+//   parts()         → { headers, labels } — the configured names
+//   suggest(prefix, { rowCount, colCount, limit, anywhere }) → [[token, ref]]
+//                     for suggestions: tokens starting with prefix (anywhere —
+//                     containing it after the start), built from the headers
+//                     and labels that match it, at most limit of them
+// }
+const ROW_NUMBER     = /^[1-9][0-9]{0,6}$/;
+const COLUMN_LETTERS = /^[A-Z]{1,3}$/;
+
+export function createHeaderResolver(columns, rowLabels) {
+    const headers = new Map();   // header → column index
+    const labels  = new Map();   // row label → row index
 
-    const cols = Array.isArray(columns)   ? columns   : [];
-    const rows = Array.isArray(rowLabels) ? rowLabels : [];
+    (Array.isArray(columns) ? columns : []).forEach((col, colIndex) => {
+        const header = col?.header ? String(col.header).trim() : "";
+        if (header && !headers.has(header)) headers.set(header, colIndex);
+    });
+    (Array.isArray(rowLabels) ? rowLabels : []).forEach((label, rowIndex) => {
+        const text = label ? String(label).trim() : "";
+        if (text && !labels.has(text)) labels.set(text, rowIndex);
+    });
 
-    const colCount = cols.length;
-    const rowCount = rows.length;
+    const cache = new Map();
+    const toRef = (colIndex, rowIndex) => `${columnIndexToLetter(colIndex)}${rowIndex + 1}`;
+    const hit   = (col, row, usesHeader, usesLabel) => ({ ref: toRef(col, row), col, row, usesHeader, usesLabel });
 
-    cols.forEach((col, colIndex) => {
-        const colHeader = col?.header ? String(col.header).trim() : "";
-        const colLetter = columnIndexToLetter(colIndex);
+    const resolve = (token) => {
+        const splits = splitHeaderToken(token);
 
-        // ── ColumnHeader_RowHeader  e.g. Revenue_Q1 → A1
-        if (colHeader && rowCount > 0) {
-            rows.forEach((rowLabel, rowIndex) => {
-                const rowLabelStr = rowLabel ? String(rowLabel).trim() : "";
-                if (!rowLabelStr) return;
+        for (const [colPart, rowPart] of splits) {
+            if (headers.has(colPart) && labels.has(rowPart)) return hit(headers.get(colPart), labels.get(rowPart), true, true);
+        }
+        for (const [colPart, rowPart] of splits) {
+            if (headers.has(colPart) && ROW_NUMBER.test(rowPart)) return hit(headers.get(colPart), Number(rowPart) - 1, true, false);
+        }
+        for (const [colPart, rowPart] of splits) {
+            if (COLUMN_LETTERS.test(colPart) && labels.has(rowPart)) return hit(letterToColIndex(colPart), labels.get(rowPart), false, true);
+        }
+        return undefined;
+    };
 
-                const token = `${colHeader}_${rowLabelStr}`;
-                const ref   = `${colLetter}${rowIndex + 1}`;
-                map.set(token, ref);
-            });
+    const describe = (token) => {
+        if (typeof token !== "string" || !token.includes("_")) return undefined;
+        if (!cache.has(token)) {
+            const { plain, colAbsolute, rowAbsolute } = splitAnchors(token);
+            const found = resolve(plain);
+            cache.set(token, found && { ...found, colAbsolute, rowAbsolute });
         }
+        return cache.get(token);
+    };
+
+    const get = (token) => describe(token)?.ref;
 
-        // ── ColumnHeader_RowNumber  e.g. Revenue_1 → A1
-        // Always available — user can mix header cols with row numbers
-        if (colHeader) {
-            for (let rowIndex = 0; rowIndex < Math.max(rowCount, 100); rowIndex++) {
-                const token = `${colHeader}_${rowIndex + 1}`;
-                const ref   = `${colLetter}${rowIndex + 1}`;
-                // Only add if not already covered by RowHeader variant
-                if (!map.has(token)) {
-                    map.set(token, ref);
-                }
+    // Column parts are headers (with labels and row numbers) and column
+    // letters (with labels); a part whose text matches the prefix takes every
+    // row, otherwise only the rows whose text continues it. Nothing is listed
+    // beyond limit, so a sheet of thousands of rows costs the same as ten.
+    const suggest = (prefix, { rowCount, colCount, limit, anywhere = false }) => {
+        const needle  = String(prefix ?? "").toLowerCase();
+        const list    = [];
+        const seen    = new Set();
+        // [label, rowIndex, label as written in a token, lower-cased]
+        const rows    = [...labels]
+            .filter(([, rowIndex]) => rowIndex < rowCount)
+            .map(([label, rowIndex]) => [label, rowIndex, formatHeaderToken("x", label).slice(2).toLowerCase()]);
+
+        // false once the list is full
+        const add = (colPart, colIndex, rowPart, rowIndex) => {
+            const token = formatHeaderToken(colPart, rowPart);
+            const ref   = toRef(colIndex, rowIndex);
+            if (!seen.has(token) && get(token) === ref) {
+                seen.add(token);
+                list.push([token, ref]);
+            }
+            return list.length < limit;
+        };
+        const addRows = (colPart, colIndex, labelRows, numbers) => {
+            for (const [label, rowIndex] of labelRows) {
+                if (!add(colPart, colIndex, label, rowIndex)) return false;
             }
+            return numbers === null || eachRowNumber(numbers, rowCount, n => add(colPart, colIndex, n, Number(n) - 1));
+        };
+
+        const columnParts = [
+            ...[...headers].filter(([, colIndex]) => colIndex < colCount).map(([part, colIndex]) => ({ part, colIndex, numbers: true })),
+            ...(labels.size === 0 ? [] : Array.from({ length: colCount }, (_, colIndex) => ({ part: columnIndexToLetter(colIndex), colIndex, numbers: false }))),
+        ];
+        const containing = anywhere ? rows.filter(row => row[2].includes(needle)) : [];
+
+        for (const { part, colIndex, numbers } of columnParts) {
+            const text  = `${formatHeaderToken(part, "1").slice(0, -2).toLowerCase()}_`;
+            let more    = true;
+            if (!anywhere && text.startsWith(needle)) {
+                more = addRows(part, colIndex, rows, numbers ? "" : null);
+            } else if (!anywhere && needle.startsWith(text)) {
+                const rest = needle.slice(text.length);
+                more = addRows(part, colIndex, rows.filter(row => row[2].startsWith(rest)), numbers ? rest : null);
+            } else if (anywhere && text.indexOf(needle) > 0) {
+                more = addRows(part, colIndex, rows, numbers ? "" : null);
+            } else if (anywhere && !text.startsWith(needle) && !needle.startsWith(text)) {
+                more = addRows(part, colIndex, containing, null);
+            }
+            if (!more) break;
+        }
+
+        return list;
+    };
+
+    return {
+        get,
+        has: (token) => get(token) !== undefined,
+        describe,
+        isEmpty: headers.size === 0 && labels.size === 0,
+        parts:   () => ({ headers: [...headers.keys()], labels: [...labels.keys()] }),
+        suggest,
+    };
+}
+
+// ── Header token text ────────────────────────────────────────────────────────
+// Brackets the parts that are not plain names:
+//   formatHeaderToken("Revenue", "Q1")            → Revenue_Q1
+//   formatHeaderToken("Net Revenue", "Q1 2025")   → [Net Revenue]_[Q1 2025]
+//   formatHeaderToken("Umsätze", "3")             → Umsätze_3
+//   formatHeaderToken("Revenue", "Q1", { rowAbsolute: true }) → Revenue_$Q1
+const PLAIN_COLUMN_PART = /^[\p{L}_][\p{L}\p{M}\p{N}_.]*$/u;
+const PLAIN_ROW_PART    = /^[\p{L}\p{M}\p{N}_.]+$/u;
+
+export function formatHeaderToken(colPart, rowPart, { colAbsolute = false, rowAbsolute = false } = {}) {
+    const bracket = (text) => `[${text.replace(/]/g, "]]")}]`;
+    const col = PLAIN_COLUMN_PART.test(colPart) ? colPart : bracket(colPart);
+    const row = PLAIN_ROW_PART.test(rowPart) ? rowPart : bracket(rowPart);
+    return `${colAbsolute ? "$" : ""}${col}_${rowAbsolute ? "$" : ""}${row}`;
+}
+
+// Calls visit(text) for the row numbers up to rowCount that start with
+// start ("" — all of them), in order: 1, 2, … or 1, 10-19, 100-199, …
+// Stops and returns false as soon as visit does.
+function eachRowNumber(start, rowCount, visit) {
+    if (!start) {
+        for (let n = 1; n <= rowCount; n++) if (!visit(String(n))) return false;
+        return true;
+    }
+    if (!ROW_NUMBER.test(start)) return true;
+    for (let lo = Number(start), hi = lo; lo <= rowCount; lo *= 10, hi = hi * 10 + 9) {
+        for (let n = lo; n <= Math.min(hi, rowCount); n++) if (!visit(String(n))) return false;
+    }
+    return true;
+}
+
+// $Revenue_$Q1 → { plain: "Revenue_Q1", colAbsolute: true, rowAbsolute: true }.
+// A "$" inside brackets is part of the name ([Cost_$]_Q1).
+const BRACKETED_PART = /\[(?:[^\]]|\]\])*\]/g;
+
+function splitAnchors(token) {
+    const colAbsolute = token.startsWith("$");
+    const rest        = colAbsolute ? token.slice(1) : token;
+    const rowAt       = rest.replace(BRACKETED_PART, part => " ".repeat(part.length)).indexOf("_$");
+    const rowAbsolute = rowAt > 0;
+    const plain       = rowAbsolute ? rest.slice(0, rowAt + 1) + rest.slice(rowAt + 2) : rest;
+    return { plain, colAbsolute, rowAbsolute };
+}
+
+// A1 text of a describe() result, with the token's "$" markers
+function anchoredRef({ col, row, colAbsolute, rowAbsolute }) {
+    return `${colAbsolute ? "$" : ""}${columnIndexToLetter(col)}${rowAbsolute ? "$" : ""}${row + 1}`;
+}
+
+// Every [colPart, rowPart] a token can be read as — one when a part is
+// bracketed, otherwise one per "_"
+function splitHeaderToken(token) {
+    const unbracket = (text) => text.slice(1, -1).replace(/]]/g, "]");
+    const closing   = (text) => {
+        for (let i = 1; i < text.length; i++) {
+            if (text[i] !== "]") continue;
+            if (text[i + 1] === "]") { i++; continue; }
+            return i;
         }
+        return -1;
+    };
+    const rowOf = (text) => {
+        if (!text.startsWith("[")) return text;
+        return closing(text) === text.length - 1 ? unbracket(text) : null;
+    };
+
+    if (token.startsWith("[")) {
+        const close = closing(token);
+        const row   = close > 0 && token[close + 1] === "_" ? rowOf(token.slice(close + 2)) : null;
+        return row ? [[unbracket(token.slice(0, close + 1)), row]] : [];
+    }
+
+    const bracketAt = token.indexOf("_[");
+    if (bracketAt > 0) {
+        const row = rowOf(token.slice(bracketAt + 1));
+        return row ? [[token.slice(0, bracketAt), row]] : [];
+    }
+
+    const splits = [];
+    for (let at = token.indexOf("_"); at > 0; at = token.indexOf("_", at + 1)) {
+        splits.push([token.slice(0, at), token.slice(at + 1)]);
+    }
+    return splits;
+}
+
+// ── Resolvers for every sheet ────────────────────────────────────────────────
+// Returns { size, get(sheetName) } — get() creates a sheet's resolver on
+// first use and caches it.
+//
+//   sheets  — [{ sheetName, columns, rowLabels }] (allSheetsJson / workbook)
+//   current — optional { sheetName, resolver } for the displayed sheet, whose
+//             columns may be newer than the entry in `sheets`
+//
+export function buildSheetResolvers(sheets, current = null) {
+    const configs = new Map();
+    (Array.isArray(sheets) ? sheets : []).forEach(sheet => {
+        if (sheet?.sheetName) configs.set(String(sheet.sheetName).toLowerCase(), sheet);
     });
 
-    // ── ColumnLetter_RowHeader  e.g. A_Q1 → A1
-    // Available when row headers configured but columns use default letters
-    if (rowCount > 0) {
-        rows.forEach((rowLabel, rowIndex) => {
-            const rowLabelStr = rowLabel ? String(rowLabel).trim() : "";
-            if (!rowLabelStr) return;
-
-            // Support up to 26*26 columns (ZZ)
-            for (let colIndex = 0; colIndex < 702; colIndex++) {
-                const colLetter = columnIndexToLetter(colIndex);
-                const token     = `${colLetter}_${rowLabelStr}`;
-                const ref       = `${colLetter}${rowIndex + 1}`;
-                if (!map.has(token)) {
-                    map.set(token, ref);
-                }
-            }
-        });
+    const cache = new Map();
+    if (current?.sheetName) {
+        const key = String(current.sheetName).toLowerCase();
+        cache.set(key, current.resolver);
+        if (!configs.has(key)) configs.set(key, current);
     }
 
-    return map;
+    return {
+        size: configs.size,
+        get(sheetName) {
+            const key = String(sheetName).toLowerCase();
+            if (!cache.has(key)) {
+                const sheet = configs.get(key);
+                if (!sheet) return undefined;
+                cache.set(key, createHeaderResolver(sheet.columns, sheet.rowLabels));
+            }
+            return cache.get(key);
+        },
+    };
 }
 
 // ── Translate a formula string ────────────────────────────────────────────────
 // Replaces all header reference tokens with A1 notation.
 // Leaves everything else (operators, function names, strings, numbers) intact.
 //
-// Strategy:
-//   1. Only process strings starting with "="
-//   2. Tokenise: split on formula delimiters (, ; : ( ) + - * / ! space)
-//      but keep delimiters in result so we can reconstruct
-//   3. For each token, check if it exists in the map
-//   4. If yes, replace with A1 ref
-//   5. Reconstruct the formula
+//   resolver       — this sheet's createHeaderResolver, for unqualified tokens
+//   sheetResolvers — buildSheetResolvers, for Sheet!Token (optional)
 //
-export function translateFormula(formula, refMap) {
+// Sheet-qualified tokens (Sheet!Token, 'My Sheet'!Token) are resolved on
+// that sheet; the end of a qualified range (Sheet!A_Q1:A_Q4) on the same one.
+//
+export function translateFormula(formula, resolver, sheetResolvers = null) {
     if (!formula || typeof formula !== "string") return formula;
     if (!formula.startsWith("=")) return formula;
-    if (!refMap || refMap.size === 0) return formula;
-
-    // Regex: split on formula structural characters but keep them
-    // Captures: ( ) , ; : + - * / space ! = < > " '
-    // We keep quoted strings intact (don't translate inside "...")
-    const result = formula.replace(
-        /("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[A-Za-z_][A-Za-z0-9_]*)/g,
-        (match) => {
-            // Skip quoted strings
-            if (match.startsWith('"') || match.startsWith("'")) return match;
-            // Check if this token is in the map
-            const translated = refMap.get(match);
-            return translated !== undefined ? translated : match;
-        }
-    );
+    const hasLocal  = resolver && !resolver.isEmpty;
+    const hasSheets = sheetResolvers && sheetResolvers.size > 0;
+    if (!hasLocal && !hasSheets) return formula;
 
-    return result;
+    // $Revenue_Q1 → $C2: the "$" markers carry over to the A1 reference
+    const resolve = (part) => {
+        const source = part.sheet === null ? (hasLocal ? resolver : null) : (hasSheets ? sheetResolvers.get(part.sheet) : null);
+        const found  = source?.describe(part.name);
+        return found ? anchoredRef(found) : part.name;
+    };
+
+    return mapReferences(formula, ({ start, end }) => {
+        const first = formatReferencePart(start, resolve(start));
+        return end ? `${first}:${formatReferencePart(end, resolve(end))}` : first;
+    });
 }
 
 // ── Convenience: translate if formula, passthrough otherwise ─────────────────
-export function maybeTranslate(value, refMap) {
+export function maybeTranslate(value, resolver, sheetResolvers = null) {
     if (typeof value === "string" && value.startsWith("=")) {
-        return translateFormula(value, refMap);
+        return translateFormula(value, resolver, sheetResolvers);
     }
     return value;
-}
\ No newline at end of file
+}
+
+// ── Translate every formula in a 2D data array ───────────────────────────────
+// Used for sheets that are loaded straight into HyperFormula (other tabs,
+// allSheetsJson), which never pass through SheetGrid's translation.
+export function translateSheetData(data, resolver, sheetResolvers = null) {
+    if (!Array.isArray(data)) return data;
+    return data.map(row =>
+        Array.isArray(row) ? row.map(value => maybeTranslate(value, resolver, sheetResolvers)) : row
+    );
+}
+
+// ── Rewrite header tokens ────────────────────────────────────────────────────
+// Calls renameToken(token, sheetName) for every header-style token and
+// substitutes what it returns (undefined keeps the token). sheetName is the
+// unquoted qualifier of Sheet!Token, or null for an unqualified token.
+// Strings, numbers, operators and function names are left exactly as typed.
+//
+//   rewriteHeaderTokens("=SUM(Revenue_Q1:Revenue_Q4)", t => t.replace("Revenue", "Sales"))
+//     → "=SUM(Sales_Q1:Sales_Q4)"
+//
+export function rewriteHeaderTokens(formula, renameToken) {
+    return mapReferences(formula, ({ start, end }) => {
+        const newStart = renameToken(start.name, start.sheet);
+        const newEnd   = end ? renameToken(end.name, end.sheet) : undefined;
+        if (newStart === undefined && newEnd === undefined) return undefined;
+
+        // A deleted cell is a bare #REF! — Sheet!#REF! does not parse
+        if (newStart === "#REF!" || newEnd === "#REF!") return "#REF!";
+
+        const first = formatReferencePart(start, newStart ?? start.name);
+        return end ? `${first}:${formatReferencePart(end, newEnd ?? end.name)}` : first;
+    });
+}
+
+// ── Token renames for a header / row label change ────────────────────────────
+// before / after — { columns, rowLabels } of one sheet, before and after an
+// edit. Returns renameToken(token) → the token that points at the same cell
+// under the new headers, or undefined when the token is unaffected.
+//
+// The token keeps its form: Revenue_Q1 → Sales_Q1, Revenue_3 → Sales_3,
+// A_Q1 → A_First. When the new headers cannot express it (header cleared,
+// or the new name collides with another one) it falls back to plain A1.
+//
+// moveColumn (optional) maps an old column index to its new one, or -1 when
+// the column was deleted — tokens for deleted cells become #REF!.
+//
+export function buildHeaderRenamer(before, after, moveColumn = null) {
+    const oldMap   = createHeaderResolver(before?.columns, before?.rowLabels);
+    const newMap   = createHeaderResolver(after?.columns, after?.rowLabels);
+    const partOf   = (list, index, key) => String((key ? list?.[index]?.[key] : list?.[index]) ?? "").trim();
+
+    return (token) => {
+        const found = oldMap.describe(token);
+        if (!found) return undefined;
+        const { col, row, usesHeader, usesLabel, colAbsolute, rowAbsolute } = found;
+
+        const newCol = moveColumn ? moveColumn(col) : col;
+        if (newCol < 0) return "#REF!";
+        const newLetters = columnIndexToLetter(newCol);
+        const newRef     = `${newLetters}${row + 1}`;
+
+        const newHeader = partOf(after?.columns, newCol, "header");
+        const newLabel  = partOf(after?.rowLabels, row);
+
+        const colPart = usesHeader && newHeader ? newHeader : newLetters;
+        const rowPart = usesLabel  && newLabel  ? newLabel  : String(row + 1);
+
+        // Nothing about this cell changed and the token still finds it — keep
+        // it as typed ([Revenue]_[Q1] is not rewritten to Revenue_Q1)
+        const oldColPart = usesHeader ? partOf(before?.columns, col, "header") : columnIndexToLetter(col);
+        const oldRowPart = usesLabel  ? partOf(before?.rowLabels, row)        : String(row + 1);
+        if (newCol === col && colPart === oldColPart && rowPart === oldRowPart && newMap.get(token) === newRef) return undefined;
+
+        // "$" markers are kept, on the token or on its A1 fallback
+        const asToken = (colPart !== newLetters || rowPart !== String(row + 1)) && newMap.get(formatHeaderToken(colPart, rowPart)) === newRef;
+        const renamed = asToken
+            ? formatHeaderToken(colPart, rowPart, { colAbsolute, rowAbsolute })
+            : anchoredRef({ col: newCol, row, colAbsolute, rowAbsolute });
+
+        return renamed === token ? undefined : renamed;
+    };
+}
+
+// ── Offset relative A1 references ────────────────────────────────────────────
+// Moves every relative A1 reference in a formula by rowOffset / colOffset,
+// the same way Excel adjusts a formula that is pasted somewhere else.
+// Absolute parts ($A, $1) stay put; column ranges (A:C) move sideways only,
+// row ranges (2:3) up and down only.
+// References pushed off the sheet become #REF!. Text inside "..." is never
+// touched.
+//
+//   offsetFormulaReferences("=A1*$B$2+C3", 2, 1)     → "=B3*$B$2+D5"
+//   offsetFormulaReferences("=SUM(A:A)+B2", 2, 1)    → "=SUM(B:B)+C4"
+//   offsetFormulaReferences("=SUM(2:3)", 2, 1)       → "=SUM(4:5)"
+//
+const A1_REF      = /^(\$?)([A-Za-z]{1,3})(\$?)([0-9]+)$/;
+const COLUMN_ONLY = /^(\$?)([A-Za-z]{1,3})$/;
+const ROW_ONLY    = /^(\$?)([0-9]+)$/;
+
+export function offsetFormulaReferences(formula, rowOffset, colOffset) {
+    if (!rowOffset && !colOffset) return formula;
+
+    const offset = (name) => {
+        const [, colAbs, letters, rowAbs, digits] = A1_REF.exec(name);
+        const newCol = colAbs ? letterToColIndex(letters.toUpperCase()) : letterToColIndex(letters.toUpperCase()) + colOffset;
+        const newRow = rowAbs ? parseInt(digits, 10) - 1 : parseInt(digits, 10) - 1 + rowOffset;
+        return newCol < 0 || newRow < 0 ? null : `${colAbs}${columnIndexToLetter(newCol)}${rowAbs}${newRow + 1}`;
+    };
+    const offsetColumn = (name) => {
+        const [, colAbs, letters] = COLUMN_ONLY.exec(name);
+        const newCol = letterToColIndex(letters.toUpperCase()) + (colAbs ? 0 : colOffset);
+        return newCol < 0 ? null : `${colAbs}${columnIndexToLetter(newCol)}`;
+    };
+    const offsetRow = (name) => {
+        const [, rowAbs, digits] = ROW_ONLY.exec(name);
+        const newRow = parseInt(digits, 10) - 1 + (rowAbs ? 0 : rowOffset);
+        return newRow < 0 ? null : `${rowAbs}${newRow + 1}`;
+    };
+
+    return mapReferences(formula, ({ start, end }) => {
+        if (end && COLUMN_ONLY.test(start.name) && COLUMN_ONLY.test(end.name)) {
+            const first = offsetColumn(start.name);
+            const last  = offsetColumn(end.name);
+            if (first === null || last === null) return "#REF!";
+            return `${formatReferencePart(start, first)}:${formatReferencePart(end, last)}`;
+        }
+        if (end && ROW_ONLY.test(start.name) && ROW_ONLY.test(end.name)) {
+            const first = offsetRow(start.name);
+            const last  = offsetRow(end.name);
+            if (first === null || last === null) return "#REF!";
+            return `${formatReferencePart(start, first)}:${formatReferencePart(end, last)}`;
+        }
+
+        const startIsCell = A1_REF.test(start.name);
+        const endIsCell   = end ? A1_REF.test(end.name) : false;
+        if (!startIsCell && !endIsCell) return undefined;
+
+        const first = startIsCell ? offset(start.name) : start.name;
+        const last  = endIsCell ? offset(end.name) : end?.name;
+        if (first === null || last === null) return "#REF!";
+
+        const text = formatReferencePart(start, first);
+        return end ? `${text}:${formatReferencePart(end, last)}` : text;
+    });
+}
+
+// ── Put a value in place of a cell reference ────────────────────────────────
+// Replaces every unqualified single-cell reference to (row, col) — relative
+// or absolute — with literal, so a formula can be tried against a value that
+// is not in the cell yet (data validation). Ranges are left alone.
+//
+//   replaceCellReference("=AND(B2>0, B2<=$C$1)", 1, 1, "42")  → "=AND(42>0, 42<=$C$1)"
+//
+export function replaceCellReference(formula, row, col, literal) {
+    return mapReferences(formula, ({ start, end }) => {
+        if (end || start.sheet !== null) return undefined;
+        const match = A1_REF.exec(start.name);
+        if (!match) return undefined;
+        const [, , letters, , digits] = match;
+        return letterToColIndex(letters.toUpperCase()) === col && parseInt(digits, 10) - 1 === row ? literal : undefined;
+    });
+}
+
+// ── Follow a column insert / delete / move ──────────────────────────────────
+// Rewrites the A1 references that point at the changed sheet the way Excel
+// does for a structural change: moveColumn maps an old column index to its
+// new one, or -1 when the column was deleted. Absolute columns move too —
+// $ only pins a reference when it is copied, not when its cell moves.
+//
+//   isTarget(sheetName) — true when references qualified with sheetName (or
+//                         unqualified ones, sheetName null) point at the
+//                         changed sheet
+//
+// A reference to a deleted cell becomes #REF!. A range loses deleted columns
+// at its ends, and only becomes #REF! when all of it is deleted:
+//
+//   delete column B:  =A1+B1+C1 → =A1+#REF!+B1    =SUM(A1:C1) → =SUM(A1:B1)
+//   move B after D:   =SUM(A1:B1)*$C$2 → =SUM(A1:D1)*$B$2
+//
+const COLUMN_REF = /^(\$?)([A-Za-z]{1,3})((?:\$?[0-9]+)?)$/;
+
+export function moveColumnReferences(formula, moveColumn, isTarget) {
+    return mapReferences(formula, ({ start, end }) => {
+        const first = parseColumnRef(start.name);
+        const last  = end ? parseColumnRef(end.name) : null;
+        if (!first || (end && !last)) return undefined;
+        // Bare letters only count as a column range (A:C) — SUM, TRUE, Tax are names
+        if (!first.digits !== (last ? !last.digits : false)) return undefined;
+        if (!isTarget(start.sheet)) return undefined;
+
+        if (!last) {
+            const col = moveColumn(first.col);
+            return col < 0 ? "#REF!" : formatReferencePart(start, formatColumnRef(first, col));
+        }
+
+        // Deleted ends move inwards to the nearest surviving column
+        const lo = Math.min(first.col, last.col);
+        const hi = Math.max(first.col, last.col);
+        let newLo = -1;
+        let newHi = -1;
+        for (let c = lo; c <= hi && newLo < 0; c++) newLo = moveColumn(c);
+        for (let c = hi; c >= lo && newHi < 0; c--) newHi = moveColumn(c);
+        if (newLo < 0 || newHi < 0) return "#REF!";
+
+        const [from, to] = first.col <= last.col ? [first, last] : [last, first];
+        return `${formatReferencePart(start, formatColumnRef(from, Math.min(newLo, newHi)))}:` +
+            formatReferencePart(end, formatColumnRef(to, Math.max(newLo, newHi)));
+    });
+}
+
+// "$B12" → { colAbs: "$", col: 1, digits: "12" }, null when not A1-shaped
+function parseColumnRef(name) {
+    const match = COLUMN_REF.exec(name);
+    if (!match) return null;
+    const [, colAbs, letters, digits] = match;
+    return { colAbs, col: letterToColIndex(letters.toUpperCase()), digits };
+}
+
+function formatColumnRef(ref, col) {
+    return `${ref.colAbs}${columnIndexToLetter(col)}${ref.digits}`;
+}
+
+// ── Anchor A1 references to a sheet ─────────────────────────────────────────
+// Makes every A1 reference absolute and qualifies unqualified ones with
+// sheetName — the form HyperFormula needs for named expressions, which
+// have no "current cell" to be relative to. The end of a range (A1:B2)
+// inherits the start's sheet. Text in "..." and quoted sheet names are kept.
+//
+//   anchorFormulaReferences("=A1*2+Other!B2", "Net Sales")
+//     → "='Net Sales'!$A$1*2+Other!$B$2"
+//
+export function anchorFormulaReferences(formula, sheetName) {
+    const qualifier = `'${String(sheetName).replace(/'/g, "''")}'`;
+    const absolute  = (name) => {
+        const match = A1_REF.exec(name);
+        return match ? `$${match[2].toUpperCase()}$${match[4]}` : name;
+    };
+
+    return mapReferences(formula, ({ start, end }) => {
+        if (!A1_REF.test(start.name) && !(end && A1_REF.test(end.name))) return undefined;
+
+        const first = formatReferencePart({ sheetText: start.sheetText ?? qualifier }, absolute(start.name));
+        return end ? `${first}:${formatReferencePart(end, absolute(end.name))}` : first;
+    });
+}
+
+// ── Rename sheets in references ──────────────────────────────────────────────
+// renames — Map of old name → new name, all applied at once (so A → B and
+// B → C do not chain). Old names match case-insensitively, as in HF; new ones
+// are quoted when they are not a plain name. Either end of a range may be
+// qualified; unqualified parts and everything else are kept as typed.
+//
+//   renameSheetReferences("=Budget!A1+budget!Cost_Q3", new Map([["Budget", "Net Budget"]]))
+//     → "='Net Budget'!A1+'Net Budget'!Cost_Q3"
+//
+const PLAIN_SHEET_NAME = /^[\p{L}_][\p{L}\p{M}\p{N}_.]*$/u;
+
+export function renameSheetReferences(formula, renames) {
+    const qualifiers = new Map();
+    renames.forEach((newName, oldName) => {
+        const text = String(newName);
+        qualifiers.set(String(oldName).toLowerCase(), PLAIN_SHEET_NAME.test(text) ? text : `'${text.replace(/'/g, "''")}'`);
+    });
+    const rename = (part) => {
+        const qualifier = part.sheetText ? qualifiers.get(part.sheet.toLowerCase()) : undefined;
+        return qualifier === undefined ? part : { sheetText: qualifier };
+    };
+
+    return mapReferences(formula, ({ start, end }) => {
+        const first = rename(start);
+        const last  = end ? rename(end) : null;
+        if (first === start && last === end) return undefined;
+
+        const text = formatReferencePart(first, start.name);
+        return end ? `${text}:${formatReferencePart(last, end.name)}` : text;
+    });
+}
@@ -0,0 +1,208 @@
+/**
+ * headerRename.js
+ *
+ * Keeps header-name formulas working when a column header or row label is
+ * renamed. Formulas are stored in their header form (=SUM(Revenue_Q1:Revenue_Q4)),
+ * so renaming "Revenue" to "Sales" would otherwise leave them pointing at
+ * tokens that no longer exist.
+ *
+ *   planHeaderRename  — every formula, named range, conditional
+ *                       formatting rule, validation rule and dropdown option
+ *                       range that would change, so the admin can review
+ *                       them before confirming
+ *   planSheetRename   — the same for a renamed sheet: every OldName!Ref and
+ *                       'Old Name'!Header_Row reference, on any sheet
+ *   applyHeaderRename — writes those changes into a sheet
+ *   planFormulaRewrites — the walk behind both plans, for any formula rewrite
+ *
+ * On the renamed sheet both unqualified tokens and tokens qualified with its
+ * own name are rewritten; on other sheets only Sheet!Token references to it.
+ */
+
+import { colIndexToLetter } from "./helpers";
+import { buildHeaderRenamer, rewriteHeaderTokens, renameSheetReferences } from "./formulaTranslator";
+
+export const RENAME_EDIT_KIND = {
+    CELL: "cell",
+    NAME: "name",
+    RULE: "rule",
+    VALIDATION: "validation",
+    DROPDOWN: "dropdown",
+};
+
+// ── Everything a rename would rewrite ────────────────────────────────────────
+// sheets    — [{ sheetName, data, namedRanges, conditionalFormats, validationRules, columns }]
+//             that may reference the sheet
+// sheetName — the sheet whose headers change
+// before / after — its { columns, rowLabels } before and after the rename
+// Returns [{ kind, sheetName, row, col, address, name, index, field, before, after }]
+// (index / field — a rule's position and its "range", "formula" or "source";
+// key — a dropdown column's key, whose sourceRange changes)
+export function planHeaderRename(sheets, sheetName, before, after) {
+    const renameToken = buildHeaderRenamer(before, after);
+    const target      = String(sheetName).toLowerCase();
+
+    return planFormulaRewrites(sheets, sheet => {
+        const isOwnSheet = String(sheet.sheetName).toLowerCase() === target;
+        return (formula) => rewriteHeaderTokens(formula, (token, qualifier) => {
+            if (qualifier === null) return isOwnSheet ? renameToken(token) : undefined;
+            return qualifier.toLowerCase() === target ? renameToken(token) : undefined;
+        });
+    });
+}
+
+// ── Everything a sheet rename would rewrite ──────────────────────────────────
+// The same edits as planHeaderRename, for references qualified with oldName.
+// They point at the same cells afterwards, so there is nothing to review.
+export function planSheetRename(sheets, oldName, newName) {
+    const renames = new Map([[oldName, newName]]);
+    return planFormulaRewrites(sheets, () => (formula) => renameSheetReferences(formula, renames));
+}
+
+// ── Every edit a formula rewrite makes ───────────────────────────────────────
+// rewriteFor(sheet) — a formula → formula function for that sheet, applied to
+// its cells, named ranges, rules and dropdown option ranges. Returns edits in
+// the form planHeaderRename does; applyHeaderRename writes them. Column
+// restructuring (columnStructure) walks the same places this way.
+export function planFormulaRewrites(sheets, rewriteFor) {
+    const edits = [];
+
+    (Array.isArray(sheets) ? sheets : []).forEach(sheet => {
+        if (!sheet) return;
+        const rewrite = rewriteFor(sheet);
+
+        (sheet.data || []).forEach((rowValues, row) => {
+            if (!Array.isArray(rowValues)) return;
+            rowValues.forEach((value, col) => {
+                if (typeof value !== "string" || !value.startsWith("=")) return;
+                const rewritten = rewrite(value);
+                if (rewritten === value) return;
+                edits.push({
+                    kind:      RENAME_EDIT_KIND.CELL,
+                    sheetName: sheet.sheetName,
+                    row,
+                    col,
+                    address:   `${colIndexToLetter(col)}${row + 1}`,
+                    before:    value,
+                    after:     rewritten,
+                });
+            });
+        });
+
+        (sheet.namedRanges || []).forEach(range => {
+            const refersTo = String(range.refersTo ?? "");
+            const result   = rewriteExpression(refersTo, rewrite);
+            if (result === refersTo) return;
+            edits.push({
+                kind:      RENAME_EDIT_KIND.NAME,
+                sheetName: sheet.sheetName,
+                name:      range.name,
+                before:    refersTo,
+                after:     result,
+            });
+        });
+
+        (sheet.conditionalFormats || []).forEach((rule, index) => {
+            ["range", "formula"].forEach(field => {
+                const text   = String(rule[field] ?? "");
+                const result = rewriteExpression(text, rewrite);
+                if (result === text) return;
+                edits.push({
+                    kind:      RENAME_EDIT_KIND.RULE,
+                    sheetName: sheet.sheetName,
+                    name:      `Rule ${index + 1} ${field}`,
+                    index,
+                    field,
+                    before:    text,
+                    after:     result,
+                });
+            });
+        });
+
+        (sheet.validationRules || []).forEach((rule, index) => {
+            ["range", "formula", "source"].forEach(field => {
+                const text = String(rule[field] ?? "");
+                if (field === "source" && !text.startsWith("=")) return;   // a list of items
+                const result = rewriteExpression(text, rewrite);
+                if (result === text) return;
+                edits.push({
+                    kind:      RENAME_EDIT_KIND.VALIDATION,
+                    sheetName: sheet.sheetName,
+                    name:      `Validation ${index + 1} ${field}`,
+                    index,
+                    field,
+                    before:    text,
+                    after:     result,
+                });
+            });
+        });
+
+        (sheet.columns || []).forEach(column => {
+            const text = String(column?.sourceRange ?? "");
+            const result = rewriteExpression(text, rewrite);
+            if (result === text) return;
+            edits.push({
+                kind:      RENAME_EDIT_KIND.DROPDOWN,
+                sheetName: sheet.sheetName,
+                name:      `${column.header || "Column"} options`,
+                key:       column.key,
+                before:    text,
+                after:     result,
+            });
+        });
+    });
+
+    return edits;
+}
+
+// ── Apply planned edits to one sheet ─────────────────────────────────────────
+// Only edits for sheetName are applied, and only to cells that still hold
+// the formula the plan was made from. A sheet without edits is returned
+// as the same object.
+export function applyHeaderRename(sheet, edits, sheetName = sheet?.sheetName) {
+    const own = (edits || []).filter(edit => edit.sheetName === sheetName);
+    if (!sheet || own.length === 0) return sheet;
+
+    let data               = sheet.data;
+    let namedRanges        = sheet.namedRanges;
+    let conditionalFormats = sheet.conditionalFormats;
+    let validationRules    = sheet.validationRules;
+    let columns            = sheet.columns;
+
+    own.forEach(edit => {
+        if (edit.kind === RENAME_EDIT_KIND.CELL) {
+            if (data?.[edit.row]?.[edit.col] !== edit.before) return;
+            if (data === sheet.data) data = data.map(row => (Array.isArray(row) ? [...row] : row));
+            data[edit.row][edit.col] = edit.after;
+        } else if (edit.kind === RENAME_EDIT_KIND.RULE) {
+            conditionalFormats = (conditionalFormats || []).map((rule, index) =>
+                index === edit.index && rule[edit.field] === edit.before ? { ...rule, [edit.field]: edit.after } : rule
+            );
+        } else if (edit.kind === RENAME_EDIT_KIND.VALIDATION) {
+            validationRules = (validationRules || []).map((rule, index) =>
+                index === edit.index && rule[edit.field] === edit.before ? { ...rule, [edit.field]: edit.after } : rule
+            );
+        } else if (edit.kind === RENAME_EDIT_KIND.DROPDOWN) {
+            columns = (columns || []).map(column =>
+                column.key === edit.key && column.sourceRange === edit.before ? { ...column, sourceRange: edit.after } : column
+            );
+        } else {
+            namedRanges = (namedRanges || []).map(range =>
+                range.name === edit.name && range.refersTo === edit.before ? { ...range, refersTo: edit.after } : range
+            );
+        }
+    });
+
+    return { ...sheet, data, namedRanges, conditionalFormats, validationRules, columns };
+}
+
+// ─── Private ──────────────────────────────────────────────────────────────────
+
+// refersTo, rule ranges and rule formulas are stored without the leading "="
+// unless the admin typed one
+function rewriteExpression(text, rewrite) {
+    if (!text) return text;
+    const hasEquals = text.startsWith("=");
+    const rewritten = rewrite(hasEquals ? text : `=${text}`);
+    return hasEquals ? rewritten : rewritten.slice(1);
+}
@@ -113,6 +113,31 @@ export function letterToColIndex(letter) {
     return result - 1;
 }
 
+/**
+ * parseA1Range
+ * Parses "B2:F40" (or a single "C3") into zero-based, normalised bounds.
+ * Returns null for anything that isn't a plain A1 reference.
+ *
+ * @param   {string} ref
+ * @returns {{ r1, c1, r2, c2 } | null}
+ */
+export function parseA1Range(ref) {
+    const match = /^\s*\$?([A-Za-z]{1,3})\$?(\d+)(?::\$?([A-Za-z]{1,3})\$?(\d+))?\s*$/.exec(ref || "");
+    if (!match) return null;
+
+    const [, colA, rowA, colB = colA, rowB = rowA] = match;
+    const ca = letterToColIndex(colA.toUpperCase());
+    const cb = letterToColIndex(colB.toUpperCase());
+    const ra = Number(rowA) - 1;
+    const rb = Number(rowB) - 1;
+    if (ra < 0 || rb < 0) return null;
+
+    return {
+        r1: Math.min(ra, rb), c1: Math.min(ca, cb),
+        r2: Math.max(ra, rb), c2: Math.max(ca, cb),
+    };
+}
+
 // ─── Array Utilities ──────────────────────────────────────────────────────────
 
 /**
@@ -164,6 +189,76 @@ export function truncate(str, maxLength = 20) {
     return str.length > maxLength ? `${str.slice(0, maxLength - 1)}…` : str;
 }
 
+// ─── Rule Values ─────────────────────────────────────────────────────────────
+// Shared by conditional formatting and data validation, which read cell
+// values and formula results the same way.
+
+/**
+ * toNumber
+ * Numbers and numeric text; booleans, errors and blanks are not numbers.
+ *
+ * @param   {any} value
+ * @returns {number|null}
+ */
+export function toNumber(value) {
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+    if (typeof value !== "string" || value.trim() === "") return null;
+    const n = Number(value.trim());
+    return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * isBlank
+ * null, undefined or "" — unlike isEmpty, whitespace is a value.
+ *
+ * @param   {any}     value
+ * @returns {boolean}
+ */
+export function isBlank(value) {
+    return value === null || value === undefined || value === "";
+}
+
+/**
+ * keyOf
+ * Comparison key of a value: numbers by value ("5" and 5 match), text
+ * case-insensitively, formula errors (HyperFormula's DetailedCellError)
+ * by their code.
+ *
+ * @param   {any}    value
+ * @returns {string}
+ */
+export function keyOf(value) {
+    const n = toNumber(value);
+    if (n !== null) return `n:${n}`;
+    if (value && typeof value === "object") return `t:${String(value.value ?? "").toLowerCase()}`;
+    return `t:${String(value).trim().toLowerCase()}`;
+}
+
+/**
+ * isTrue
+ * Whether a formula result passes, as in Excel: TRUE and non-zero numbers.
+ *
+ * @param   {any}     result
+ * @returns {boolean}
+ */
+export function isTrue(result) {
+    if (typeof result === "boolean") return result;
+    if (typeof result === "number") return result !== 0;
+    return false;
+}
+
+/**
+ * normaliseFormula
+ * Rule formulas may be stored without the leading "=".
+ *
+ * @param   {string} formula
+ * @returns {string}  e.g. "A1>5" → "=A1>5"
+ */
+export function normaliseFormula(formula) {
+    const trimmed = String(formula ?? "").trim();
+    return trimmed.startsWith("=") ? trimmed : `=${trimmed}`;
+}
+
 // ─── Debounce ────────────────────────────────────────────────────────────────
 
 /**
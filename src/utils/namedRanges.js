@@ -0,0 +1,145 @@
+/**
+ * namedRanges.js
+ *
+ * Named ranges and named constants — =TaxRate * Revenue_Q1, =SUM(Q1Sales).
+ *
+ * Each sheet stores its names in sheetJson.namedRanges:
+ *   [{ name: "TaxRate", refersTo: "0.21",                  scope: "workbook" },
+ *    { name: "Q1Sales", refersTo: "Revenue_Q1:Revenue_Q4", scope: "sheet"    }]
+ *
+ * refersTo is kept exactly as the admin typed it (header names included),
+ * the same way formulas keep their header form. It is turned into a
+ * HyperFormula named expression by toNamedExpression:
+ *   0.21                    → =0.21
+ *   ="EUR"                  → ="EUR"
+ *   B2                      → ='Sheet1'!$B$2
+ *   Revenue_Q1:Revenue_Q4   → ='Sheet1'!$A$1:$A$4
+ *   Expenses!Cost_Q3 * 1.2  → =Expenses!$B$3*1.2
+ * References always point at the sheet that defines the name.
+ *
+ * SCOPE:
+ *   workbook — usable from every sheet; names are unique workbook-wide
+ *   sheet    — usable only on the defining sheet; may shadow a workbook name
+ *
+ * Names are case-insensitive, like in HyperFormula and Excel.
+ */
+
+import { NAMED_RANGE_SCOPE } from "./constants";
+import { colIndexToLetter } from "./helpers";
+import { buildSheetResolvers, translateFormula, anchorFormulaReferences } from "./formulaTranslator";
+
+const NAME_PATTERN    = /^[A-Za-z_\\][A-Za-z0-9_.]*$/;
+const CELL_REF_LIKE   = /^[A-Za-z]{1,3}[0-9]+$/;
+const R1C1_LIKE       = /^[Rr][0-9]*[Cc][0-9]*$/;
+const RESERVED_NAMES  = new Set(["true", "false"]);
+
+// ── Normalise names read from sheetJson ──────────────────────────────────────
+export function normaliseNamedRanges(raw) {
+    if (!Array.isArray(raw)) return [];
+    return raw
+        .filter(entry => entry && typeof entry === "object" && entry.name)
+        .map(entry => ({
+            name:     String(entry.name).trim(),
+            refersTo: String(entry.refersTo ?? "").trim(),
+            scope:    entry.scope === NAMED_RANGE_SCOPE.SHEET ? NAMED_RANGE_SCOPE.SHEET : NAMED_RANGE_SCOPE.WORKBOOK,
+        }));
+}
+
+// ── Validate a name ──────────────────────────────────────────────────────────
+// takenNames — names already used in the same scope (any case)
+// Returns an error message, or null when the name can be used.
+export function validateRangeName(name, takenNames = []) {
+    const trimmed = String(name ?? "").trim();
+    if (!trimmed) return "Enter a name.";
+    if (!NAME_PATTERN.test(trimmed)) {
+        return "Use letters, digits, _ and . only, starting with a letter or _.";
+    }
+    if (CELL_REF_LIKE.test(trimmed) || R1C1_LIKE.test(trimmed)) {
+        return `"${trimmed}" looks like a cell reference.`;
+    }
+    if (RESERVED_NAMES.has(trimmed.toLowerCase())) return `"${trimmed}" is reserved.`;
+    if (takenNames.some(taken => taken.toLowerCase() === trimmed.toLowerCase())) {
+        return `"${trimmed}" is already defined.`;
+    }
+    return null;
+}
+
+// ── refersTo → HyperFormula expression ───────────────────────────────────────
+// resolver / sheetResolvers resolve the defining sheet's header tokens (formulaTranslator).
+// Returns null for an empty refersTo.
+export function toNamedExpression(refersTo, sheetName, resolver, sheetResolvers = null) {
+    const text = String(refersTo ?? "").trim();
+    if (!text) return null;
+
+    if (Number.isFinite(Number(text))) return `=${Number(text)}`;
+
+    const formula = text.startsWith("=") ? text : `=${text}`;
+    return anchorFormulaReferences(translateFormula(formula, resolver, sheetResolvers), sheetName);
+}
+
+// ── Names from every sheet, flattened ────────────────────────────────────────
+// sheets — [{ sheetName, namedRanges }]
+// Returns [{ name, refersTo, scope, sheetName }]
+export function collectNamedRanges(sheets) {
+    const result = [];
+    (Array.isArray(sheets) ? sheets : []).forEach(sheet => {
+        (sheet?.namedRanges || []).forEach(range => {
+            result.push({ ...range, sheetName: sheet.sheetName });
+        });
+    });
+    return result;
+}
+
+// ── HyperFormula named expressions for every sheet ───────────────────────────
+// sheets — [{ sheetName, columns, rowLabels, namedRanges }]
+// Returns [{ name, expression, scope, sheetName }] — names whose refersTo
+// is empty are skipped. Registered by useHyperformula.
+export function buildNamedExpressions(sheets) {
+    const named = collectNamedRanges(sheets);
+    if (named.length === 0) return [];
+
+    const sheetResolvers = buildSheetResolvers(sheets);
+    return named
+        .map(range => ({
+            name:       range.name,
+            scope:      range.scope,
+            sheetName:  range.sheetName,
+            expression: toNamedExpression(range.refersTo, range.sheetName, sheetResolvers.get(range.sheetName), sheetResolvers),
+        }))
+        .filter(entry => entry.expression !== null);
+}
+
+// ── Formulas that use a name ─────────────────────────────────────────────────
+// Searches every formula cell for the name as a whole token (outside "...").
+// onlySheetName limits the search to one sheet (sheet-scoped names).
+// Returns [{ sheetName, row, col, address, formula }]
+export function findNameUsages(name, sheets, onlySheetName = null) {
+    const target = String(name ?? "").trim();
+    if (!target) return [];
+
+    const escaped = target.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const pattern = new RegExp(`(?<![A-Za-z0-9_.$!'])${escaped}(?![A-Za-z0-9_.(!])`, "i");
+    const usages  = [];
+
+    (Array.isArray(sheets) ? sheets : []).forEach(sheet => {
+        if (!sheet || (onlySheetName && sheet.sheetName !== onlySheetName)) return;
+        (sheet.data || []).forEach((row, r) => {
+            if (!Array.isArray(row)) return;
+            row.forEach((value, c) => {
+                if (typeof value !== "string" || !value.startsWith("=")) return;
+                const withoutStrings = value.replace(/"(?:[^"]|"")*"/g, "\"\"");
+                if (pattern.test(withoutStrings)) {
+                    usages.push({
+                        sheetName: sheet.sheetName,
+                        row:       r,
+                        col:       c,
+                        address:   `${colIndexToLetter(c)}${r + 1}`,
+                        formula:   value,
+                    });
+                }
+            });
+        });
+    });
+
+    return usages;
+}
@@ -0,0 +1,321 @@
+/**
+ * numberFormat.js
+ *
+ * Excel-style number format codes for display. The cell keeps its value;
+ * only the rendered text changes (SheetGrid's renderer, cellMeta.numberFormat).
+ *
+ *   formatNumber(-1234.5, "#,##0.00;[Red](#,##0.00)")  → { text: "(1,234.50)", color: "red" }
+ *   formatNumber(0.256,   "0.0%")                       → { text: "25.6%" }
+ *   formatNumber(123456,  "0.00E+00")                   → { text: "1.23E+05" }
+ *   formatNumber(1500,    '_("$"* #,##0_)')             → { text: " $1,500 " }
+ *
+ * SUPPORTED:
+ *   up to four sections      positive;negative;zero;text
+ *   0 # ?                    digit placeholders (? pads with a space)
+ *   . ,                      decimal point, thousands separator; a trailing
+ *                            comma divides by 1,000
+ *   %                        multiplies by 100
+ *   E+00 E-00                scientific notation
+ *   "text" \x                literal text
+ *   _x *x                    space as wide as x / fill (rendered as a space)
+ *   [Red] [Blue] …           section colour
+ *   [$€-407]                 currency symbol
+ *   @                        the cell's text (text section); a code
+ *                            without digit placeholders ("@") shows
+ *                            numbers as General, like Excel
+ *   General
+ * Date and time codes, fractions (# ?/?) and [>100]-style conditions are
+ * not supported — validateNumberFormat rejects them.
+ *
+ * The toolbar builds its presets with buildNumberFormat and reads them back
+ * with readNumberFormatOptions, so its toggles (decimals, thousands,
+ * negatives) work on any code it created itself.
+ */
+
+import { NUMBER_FORMAT_KIND, NEGATIVE_STYLE, DEFAULT_NUMBER_FORMAT_OPTIONS } from "./constants";
+
+const COLORS       = ["black", "blue", "cyan", "green", "magenta", "red", "white", "yellow"];
+const DATE_CODE    = /[dmyhs]/i;
+const MAX_DECIMALS = 10;
+
+// ── Format a value ───────────────────────────────────────────────────────────
+// Returns { text, color } — color is a CSS colour from a [Red]-style tag, or
+// null. Values that are not numbers only use the text section (@).
+export function formatNumber(value, code) {
+    const sections = parseFormatCode(code);
+    const number   = toNumber(value);
+
+    if (number === null) {
+        const textSection = sections[3] || sections.find(section => section.hasText);
+        if (!textSection || value === null || value === undefined || value === "") return { text: value == null ? "" : String(value), color: null };
+        return { text: renderText(textSection, String(value)), color: textSection.color };
+    }
+
+    const [positive, negative, zero] = sections;
+    if (!sections.some(section => section.hasDigits)) return { text: formatGeneral(number), color: positive.color };
+    if (number === 0 && zero)    return { text: renderNumber(zero, 0), color: zero.color };
+    if (number < 0 && negative)  return { text: renderNumber(negative, -number), color: negative.color };
+    if (number < 0) {
+        const text = renderNumber(positive, -number);
+        // "-0.00" would be misleading when the value rounds to zero
+        return { text: /[1-9]/.test(text) ? `-${text}` : text, color: positive.color };
+    }
+    return { text: renderNumber(positive, number), color: positive.color };
+}
+
+// ── Check a code typed by the admin ──────────────────────────────────────────
+// Returns an error message, or null when the code can be used.
+export function validateNumberFormat(code) {
+    const text = String(code ?? "").trim();
+    if (!text) return "Enter a format code, e.g. #,##0.00.";
+
+    let sections;
+    try {
+        sections = parseFormatCode(text);
+    } catch (err) {
+        return err.message;
+    }
+    if (sections.length > 4) return "A format has at most four sections (positive;negative;zero;text).";
+    if (sections.some(section => section.hasDateCode)) return "Date and time codes are not supported here.";
+    if (sections.some(section => section.hasCondition)) return "Conditions like [>100] are not supported here.";
+    if (/[0#?]\s*\/\s*[0-9#?]/.test(text.replace(/"[^"]*"/g, ""))) return "Fractions are not supported here.";
+    if (sections.some(section => section.hasLetters)) return "Put text in quotes, e.g. 0.0 \"kg\".";
+    if (sections.some(section => section.tokens.filter(token => token.type === "point").length > 1)) return "A section has at most one decimal point.";
+    return null;
+}
+
+// ── Toolbar presets ──────────────────────────────────────────────────────────
+// options — { kind, decimals, thousands, negative, symbol }, see
+// DEFAULT_NUMBER_FORMAT_OPTIONS. Negative styles apply to number and currency.
+export function buildNumberFormat(options = {}) {
+    const { kind, decimals, thousands, negative, symbol } = { ...DEFAULT_NUMBER_FORMAT_OPTIONS, ...options };
+    const places = Math.max(0, Math.min(MAX_DECIMALS, decimals));
+    const digits = `${thousands ? "#,##0" : "0"}${places > 0 ? `.${"0".repeat(places)}` : ""}`;
+    const quoted = `"${String(symbol).replace(/"/g, "")}"`;
+
+    switch (kind) {
+        case NUMBER_FORMAT_KIND.PERCENT:
+            return `${places > 0 ? `0.${"0".repeat(places)}` : "0"}%`;
+        case NUMBER_FORMAT_KIND.SCIENTIFIC:
+            return `${places > 0 ? `0.${"0".repeat(places)}` : "0"}E+00`;
+        case NUMBER_FORMAT_KIND.ACCOUNTING:
+            // Symbol at the left edge, negatives in parentheses, zero as a dash
+            return `_(${quoted}* ${digits}_);_(${quoted}* (${digits});_(${quoted}* "-"??_);_(@_)`;
+        default: {
+            const positive = kind === NUMBER_FORMAT_KIND.CURRENCY ? `${quoted}${digits}` : digits;
+            switch (negative) {
+                case NEGATIVE_STYLE.RED:        return `${positive};[Red]${positive}`;
+                case NEGATIVE_STYLE.PARENS:     return `${positive};(${positive})`;
+                case NEGATIVE_STYLE.RED_PARENS: return `${positive};[Red](${positive})`;
+                default:                        return positive;
+            }
+        }
+    }
+}
+
+// The options buildNumberFormat made code from, or null for other codes
+export function readNumberFormatOptions(code) {
+    if (!code) return null;
+    const symbol = /"([^"]*)"/.exec(code)?.[1] ?? "$";
+
+    for (const kind of Object.values(NUMBER_FORMAT_KIND)) {
+        for (let decimals = 0; decimals <= MAX_DECIMALS; decimals++) {
+            for (const thousands of [true, false]) {
+                for (const negative of Object.values(NEGATIVE_STYLE)) {
+                    const options = { kind, decimals, thousands, negative, symbol };
+                    if (buildNumberFormat(options) === code) return options;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+// ─── Private ──────────────────────────────────────────────────────────────────
+
+// Sections as token lists:
+// { tokens, color, hasText, hasDigits, hasLetters, hasDateCode, hasCondition }
+function parseFormatCode(code) {
+    const text     = String(code ?? "").trim() || "General";
+    const sections = [];
+    let tokens     = [];
+    let section    = newSection(tokens);
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (ch === ";") {
+            sections.push(section);
+            tokens  = [];
+            section = newSection(tokens);
+        } else if (ch === "\"") {
+            const end = text.indexOf("\"", i + 1);
+            if (end < 0) throw new Error("A quoted text is not closed.");
+            tokens.push({ type: "literal", text: text.slice(i + 1, end) });
+            i = end;
+        } else if (ch === "\\") {
+            tokens.push({ type: "literal", text: text[i + 1] ?? "" });
+            i++;
+        } else if (ch === "_") {
+            tokens.push({ type: "literal", text: " " });
+            i++;
+        } else if (ch === "*") {
+            tokens.push({ type: "literal", text: "" });
+            i++;
+        } else if (ch === "[") {
+            const end = text.indexOf("]", i + 1);
+            if (end < 0) throw new Error("A [ ] tag is not closed.");
+            const tag = text.slice(i + 1, end);
+            if (COLORS.includes(tag.toLowerCase())) section.color = tag.toLowerCase();
+            else if (tag.startsWith("$")) tokens.push({ type: "literal", text: tag.slice(1).split("-")[0] });
+            else if (/^[<>=]/.test(tag)) section.hasCondition = true;
+            else if (DATE_CODE.test(tag)) section.hasDateCode = true;
+            i = end;
+        } else if (/^general/i.test(text.slice(i))) {
+            tokens.push({ type: "general" });
+            section.hasDigits = true;
+            i += "general".length - 1;
+        } else if ("0#?".includes(ch)) {
+            tokens.push({ type: "digit", char: ch });
+            section.hasDigits = true;
+        } else if (ch === "." || ch === ",") {
+            tokens.push({ type: ch === "." ? "point" : "comma" });
+        } else if ((ch === "E" || ch === "e") && (text[i + 1] === "+" || text[i + 1] === "-")) {
+            tokens.push({ type: "exponent", sign: text[i + 1] });
+            i++;
+        } else if (ch === "%") {
+            tokens.push({ type: "percent" });
+        } else if (ch === "@") {
+            tokens.push({ type: "text" });
+            section.hasText = true;
+        } else {
+            if (DATE_CODE.test(ch)) section.hasDateCode = true;
+            else if (/[a-z]/i.test(ch)) section.hasLetters = true;
+            tokens.push({ type: "literal", text: ch });
+        }
+    }
+    sections.push(section);
+    return sections;
+}
+
+function newSection(tokens) {
+    return { tokens, color: null, hasText: false, hasDigits: false, hasLetters: false, hasDateCode: false, hasCondition: false };
+}
+
+function renderText(section, value) {
+    return section.tokens.map(token => {
+        if (token.type === "text") return value;
+        if (token.type === "literal") return token.text;
+        return "";
+    }).join("");
+}
+
+function renderNumber(section, value) {
+    const { tokens } = section;
+    const first = tokens.findIndex(token => token.type === "digit" || token.type === "general");
+    if (first < 0) return renderLiterals(tokens, "");
+    if (tokens[first].type === "general") return renderLiterals(tokens, formatGeneral(value), first, first);
+
+    // The number runs from the first digit placeholder through the last
+    // placeholder, point, comma or exponent that follows it
+    let last = first;
+    for (let i = first + 1; i < tokens.length; i++) {
+        const type = tokens[i].type;
+        if (type === "digit" || type === "point" || type === "exponent") last = i;
+        else if (type === "comma") last = i;
+        else if (type !== "percent") break;
+    }
+
+    const part        = tokens.slice(first, last + 1);
+    const exponentAt  = part.findIndex(token => token.type === "exponent");
+    const mantissa    = exponentAt < 0 ? part : part.slice(0, exponentAt);
+    const exponent    = exponentAt < 0 ? null : part.slice(exponentAt);
+    const pointAt     = mantissa.findIndex(token => token.type === "point");
+    const intPart     = pointAt < 0 ? mantissa : mantissa.slice(0, pointAt);
+    const decPart     = pointAt < 0 ? [] : mantissa.slice(pointAt + 1).filter(token => token.type === "digit");
+    const intDigits   = intPart.filter(token => token.type === "digit");
+    const thousands   = intPart.some((token, i) => token.type === "comma" && intPart.slice(i + 1).some(next => next.type === "digit"));
+    const scaleCommas = countTrailingCommas(mantissa);
+    const percents    = tokens.filter(token => token.type === "percent").length;
+
+    let scaled = value * Math.pow(100, percents) / Math.pow(1000, scaleCommas);
+
+    let exponentText = "";
+    if (exponent) {
+        const power = scaled === 0 ? 0 : Math.floor(Math.log10(scaled)) - (Math.max(1, intDigits.length) - 1);
+        scaled      = scaled / Math.pow(10, power);
+        // Rounding can carry into one more digit (9.99 → 10.0)
+        if (Number(scaled.toFixed(decPart.length)) >= Math.pow(10, Math.max(1, intDigits.length))) {
+            scaled /= 10;
+            exponentText = formatExponent(power + 1, exponent);
+        } else {
+            exponentText = formatExponent(power, exponent);
+        }
+    }
+
+    const [intText, decText] = scaled.toFixed(decPart.length).split(".");
+    const digits = renderInteger(intText, intDigits, thousands);
+    const decimals = renderDecimals(decText || "", decPart);
+    const number = `${digits}${pointAt >= 0 ? "." : ""}${decimals}${exponentText}`;
+
+    return renderLiterals(tokens, number, first, last);
+}
+
+// Literal text around the number; tokens first..last are replaced by it
+function renderLiterals(tokens, number, first = -1, last = -1) {
+    let text = "";
+    tokens.forEach((token, i) => {
+        if (i === first) text += number;
+        if (i >= first && i <= last && first >= 0) return;
+        if (token.type === "literal") text += token.text;
+        else if (token.type === "percent") text += "%";
+    });
+    return text;
+}
+
+function renderInteger(intText, placeholders, thousands) {
+    const required = placeholders.filter(token => token.char === "0").length;
+    const spaces   = placeholders.filter(token => token.char === "?").length;
+    let digits     = intText === "0" && required === 0 ? "" : intText;
+    if (digits.length < required) digits = digits.padStart(required, "0");
+    if (thousands) digits = digits.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+    if (digits.length < required + spaces) digits = digits.padStart(required + spaces, " ");
+    return digits;
+}
+
+// 0 keeps a trailing zero, # drops it, ? turns it into a space
+function renderDecimals(decText, placeholders) {
+    const chars = decText.split("");
+    for (let i = chars.length - 1; i >= 0; i--) {
+        if (chars[i] !== "0" || placeholders[i].char === "0") break;
+        chars[i] = placeholders[i].char === "?" ? " " : "";
+    }
+    return chars.join("");
+}
+
+function formatExponent(power, tokens) {
+    const width = tokens.filter(token => token.type === "digit" && token.char === "0").length || 1;
+    const sign  = power < 0 ? "-" : tokens[0].sign === "+" ? "+" : "";
+    return `E${sign}${String(Math.abs(power)).padStart(width, "0")}`;
+}
+
+function countTrailingCommas(tokens) {
+    let count = 0;
+    for (let i = tokens.length - 1; i >= 0 && tokens[i].type === "comma"; i--) count++;
+    return count;
+}
+
+// Excel's General: up to 11 significant digits, scientific when very large or small
+function formatGeneral(value) {
+    if (value === 0) return "0";
+    const abs = Math.abs(value);
+    if (abs >= 1e11 || abs < 1e-9) return value.toExponential(5).replace(/\.?0+e/, "E").replace(/E([+-])(\d)$/, "E$10$2");
+    return String(Number(value.toPrecision(11)));
+}
+
+function toNumber(value) {
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+    if (typeof value !== "string" || value.trim() === "") return null;
+    const n = Number(value.trim());
+    return Number.isFinite(n) ? n : null;
+}